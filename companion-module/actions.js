@@ -44,6 +44,13 @@ module.exports = {
 					self.sendOSC('/ninja/timer/stop')
 				},
 			},
+			lap: {
+				name: 'Record Lap (Stopwatch)',
+				options: [],
+				callback: async () => {
+					self.sendOSC('/ninja/timer/lap')
+				},
+			},
 
 			// Timer Selection
 			selectTimer: {
@@ -19,6 +19,10 @@ class NinjaTimerInstance extends InstanceBase {
 			progress: 0,
 			overtime: false,
 			ended: false,
+			laps: 0,
+			round: 0,
+			rounds: 0,
+			phase: '',
 			blackout: false,
 			timerName: '',
 			timerIndex: 1,
@@ -173,6 +177,18 @@ class NinjaTimerInstance extends InstanceBase {
 			case '/ninja/state/ended':
 				this.state.ended = value === 1
 				break
+			case '/ninja/state/laps':
+				this.state.laps = value || 0
+				break
+			case '/ninja/state/round':
+				this.state.round = value || 0
+				break
+			case '/ninja/state/rounds':
+				this.state.rounds = value || 0
+				break
+			case '/ninja/state/phase':
+				this.state.phase = value || ''
+				break
 			case '/ninja/state/blackout':
 				this.state.blackout = value === 1
 				break
@@ -227,6 +243,10 @@ class NinjaTimerInstance extends InstanceBase {
 			remaining: this.state.remaining,
 			elapsed: this.state.elapsed,
 			progress: Math.round(this.state.progress * 100),
+			laps: this.state.laps,
+			round: this.state.round,
+			rounds: this.state.rounds,
+			phase: this.state.phase,
 			timer_name: this.state.timerName,
 			timer_index: this.state.timerIndex,
 			profile_name: this.state.profileName,
@@ -17,6 +17,22 @@ module.exports = {
 				variableId: 'progress',
 				name: 'Progress Percentage (0-100)',
 			},
+			{
+				variableId: 'laps',
+				name: 'Stopwatch Laps Recorded',
+			},
+			{
+				variableId: 'round',
+				name: 'Interval Round Number',
+			},
+			{
+				variableId: 'rounds',
+				name: 'Interval Round Count',
+			},
+			{
+				variableId: 'phase',
+				name: 'Interval Phase (work/rest/done)',
+			},
 			{
 				variableId: 'timer_name',
 				name: 'Active Timer Name',
@@ -6,7 +6,14 @@
 const { app, BrowserWindow, Menu, ipcMain, screen, dialog, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const dgram = require('dgram');
+const os = require('os');
+const crypto = require('crypto');
 const { Server: OSCServer, Client: OSCClient } = require('node-osc');
+const { WebSocketServer, WebSocket } = require('ws');
+const access = require('./src/main/access');
 
 // Enable hot reload in development (soft reload for src/ files only)
 // Store watcher reference for cleanup
@@ -38,16 +45,115 @@ let lastTimerConfig = null;
 let outputAlwaysOnTop = true;  // Default: output stays on top
 let controlAlwaysOnTop = false; // Default: control window normal
 
+// ============ Launch Options ============
+
+// Command-line flags, e.g. for a venue PC's startup script:
+//   "Ninja Timer" --profile "Main Stage" --timer 1 --autostart --output-display 2 --kiosk
+// Values may also be given as --flag=value. Unknown arguments (Electron and
+// Chromium switches, the app path in development) are ignored.
+const LAUNCH_VALUE_FLAGS = {
+  '--profile': 'profile',
+  '--timer': 'timer',
+  '--output-display': 'outputDisplay',
+  '--osc-port': 'oscPort',
+  '--import': 'importFile'
+};
+
+const LAUNCH_SWITCHES = {
+  '--autostart': 'autostart',
+  '--fullscreen': 'fullscreen',
+  '--kiosk': 'kiosk'
+};
+
+/**
+ * Parse launch flags
+ * @param {Array<string>} argv - Arguments after the executable (and app path)
+ * @param {string} cwd - Directory relative --import paths are resolved against
+ * @returns {Object} - { profile, timer, autostart, outputDisplay, fullscreen,
+ *   oscPort, importFile, kiosk, errors }
+ */
+function parseLaunchArgs(argv, cwd = process.cwd()) {
+  const options = {
+    profile: null,
+    timer: null,
+    autostart: false,
+    outputDisplay: null,
+    fullscreen: false,
+    oscPort: null,
+    importFile: null,
+    kiosk: false,
+    errors: []
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = String(argv[i]).split(/=(.*)/s, 2);
+
+    if (LAUNCH_SWITCHES[flag]) {
+      options[LAUNCH_SWITCHES[flag]] = true;
+      continue;
+    }
+    if (!LAUNCH_VALUE_FLAGS[flag]) continue;
+
+    const value = inlineValue ?? argv[++i];
+    if (value === undefined || value === '' || (inlineValue === undefined && value.startsWith('--'))) {
+      options.errors.push(`${flag} needs a value`);
+      if (inlineValue === undefined && value !== undefined) i--; // Don't swallow the next flag
+      continue;
+    }
+    options[LAUNCH_VALUE_FLAGS[flag]] = value;
+  }
+
+  if (options.oscPort !== null) {
+    if (isValidPort(options.oscPort)) {
+      options.oscPort = Number(options.oscPort);
+    } else {
+      options.errors.push(`--osc-port must be 1-65535 (got ${options.oscPort})`);
+      options.oscPort = null;
+    }
+  }
+  if (options.importFile) {
+    options.importFile = path.resolve(cwd, options.importFile);
+  }
+
+  return options;
+}
+
+const launchArgv = process.argv.slice(app.isPackaged ? 1 : 2);
+const launchOptions = parseLaunchArgs(launchArgv);
+launchOptions.errors.forEach(error => console.warn(`[Launch] ${error}`));
+
+// --import/--profile/--timer/--autostart waiting for the control window to
+// pick them up (null once handed over)
+let pendingLaunchOptions = launchOptions;
+
+// One instance per user: a second launch hands its flags to this one and quits
+// (two instances would share the data files and fight over the OSC port)
+const gotSingleInstanceLock = app.requestSingleInstanceLock({ argv: launchArgv, cwd: process.cwd() });
+if (!gotSingleInstanceLock) {
+  console.log('[Launch] Already running - forwarding arguments to the open instance');
+  app.quit();
+}
+
 // ============ OSC Integration ============
 
 let oscServer = null;
+let oscServerPort = null;
+let oscServerError = null;
+let oscServerAttempt = 0;
+let reportedOSCErrorPort = null;
 let oscClient = null;
 let oscSettings = {
   enabled: false,
   listenPort: 8000,
   feedbackEnabled: false,
   feedbackHost: '127.0.0.1',
-  feedbackPort: 9000
+  feedbackPort: 9000,
+  httpEnabled: false,
+  httpPort: 8080,
+  // Access control (see Access Control section)
+  allowList: '',
+  controlPin: '',
+  viewerPin: ''
 };
 
 // ============ Safe IPC Helpers (Production Safety) ============
@@ -87,29 +193,117 @@ function safeToOutput(channel, data) {
 
 // ============ OSC Server/Client Management ============
 
+/**
+ * Check that no other program is bound to a UDP port. node-osc binds with
+ * reuseAddr, so a clash wouldn't surface as an error - commands would just
+ * go to whichever program the OS picks.
+ * @returns {Promise<Error|null>}
+ */
+function probeUDPPort(port) {
+  return new Promise((resolve) => {
+    const probe = dgram.createSocket('udp4');
+    probe.once('error', (err) => {
+      try {
+        probe.close();
+      } catch {
+        // Never bound
+      }
+      resolve(err);
+    });
+    probe.bind(port, '0.0.0.0', () => probe.close(() => resolve(null)));
+  });
+}
+
+/**
+ * OSC server state for the control window (plus why HTTP isn't listening)
+ */
+function getOSCServerStatus() {
+  return {
+    enabled: !!(oscSettings.enabled || launchOptions.oscPort),
+    listening: !!oscServer && !oscServerError,
+    port: getOSCListenPort(),
+    error: oscServerError,
+    httpError: httpServerError
+  };
+}
+
+function sendOSCServerStatus() {
+  safeToMain('osc:server-status', getOSCServerStatus());
+}
+
+/**
+ * Record why the OSC server isn't listening and tell the user (once per port)
+ */
+function reportOSCServerError(port, message) {
+  oscServerError = message;
+  console.error(`[OSC] ${message}`);
+  sendOSCServerStatus();
+
+  if (reportedOSCErrorPort === port) return;
+  reportedOSCErrorPort = port;
+
+  const options = {
+    type: 'warning',
+    buttons: ['OK'],
+    title: 'OSC Unavailable',
+    message: `OSC can't listen on port ${port}`,
+    detail: `${message}. OSC commands won't reach Ninja Timer until this is fixed: quit the other program or choose another port in App Settings → OSC & HTTP.`
+  };
+  const parent = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  (parent ? dialog.showMessageBox(parent, options) : dialog.showMessageBox(options)).catch(() => {});
+}
+
 /**
  * Start OSC server to receive commands
  */
-function startOSCServer() {
+async function startOSCServer() {
   stopOSCServer(); // Clean up any existing server
 
+  const attempt = ++oscServerAttempt;
+  const port = getOSCListenPort();
+  oscServerPort = port;
+
+  const conflict = await probeUDPPort(port);
+  if (attempt !== oscServerAttempt) return; // Stopped or restarted meanwhile
+  if (conflict) {
+    reportOSCServerError(port, conflict.code === 'EADDRINUSE'
+      ? `Port ${port} is already in use by another program`
+      : `Port ${port} is not available (${conflict.code || conflict.message})`);
+    return;
+  }
+
   try {
-    oscServer = new OSCServer(oscSettings.listenPort, '0.0.0.0');
+    oscServer = new OSCServer(port, '0.0.0.0');
 
-    oscServer.on('message', (msg) => {
+    oscServer.on('message', (msg, rinfo) => {
       const [address, ...args] = msg;
+      if (!isAddressAllowed(rinfo?.address)) {
+        logAccessRejection('osc', rinfo?.address, 'Address not allowed', address);
+        return;
+      }
       console.log(`[OSC] Received: ${address}`, args);
       // Forward to control window for handling
-      safeToMain('osc:command', { address, args });
+      dispatchCommand(address, args).then((result) => {
+        if (!result.success) {
+          console.warn(`[OSC] ${address} failed: ${result.error}`);
+        }
+      });
     });
 
     oscServer.on('error', (err) => {
       console.error('[OSC] Server error:', err);
+      if (err.code === 'EADDRINUSE' || err.code === 'EACCES') {
+        reportOSCServerError(port, `Port ${port} is not available (${err.code})`);
+      }
     });
 
-    console.log(`[OSC] Server listening on port ${oscSettings.listenPort}`);
+    oscServerError = null;
+    reportedOSCErrorPort = null;
+    sendOSCServerStatus();
+    console.log(`[OSC] Server listening on port ${port}`);
   } catch (err) {
     console.error('[OSC] Failed to start server:', err);
+    reportOSCServerError(port, `Port ${port} could not be opened (${err.message})`);
   }
 }
 
@@ -117,6 +311,9 @@ function startOSCServer() {
  * Stop OSC server
  */
 function stopOSCServer() {
+  oscServerAttempt++; // Cancels a start still checking its port
+  oscServerPort = null;
+  oscServerError = null;
   if (oscServer) {
     try {
       oscServer.close();
@@ -129,60 +326,1034 @@ function stopOSCServer() {
 }
 
 /**
- * Start OSC client for sending feedback
+ * Start OSC client for sending feedback
+ */
+function startOSCClient() {
+  stopOSCClient(); // Clean up any existing client
+
+  try {
+    oscClient = new OSCClient(oscSettings.feedbackHost, oscSettings.feedbackPort);
+    console.log(`[OSC] Feedback client ready -> ${oscSettings.feedbackHost}:${oscSettings.feedbackPort}`);
+  } catch (err) {
+    console.error('[OSC] Failed to start client:', err);
+  }
+}
+
+/**
+ * Stop OSC client
+ */
+function stopOSCClient() {
+  if (oscClient) {
+    try {
+      oscClient.close();
+    } catch (err) {
+      // Client may not have close method in all versions
+    }
+    oscClient = null;
+  }
+}
+
+/**
+ * Send OSC feedback message
+ */
+function sendOSCFeedback(address, ...args) {
+  if (!oscClient || !oscSettings.feedbackEnabled) return;
+
+  try {
+    oscClient.send(address, ...args);
+  } catch (err) {
+    console.error('[OSC] Feedback send error:', err);
+  }
+}
+
+/**
+ * OSC listen port (--osc-port overrides the saved port for this launch)
+ */
+function getOSCListenPort() {
+  return launchOptions.oscPort || oscSettings.listenPort;
+}
+
+/**
+ * Apply OSC settings (start/stop server/client as needed)
+ */
+function applyOSCSettings() {
+  // --osc-port also turns the OSC server on. Only restart when the port
+  // changes or it isn't listening (a port clash is retried on every save).
+  if (!oscSettings.enabled && !launchOptions.oscPort) {
+    stopOSCServer();
+    sendOSCServerStatus();
+  } else if (oscServerPort !== getOSCListenPort() || !oscServer) {
+    startOSCServer();
+  }
+
+  if (oscSettings.feedbackEnabled) {
+    startOSCClient();
+  } else {
+    stopOSCClient();
+  }
+}
+
+// ============ Access Control ============
+
+// Applies to all network inputs (OSC, HTTP, WebSocket):
+// - IP allow-list (empty = any address, or only this machine's local subnets
+//   once a control PIN is set; loopback is always allowed). OSC has no
+//   pairing, so the allow-list is its only protection.
+// - Control PIN: required to pair for full control (empty = commands open)
+// - Viewer PIN: required to pair for read-only access (empty = viewing open)
+// Paired clients get an in-memory token (cleared on restart or PIN change).
+// Browsers from other origins are refused, and POSTs must be JSON, so web
+// pages can't send commands through a visitor's browser.
+
+const ACCESS_ROLES = { VIEWER: 'viewer', CONTROL: 'control' };
+const ACCESS_LOG_LIMIT = 50;
+const PAIR_MAX_FAILURES = 5;
+const PAIR_LOCKOUT_MS = 60000;
+
+const accessTokens = new Map();     // token -> { role, address, createdAt }
+const pairLockout = access.createPinLockout({ maxFailures: PAIR_MAX_FAILURES, lockoutMs: PAIR_LOCKOUT_MS });
+let accessLog = [];
+
+/**
+ * Allow-list in effect: the configured one, or this machine's local
+ * subnets when it is empty and a control PIN is set (OSC has no pairing)
+ */
+function getAllowList() {
+  const entries = access.parseAllowList(oscSettings.allowList);
+  if (entries.length === 0 && oscSettings.controlPin) {
+    return access.getLocalSubnets(os.networkInterfaces());
+  }
+  return entries;
+}
+
+/**
+ * Check an address against the allow-list in effect
+ */
+function isAddressAllowed(rawAddress) {
+  return access.isAddressAllowed(rawAddress, getAllowList());
+}
+
+/**
+ * Record a rejected access attempt (ring buffer)
+ * @param {string} source - 'osc' | 'http' | 'ws'
+ * @param {string} address - Remote address
+ * @param {string} reason - Why it was rejected
+ * @param {string} detail - Path or OSC address
+ */
+function logAccessRejection(source, address, reason, detail = '') {
+  const entry = {
+    time: Date.now(),
+    source,
+    address: access.normalizeAddress(address),
+    reason,
+    detail: String(detail).slice(0, 100)
+  };
+  accessLog.push(entry);
+  if (accessLog.length > ACCESS_LOG_LIMIT) {
+    accessLog = accessLog.slice(-ACCESS_LOG_LIMIT);
+  }
+  console.warn(`[Access] Rejected ${source} from ${entry.address}: ${reason}`, entry.detail);
+}
+
+/**
+ * Role granted to clients without a token
+ * @returns {string|null} - Role, or null if pairing is required to view
+ */
+function getAnonymousRole() {
+  if (!oscSettings.controlPin) return ACCESS_ROLES.CONTROL;
+  if (!oscSettings.viewerPin) return ACCESS_ROLES.VIEWER;
+  return null;
+}
+
+/**
+ * Resolve a client's role from its pairing token (if any)
+ * @param {string|null} token - From the Authorization header or WebSocket subprotocol
+ * @returns {string|null}
+ */
+function getTokenRole(token) {
+  const session = token ? accessTokens.get(token) : null;
+  if (session) return session.role;
+  return getAnonymousRole();
+}
+
+/**
+ * Check whether a role can perform an action
+ * @param {string|null} role
+ * @param {string} required - ACCESS_ROLES.VIEWER or ACCESS_ROLES.CONTROL
+ */
+function roleAllows(role, required) {
+  if (role === ACCESS_ROLES.CONTROL) return true;
+  return role === ACCESS_ROLES.VIEWER && required === ACCESS_ROLES.VIEWER;
+}
+
+/**
+ * Pair a client with a PIN
+ * @param {string} source - Where the request came from ('http', 'ws', ...) for the access log
+ * @returns {Object} - { success, token?, role?, error? }
+ */
+function pairClient(source, rawAddress, pin) {
+  const address = access.normalizeAddress(rawAddress);
+
+  if (pairLockout.isLocked(address)) {
+    logAccessRejection(source, address, 'Too many PIN attempts', '/api/pair');
+    return { success: false, error: 'Too many attempts, try again later', status: 429 };
+  }
+
+  const pinText = pin === undefined || pin === null ? '' : String(pin);
+  let role = null;
+  if (access.pinMatches(pinText, oscSettings.controlPin)) {
+    role = ACCESS_ROLES.CONTROL;
+  } else if (access.pinMatches(pinText, oscSettings.viewerPin)) {
+    role = ACCESS_ROLES.VIEWER;
+  }
+
+  if (!role) {
+    pairLockout.recordFailure(address);
+    logAccessRejection(source, address, 'Wrong PIN', '/api/pair');
+    return { success: false, error: 'Invalid PIN', status: 401 };
+  }
+
+  pairLockout.clear(address);
+  const token = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(token, { role, address, createdAt: Date.now() });
+  console.log(`[Access] Paired ${address} as ${role}`);
+  return { success: true, token, role };
+}
+
+/**
+ * Drop all tokens (e.g. after PINs change)
+ */
+function revokeAccessTokens() {
+  if (accessTokens.size > 0) {
+    console.log(`[Access] Revoked ${accessTokens.size} token(s)`);
+  }
+  accessTokens.clear();
+}
+
+// ============ Remote Command Dispatch ============
+
+// Transport commands from OSC and HTTP run on the main-process timer engine;
+// everything else is executed by the control window, and results come back
+// over 'osc:command-result'
+const REMOTE_COMMAND_TIMEOUT = 2000;
+let remoteCommandSeq = 0;
+const pendingRemoteCommands = new Map();
+
+/**
+ * Dispatch a remote command: transport commands run on the timer engine,
+ * everything else goes to the control window
+ * @param {string} address - Command address (e.g. /ninja/timer/start)
+ * @param {Array} args - Command arguments
+ * @returns {Promise<Object>} - { success, error?, unavailable? }
+ */
+function dispatchCommand(address, args = []) {
+  // Transport commands are handled by the main-process timer engine
+  if (ENGINE_COMMANDS[address] && runTimerCommand(ENGINE_COMMANDS[address])) {
+    return Promise.resolve({ success: true });
+  }
+  if (address === '/ninja/timer/lap') {
+    return Promise.resolve(runTimerCommand('lap')
+      ? { success: true }
+      : { success: false, error: 'Laps need a running stopwatch' });
+  }
+
+  return new Promise((resolve) => {
+    const id = ++remoteCommandSeq;
+
+    const timeout = setTimeout(() => {
+      pendingRemoteCommands.delete(id);
+      resolve({ success: false, error: 'Control window did not respond', unavailable: true });
+    }, REMOTE_COMMAND_TIMEOUT);
+
+    pendingRemoteCommands.set(id, { resolve, timeout });
+
+    if (!safeToMain('osc:command', { id, address, args })) {
+      clearTimeout(timeout);
+      pendingRemoteCommands.delete(id);
+      resolve({ success: false, error: 'Control window not available', unavailable: true });
+    }
+  });
+}
+
+ipcMain.on('osc:command-result', (_event, { id, result } = {}) => {
+  const pending = pendingRemoteCommands.get(id);
+  if (!pending) return;
+
+  clearTimeout(pending.timeout);
+  pendingRemoteCommands.delete(id);
+  pending.resolve(result && typeof result === 'object' ? result : { success: false, error: 'Invalid result' });
+});
+
+// ============ HTTP API ============
+
+let httpServer = null;
+let httpServerPort = null;
+let httpServerError = null; // Why the server isn't listening (e.g. port in use)
+
+const HTTP_MAX_BODY = 16 * 1024;
+
+/**
+ * Route table: POST /api/<path> -> OSC-style command address + args
+ * Each entry receives the merged query/body params (invalid params throw a 400)
+ */
+const HTTP_COMMAND_ROUTES = {
+  '/api/timer/start': () => ['/ninja/timer/start'],
+  '/api/timer/pause': () => ['/ninja/timer/pause'],
+  '/api/timer/resume': () => ['/ninja/timer/resume'],
+  '/api/timer/toggle': () => ['/ninja/timer/toggle'],
+  '/api/timer/reset': () => ['/ninja/timer/reset'],
+  '/api/timer/stop': () => ['/ninja/timer/stop'],
+  '/api/timer/lap': () => ['/ninja/timer/lap'],
+  '/api/timer/next': () => ['/ninja/timer/next'],
+  '/api/timer/previous': () => ['/ninja/timer/previous'],
+  '/api/timer/select': (params) => params.name !== undefined
+    ? ['/ninja/timer/select/name', String(params.name)]
+    : ['/ninja/timer/select', numberParam(params, 'index', true)],
+  '/api/timer/duration': (params) => ['/ninja/timer/duration', numberParam(params, 'seconds')],
+  '/api/timer/duration/add': (params) => ['/ninja/timer/duration/add', numberParam(params, 'seconds')],
+  '/api/display/blackout': (params) => params.state === undefined
+    ? ['/ninja/display/blackout/toggle']
+    : ['/ninja/display/blackout', isTruthyParam(params.state) ? 1 : 0],
+  '/api/display/flash': () => ['/ninja/display/flash'],
+  '/api/message/show': (params) => params.text !== undefined
+    ? ['/ninja/message/show/text', String(params.text)]
+    : ['/ninja/message/show', numberParam(params, 'index', true)],
+  '/api/message/hide': () => ['/ninja/message/hide'],
+  '/api/profile/select': (params) => params.name !== undefined
+    ? ['/ninja/profile/select/name', String(params.name)]
+    : ['/ninja/profile/select', numberParam(params, 'index', true)]
+};
+
+/**
+ * Numeric query/body param ("5" or 5)
+ * @throws {Error} With status 400 if missing or not a number
+ */
+function numberParam(params, name, integer = false) {
+  const raw = params[name];
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    throw Object.assign(new Error(`"${name}" must be ${integer ? 'a whole number' : 'a number'}`), { status: 400 });
+  }
+  return value;
+}
+
+/**
+ * Interpret query/body values like "1", "true", "on" as true
+ */
+function isTruthyParam(value) {
+  if (typeof value === 'string') {
+    return ['1', 'true', 'on', 'yes'].includes(value.toLowerCase());
+  }
+  return value === true || value === 1;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Read and parse a JSON request body (empty body -> {})
+ * The Content-Type must be application/json (HTML forms can't send it).
+ * @returns {Promise<Object>}
+ */
+function readJSONBody(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    return Promise.reject(Object.assign(new Error('Content-Type must be application/json'), { status: 415 }));
+  }
+
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > HTTP_MAX_BODY) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        const parsed = JSON.parse(text);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          throw new Error('Body must be a JSON object');
+        }
+        resolve(parsed);
+      } catch (err) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+// ---- Remote Viewer (static files) ----
+
+// Only these src/ directories are served to LAN browsers
+const HTTP_STATIC_DIRS = ['output', 'shared', 'fonts', 'remote'];
+
+const HTTP_MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav'
+};
+
+/**
+ * Resolve a URL path to a file inside an allowed src/ directory
+ * @returns {string|null} - Absolute file path, or null if not allowed
+ */
+function resolveStaticPath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (err) {
+    return null;
+  }
+
+  const [, dir] = decoded.split('/');
+  if (!HTTP_STATIC_DIRS.includes(dir)) return null;
+
+  const baseDir = path.join(__dirname, 'src', dir);
+  const filePath = path.join(__dirname, 'src', path.normalize(decoded));
+
+  // Path traversal protection
+  if (filePath !== baseDir && !filePath.startsWith(baseDir + path.sep)) return null;
+
+  return filePath;
+}
+
+/**
+ * Build the browser version of output.html
+ * Injects the WebSocket bridge (provides window.ninja) before output.js
+ */
+function buildRemoteOutputHTML() {
+  const html = fs.readFileSync(path.join(__dirname, 'src', 'output', 'output.html'), 'utf8');
+  return html
+    .replace("script-src 'self';", "script-src 'self'; connect-src 'self' ws: wss:;")
+    .replace('<script type="module" src="output.js"></script>',
+      '<script src="/remote/bridge.js"></script>\n  <script type="module" src="output.js"></script>');
+}
+
+/**
+ * Serve a static file for the remote viewer
+ */
+function serveStatic(req, res, pathname) {
+  if (pathname === '/' || pathname === '/output') {
+    res.writeHead(302, { Location: '/output/' });
+    res.end();
+    return;
+  }
+
+  if (pathname === '/control' || pathname === '/control/') {
+    res.writeHead(302, { Location: '/remote/controller.html' });
+    res.end();
+    return;
+  }
+
+  if (pathname === '/output/' || pathname === '/output/output.html') {
+    res.writeHead(200, { 'Content-Type': HTTP_MIME_TYPES['.html'], 'Cache-Control': 'no-cache' });
+    res.end(buildRemoteOutputHTML());
+    return;
+  }
+
+  const filePath = resolveStaticPath(pathname);
+  const contentType = filePath && HTTP_MIME_TYPES[path.extname(filePath).toLowerCase()];
+  if (!contentType) {
+    return sendJSON(res, 404, { success: false, error: 'Not found' });
+  }
+
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      return sendJSON(res, 404, { success: false, error: 'Not found' });
+    }
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+/**
+ * Handle an HTTP request (REST API + remote viewer)
+ */
+async function handleHTTPRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const remoteAddress = req.socket.remoteAddress;
+
+  if (!isAddressAllowed(remoteAddress)) {
+    logAccessRejection('http', remoteAddress, 'Address not allowed', url.pathname);
+    return sendJSON(res, 403, { success: false, error: 'Forbidden' });
+  }
+
+  // Remote viewer pages and assets (public - pages prompt for a PIN if needed)
+  if (!url.pathname.startsWith('/api/') && (req.method === 'GET' || req.method === 'HEAD')) {
+    return serveStatic(req, res, url.pathname);
+  }
+
+  const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+  // The API is same-origin only (no CORS): refuse other sites' pages
+  if (!access.isSameOrigin(req.headers)) {
+    logAccessRejection('http', remoteAddress, 'Cross-origin request', pathname);
+    return sendJSON(res, 403, { success: false, error: 'Cross-origin requests are not allowed' });
+  }
+
+  if (pathname === '/api/pair') {
+    if (req.method !== 'POST') {
+      return sendJSON(res, 405, { success: false, error: 'Method not allowed' });
+    }
+    let body;
+    try {
+      body = await readJSONBody(req);
+    } catch (err) {
+      return sendJSON(res, err.status || 400, { success: false, error: err.message });
+    }
+    const { status, ...result } = pairClient('http', remoteAddress, body.pin);
+    return sendJSON(res, result.success ? 200 : status, result);
+  }
+
+  const role = getTokenRole(access.getBearerToken(req.headers));
+
+  if (pathname === '/api/status') {
+    if (req.method !== 'GET') {
+      return sendJSON(res, 405, { success: false, error: 'Method not allowed' });
+    }
+    if (!roleAllows(role, ACCESS_ROLES.VIEWER)) {
+      logAccessRejection('http', remoteAddress, 'Not paired', pathname);
+      return sendJSON(res, 401, { success: false, error: 'Pairing required' });
+    }
+    return sendJSON(res, 200, {
+      role,
+      success: true,
+      app: 'Ninja Timer',
+      version: app.getVersion(),
+      controlAvailable: !!(mainWindow && !mainWindow.isDestroyed()),
+      outputOpen: !!(outputWindow && !outputWindow.isDestroyed())
+    });
+  }
+
+  const route = HTTP_COMMAND_ROUTES[pathname];
+  if (!route) {
+    return sendJSON(res, 404, { success: false, error: 'Not found' });
+  }
+  if (req.method !== 'POST') {
+    return sendJSON(res, 405, { success: false, error: 'Method not allowed' });
+  }
+
+  if (!roleAllows(role, ACCESS_ROLES.CONTROL)) {
+    logAccessRejection('http', remoteAddress, role ? 'Read-only client' : 'Not paired', pathname);
+    return role
+      ? sendJSON(res, 403, { success: false, error: 'Read-only access' })
+      : sendJSON(res, 401, { success: false, error: 'Pairing required' });
+  }
+
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (err) {
+    return sendJSON(res, err.status || 400, { success: false, error: err.message });
+  }
+
+  const params = { ...Object.fromEntries(url.searchParams), ...body };
+  let command;
+  try {
+    command = route(params);
+  } catch (err) {
+    return sendJSON(res, err.status || 400, { success: false, error: err.message });
+  }
+  const [address, ...args] = command;
+  console.log(`[HTTP] ${req.method} ${pathname} -> ${address}`, args);
+
+  const result = await dispatchCommand(address, args);
+  const status = result.success ? 200 : (result.unavailable ? 503 : 400);
+  sendJSON(res, status, { success: !!result.success, ...(result.error ? { error: result.error } : {}) });
+}
+
+/**
+ * Start HTTP API server
+ */
+function startHTTPServer() {
+  stopHTTPServer(); // Clean up any existing server
+
+  const port = oscSettings.httpPort;
+  try {
+    const server = http.createServer((req, res) => {
+      handleHTTPRequest(req, res).catch((err) => {
+        console.error('[HTTP] Request error:', err);
+        if (!res.headersSent) {
+          sendJSON(res, 500, { success: false, error: 'Internal error' });
+        }
+      });
+    });
+
+    server.on('error', (err) => {
+      console.error('[HTTP] Server error:', err);
+      // Listen failed: drop the server so the next settings save retries
+      if (server === httpServer && !server.listening) {
+        stopHTTPServer();
+        reportHTTPServerError(err.code === 'EADDRINUSE'
+          ? `Port ${port} is already in use by another program`
+          : `Port ${port} is not available (${err.code || err.message})`);
+      }
+    });
+
+    httpServer = server;
+    httpServerPort = port;
+    startWSServer(server);
+
+    server.listen(port, '0.0.0.0', () => {
+      console.log(`[HTTP] API listening on port ${port}`);
+      reportHTTPServerError(null);
+    });
+  } catch (err) {
+    console.error('[HTTP] Failed to start server:', err);
+    stopHTTPServer();
+    reportHTTPServerError(`Port ${port} is not available (${err.message})`);
+  }
+}
+
+/**
+ * Record why the HTTP server isn't listening (null once it is) and tell the control window
+ */
+function reportHTTPServerError(message) {
+  httpServerError = message;
+  sendOSCServerStatus();
+}
+
+/**
+ * Stop HTTP API server
+ */
+function stopHTTPServer() {
+  stopWSServer();
+
+  if (httpServer) {
+    try {
+      httpServer.close();
+    } catch (err) {
+      console.error('[HTTP] Error closing server:', err);
+    }
+    httpServer = null;
+    httpServerPort = null;
+    console.log('[HTTP] Server stopped');
+  }
+}
+
+/**
+ * Apply HTTP settings (only restarts the server when enabled state or port changes)
+ */
+function applyHTTPSettings() {
+  if (!oscSettings.httpEnabled) {
+    stopHTTPServer();
+    reportHTTPServerError(null);
+  } else if (!httpServer || httpServerPort !== oscSettings.httpPort) {
+    startHTTPServer();
+  }
+}
+
+// ============ WebSocket State Stream ============
+
+// Served on the HTTP API server at /ws. Pushes the canonical timer state
+// (plus active message) whenever it changes so clients can compute the
+// display locally instead of polling.
+
+let wsServer = null;
+let wsHeartbeatInterval = null;
+let lastCanonicalState = null;
+let lastMessageState = null;
+let lastStreamStateKey = null;
+let lastRemoteLibrary = null;
+let lastRemoteLibraryKey = null;
+
+const WS_PATH = '/ws';
+const WS_CLOSE_UNAUTHORIZED = 4401;
+const WS_HEARTBEAT_INTERVAL = 30000;
+
+// State timestamps and serverTime are on the main process's monotonic clock
+// (the timer engine's timeline)
+function monotonicNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Send JSON to a single WebSocket client
+ */
+function wsSend(socket, data) {
+  try {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(data));
+    }
+  } catch (err) {
+    console.error('[WS] Send error:', err.message);
+  }
+}
+
+/**
+ * Build the state object pushed to stream clients
+ * @returns {Object|null}
+ */
+function getStreamState() {
+  if (!lastCanonicalState) return null;
+  return { ...lastCanonicalState, message: lastMessageState };
+}
+
+/**
+ * Push state to all stream clients if anything besides seq changed
+ */
+function pushStreamState() {
+  const state = getStreamState();
+  if (!state) return;
+
+  const { seq, clockNow, ...comparable } = state;
+  const key = JSON.stringify(comparable);
+  if (key === lastStreamStateKey) return;
+  lastStreamStateKey = key;
+
+  if (!wsServer || wsServer.clients.size === 0) return;
+
+  const payload = { type: 'state', serverTime: monotonicNow(), state };
+  wsServer.clients.forEach((socket) => wsSend(socket, payload));
+}
+
+/**
+ * Push the active profile's timer/message lists to stream clients if changed
+ * @param {Object} library - { profile, timers, messages } from control window
+ */
+function pushRemoteLibrary(library) {
+  const key = JSON.stringify(library);
+  if (key === lastRemoteLibraryKey) return;
+  lastRemoteLibraryKey = key;
+  lastRemoteLibrary = library;
+
+  if (!wsServer) return;
+  wsServer.clients.forEach((socket) => wsSend(socket, { type: 'library', library }));
+}
+
+/**
+ * Handle a message from a stream client
+ * Supports { type: 'ping', t0 } for clock offset estimation
+ */
+function handleWSMessage(socket, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw.toString());
+  } catch (err) {
+    return;
+  }
+  if (!msg || typeof msg !== 'object') return;
+
+  switch (msg.type) {
+    case 'ping':
+      wsSend(socket, { type: 'pong', t0: msg.t0, serverTime: monotonicNow() });
+      break;
+    case 'get-state': {
+      const state = getStreamState();
+      if (state) {
+        wsSend(socket, { type: 'state', serverTime: monotonicNow(), state });
+      }
+      if (lastRemoteLibrary) {
+        wsSend(socket, { type: 'library', library: lastRemoteLibrary });
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Attach the WebSocket stream to an HTTP server
+ * @param {http.Server} server
+ */
+function startWSServer(server) {
+  stopWSServer();
+
+  // Select the app protocol only: never echo the token protocol back
+  wsServer = new WebSocketServer({
+    noServer: true,
+    maxPayload: 16 * 1024,
+    handleProtocols: protocols => (protocols.has(access.WS_PROTOCOL) ? access.WS_PROTOCOL : false)
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH || !wsServer) {
+      socket.destroy();
+      return;
+    }
+    if (!isAddressAllowed(req.socket.remoteAddress)) {
+      logAccessRejection('ws', req.socket.remoteAddress, 'Address not allowed', url.pathname);
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    if (!access.isSameOrigin(req.headers)) {
+      logAccessRejection('ws', req.socket.remoteAddress, 'Cross-origin request', url.pathname);
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    const role = getTokenRole(access.getProtocolToken(req.headers['sec-websocket-protocol']));
+    wsServer.handleUpgrade(req, socket, head, (ws) => {
+      if (!roleAllows(role, ACCESS_ROLES.VIEWER)) {
+        // Accept then close with an app code so browsers can tell auth from network errors
+        logAccessRejection('ws', req.socket.remoteAddress, 'Not paired', url.pathname);
+        ws.close(WS_CLOSE_UNAUTHORIZED, 'Pairing required');
+        return;
+      }
+      ws.role = role;
+      wsServer.emit('connection', ws, req);
+    });
+  });
+
+  wsServer.on('connection', (socket, req) => {
+    console.log(`[WS] Client connected: ${req.socket.remoteAddress} (${socket.role})`);
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (raw) => handleWSMessage(socket, raw));
+    socket.on('error', (err) => console.error('[WS] Client error:', err.message));
+
+    wsSend(socket, { type: 'hello', app: 'Ninja Timer', version: app.getVersion(), role: socket.role, serverTime: monotonicNow() });
+    const state = getStreamState();
+    if (state) {
+      wsSend(socket, { type: 'state', serverTime: monotonicNow(), state });
+    }
+    if (lastRemoteLibrary) {
+      wsSend(socket, { type: 'library', library: lastRemoteLibrary });
+    }
+  });
+
+  // Drop clients that stop answering pings
+  wsHeartbeatInterval = setInterval(() => {
+    if (!wsServer) return;
+    wsServer.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, WS_HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Disconnect all stream clients (they reconnect and re-authenticate)
+ */
+function disconnectWSClients() {
+  if (!wsServer) return;
+  wsServer.clients.forEach((socket) => socket.terminate());
+}
+
+/**
+ * Close all stream clients and the WebSocket server
+ */
+function stopWSServer() {
+  if (wsHeartbeatInterval) {
+    clearInterval(wsHeartbeatInterval);
+    wsHeartbeatInterval = null;
+  }
+  if (wsServer) {
+    wsServer.clients.forEach((socket) => socket.terminate());
+    wsServer.close();
+    wsServer = null;
+  }
+}
+
+// ============ Command Socket (CLI) ============
+
+// Local socket for the companion CLI (scripts/ninja-cli.js): one JSON request
+// per line ({ command, args }), one JSON reply per line. It is a Unix socket
+// or named pipe, so only programs on this machine can reach it.
+
+let commandSocketServer = null;
+
+const COMMAND_SOCKET_MAX_LINE = 16 * 1024;
+
+/**
+ * Numbers select by position (1-based), anything else by name/text
+ */
+function byIndexOrName(target, indexAddress, nameAddress) {
+  if (target === undefined || target === '') return null;
+  return /^\d+$/.test(target) ? [indexAddress, Number(target)] : [nameAddress, target];
+}
+
+/**
+ * Command table: CLI command + args -> OSC-style command address + args
+ * (null when a required argument is missing)
+ */
+const CLI_COMMAND_ROUTES = {
+  start: () => ['/ninja/timer/start'],
+  pause: () => ['/ninja/timer/pause'],
+  resume: () => ['/ninja/timer/resume'],
+  toggle: () => ['/ninja/timer/toggle'],
+  reset: () => ['/ninja/timer/reset'],
+  stop: () => ['/ninja/timer/stop'],
+  lap: () => ['/ninja/timer/lap'],
+  next: () => ['/ninja/timer/next'],
+  previous: () => ['/ninja/timer/previous'],
+  select: ([target]) => byIndexOrName(target, '/ninja/timer/select', '/ninja/timer/select/name'),
+  message: ([target]) => byIndexOrName(target, '/ninja/message/show', '/ninja/message/show/text'),
+  'hide-message': () => ['/ninja/message/hide'],
+  profile: ([target]) => byIndexOrName(target, '/ninja/profile/select', '/ninja/profile/select/name'),
+  blackout: () => ['/ninja/display/blackout/toggle'],
+  flash: () => ['/ninja/display/flash']
+};
+
+/**
+ * Socket path (NINJA_TIMER_SOCKET overrides it; keep in sync with scripts/ninja-cli.js)
+ */
+function getCommandSocketPath() {
+  if (process.env.NINJA_TIMER_SOCKET) return process.env.NINJA_TIMER_SOCKET;
+  const user = os.userInfo().username.replace(/[^\w.-]/g, '_');
+  return process.platform === 'win32'
+    ? `\\\\.\\pipe\\ninja-timer-${user}`
+    : path.join(os.tmpdir(), `ninja-timer-${user}.sock`);
+}
+
+/**
+ * Current timer, profile and running state for the "status" command
  */
-function startOSCClient() {
-  stopOSCClient(); // Clean up any existing client
+function getCommandSocketStatus() {
+  const timer = lastCanonicalState?.timer;
+  return {
+    running: timerEngine ? timerEngine.isRunning : false,
+    timer: timer && timer.index !== null ? { number: timer.index + 1, name: timer.name } : null,
+    profile: lastRemoteLibrary ? lastRemoteLibrary.profile.name : null,
+    outputOpen: !!(outputWindow && !outputWindow.isDestroyed())
+  };
+}
 
+/**
+ * Run one request line from a CLI client
+ * @returns {Promise<Object>} - { success, error?, status? }
+ */
+async function handleCommandSocketRequest(line) {
+  let request;
   try {
-    oscClient = new OSCClient(oscSettings.feedbackHost, oscSettings.feedbackPort);
-    console.log(`[OSC] Feedback client ready -> ${oscSettings.feedbackHost}:${oscSettings.feedbackPort}`);
-  } catch (err) {
-    console.error('[OSC] Failed to start client:', err);
+    request = JSON.parse(line);
+  } catch {
+    return { success: false, error: 'Invalid JSON' };
+  }
+
+  const command = request?.command;
+  const args = Array.isArray(request?.args) ? request.args.map(String) : [];
+
+  if (command === 'status') {
+    return { success: true, status: getCommandSocketStatus() };
+  }
+
+  const route = CLI_COMMAND_ROUTES[command];
+  if (!route) {
+    return { success: false, error: `Unknown command: ${command}` };
+  }
+  const routed = route(args);
+  if (!routed) {
+    return { success: false, error: `${command} needs a number or name` };
   }
+
+  const [address, ...commandArgs] = routed;
+  console.log(`[CLI] ${command} -> ${address}`, commandArgs);
+  const result = await dispatchCommand(address, commandArgs);
+  return { success: !!result.success, ...(result.error ? { error: result.error } : {}) };
 }
 
-/**
- * Stop OSC client
- */
-function stopOSCClient() {
-  if (oscClient) {
-    try {
-      oscClient.close();
-    } catch (err) {
-      // Client may not have close method in all versions
+function handleCommandSocketConnection(socket) {
+  let buffer = '';
+  socket.setEncoding('utf8');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      handleCommandSocketRequest(line).then((reply) => {
+        if (socket.writable) socket.write(JSON.stringify(reply) + '\n');
+      });
     }
-    oscClient = null;
-  }
+    if (buffer.length > COMMAND_SOCKET_MAX_LINE) {
+      socket.destroy();
+    }
+  });
+
+  socket.on('error', (err) => {
+    console.warn('[CLI] Client error:', err.message);
+  });
 }
 
 /**
- * Send OSC feedback message
+ * Start listening for CLI commands
  */
-function sendOSCFeedback(address, ...args) {
-  if (!oscClient || !oscSettings.feedbackEnabled) return;
+function startCommandSocket() {
+  stopCommandSocket();
 
-  try {
-    oscClient.send(address, ...args);
-  } catch (err) {
-    console.error('[OSC] Feedback send error:', err);
-  }
+  const socketPath = getCommandSocketPath();
+  const server = net.createServer(handleCommandSocketConnection);
+  commandSocketServer = server;
+
+  const listen = () => server.listen(socketPath, () => {
+    // Unix sockets: only this user may connect
+    if (process.platform !== 'win32') {
+      try {
+        fs.chmodSync(socketPath, 0o600);
+      } catch (err) {
+        console.warn('[CLI] Could not restrict socket permissions:', err.message);
+      }
+    }
+    console.log(`[CLI] Listening on ${socketPath}`);
+  });
+
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE' && process.platform !== 'win32') {
+      // A socket file left by a crashed instance refuses connections - replace it
+      const probe = net.connect(socketPath);
+      probe.on('connect', () => {
+        probe.destroy();
+        console.warn(`[CLI] Another instance is listening on ${socketPath}`);
+      });
+      probe.on('error', () => {
+        try {
+          fs.unlinkSync(socketPath);
+          listen();
+        } catch (unlinkErr) {
+          console.error('[CLI] Failed to replace stale socket:', unlinkErr);
+        }
+      });
+      return;
+    }
+    console.error('[CLI] Socket error:', err);
+  });
+
+  listen();
 }
 
 /**
- * Apply OSC settings (start/stop server/client as needed)
+ * Stop listening for CLI commands
  */
-function applyOSCSettings() {
-  if (oscSettings.enabled) {
-    startOSCServer();
-  } else {
-    stopOSCServer();
-  }
-
-  if (oscSettings.feedbackEnabled) {
-    startOSCClient();
-  } else {
-    stopOSCClient();
+function stopCommandSocket() {
+  if (commandSocketServer) {
+    try {
+      commandSocketServer.close();
+    } catch (err) {
+      console.error('[CLI] Error closing socket:', err);
+    }
+    commandSocketServer = null;
   }
 }
 
@@ -268,6 +1439,24 @@ function createMainWindow() {
   });
 }
 
+/**
+ * Display chosen with --output-display: a display id, or a 1-based position
+ * @returns {Object|null}
+ */
+function getLaunchOutputDisplay(displays) {
+  const value = launchOptions.outputDisplay;
+  if (value === null) return null;
+
+  const byId = displays.find(d => String(d.id) === value);
+  if (byId) return byId;
+  const position = Number(value);
+  if (Number.isInteger(position) && position >= 1 && position <= displays.length) {
+    return displays[position - 1];
+  }
+  console.warn(`[Launch] Display ${value} not found (ids: ${displays.map(d => d.id).join(', ')})`);
+  return null;
+}
+
 function createOutputWindow() {
   // Production Safety: Check if window exists AND is not destroyed
   if (outputWindow && !outputWindow.isDestroyed()) {
@@ -282,11 +1471,11 @@ function createOutputWindow() {
   const displays = screen.getAllDisplays();
   const primaryDisplay = screen.getPrimaryDisplay();
 
-  // If multiple displays, prefer secondary for output
+  // --output-display wins; otherwise prefer a secondary display for output
   const hasSecondaryDisplay = displays.length > 1;
-  const targetDisplay = hasSecondaryDisplay
+  const targetDisplay = getLaunchOutputDisplay(displays) || (hasSecondaryDisplay
     ? displays.find(d => d.id !== primaryDisplay.id) || primaryDisplay
-    : primaryDisplay;
+    : primaryDisplay);
 
   outputWindow = new BrowserWindow({
     width: targetDisplay.bounds.width,
@@ -295,7 +1484,9 @@ function createOutputWindow() {
     y: targetDisplay.bounds.y,
     title: 'Ninja Timer - Output',
     show: false, // Wait for ready-to-show (fixes macOS green button on first open)
-    fullscreen: hasSecondaryDisplay, // Auto-fullscreen on secondary display
+    // Auto-fullscreen on secondary display (or when asked to at launch)
+    fullscreen: targetDisplay.id !== primaryDisplay.id || launchOptions.fullscreen || launchOptions.kiosk,
+    kiosk: launchOptions.kiosk,
     alwaysOnTop: outputAlwaysOnTop,
     backgroundColor: '#000000', // Required for live resize rendering on macOS
     webPreferences: {
@@ -371,53 +1562,590 @@ function createSettingsWindow(timerIndex) {
       sandbox: true,
       preload: path.join(__dirname, 'preload.js')
     }
-  });
+  });
+
+  settingsWindow.loadFile('src/settings/settings.html');
+
+  // Send the timer index once the window is ready
+  settingsWindow.webContents.on('did-finish-load', () => {
+    safeSend(settingsWindow, 'settings:init', timerIndex);
+  });
+
+  settingsWindow.on('closed', () => {
+    settingsWindow = null;
+    // Notify control window that settings is closed
+    safeToMain('window:settings-closed');
+  });
+
+  // Save window position on move/resize
+  settingsWindow.on('moved', () => {
+    if (settingsWindow && !settingsWindow.isDestroyed()) {
+      const bounds = settingsWindow.getBounds();
+      safeToMain('settings:window-bounds', bounds);
+    }
+  });
+
+  settingsWindow.on('resized', () => {
+    if (settingsWindow && !settingsWindow.isDestroyed()) {
+      const bounds = settingsWindow.getBounds();
+      safeToMain('settings:window-bounds', bounds);
+    }
+  });
+}
+
+// ============ Timer Authority ============
+
+// The main process owns the running timer (shared TimerEngine) and the linked
+// chain, so reloading or hanging the control window doesn't stop timing or
+// chain advancement. Windows send commands and receive state over IPC; the
+// control window still provides display settings (style, message, etc).
+
+let timerEngine = null;
+let timerEngineReady = null;
+let timerChain = { profileId: null, presets: [], timeBank: 'off', timeBankHold: false };
+let timerActiveIndex = null;
+let lastControlState = null;
+let canonicalSeq = 0;
+
+// Rundown: actual start/end (wall clock) per profile and timer index
+let rundownActuals = {};
+
+// Time bank module (ES module, loaded with the engine)
+let timeBank = null;
+
+// Show log: every transport event, for show reports (JSON lines on disk)
+let showLog = [];
+const SHOW_LOG_PATH = path.join(app.getPath('userData'), 'data', 'show-log.jsonl');
+const SHOW_LOG_MAX_ENTRIES = 20000;
+const SHOW_LOG_EVENTS = ['started', 'paused', 'resumed', 'seeked', 'reset', 'ended', 'overtime'];
+
+const TIMER_JOURNAL_PATH = path.join(app.getPath('userData'), 'timer-journal.json');
+const TIMER_JOURNAL_MAX_AGE = 24 * 60 * 60 * 1000;
+const TIMER_ENGINE_EVENTS = ['started', 'paused', 'resumed', 'reset', 'seeked', 'ended', 'overtime', 'advanced', 'lap', 'phase'];
+
+// Transport commands run on the engine directly (no control window round trip)
+const ENGINE_COMMANDS = {
+  '/ninja/timer/start': 'start',
+  '/ninja/timer/pause': 'pause',
+  '/ninja/timer/resume': 'resume',
+  '/ninja/timer/toggle': 'toggle',
+  '/ninja/timer/reset': 'reset',
+  '/ninja/timer/stop': 'reset'
+};
+
+/**
+ * Load the timer engine (ES module) and restore any crash journal
+ */
+async function initTimerAuthority() {
+  try {
+    const { TimerEngine } = await import('./src/shared/timerEngine.js');
+    timeBank = await import('./src/shared/timeBank.js');
+    timerEngine = new TimerEngine({ nextLinked: getNextLinkedTimer });
+
+    timerEngine.on('started', () => {
+      recordRundownStart(timerActiveIndex);
+    });
+    timerEngine.on('reset', () => {
+      closeRundownEntry(timerActiveIndex);
+    });
+    timerEngine.on('advanced', ({ index }) => {
+      closeRundownEntry(timerActiveIndex);
+      logShowEvent('advanced', { to: index });
+      timerActiveIndex = index;
+    });
+    SHOW_LOG_EVENTS.forEach((event) => {
+      timerEngine.on(event, payload => logShowEvent(event, payload));
+    });
+    TIMER_ENGINE_EVENTS.forEach((event) => {
+      timerEngine.on(event, (payload) => safeToMain('timer:engine-event', { event, payload }));
+    });
+    timerEngine.on('change', onTimerEngineChange);
+
+    loadShowLog();
+    restoreTimerJournal();
+    timerEngine.startTicking();
+    console.log('[Timer] Engine running in main process');
+  } catch (err) {
+    console.error('[Timer] Failed to start timer engine:', err);
+  }
+}
+
+/**
+ * Next timer in a linked chain (with its time bank adjustment), or null
+ */
+function getNextLinkedTimer() {
+  return timeBank.getLinkedAdvance(timerChain.presets, timerActiveIndex, {
+    rule: timerChain.timeBank,
+    hold: timerChain.timeBankHold,
+    actuals: rundownActuals[timerChain.profileId] || {},
+    now: Date.now()
+  });
+}
+
+/**
+ * Engine state sent to the control window
+ */
+function getTimerEngineState() {
+  return {
+    index: timerActiveIndex,
+    profileId: timerChain.profileId,
+    isRunning: timerEngine ? timerEngine.isRunning : false,
+    state: timerEngine ? { ...timerEngine.state } : null,
+    rundown: rundownActuals[timerChain.profileId] || {},
+    clockNow: monotonicNow()
+  };
+}
+
+function onTimerEngineChange() {
+  // Stopped at 0:00 (no overtime) - the timer is done
+  if (timerEngine.state.ended && !timerEngine.isRunning && timerEngine.pendingStartAt === null &&
+      closeRundownEntry(timerActiveIndex)) {
+    logShowEvent('stopped');
+  }
+
+  timerIsRunning = timerEngine.isRunning;
+  safeToMain('timer:engine-state', getTimerEngineState());
+  writeTimerJournal();
+  publishTimerState();
+}
+
+/**
+ * Run a transport command on the engine
+ * @param {string} command - start | pause | resume | toggle | reset | seek | lap
+ * @param {Object} params - { elapsedMs } for seek
+ * @returns {boolean} - false if the engine isn't available or command unknown
+ */
+function runTimerCommand(command, params = {}) {
+  if (!timerEngine) return false;
+
+  switch (command) {
+    case 'start':
+      timerEngine.start();
+      return true;
+    case 'pause':
+      timerEngine.pause();
+      return true;
+    case 'resume':
+      timerEngine.resume();
+      return true;
+    case 'toggle':
+      timerEngine.toggle();
+      return true;
+    case 'reset':
+      timerEngine.reset();
+      return true;
+    case 'seek':
+      if (typeof params.elapsedMs !== 'number' || !Number.isFinite(params.elapsedMs)) return false;
+      timerEngine.seek(params.elapsedMs);
+      return true;
+    case 'lap':
+      return timerEngine.lap();
+    default:
+      return false;
+  }
+}
+
+/**
+ * Merge the engine's timing into the control window's display state and
+ * forward it to the output window and stream clients
+ */
+function publishTimerState() {
+  if (!lastControlState) return;
+
+  const state = { ...lastControlState, seq: ++canonicalSeq, clockNow: monotonicNow() };
+
+  if (timerEngine) {
+    const { config } = timerEngine;
+    const preset = timerChain.presets[timerActiveIndex];
+    Object.assign(state, {
+      mode: config.mode || 'countdown',
+      startMode: config.startMode || 'manual',
+      targetTime: config.targetTime || null,
+      targetDate: config.targetDate || null,
+      durationMs: (config.durationSec || 0) * 1000,
+      format: config.format || 'MM:SS',
+      overtimePrefix: config.overtimePrefix ?? '+',
+      overtimeSuffix: config.overtimeSuffix ?? '',
+      startedAt: timerEngine.state.startedAt,
+      pausedAccMs: timerEngine.state.pausedAcc,
+      isRunning: timerEngine.isRunning,
+      ended: timerEngine.state.ended,
+      overtime: timerEngine.state.overtime,
+      overtimeStartedAt: timerEngine.state.overtimeStartedAt,
+      laps: timerEngine.state.laps,
+      showLastLap: Boolean(config.showLastLap),
+      interval: config.interval || null,
+      timer: { index: timerActiveIndex, name: preset?.name || null }
+    });
+  }
+
+  lastCanonicalState = state;
+  safeToOutput('timer:state', state);
+  pushStreamState();
+}
+
+// ---- Rundown Actuals ----
+
+/**
+ * Record that a timer started (closes any other timer still in progress)
+ */
+function recordRundownStart(index) {
+  if (index === null) return;
+
+  const entries = (rundownActuals[timerChain.profileId] ||= {});
+  const now = Date.now();
+  Object.values(entries).forEach((entry) => {
+    if (entry.endedAt === null) entry.endedAt = now;
+  });
+  entries[index] = { startedAt: now, endedAt: null };
+}
+
+/**
+ * Record that a timer finished: reset, chain advance or stopped at 0:00
+ * Overtime keeps the entry open so the rundown tracks the overrun.
+ * @returns {boolean} - true if a running entry was closed
+ */
+function closeRundownEntry(index) {
+  const entry = rundownActuals[timerChain.profileId]?.[index];
+  if (entry && entry.endedAt === null) {
+    entry.endedAt = Date.now();
+    return true;
+  }
+  return false;
+}
+
+// ---- Show Log ----
+
+/**
+ * Load the show log from disk, keeping the newest entries
+ */
+function loadShowLog() {
+  try {
+    if (!fs.existsSync(SHOW_LOG_PATH)) return;
+    showLog = fs.readFileSync(SHOW_LOG_PATH, 'utf8')
+      .split('\n')
+      .map((line) => {
+        try {
+          return line ? JSON.parse(line) : null;
+        } catch (err) {
+          return null; // Skip a line cut off by a crash
+        }
+      })
+      .filter(Boolean);
+
+    if (showLog.length > SHOW_LOG_MAX_ENTRIES) {
+      showLog = showLog.slice(-SHOW_LOG_MAX_ENTRIES);
+      writeShowLog();
+    }
+  } catch (err) {
+    console.warn('[ShowLog] Failed to load show log:', err.message);
+  }
+}
+
+/**
+ * Rewrite the whole show log (after trimming or clearing)
+ */
+function writeShowLog() {
+  const tmpPath = `${SHOW_LOG_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(SHOW_LOG_PATH), { recursive: true });
+  fs.writeFileSync(tmpPath, showLog.map(entry => JSON.stringify(entry) + '\n').join(''));
+  fs.renameSync(tmpPath, SHOW_LOG_PATH);
+}
+
+/**
+ * Append a timer event to the show log
+ * @param {string} event - Engine event, 'duration' or 'stopped'
+ * @param {Object} detail - Event details (start reason, chain target, ...)
+ */
+function logShowEvent(event, detail = null) {
+  const preset = timerChain.presets[timerActiveIndex];
+  const entry = {
+    time: Date.now(),
+    event,
+    profileId: timerChain.profileId,
+    index: timerActiveIndex,
+    name: preset?.name || null,
+    durationMs: timerEngine.getDurationMs(),
+    elapsedMs: timerEngine.getElapsedMs()
+  };
+  if (detail) entry.detail = detail;
+
+  showLog.push(entry);
+  try {
+    fs.mkdirSync(path.dirname(SHOW_LOG_PATH), { recursive: true });
+    fs.appendFileSync(SHOW_LOG_PATH, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.warn('[ShowLog] Failed to write show log:', err.message);
+  }
+}
+
+/**
+ * Remove a profile's entries from the show log
+ */
+function clearShowLog(profileId) {
+  const before = showLog.length;
+  showLog = showLog.filter(entry => entry.profileId !== profileId);
+  if (showLog.length !== before) {
+    writeShowLog();
+  }
+}
+
+// ---- Crash Journal ----
+
+/**
+ * Save the timer position so it can be restored after a crash
+ * Monotonic timestamps don't survive a restart, so elapsed durations are
+ * stored with a wall-clock timestamp
+ */
+function writeTimerJournal() {
+  const { state } = timerEngine;
+  if (state.startedAt === null && state.pausedAcc === 0) {
+    clearTimerJournal();
+    return;
+  }
+
+  const now = monotonicNow();
+  const journal = {
+    version: 1,
+    timestamp: Date.now(),
+    profileId: timerChain.profileId,
+    index: timerActiveIndex,
+    presets: timerChain.presets,
+    timeBank: timerChain.timeBank,
+    timeBankHold: timerChain.timeBankHold,
+    config: timerEngine.config,
+    isRunning: timerEngine.isRunning,
+    elapsedMs: timerEngine.getElapsedMs(),
+    ended: state.ended,
+    overtime: state.overtime,
+    overtimeElapsedMs: state.overtimeStartedAt !== null ? now - state.overtimeStartedAt : null,
+    laps: state.laps
+  };
+
+  try {
+    writeJSONAtomic(TIMER_JOURNAL_PATH, journal);
+  } catch (err) {
+    console.warn('[Timer] Failed to write journal:', err.message);
+  }
+}
+
+function clearTimerJournal() {
+  try {
+    if (fs.existsSync(TIMER_JOURNAL_PATH)) {
+      fs.unlinkSync(TIMER_JOURNAL_PATH);
+    }
+  } catch (err) {
+    console.warn('[Timer] Failed to clear journal:', err.message);
+  }
+}
+
+/**
+ * Restore the timer from the journal left by a crash (within 24 hours)
+ * A running timer comes back paused at its current position
+ */
+function restoreTimerJournal() {
+  let journal;
+  try {
+    if (!fs.existsSync(TIMER_JOURNAL_PATH)) return;
+    journal = JSON.parse(fs.readFileSync(TIMER_JOURNAL_PATH, 'utf8'));
+  } catch (err) {
+    console.warn('[Timer] Ignoring unreadable journal:', err.message);
+    clearTimerJournal();
+    return;
+  }
+
+  const ageMs = Date.now() - journal.timestamp;
+  if (!(ageMs >= 0 && ageMs <= TIMER_JOURNAL_MAX_AGE) || !journal.config) {
+    clearTimerJournal();
+    return;
+  }
+
+  timerChain = {
+    profileId: journal.profileId || null,
+    presets: Array.isArray(journal.presets) ? journal.presets : [],
+    timeBank: journal.timeBank || 'off',
+    timeBankHold: journal.timeBankHold === true
+  };
+  timerActiveIndex = typeof journal.index === 'number' ? journal.index : null;
+  timerEngine.setConfig(journal.config);
+
+  // Time passed since the crash counts if the timer was running
+  const runningGap = journal.isRunning ? ageMs : 0;
+  timerEngine.restore({
+    pausedAcc: (journal.elapsedMs || 0) + runningGap,
+    ended: journal.ended,
+    overtime: journal.overtime,
+    overtimeStartedAt: typeof journal.overtimeElapsedMs === 'number'
+      ? monotonicNow() - journal.overtimeElapsedMs - runningGap
+      : null,
+    laps: journal.laps
+  });
+
+  console.log(`[Timer] Restored timer from journal (paused, ${Math.round(ageMs / 1000)}s since crash)`);
+}
+
+// ============ IPC Handlers (with Production Safety) ============
+
+// ---- Canonical Timer State (StageTimer-style sync) ----
+
+// Display state from control, merged with engine timing -> output (+ WebSocket stream)
+ipcMain.on('timer:state', (_event, state) => {
+  try {
+    lastControlState = state;
+    publishTimerState();
+  } catch (err) {
+    console.error('[IPC:timer:state] Error:', err);
+  }
+});
+
+// Transport commands: control -> main (engine)
+ipcMain.on('timer:control', (_event, { command, params } = {}) => {
+  try {
+    if (!runTimerCommand(command, params)) {
+      console.warn(`[IPC:timer:control] Ignored command: ${command}`);
+    }
+  } catch (err) {
+    console.error('[IPC:timer:control] Error:', err);
+  }
+});
+
+// Active timer selection/config: control -> main (engine)
+ipcMain.on('timer:select', (_event, { index, config } = {}) => {
+  try {
+    if (!timerEngine || !config || typeof config !== 'object') return;
+    const previousIndex = timerActiveIndex;
+    const previousSec = timerEngine.config.durationSec;
+
+    timerActiveIndex = Number.isInteger(index) ? index : null;
+    timerEngine.setConfig(config);
+
+    // Duration edited (or +/- via OSC) while the timer is in progress
+    if (timerActiveIndex === previousIndex && config.durationSec !== previousSec &&
+        timerEngine.state.startedAt !== null) {
+      logShowEvent('duration', { fromSec: previousSec, toSec: config.durationSec });
+    }
+  } catch (err) {
+    console.error('[IPC:timer:select] Error:', err);
+  }
+});
 
-  settingsWindow.loadFile('src/settings/settings.html');
+// Active profile's timers for linked-chain advancement: control -> main
+ipcMain.on('timer:set-chain', (_event, chain = {}) => {
+  try {
+    const profileChanged = (chain.profileId || null) !== timerChain.profileId;
+    timerChain = {
+      profileId: chain.profileId || null,
+      presets: Array.isArray(chain.presets) ? chain.presets : [],
+      timeBank: chain.timeBank || 'off',
+      timeBankHold: chain.timeBankHold === true
+    };
+    // Rundown actuals are per profile
+    if (profileChanged) {
+      safeToMain('timer:engine-state', getTimerEngineState());
+    }
+  } catch (err) {
+    console.error('[IPC:timer:set-chain] Error:', err);
+  }
+});
 
-  // Send the timer index once the window is ready
-  settingsWindow.webContents.on('did-finish-load', () => {
-    safeSend(settingsWindow, 'settings:init', timerIndex);
-  });
+// Clear recorded start/end times and show log for a profile's rundown
+ipcMain.on('rundown:reset', (_event, profileId) => {
+  try {
+    delete rundownActuals[profileId];
+    clearShowLog(profileId);
+    safeToMain('timer:engine-state', getTimerEngineState());
+  } catch (err) {
+    console.error('[IPC:rundown:reset] Error:', err);
+  }
+});
 
-  settingsWindow.on('closed', () => {
-    settingsWindow = null;
-    // Notify control window that settings is closed
-    safeToMain('window:settings-closed');
-  });
+// Export a profile's show report (CSV or JSON, by chosen file type)
+ipcMain.handle('showlog:export-report', async (_event, { profileId, profileName } = {}) => {
+  try {
+    const { buildShowReport, showReportToCSV } = await import('./src/shared/showReport.js');
+    const report = buildShowReport(showLog, { profileId, profileName });
+    if (report.runs.length === 0) {
+      return { success: false, error: 'No timer runs recorded for this profile' };
+    }
 
-  // Save window position on move/resize
-  settingsWindow.on('moved', () => {
-    if (settingsWindow && !settingsWindow.isDestroyed()) {
-      const bounds = settingsWindow.getBounds();
-      safeToMain('settings:window-bounds', bounds);
+    const baseName = String(profileName || 'Profile').replace(/[^\w\- ]+/g, '').trim() || 'Profile';
+    const date = new Date().toISOString().slice(0, 10);
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Show Report',
+      defaultPath: path.join(app.getPath('documents'), `${baseName} Report ${date}.csv`),
+      filters: [
+        { name: 'CSV (Spreadsheet)', extensions: ['csv'] },
+        { name: 'JSON', extensions: ['json'] }
+      ]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
     }
-  });
 
-  settingsWindow.on('resized', () => {
-    if (settingsWindow && !settingsWindow.isDestroyed()) {
-      const bounds = settingsWindow.getBounds();
-      safeToMain('settings:window-bounds', bounds);
+    const isJSON = path.extname(filePath).toLowerCase() === '.json';
+    fs.writeFileSync(filePath, isJSON ? JSON.stringify(report, null, 2) : showReportToCSV(report));
+    return { success: true, filePath, runs: report.runs.length };
+  } catch (err) {
+    console.error('[IPC:showlog:export-report] Error:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+// Stopwatch laps of the active timer -> CSV file
+ipcMain.handle('timer:export-laps', async () => {
+  try {
+    const laps = timerEngine ? timerEngine.state.laps : [];
+    if (laps.length === 0) {
+      return { success: false, error: 'No laps recorded' };
     }
-  });
-}
 
-// ============ IPC Handlers (with Production Safety) ============
+    const { lapsToCSV } = await import('./src/shared/laps.js');
+    const timerName = timerChain.presets[timerActiveIndex]?.name || 'Stopwatch';
+    const baseName = timerName.replace(/[^\w\- ]+/g, '').trim() || 'Stopwatch';
+    const date = new Date().toISOString().slice(0, 10);
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Laps',
+      defaultPath: path.join(app.getPath('documents'), `${baseName} Laps ${date}.csv`),
+      filters: [{ name: 'CSV (Spreadsheet)', extensions: ['csv'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
 
-// ---- Canonical Timer State (StageTimer-style sync) ----
+    fs.writeFileSync(filePath, lapsToCSV(laps, timerName));
+    return { success: true, filePath, laps: laps.length };
+  } catch (err) {
+    console.error('[IPC:timer:export-laps] Error:', err);
+    return { success: false, error: err.message };
+  }
+});
 
-// Timer state broadcast: control -> main -> output
-ipcMain.on('timer:state', (_event, state) => {
+// Authoritative timer state (control window startup/reload)
+ipcMain.handle('timer:get-engine-state', async () => {
   try {
-    safeToOutput('timer:state', state);
+    await timerEngineReady;
+    return getTimerEngineState();
   } catch (err) {
-    console.error('[IPC:timer:state] Error:', err);
+    console.error('[IPC:timer:get-engine-state] Error:', err);
+    return null;
+  }
+});
+
+// Timer/message lists for remote control clients: control -> main -> WebSocket
+ipcMain.on('remote:library', (_event, library) => {
+  try {
+    pushRemoteLibrary(library);
+  } catch (err) {
+    console.error('[IPC:remote:library] Error:', err);
   }
 });
 
-// Timer state request: output -> main -> control
+// Timer state request: output -> main (last state) + control
 ipcMain.on('timer:request-state', () => {
   try {
+    if (lastCanonicalState) {
+      safeToOutput('timer:state', lastCanonicalState);
+    }
     safeToMain('timer:request-state');
   } catch (err) {
     console.error('[IPC:timer:request-state] Error:', err);
@@ -581,6 +2309,16 @@ ipcMain.on('keyboard:shortcut', (_event, shortcut) => {
   }
 });
 
+// Key bindings for output windows (null = built-in defaults)
+ipcMain.handle('shortcuts:get', () => {
+  try {
+    return readStore('settings')?.shortcuts ?? null;
+  } catch (err) {
+    console.error('[IPC:shortcuts:get] Error:', err);
+    return null;
+  }
+});
+
 // Blackout toggle: control -> main -> output (and back to control for state sync)
 ipcMain.on('blackout:toggle', () => {
   try {
@@ -604,6 +2342,11 @@ ipcMain.handle('osc:get-settings', () => {
   return { ...oscSettings };
 });
 
+// Get OSC server state (listening, or why not)
+ipcMain.handle('osc:get-status', () => {
+  return getOSCServerStatus();
+});
+
 // Validate OSC port number (1-65535)
 function isValidPort(port) {
   const num = Number(port);
@@ -622,9 +2365,12 @@ function isValidHost(host) {
 ipcMain.handle('osc:set-settings', (_event, newSettings) => {
   try {
     // Validate port numbers if provided
-    if (newSettings.port !== undefined && !isValidPort(newSettings.port)) {
+    if (newSettings.listenPort !== undefined && !isValidPort(newSettings.listenPort)) {
       return { success: false, error: 'Invalid port number (must be 1-65535)' };
     }
+    if (newSettings.httpPort !== undefined && !isValidPort(newSettings.httpPort)) {
+      return { success: false, error: 'Invalid HTTP port number (must be 1-65535)' };
+    }
     if (newSettings.feedbackPort !== undefined && !isValidPort(newSettings.feedbackPort)) {
       return { success: false, error: 'Invalid feedback port number (must be 1-65535)' };
     }
@@ -635,9 +2381,31 @@ ipcMain.handle('osc:set-settings', (_event, newSettings) => {
     if (newSettings.feedbackHost !== undefined && !isValidHost(newSettings.feedbackHost)) {
       return { success: false, error: 'Invalid feedback host address' };
     }
+    // Validate access control settings if provided
+    if (newSettings.allowList !== undefined) {
+      const invalid = access.parseAllowList(newSettings.allowList).find(entry => !access.isValidAllowEntry(entry));
+      if (invalid) {
+        return { success: false, error: `Invalid allowed address: ${invalid}` };
+      }
+    }
+    for (const key of ['controlPin', 'viewerPin']) {
+      if (newSettings[key] !== undefined && (typeof newSettings[key] !== 'string' || newSettings[key].length > 32)) {
+        return { success: false, error: 'Invalid PIN (max 32 characters)' };
+      }
+    }
+
+    // Changing PINs or the allow-list invalidates existing sessions
+    const accessChanged = ['allowList', 'controlPin', 'viewerPin']
+      .some(key => newSettings[key] !== undefined && newSettings[key] !== oscSettings[key]);
 
     oscSettings = { ...oscSettings, ...newSettings };
+
+    if (accessChanged) {
+      revokeAccessTokens();
+      disconnectWSClients();
+    }
     applyOSCSettings();
+    applyHTTPSettings();
     console.log('[OSC] Settings updated:', oscSettings);
     return { success: true };
   } catch (err) {
@@ -646,6 +2414,29 @@ ipcMain.handle('osc:set-settings', (_event, newSettings) => {
   }
 });
 
+// Rejected network access attempts (newest last)
+ipcMain.handle('access:get-log', () => {
+  return accessLog.slice();
+});
+
+ipcMain.handle('access:clear-log', () => {
+  accessLog = [];
+  return { success: true };
+});
+
+// LAN IPv4 addresses (for remote viewer URLs)
+ipcMain.handle('http:get-addresses', () => {
+  try {
+    return Object.values(os.networkInterfaces())
+      .flat()
+      .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+      .map(iface => iface.address);
+  } catch (err) {
+    console.error('[IPC:http:get-addresses] Error:', err);
+    return [];
+  }
+});
+
 // Send OSC feedback message (called from renderer)
 ipcMain.handle('osc:send-feedback', (_event, { address, args }) => {
   if (!oscClient || !oscSettings.feedbackEnabled) return;
@@ -1010,7 +2801,9 @@ ipcMain.on('app:restart', () => {
 // Message send: control -> main -> output
 ipcMain.on('message:send', (_event, message) => {
   try {
+    lastMessageState = message;
     safeToOutput('message:update', message);
+    pushStreamState();
   } catch (err) {
     console.error('[IPC:message:send] Error:', err);
   }
@@ -1089,6 +2882,316 @@ ipcMain.handle('dialog:confirm', async (_event, options) => {
   return result.response === 1; // true if Delete was clicked
 });
 
+// ============ Data Store ============
+
+// Profiles (with their timers and messages) and app settings are stored as
+// JSON files in userData/data, so they survive cache clears and can be backed
+// up or kept in version control. The control window keeps an in-memory copy
+// and migrates its old localStorage data on first run.
+
+const dataDir = path.join(app.getPath('userData'), 'data');
+
+const DATA_SCHEMA_VERSION = 1;
+const DATA_STORES = ['profiles', 'settings'];
+
+// Upgrades per store: entry N converts schema vN to vN+1
+const DATA_MIGRATIONS = {
+  profiles: [],
+  settings: []
+};
+
+// Stores written by a newer app version - never overwritten
+const readOnlyStores = new Set();
+
+function getStorePath(name) {
+  return path.join(dataDir, `${name}.json`);
+}
+
+/**
+ * Write JSON via a temp file + rename so a crash never leaves a partial file
+ */
+function writeJSONAtomic(filePath, value, pretty = false) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmpPath, pretty ? JSON.stringify(value, null, 2) : JSON.stringify(value));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Read a store file, applying schema migrations
+ * @returns {Object|null} - Stored data, or null if missing/unreadable
+ */
+function readStore(name) {
+  const filePath = getStorePath(name);
+  if (!fs.existsSync(filePath)) return null;
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    // Keep the broken file for inspection, fall back to migration
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    console.error(`[Store] ${name}.json is unreadable, moved to ${path.basename(corruptPath)}:`, err.message);
+    try {
+      fs.renameSync(filePath, corruptPath);
+    } catch (renameErr) {
+      // Ignore - file stays in place
+    }
+    return null;
+  }
+
+  let version = Number(file?.schemaVersion) || 0;
+  let data = file?.data ?? null;
+
+  if (version > DATA_SCHEMA_VERSION) {
+    console.warn(`[Store] ${name}.json is from a newer version (schema v${version}); loading read-only`);
+    readOnlyStores.add(name);
+    return data;
+  }
+
+  const startVersion = version;
+  while (version < DATA_SCHEMA_VERSION) {
+    const migrate = DATA_MIGRATIONS[name][version - 1];
+    if (migrate) data = migrate(data);
+    version++;
+  }
+  if (version !== startVersion) {
+    console.log(`[Store] Migrated ${name}.json from schema v${startVersion} to v${version}`);
+    writeStore(name, data);
+  }
+
+  return data;
+}
+
+/**
+ * Write a store file with its schema version
+ */
+function writeStore(name, data) {
+  writeJSONAtomic(getStorePath(name), {
+    schemaVersion: DATA_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    data
+  }, true);
+}
+
+// Load all stores (control window startup)
+ipcMain.handle('store:load', () => {
+  try {
+    const result = {};
+    DATA_STORES.forEach((name) => {
+      result[name] = readStore(name);
+    });
+    return result;
+  } catch (err) {
+    console.error('[IPC:store:load] Error:', err);
+    return null;
+  }
+});
+
+// Save one store: control -> main -> disk
+ipcMain.handle('store:save', (_event, { name, data } = {}) => {
+  try {
+    if (!DATA_STORES.includes(name)) {
+      return { success: false, error: 'Unknown store' };
+    }
+    if (!data || typeof data !== 'object') {
+      return { success: false, error: 'Invalid data' };
+    }
+    if (readOnlyStores.has(name)) {
+      return { success: false, error: 'Data was saved by a newer version of Ninja Timer' };
+    }
+    writeStore(name, data);
+    scheduleBackup();
+    if (name === 'settings') {
+      // Output windows match keys themselves
+      safeToOutput('shortcuts:update', data.shortcuts ?? null);
+    }
+    return { success: true };
+  } catch (err) {
+    console.error('[IPC:store:save] Error:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+// ---- Backups ----
+
+// Rolling snapshots of all stores in userData/data/backups, named by creation
+// time (backup-<ms>.json). Saves are throttled to one snapshot per interval;
+// the newest snapshots are kept, plus one per day for older ones.
+
+const backupsDir = path.join(dataDir, 'backups');
+
+const BACKUP_INTERVAL_MS = 5 * 60 * 1000;
+const BACKUP_KEEP_RECENT = 20;
+const BACKUP_KEEP_DAYS = 30;
+
+let lastBackupAt = 0;
+let backupTimeout = null;
+
+function getBackupPath(id) {
+  return path.join(backupsDir, `backup-${id}.json`);
+}
+
+/**
+ * List backup IDs, newest first
+ */
+function listBackupIds() {
+  if (!fs.existsSync(backupsDir)) return [];
+  return fs.readdirSync(backupsDir)
+    .map(file => file.match(/^backup-(\d+)\.json$/)?.[1])
+    .filter(Boolean)
+    .sort((a, b) => Number(b) - Number(a));
+}
+
+/**
+ * Snapshot all stores now
+ * @returns {string|null} - Backup ID, or null if there is nothing to back up
+ */
+function createBackup() {
+  const data = {};
+  DATA_STORES.forEach((name) => {
+    data[name] = readStore(name);
+  });
+  if (DATA_STORES.every(name => !data[name])) return null;
+
+  // IDs must be unique even for back-to-back snapshots
+  const now = Date.now();
+  const createdAt = now > lastBackupAt ? now : lastBackupAt + 1;
+  const id = String(createdAt);
+  writeJSONAtomic(getBackupPath(id), {
+    schemaVersion: DATA_SCHEMA_VERSION,
+    createdAt: new Date(createdAt).toISOString(),
+    data
+  });
+  lastBackupAt = createdAt;
+
+  pruneBackups();
+  console.log(`[Backup] Created snapshot ${id}`);
+  return id;
+}
+
+/**
+ * Apply the retention policy: newest N, then the latest snapshot of each day
+ */
+function pruneBackups() {
+  const cutoff = Date.now() - BACKUP_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  const keptDays = new Set();
+
+  listBackupIds().forEach((id, index) => {
+    const createdAt = Number(id);
+    const day = new Date(createdAt).toDateString();
+    if (index < BACKUP_KEEP_RECENT) {
+      keptDays.add(day);
+      return;
+    }
+    if (createdAt >= cutoff && !keptDays.has(day)) {
+      keptDays.add(day);
+      return;
+    }
+    try {
+      fs.unlinkSync(getBackupPath(id));
+    } catch (err) {
+      console.error(`[Backup] Failed to remove ${id}:`, err.message);
+    }
+  });
+}
+
+/**
+ * Snapshot after a save, at most once per interval (trailing edge, so the
+ * latest change is always captured)
+ */
+function scheduleBackup() {
+  if (backupTimeout) return;
+  const wait = Math.max(0, lastBackupAt + BACKUP_INTERVAL_MS - Date.now());
+  backupTimeout = setTimeout(() => {
+    backupTimeout = null;
+    try {
+      createBackup();
+    } catch (err) {
+      console.error('[Backup] Snapshot failed:', err);
+    }
+  }, wait);
+}
+
+/**
+ * Write a pending snapshot immediately (on quit)
+ */
+function flushBackup() {
+  if (!backupTimeout) return;
+  clearTimeout(backupTimeout);
+  backupTimeout = null;
+  try {
+    createBackup();
+  } catch (err) {
+    console.error('[Backup] Snapshot failed:', err);
+  }
+}
+
+/**
+ * Read a snapshot file
+ * @returns {Object|null} - { createdAt, data: { profiles, settings } }
+ */
+function readBackup(id) {
+  if (!/^\d+$/.test(String(id))) return null;
+  const filePath = getBackupPath(id);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// List snapshots with a preview of their contents
+ipcMain.handle('backup:list', () => {
+  try {
+    return listBackupIds().map((id) => {
+      try {
+        const backup = readBackup(id);
+        const profiles = backup?.data?.profiles?.profiles || [];
+        return {
+          id,
+          createdAt: backup.createdAt,
+          hasSettings: !!backup.data?.settings,
+          profiles: profiles.map(profile => ({
+            id: profile.id,
+            name: profile.name,
+            timers: (profile.presets || []).length,
+            messages: (profile.messages || []).length
+          }))
+        };
+      } catch (err) {
+        console.error(`[Backup] Unreadable snapshot ${id}:`, err.message);
+        return null;
+      }
+    }).filter(Boolean);
+  } catch (err) {
+    console.error('[IPC:backup:list] Error:', err);
+    return [];
+  }
+});
+
+// Full snapshot contents for restoring
+ipcMain.handle('backup:load', (_event, id) => {
+  try {
+    return readBackup(id)?.data || null;
+  } catch (err) {
+    console.error('[IPC:backup:load] Error:', err);
+    return null;
+  }
+});
+
+// Snapshot now (Back Up Now, and before a restore)
+ipcMain.handle('backup:create', () => {
+  try {
+    if (backupTimeout) {
+      clearTimeout(backupTimeout);
+      backupTimeout = null;
+    }
+    const id = createBackup();
+    return id ? { success: true, id } : { success: false, error: 'Nothing to back up' };
+  } catch (err) {
+    console.error('[IPC:backup:create] Error:', err);
+    return { success: false, error: err.message };
+  }
+});
+
 // ============ Custom Sounds ============
 
 const soundsDir = path.join(app.getPath('userData'), 'sounds');
@@ -1377,14 +3480,9 @@ const menuTemplate = [
 // Track if we're force quitting (bypass confirmation)
 let isForceQuitting = false;
 
-// Track timer running status (updated via IPC)
+// Track timer running status (updated by the timer engine)
 let timerIsRunning = false;
 
-// IPC handler to update timer running status
-ipcMain.on('timer:running-status', (_event, isRunning) => {
-  timerIsRunning = isRunning;
-});
-
 // IPC handler for app ready signal from control window
 ipcMain.on('app:ready', () => {
   if (splashWindow && !splashWindow.isDestroyed()) {
@@ -1394,12 +3492,119 @@ ipcMain.on('app:ready', () => {
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.show();
   }
+  openLaunchOutputWindow();
+});
+
+/**
+ * Open the output window at launch when a display, full screen or kiosk
+ * mode was asked for (kiosk also tucks the control window away)
+ */
+let launchOutputOpened = false;
+function openLaunchOutputWindow() {
+  if (launchOutputOpened) return;
+  launchOutputOpened = true;
+  if (launchOptions.outputDisplay === null && !launchOptions.fullscreen && !launchOptions.kiosk) return;
+
+  try {
+    createOutputWindow();
+    if (launchOptions.kiosk && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.minimize();
+    }
+  } catch (err) {
+    console.error('[Launch] Failed to open output window:', err);
+  }
+}
+
+/**
+ * Launch actions for the control window, with the --import file read in
+ * @returns {Object} - { profile, timer, autostart, importFile: { name, text }|null, importError }
+ */
+function buildLaunchActions(options) {
+  const { profile, timer, autostart, importFile } = options;
+  const actions = { profile, timer, autostart, importFile: null, importError: null };
+
+  if (importFile) {
+    try {
+      const { size } = fs.statSync(importFile);
+      if (size > 1024 * 1024) {
+        throw new Error('File too large (max 1MB)');
+      }
+      actions.importFile = { name: path.basename(importFile), text: fs.readFileSync(importFile, 'utf8') };
+    } catch (err) {
+      console.error('[Launch] Failed to read import file:', err.message);
+      actions.importError = `${path.basename(importFile)}: ${err.code === 'ENOENT' ? 'File not found' : err.message}`;
+    }
+  }
+  return actions;
+}
+
+// Launch actions are given out once, so reloading the control window doesn't
+// import or autostart again
+ipcMain.handle('app:get-launch-actions', () => {
+  if (!pendingLaunchOptions) return null;
+  const actions = buildLaunchActions(pendingLaunchOptions);
+  pendingLaunchOptions = null;
+  return actions;
+});
+
+/**
+ * Bring the control window to the front (recreating it if it was closed)
+ */
+function focusMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createMainWindow(); // Shown once the control window signals ready
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// A second launch: apply its --import/--profile/--timer/--autostart here
+app.on('second-instance', (_event, argv, workingDirectory, additionalData) => {
+  try {
+    const forwarded = parseLaunchArgs(
+      additionalData?.argv || argv.slice(app.isPackaged ? 1 : 2),
+      additionalData?.cwd || workingDirectory
+    );
+    forwarded.errors.forEach(error => console.warn(`[Launch] ${error}`));
+    if (forwarded.outputDisplay !== null || forwarded.fullscreen || forwarded.kiosk || forwarded.oscPort) {
+      console.log('[Launch] Display, kiosk and OSC flags only apply when the app starts');
+    }
+
+    const hasActions = forwarded.profile !== null || forwarded.timer !== null ||
+      forwarded.autostart || forwarded.importFile;
+    const controlLoading = pendingLaunchOptions || !mainWindow || mainWindow.isDestroyed();
+
+    focusMainWindow();
+    if (!hasActions) return;
+
+    if (controlLoading) {
+      // Picked up when the control window asks for its launch actions
+      pendingLaunchOptions = forwarded;
+    } else {
+      safeToMain('app:launch-actions', buildLaunchActions(forwarded));
+    }
+  } catch (err) {
+    console.error('[Launch] Failed to handle second launch:', err);
+  }
 });
 
 app.whenReady().then(() => {
+  // Second instance: quitting after forwarding its arguments
+  if (!gotSingleInstanceLock) return;
+
   const menu = Menu.buildFromTemplate(menuTemplate);
   Menu.setApplicationMenu(menu);
 
+  // Timer engine runs independently of the windows
+  timerEngineReady = initTimerAuthority();
+
+  // Companion CLI (scripts/ninja-cli.js)
+  startCommandSocket();
+
   // Show splash screen first
   createSplashWindow();
 
@@ -1429,10 +3634,20 @@ app.whenReady().then(() => {
 
 // Cleanup before app quits
 app.on('before-quit', () => {
+  // A second instance never started anything - and must not clear the
+  // running instance's timer journal
+  if (!gotSingleInstanceLock) return;
+
   console.log('[App] before-quit - cleaning up...');
   isForceQuitting = true;
+  // Normal quit - only crashes leave a journal to restore from
+  timerEngine?.stopTicking();
+  clearTimerJournal();
+  flushBackup();
   stopOSCServer();
   stopOSCClient();
+  stopHTTPServer();
+  stopCommandSocket();
 });
 
 // Final cleanup when app is about to quit
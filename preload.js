@@ -39,6 +39,47 @@ contextBridge.exposeInMainWorld('ninja', {
     ipcRenderer.on('blackout:state', (_event, isBlacked) => callback(isBlacked));
   },
 
+  // ============ Timer Engine (main process) ============
+
+  // Transport command: start | pause | resume | toggle | reset | seek | lap
+  timerControl: (command, params) => {
+    ipcRenderer.send('timer:control', { command, params });
+  },
+
+  // Active timer selection and config
+  timerSelect: (index, config) => {
+    ipcRenderer.send('timer:select', { index, config });
+  },
+
+  // Active profile's timers (for linked-chain advancement)
+  timerSetChain: (chain) => {
+    ipcRenderer.send('timer:set-chain', chain);
+  },
+
+  // Clear a profile's recorded rundown start/end times and show log
+  rundownReset: (profileId) => {
+    ipcRenderer.send('rundown:reset', profileId);
+  },
+
+  // Save a profile's show report (CSV/JSON) - returns { success, filePath?, canceled?, error? }
+  showLogExportReport: (profileId, profileName) => ipcRenderer.invoke('showlog:export-report', { profileId, profileName }),
+
+  // Save the stopwatch laps as CSV - returns { success, filePath?, canceled?, error? }
+  timerExportLaps: () => ipcRenderer.invoke('timer:export-laps'),
+
+  // Authoritative engine state (on load/reload)
+  timerGetEngineState: () => ipcRenderer.invoke('timer:get-engine-state'),
+
+  // Listen for engine state changes
+  onTimerEngineState: (callback) => {
+    ipcRenderer.on('timer:engine-state', (_event, state) => callback(state));
+  },
+
+  // Listen for engine events (started, ended, advanced, ...)
+  onTimerEngineEvent: (callback) => {
+    ipcRenderer.on('timer:engine-event', (_event, data) => callback(data));
+  },
+
   // ============ Timer Commands ============
 
   // Timer commands (control -> main -> output)
@@ -98,6 +139,15 @@ contextBridge.exposeInMainWorld('ninja', {
     ipcRenderer.on('keyboard:shortcut', (_event, shortcut) => callback(shortcut));
   },
 
+  // Key bindings (output window reads them from the saved settings)
+  getShortcuts: () => {
+    return ipcRenderer.invoke('shortcuts:get');
+  },
+
+  onShortcutsUpdate: (callback) => {
+    ipcRenderer.on('shortcuts:update', (_event, shortcuts) => callback(shortcuts));
+  },
+
   // Sound alerts
   playSound: (soundType) => {
     ipcRenderer.send('sound:play', soundType);
@@ -122,9 +172,12 @@ contextBridge.exposeInMainWorld('ninja', {
   // Signal that control window is fully initialized (closes splash screen)
   signalAppReady: () => ipcRenderer.send('app:ready'),
 
-  // Report timer running status to main process (for quit confirmation)
-  reportTimerRunning: (isRunning) => {
-    ipcRenderer.send('timer:running-status', isRunning);
+  // Command-line launch actions (--import, --profile, --timer, --autostart), null after the first call
+  getLaunchActions: () => ipcRenderer.invoke('app:get-launch-actions'),
+
+  // Launch actions forwarded from a second launch of the app
+  onLaunchActions: (callback) => {
+    ipcRenderer.on('app:launch-actions', (_event, actions) => callback(actions));
   },
 
   // Show confirm dialog with app icon
@@ -159,6 +212,11 @@ contextBridge.exposeInMainWorld('ninja', {
     ipcRenderer.send('message:send', message);
   },
 
+  // Send timer/message lists to main for remote control clients
+  sendRemoteLibrary: (library) => {
+    ipcRenderer.send('remote:library', library);
+  },
+
   // Listen for message updates (output receives)
   onMessageUpdate: (callback) => {
     ipcRenderer.on('message:update', (_event, message) => callback(message));
@@ -259,6 +317,14 @@ contextBridge.exposeInMainWorld('ninja', {
   // Update OSC settings
   oscSetSettings: (settings) => ipcRenderer.invoke('osc:set-settings', settings),
 
+  // OSC server state ({ enabled, listening, port, error })
+  oscGetStatus: () => ipcRenderer.invoke('osc:get-status'),
+
+  // Listen for OSC server state changes (e.g. port already in use)
+  onOSCStatus: (callback) => {
+    ipcRenderer.on('osc:server-status', (_event, status) => callback(status));
+  },
+
   // Send OSC feedback message
   oscSendFeedback: (address, args) => ipcRenderer.invoke('osc:send-feedback', { address, args }),
 
@@ -267,6 +333,35 @@ contextBridge.exposeInMainWorld('ninja', {
     ipcRenderer.on('osc:command', (_event, data) => callback(data));
   },
 
+  // Get rejected network access attempts
+  accessGetLog: () => ipcRenderer.invoke('access:get-log'),
+
+  // Clear rejected access log
+  accessClearLog: () => ipcRenderer.invoke('access:clear-log'),
+
+  // Get LAN addresses for the remote viewer URL
+  httpGetAddresses: () => ipcRenderer.invoke('http:get-addresses'),
+
+  // Reply to a remote (OSC/HTTP) command with its result
+  sendCommandResult: (id, result) => ipcRenderer.send('osc:command-result', { id, result }),
+
+  // ============ Data Store ============
+
+  // Load profiles and app settings from userData ({ profiles, settings })
+  storeLoad: () => ipcRenderer.invoke('store:load'),
+
+  // Save one store ('profiles' or 'settings') - returns { success, error? }
+  storeSave: (name, data) => ipcRenderer.invoke('store:save', { name, data }),
+
+  // List backup snapshots with profile previews, newest first
+  backupList: () => ipcRenderer.invoke('backup:list'),
+
+  // Get a snapshot's data ({ profiles, settings })
+  backupLoad: (id) => ipcRenderer.invoke('backup:load', id),
+
+  // Take a snapshot now - returns { success, id?, error? }
+  backupCreate: () => ipcRenderer.invoke('backup:create'),
+
   // ============ Custom Sounds ============
 
   // List all custom sounds
@@ -289,16 +384,21 @@ contextBridge.exposeInMainWorld('ninja', {
     ipcRenderer.removeAllListeners('timer:state');
     ipcRenderer.removeAllListeners('timer:request-state');
     ipcRenderer.removeAllListeners('timer:update');
+    ipcRenderer.removeAllListeners('timer:engine-state');
+    ipcRenderer.removeAllListeners('timer:engine-event');
     ipcRenderer.removeAllListeners('display:update');
     ipcRenderer.removeAllListeners('window:output-ready');
     ipcRenderer.removeAllListeners('window:output-closed');
     ipcRenderer.removeAllListeners('window:settings-ready');
     ipcRenderer.removeAllListeners('window:settings-closed');
     ipcRenderer.removeAllListeners('keyboard:shortcut');
+    ipcRenderer.removeAllListeners('shortcuts:update');
     ipcRenderer.removeAllListeners('blackout:toggle');
     ipcRenderer.removeAllListeners('blackout:state');
     ipcRenderer.removeAllListeners('message:update');
     ipcRenderer.removeAllListeners('osc:command');
+    ipcRenderer.removeAllListeners('osc:server-status');
+    ipcRenderer.removeAllListeners('app:launch-actions');
     ipcRenderer.removeAllListeners('settings:request-timer');
     ipcRenderer.removeAllListeners('settings:timer-data');
     ipcRenderer.removeAllListeners('settings:save-timer');
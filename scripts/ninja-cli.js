@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Ninja Timer CLI
+ * Sends a command to the running app over its local command socket.
+ *
+ *   node scripts/ninja-cli.js start
+ *   node scripts/ninja-cli.js select "Keynote"
+ *   node scripts/ninja-cli.js message 2
+ *   node scripts/ninja-cli.js status
+ *
+ * Exits 0 on success, 1 if the command failed and 2 if the app isn't running.
+ * No dependencies, so it also runs with the app's own binary:
+ *   ELECTRON_RUN_AS_NODE=1 "/path/to/Ninja Timer" ninja-cli.js start
+ */
+
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const REPLY_TIMEOUT = 5000;
+
+const USAGE = `Usage: ninja-cli <command> [argument]
+
+Timer:
+  start | pause | resume | toggle | reset | stop
+  next | previous
+  lap                      Record a lap (stopwatch timers)
+  select <number|name>     Select a timer (numbers are 1-based)
+
+Messages:
+  message <number|text>    Show a message (text matches part of the message)
+  hide-message
+
+Other:
+  profile <number|name>    Switch profile
+  blackout                 Toggle blackout
+  flash                    Flash the timer
+  status                   Print the running state as JSON
+
+Set NINJA_TIMER_SOCKET to use a different socket path.`;
+
+/**
+ * Socket path (keep in sync with getCommandSocketPath() in main.js)
+ */
+function getCommandSocketPath() {
+  if (process.env.NINJA_TIMER_SOCKET) return process.env.NINJA_TIMER_SOCKET;
+  const user = os.userInfo().username.replace(/[^\w.-]/g, '_');
+  return process.platform === 'win32'
+    ? `\\\\.\\pipe\\ninja-timer-${user}`
+    : path.join(os.tmpdir(), `ninja-timer-${user}.sock`);
+}
+
+/**
+ * Send one request and wait for its reply
+ * @returns {Promise<Object>} - { success, error?, status? }
+ */
+function sendRequest(request) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(getCommandSocketPath());
+    let buffer = '';
+
+    const timeout = setTimeout(() => {
+      socket.destroy();
+      reject(new Error('No reply from Ninja Timer'));
+    }, REPLY_TIMEOUT);
+
+    socket.setEncoding('utf8');
+    socket.on('connect', () => socket.write(JSON.stringify(request) + '\n'));
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      clearTimeout(timeout);
+      socket.end();
+      try {
+        resolve(JSON.parse(buffer.slice(0, newline)));
+      } catch {
+        reject(new Error('Invalid reply from Ninja Timer'));
+      }
+    });
+    socket.on('error', (err) => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+  });
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    process.exit(command ? 0 : 1);
+  }
+
+  let reply;
+  try {
+    reply = await sendRequest({ command, args });
+  } catch (err) {
+    const notRunning = ['ENOENT', 'ECONNREFUSED'].includes(err.code);
+    console.error(notRunning ? 'Ninja Timer is not running' : `Error: ${err.message}`);
+    process.exit(2);
+  }
+
+  if (!reply.success) {
+    console.error(`Error: ${reply.error || 'Command failed'}`);
+    process.exit(1);
+  }
+  if (reply.status) {
+    console.log(JSON.stringify(reply.status, null, 2));
+  }
+}
+
+main();
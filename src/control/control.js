@@ -6,11 +6,31 @@
  * to prevent crashes and ensure reliable long-session operation.
  */
 
-import { parseHMS, secondsToHMS, formatTime, formatTimePlain, formatTimeOfDay, hexToRgba, debounce } from '../shared/timer.js';
-import { validateConfig, validatePresets, safeJSONParse, validateExportData } from '../shared/validation.js';
+import { parseHMS, secondsToHMS, formatTime, formatTimePlain, formatTimeOfDay, formatStopwatch, formatStopwatchPlain, formatOvertime, formatOvertimePlain, isFormatTemplate, hexToRgba, debounce, toZonedDateTime, fromZonedDateTime, getTimeUntilDate } from '../shared/timer.js';
+import { getLapRows, formatLastLap } from '../shared/laps.js';
+import { DEFAULT_INTERVAL, MAX_ROUNDS, getRoundLengths, getIntervalTotalSec, getIntervalPosition, formatIntervalLabel } from '../shared/intervals.js';
+import { validateConfig, validatePresets, safeJSONParse, validateExportData, validateAppSettings, checkExportData, getFormatTemplateError } from '../shared/validation.js';
+import { findMatchingProfile, diffProfile, mergeProfile, describeDiff } from '../shared/importMerge.js';
+import { IMPORT_FIELDS, parseCSV, guessColumnMapping, mapImportRows } from '../shared/csvImport.js';
+import { parseICS, mapCalendarEvents } from '../shared/icsImport.js';
+import {
+  SHORTCUT_ACTIONS,
+  SHORTCUT_SCOPES,
+  DEFAULT_SHORTCUTS,
+  getKeyCombo,
+  formatKeyCombo,
+  getShortcutAction,
+  describeShortcut,
+  matchShortcut,
+  findShortcutConflicts,
+  validateShortcuts
+} from '../shared/shortcuts.js';
 import { STORAGE_KEYS } from '../shared/constants.js';
 import { createTimerState, FIXED_STYLE } from '../shared/timerState.js';
 import { computeDisplay, getShadowCSS, getCombinedShadowCSS, FlashAnimator } from '../shared/renderTimer.js';
+import { ClockOffset, startClockJumpDetector } from '../shared/clock.js';
+import { computeRundown, describeDrift, formatClockTime, resolveShowStart, ON_TIME_TOLERANCE_MS } from '../shared/rundown.js';
+import { computeTimeBank, getBankedDurationSec } from '../shared/timeBank.js';
 import { autoFitMessage, applyMessageStyle } from '../shared/renderMessage.js';
 import { playSound } from '../shared/sounds.js';
 import { BUILT_IN_FONTS, WEIGHT_LABELS, getAvailableWeights, isBuiltInFont, verifyFonts } from '../shared/fontManager.js';
@@ -52,13 +72,35 @@ const els = {
   // Timer settings (in modal)
   mode: document.getElementById('mode'),
   startMode: document.getElementById('startMode'),
+  startModeRow: document.getElementById('startModeRow'),
   targetTime: document.getElementById('targetTime'),
   targetTimeRow: document.getElementById('targetTimeRow'),
+  targetDate: document.getElementById('targetDate'),
+  targetDateRow: document.getElementById('targetDateRow'),
+  targetDateZone: document.getElementById('targetDateZone'),
   duration: document.getElementById('duration'),
   durationRow: document.getElementById('durationRow'),
   format: document.getElementById('format'),
+  formatTemplate: document.getElementById('formatTemplate'),
+  formatTemplateRow: document.getElementById('formatTemplateRow'),
+  formatTemplateHint: document.getElementById('formatTemplateHint'),
   allowOvertime: document.getElementById('allowOvertime'),
   allowOvertimeRow: document.getElementById('allowOvertimeRow'),
+  overtimePrefix: document.getElementById('overtimePrefix'),
+  overtimeSuffix: document.getElementById('overtimeSuffix'),
+  overtimeTextRow: document.getElementById('overtimeTextRow'),
+  overtimeTextSample: document.getElementById('overtimeTextSample'),
+  showLastLap: document.getElementById('showLastLap'),
+  showLastLapRow: document.getElementById('showLastLapRow'),
+  intervalSection: document.getElementById('intervalSection'),
+  intervalRounds: document.getElementById('intervalRounds'),
+  intervalWork: document.getElementById('intervalWork'),
+  intervalRest: document.getElementById('intervalRest'),
+  intervalPerRound: document.getElementById('intervalPerRound'),
+  intervalRoundList: document.getElementById('intervalRoundList'),
+  intervalTotal: document.getElementById('intervalTotal'),
+  intervalWorkSound: document.getElementById('intervalWorkSound'),
+  intervalRestSound: document.getElementById('intervalRestSound'),
 
   // Appearance (simplified)
   fontPicker: document.getElementById('fontPicker'),
@@ -110,6 +152,11 @@ const els = {
   // Controls
   blackoutBtn: document.getElementById('blackoutBtn'),
   flashBtn: document.getElementById('flashBtn'),
+  lapBtn: document.getElementById('lapBtn'),
+  lapPanel: document.getElementById('lapPanel'),
+  lapCount: document.getElementById('lapCount'),
+  lapList: document.getElementById('lapList'),
+  lapExport: document.getElementById('lapExport'),
   openOutput: document.getElementById('openOutput'),
 
   // Profile dropdown
@@ -130,6 +177,8 @@ const els = {
   seekTooltip: document.getElementById('seekTooltip'),
   warningZones: document.getElementById('warningZones'),
   importFile: document.getElementById('importFile'),
+  importTableFile: document.getElementById('importTableFile'),
+  importCalendarFile: document.getElementById('importCalendarFile'),
   addTimer: document.getElementById('addTimer'),
 
   // Timer Modal
@@ -147,12 +196,69 @@ const els = {
   appSettingsSave: document.getElementById('appSettingsSave'),
   settingsExport: document.getElementById('settingsExport'),
   settingsImport: document.getElementById('settingsImport'),
+  settingsImportCsv: document.getElementById('settingsImportCsv'),
+  settingsImportCalendar: document.getElementById('settingsImportCalendar'),
+  backupNow: document.getElementById('backupNow'),
+  backupList: document.getElementById('backupList'),
+
+  // Import Modal
+  importModal: document.getElementById('importModal'),
+  importTitle: document.getElementById('importTitle'),
+  importClose: document.getElementById('importClose'),
+  importTarget: document.getElementById('importTarget'),
+  importProfileName: document.getElementById('importProfileName'),
+  importProfileNameRow: document.getElementById('importProfileNameRow'),
+  importMode: document.getElementById('importMode'),
+  importModeRow: document.getElementById('importModeRow'),
+  importMappingSection: document.getElementById('importMappingSection'),
+  importHasHeader: document.getElementById('importHasHeader'),
+  importMapping: document.getElementById('importMapping'),
+  importCalendarSection: document.getElementById('importCalendarSection'),
+  importSchedule: document.getElementById('importSchedule'),
+  importTimezoneHint: document.getElementById('importTimezoneHint'),
+  importSummary: document.getElementById('importSummary'),
+  importPreview: document.getElementById('importPreview'),
+  importErrors: document.getElementById('importErrors'),
+  importCancel: document.getElementById('importCancel'),
+  importConfirm: document.getElementById('importConfirm'),
+
+  // Merge Modal
+  mergeModal: document.getElementById('mergeModal'),
+  mergeClose: document.getElementById('mergeClose'),
+  mergeProblemsSection: document.getElementById('mergeProblemsSection'),
+  mergeProblemsTitle: document.getElementById('mergeProblemsTitle'),
+  mergeProblemsHint: document.getElementById('mergeProblemsHint'),
+  mergeProblems: document.getElementById('mergeProblems'),
+  mergeProfilesSection: document.getElementById('mergeProfilesSection'),
+  mergeProfileList: document.getElementById('mergeProfileList'),
+  mergeSettingsSection: document.getElementById('mergeSettingsSection'),
+  mergeApplySettings: document.getElementById('mergeApplySettings'),
+  mergeSettingsHint: document.getElementById('mergeSettingsHint'),
+  mergeApplyOsc: document.getElementById('mergeApplyOsc'),
+  mergeApplyOscRow: document.getElementById('mergeApplyOscRow'),
+  mergeCancel: document.getElementById('mergeCancel'),
+  mergeConfirm: document.getElementById('mergeConfirm'),
+
+  // Export Modal
+  exportModal: document.getElementById('exportModal'),
+  exportClose: document.getElementById('exportClose'),
+  exportScope: document.getElementById('exportScope'),
+  exportProfile: document.getElementById('exportProfile'),
+  exportProfileRow: document.getElementById('exportProfileRow'),
+  exportIncludeMessages: document.getElementById('exportIncludeMessages'),
+  exportMessagesRow: document.getElementById('exportMessagesRow'),
+  exportTimersSection: document.getElementById('exportTimersSection'),
+  exportTimerList: document.getElementById('exportTimerList'),
+  exportSummary: document.getElementById('exportSummary'),
+  exportCancel: document.getElementById('exportCancel'),
+  exportConfirm: document.getElementById('exportConfirm'),
 
   // App Settings Fields
   todFormat: document.getElementById('todFormat'),
   timezone: document.getElementById('timezone'),
   appearance: document.getElementById('appearance'),
   confirmDelete: document.getElementById('confirmDelete'),
+  importValidation: document.getElementById('importValidation'),
   defaultMode: document.getElementById('defaultMode'),
   defaultDuration: document.getElementById('defaultDuration'),
   defaultFormat: document.getElementById('defaultFormat'),
@@ -185,11 +291,25 @@ const els = {
   oscFeedbackHostRow: document.getElementById('oscFeedbackHostRow'),
   oscFeedbackPort: document.getElementById('oscFeedbackPort'),
   oscFeedbackPortRow: document.getElementById('oscFeedbackPortRow'),
+  httpEnabled: document.getElementById('httpEnabled'),
+  httpPort: document.getElementById('httpPort'),
+  httpPortRow: document.getElementById('httpPortRow'),
+  httpViewerHint: document.getElementById('httpViewerHint'),
+  accessAllowList: document.getElementById('accessAllowList'),
+  accessControlPin: document.getElementById('accessControlPin'),
+  accessViewerPin: document.getElementById('accessViewerPin'),
+  accessLog: document.getElementById('accessLog'),
+  accessLogClear: document.getElementById('accessLogClear'),
   oscStatus: document.getElementById('oscStatus'),
 
   // Keyboard Shortcuts
   shortcutsModal: document.getElementById('shortcutsModal'),
   shortcutsClose: document.getElementById('shortcutsClose'),
+  shortcutsHelpList: document.getElementById('shortcutsHelpList'),
+  shortcutList: document.getElementById('shortcutList'),
+  shortcutConflicts: document.getElementById('shortcutConflicts'),
+  addShortcut: document.getElementById('addShortcut'),
+  resetShortcuts: document.getElementById('resetShortcuts'),
 
   // Confirm Dialog
   confirmDialog: document.getElementById('confirmDialog'),
@@ -205,6 +325,18 @@ const els = {
   messagesTabBtn: document.getElementById('messagesTabBtn'),
   timersTab: document.getElementById('timersTab'),
   messagesTab: document.getElementById('messagesTab'),
+  rundownTabBtn: document.getElementById('rundownTabBtn'),
+  rundownTab: document.getElementById('rundownTab'),
+
+  // Rundown elements
+  rundownStart: document.getElementById('rundownStart'),
+  rundownTimeBank: document.getElementById('rundownTimeBank'),
+  rundownTimeBankHold: document.getElementById('rundownTimeBankHold'),
+  rundownDrift: document.getElementById('rundownDrift'),
+  rundownEnd: document.getElementById('rundownEnd'),
+  rundownReport: document.getElementById('rundownReport'),
+  rundownReset: document.getElementById('rundownReset'),
+  rundownList: document.getElementById('rundownList'),
 
   // Message elements
   messageList: document.getElementById('messageList'),
@@ -381,21 +513,173 @@ function updateOvertimeVisibility() {
   const mode = els.mode?.value;
   const startMode = els.startMode?.value || 'manual';
   // Hide overtime for non-countdown modes AND for End By mode (always stops at target)
-  const showOvertime = (mode === 'countdown' || mode === 'countdown-tod') && startMode !== 'endBy';
+  const showOvertime = ['countdown', 'countdown-date', 'countdown-tod', 'interval'].includes(mode) && startMode !== 'endBy';
   els.allowOvertimeRow.style.display = showOvertime ? '' : 'none';
+  if (els.overtimeTextRow) {
+    els.overtimeTextRow.style.display = showOvertime ? '' : 'none';
+  }
+}
+
+/**
+ * Format select value, or the custom template when "Custom…" is picked
+ */
+function getFormatFromForm() {
+  return els.format.value === 'custom' ? els.formatTemplate.value : els.format.value;
+}
+
+/**
+ * Show/hide the custom template field and preview the template (or its problem)
+ */
+function updateFormatTemplate() {
+  const isCustom = els.format.value === 'custom';
+  const format = getFormatFromForm();
+  const error = isCustom ? getFormatTemplateError(format) : null;
+
+  els.formatTemplateRow?.classList.toggle('hidden', !isCustom);
+  if (els.formatTemplateHint) {
+    els.formatTemplateHint.classList.toggle('hidden', !isCustom);
+    els.formatTemplateHint.classList.toggle('error', error !== null);
+    els.formatTemplateHint.textContent = error || `1:02:05.3 shows as ${formatTimePlain(3725300, format)}. ` +
+      'Tokens: {d} {h} {m} {s} ({mm} = two digits), {t} tenths';
+  }
+  if (els.overtimeTextSample) {
+    els.overtimeTextSample.textContent = formatOvertimePlain(65000, error ? 'MM:SS' : format, { overtimePrefix: '', overtimeSuffix: '' });
+  }
+}
+
+/**
+ * Show/hide the rounds settings and transition sounds (interval only)
+ */
+function updateIntervalVisibility() {
+  const isInterval = els.mode?.value === 'interval';
+  els.intervalSection?.classList.toggle('hidden', !isInterval);
+  document.querySelectorAll('.interval-sound-row').forEach((row) => {
+    row.classList.toggle('hidden', !isInterval);
+  });
+}
+
+/**
+ * Per-round work/rest rows (the last round has no rest)
+ * @param {Array} lengths - [{ workSec, restSec }] one per round
+ */
+function renderIntervalRounds(lengths) {
+  els.intervalRoundList.innerHTML = '';
+  if (!els.intervalPerRound.checked) return;
+
+  lengths.forEach(({ workSec, restSec }, i) => {
+    const row = document.createElement('div');
+    row.className = 'interval-round';
+
+    const label = document.createElement('span');
+    label.textContent = `Round ${i + 1}`;
+
+    const work = document.createElement('input');
+    work.type = 'text';
+    work.className = 'time-input time-input-ms interval-round-work';
+    work.maxLength = 5;
+    work.title = 'Work';
+    setMSInput(work, workSec);
+    initTimeInputMS(work);
+
+    const rest = document.createElement('input');
+    rest.type = 'text';
+    rest.className = 'time-input time-input-ms interval-round-rest';
+    rest.maxLength = 5;
+    rest.title = 'Rest';
+    setMSInput(rest, restSec);
+    initTimeInputMS(rest);
+    // Keep the column aligned for the last round, which has no rest
+    if (i === lengths.length - 1) rest.style.visibility = 'hidden';
+
+    row.append(label, work, rest);
+    els.intervalRoundList.appendChild(row);
+  });
+}
+
+/**
+ * Interval settings from the timer modal
+ */
+function getIntervalFromForm() {
+  const rounds = Math.max(1, Math.min(MAX_ROUNDS, parseInt(els.intervalRounds.value, 10) || DEFAULT_INTERVAL.rounds));
+  const workSec = getMSSeconds(els.intervalWork) || DEFAULT_INTERVAL.workSec;
+  const restSec = getMSSeconds(els.intervalRest);
+
+  let perRound = null;
+  if (els.intervalPerRound.checked) {
+    const rows = Array.from(els.intervalRoundList.querySelectorAll('.interval-round'));
+    perRound = Array.from({ length: rounds }, (_, i) => ({
+      workSec: rows[i] ? getMSSeconds(rows[i].querySelector('.interval-round-work')) || workSec : workSec,
+      restSec: rows[i] ? getMSSeconds(rows[i].querySelector('.interval-round-rest')) : restSec
+    }));
+  }
+
+  return {
+    rounds,
+    workSec,
+    restSec,
+    perRound,
+    workSound: els.intervalWorkSound.value || 'none',
+    restSound: els.intervalRestSound.value || 'none'
+  };
+}
+
+/**
+ * Load interval settings into the timer modal
+ */
+function setIntervalForm(interval = DEFAULT_INTERVAL) {
+  els.intervalRounds.value = interval.rounds;
+  setMSInput(els.intervalWork, interval.workSec);
+  setMSInput(els.intervalRest, interval.restSec);
+  els.intervalPerRound.checked = Array.isArray(interval.perRound);
+  els.intervalWorkSound.value = interval.workSound;
+  els.intervalRestSound.value = interval.restSound;
+  refreshIntervalRounds(interval);
+}
+
+/**
+ * Re-render the per-round rows for the current round count and update the total
+ */
+function refreshIntervalRounds(interval = getIntervalFromForm()) {
+  const lengths = Array.from({ length: interval.rounds }, (_, i) => getRoundLengths(interval, i + 1));
+  renderIntervalRounds(lengths);
+  updateIntervalTotal();
+}
+
+function updateIntervalTotal() {
+  const totalSec = getIntervalTotalSec(getIntervalFromForm());
+  els.intervalTotal.textContent = `Total ${formatTimePlain(totalSec * 1000, 'HH:MM:SS')} (no rest after the last round)`;
+}
+
+/**
+ * Show/hide the last lap setting (stopwatch only)
+ */
+function updateLastLapVisibility() {
+  if (!els.showLastLapRow) return;
+  els.showLastLapRow.style.display = els.mode?.value === 'stopwatch' ? '' : 'none';
 }
 
 function updateStartModeVisibility() {
   const startMode = els.startMode?.value || 'manual';
+  // Countdown to date always runs to its date, so it has no start mode or duration
+  const isDate = els.mode?.value === 'countdown-date';
+
+  els.startModeRow?.classList.toggle('hidden', isDate);
+  els.targetDateRow?.classList.toggle('hidden', !isDate);
+  if (els.targetDateZone) {
+    els.targetDateZone.classList.toggle('hidden', !isDate);
+    const { timezone } = loadAppSettings();
+    els.targetDateZone.textContent = `Date in ${timezone && timezone !== 'auto' ? timezone : 'system time'} (App Settings → Timezone)`;
+  }
 
   // Show target time row for endBy and startAt modes
   if (els.targetTimeRow) {
-    els.targetTimeRow.classList.toggle('hidden', startMode === 'manual');
+    els.targetTimeRow.classList.toggle('hidden', startMode === 'manual' || isDate);
   }
 
   // Hide duration row for endBy mode (duration is calculated from target time)
+  // and interval mode (duration is the length of all rounds)
   if (els.durationRow) {
-    els.durationRow.style.display = startMode === 'endBy' ? 'none' : '';
+    els.durationRow.style.display = startMode === 'endBy' || els.mode?.value === 'interval' || isDate ? 'none' : '';
   }
 
   // Also update overtime visibility (hidden for endBy)
@@ -829,16 +1113,8 @@ function initTimeInput(input) {
 }
 
 // State
-let isRunning = false;
+let isRunning = false; // Mirrors the main-process timer engine
 let outputWindowReady = false;
-
-/**
- * Set running state and report to main process (for quit confirmation)
- */
-function setRunning(running) {
-  isRunning = running;
-  window.ninja.reportTimerRunning(running);
-}
 let editingPresetIndex = null; // Track which preset is being edited
 let activePresetIndex = null; // Track which preset is currently playing
 let settingsWindowOpen = false; // Track if settings window is open
@@ -863,14 +1139,26 @@ let activeTimerConfig = {
   }
 };
 
-// Timer state for live preview
+// Timer state for live preview - mirror of the main-process timer engine,
+// change it with sendCommand()/seekToTime()
 const timerState = {
   startedAt: null,
   pausedAcc: 0,
   ended: false,
   overtime: false,
-  overtimeStartedAt: null
+  overtimeStartedAt: null,
+  laps: []
 };
+
+// Lap table is rebuilt only when this changes
+let lastLapPanelKey = null;
+
+// Main process clock - timer timestamps are on its timeline
+const mainClock = new ClockOffset();
+
+// Selection/chain are sent to main only after adopting its state on load
+let timerAuthorityReady = false;
+let lastTimerSelectionKey = null;
 let isBlackedOut = false;
 
 // State sequence number for sync
@@ -898,9 +1186,14 @@ let activeProfileId = null;
 function setActiveTimerConfig(config) {
   activeTimerConfig = {
     mode: config.mode || 'countdown',
+    targetDate: config.targetDate || null,
     durationSec: config.durationSec || 600,
     format: config.format || 'MM:SS',
     allowOvertime: config.allowOvertime !== false,
+    overtimePrefix: config.overtimePrefix ?? '+',
+    overtimeSuffix: config.overtimeSuffix ?? '',
+    showLastLap: config.showLastLap === true,
+    interval: config.interval || null,
     style: {
       fontFamily: config.style?.fontFamily || 'Inter',
       fontWeight: config.style?.fontWeight ?? 700,
@@ -918,6 +1211,7 @@ function setActiveTimerConfig(config) {
     warnYellowSec: config.warnYellowSec ?? 60,
     warnOrangeSec: config.warnOrangeSec ?? 15
   };
+  renderLapPanel();
 }
 
 // Undo/Redo stacks for reverting changes
@@ -1175,6 +1469,7 @@ const ICONS = {
   pause: '<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>',
   more: '<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="5" r="2"/><circle cx="12" cy="12" r="2"/><circle cx="12" cy="19" r="2"/></svg>',
   clone: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>',
+  share: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 12v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8"/><polyline points="16 6 12 2 8 6"/><line x1="12" y1="2" x2="12" y2="15"/></svg>',
   delete: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>',
   add: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>',
   pencil: '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/><path d="m15 5 4 4"/></svg>',
@@ -1188,9 +1483,76 @@ function showToast(message, type = 'info') {
   return;
 }
 
-// ============ App Settings ============
+// ============ Data Store ============
+
+// Profiles and app settings live in JSON files managed by the main process.
+// Cached here as JSON strings so reads stay synchronous (loadAppSettings runs
+// every frame) and callers always get a fresh copy to mutate.
+const storeCache = {
+  profiles: null,
+  settings: null
+};
+
+// localStorage keys the stores were migrated from (kept as a fallback copy)
+const LEGACY_STORE_KEYS = {
+  profiles: STORAGE_KEYS.PROFILES,
+  settings: 'ninja:appSettings'
+};
+
+/**
+ * Read a store from the cache
+ * @returns {string|null} - JSON string, or null if nothing is stored
+ */
+function readStore(name) {
+  return storeCache[name];
+}
+
+/**
+ * Update the cache and persist the store to disk
+ * @param {string} name - 'profiles' or 'settings'
+ * @param {Object} data - Store contents
+ */
+function writeStore(name, data) {
+  storeCache[name] = JSON.stringify(data);
+  window.ninja.storeSave(name, data).then((result) => {
+    if (!result?.success) {
+      showToast(result?.error || `Failed to save ${name}`, 'error');
+      console.error(`[Store] Failed to save ${name}:`, result?.error);
+    }
+  });
+}
+
+/**
+ * Load stores from disk, migrating localStorage data on first run
+ */
+async function initDataStore() {
+  let stored = null;
+  try {
+    stored = await window.ninja.storeLoad();
+  } catch (err) {
+    console.error('[Store] Failed to load data store:', err);
+  }
+
+  Object.keys(storeCache).forEach((name) => {
+    const data = stored?.[name];
+    if (data) {
+      storeCache[name] = JSON.stringify(data);
+      return;
+    }
+
+    // First run with the file store: copy over the localStorage data
+    const legacy = localStorage.getItem(LEGACY_STORE_KEYS[name]);
+    if (!legacy) return;
+    try {
+      writeStore(name, JSON.parse(legacy));
+      console.log(`[Migration] Moved ${name} from localStorage to data store`);
+    } catch (e) {
+      console.error(`[Migration] Failed to migrate ${name}:`, e);
+    }
+  });
+}
 
-const APP_SETTINGS_KEY = 'ninja:appSettings';
+// ============ App Settings ============
 
 // Global timezone options
 const TIMEZONES = [
@@ -1231,9 +1593,12 @@ const DEFAULT_APP_SETTINGS = {
   timezone: 'auto',
   appearance: 'auto',  // 'auto' | 'light' | 'dark'
   confirmDelete: true,
+  importValidation: 'lenient',
   outputOnTop: false,
   controlOnTop: false,
   timerZoom: 100,
+  // Key bindings (see shared/shortcuts.js)
+  shortcuts: DEFAULT_SHORTCUTS,
   defaults: {
     mode: 'countdown',
     durationSec: 600,
@@ -1262,13 +1627,18 @@ const DEFAULT_APP_SETTINGS = {
     listenPort: 8000,
     feedbackEnabled: false,
     feedbackHost: '127.0.0.1',
-    feedbackPort: 9000
+    feedbackPort: 9000,
+    httpEnabled: false,
+    httpPort: 8080,
+    allowList: '',
+    controlPin: '',
+    viewerPin: ''
   }
 };
 
 function loadAppSettings() {
   try {
-    const saved = localStorage.getItem(APP_SETTINGS_KEY);
+    const saved = readStore('settings');
     if (saved) {
       const parsed = JSON.parse(saved);
       return {
@@ -1286,7 +1656,7 @@ function loadAppSettings() {
 
 function saveAppSettings(settings) {
   try {
-    localStorage.setItem(APP_SETTINGS_KEY, JSON.stringify(settings));
+    writeStore('settings', settings);
   } catch (e) {
     console.error('Failed to save app settings:', e);
   }
@@ -1583,6 +1953,10 @@ function openAppSettings() {
     els.appearance.value = settings.appearance || 'auto';
   }
 
+  if (els.importValidation) {
+    els.importValidation.value = settings.importValidation || 'lenient';
+  }
+
   els.confirmDelete.value = settings.confirmDelete ? 'on' : 'off';
   els.defaultMode.value = settings.defaults.mode;
   setDefaultDurationInputs(settings.defaults.durationSec);
@@ -1669,7 +2043,19 @@ function openAppSettings() {
   els.oscFeedbackEnabled.checked = osc.feedbackEnabled || false;
   els.oscFeedbackHost.value = osc.feedbackHost || '127.0.0.1';
   els.oscFeedbackPort.value = osc.feedbackPort || 9000;
+  els.httpEnabled.checked = osc.httpEnabled || false;
+  els.httpPort.value = osc.httpPort || 8080;
+  els.accessAllowList.value = osc.allowList || '';
+  els.accessControlPin.value = osc.controlPin || '';
+  els.accessViewerPin.value = osc.viewerPin || '';
   updateOSCVisibility();
+  renderAccessLog();
+  renderBackupList();
+
+  // Edit a copy of the key bindings until Save
+  shortcutDraft = getShortcuts().map(shortcut => ({ ...shortcut }));
+  capturingShortcut = null;
+  renderShortcutEditor();
 
   els.appSettingsModal.classList.remove('hidden');
 
@@ -1699,10 +2085,19 @@ function openAppSettings() {
 }
 
 function closeAppSettings() {
+  capturingShortcut = null;
   els.appSettingsModal.classList.add('hidden');
 }
 
 function saveAppSettingsFromForm() {
+  // Clashing keys would fire two actions (or never reach the window)
+  const boundShortcuts = shortcutDraft.filter(shortcut => shortcut.key);
+  if (findShortcutConflicts(boundShortcuts, IS_MAC).some(Boolean)) {
+    showToast('Fix the highlighted shortcut conflicts first', 'error');
+    els.shortcutList.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    return;
+  }
+
   const outputOnTop = els.outputOnTop.checked;
   const controlOnTop = els.controlOnTop.checked;
 
@@ -1712,7 +2107,12 @@ function saveAppSettingsFromForm() {
     listenPort: parseInt(els.oscListenPort.value, 10) || 8000,
     feedbackEnabled: els.oscFeedbackEnabled.checked,
     feedbackHost: els.oscFeedbackHost.value || '127.0.0.1',
-    feedbackPort: parseInt(els.oscFeedbackPort.value, 10) || 9000
+    feedbackPort: parseInt(els.oscFeedbackPort.value, 10) || 9000,
+    httpEnabled: els.httpEnabled.checked,
+    httpPort: parseInt(els.httpPort.value, 10) || 8080,
+    allowList: els.accessAllowList.value.trim(),
+    controlPin: els.accessControlPin.value.trim(),
+    viewerPin: els.accessViewerPin.value.trim()
   };
 
   const appearance = els.appearance?.value || 'auto';
@@ -1722,9 +2122,11 @@ function saveAppSettingsFromForm() {
     timezone: els.timezone?.value || 'auto',
     appearance: appearance,
     confirmDelete: els.confirmDelete.value === 'on',
+    importValidation: els.importValidation?.value || 'lenient',
     outputOnTop: outputOnTop,
     controlOnTop: controlOnTop,
     timerZoom: parseInt(els.timerZoom?.value, 10) || 100,
+    shortcuts: validateShortcuts(boundShortcuts),
     defaults: {
       mode: els.defaultMode.value,
       durationSec: getDefaultDurationSeconds(),
@@ -1755,7 +2157,10 @@ function saveAppSettingsFromForm() {
   window.ninja.setAlwaysOnTop('control', controlOnTop);
 
   // Apply OSC settings to main process
-  window.ninja.oscSetSettings(oscSettings).then(() => {
+  window.ninja.oscSetSettings(oscSettings).then((result) => {
+    if (result && !result.success) {
+      showToast(result.error || 'Invalid OSC settings', 'error');
+    }
     updateOSCStatus();
   });
 
@@ -1938,7 +2343,7 @@ function renderCustomSoundsList() {
  * Update all sound dropdowns with custom sounds
  */
 function updateSoundDropdowns() {
-  const dropdowns = [els.soundEnd, els.defaultSound];
+  const dropdowns = [els.soundEnd, els.defaultSound, els.intervalWorkSound, els.intervalRestSound];
 
   dropdowns.forEach(dropdown => {
     if (!dropdown) return;
@@ -2057,15 +2462,210 @@ async function loadAllCustomSounds() {
 function switchTab(tabName) {
   els.timersTabBtn.classList.toggle('active', tabName === 'timers');
   els.messagesTabBtn.classList.toggle('active', tabName === 'messages');
+  els.rundownTabBtn.classList.toggle('active', tabName === 'rundown');
   els.timersTab.classList.toggle('active', tabName === 'timers');
   els.messagesTab.classList.toggle('active', tabName === 'messages');
+  els.rundownTab.classList.toggle('active', tabName === 'rundown');
 
   // Update Add button text based on active tab
-  els.addTimer.textContent = tabName === 'timers' ? '+ Add Timer' : '+ Add Message';
+  els.addTimer.textContent = tabName === 'messages' ? '+ Add Message' : '+ Add Timer';
+
+  // Rundown projections only refresh while visible
+  if (tabName === 'rundown') {
+    startRundownUpdates();
+  } else {
+    stopRundownUpdates();
+  }
 }
 
 function getActiveTab() {
-  return els.messagesTab.classList.contains('active') ? 'messages' : 'timers';
+  if (els.messagesTab.classList.contains('active')) return 'messages';
+  if (els.rundownTab.classList.contains('active')) return 'rundown';
+  return 'timers';
+}
+
+// ============ Rundown ============
+
+const RUNDOWN_REFRESH_MS = 1000;
+
+// Actual start/end times recorded by main for the active profile
+let rundownActuals = {};
+let rundownInterval = null;
+
+function startRundownUpdates() {
+  renderRundown();
+  if (rundownInterval === null) {
+    rundownInterval = setInterval(renderRundown, RUNDOWN_REFRESH_MS);
+  }
+}
+
+function stopRundownUpdates() {
+  if (rundownInterval !== null) {
+    clearInterval(rundownInterval);
+    rundownInterval = null;
+  }
+}
+
+/**
+ * Elapsed time of the loaded timer (main's clock)
+ */
+function getCurrentElapsedMs() {
+  if (isRunning && timerState.startedAt !== null) {
+    return timerNow() - timerState.startedAt + timerState.pausedAcc;
+  }
+  return timerState.pausedAcc;
+}
+
+/**
+ * Render planned vs. actual/projected start times, drift and projected end
+ */
+function renderRundown() {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  const now = Date.now();
+  const todFormat = loadAppSettings().todFormat;
+  const rundown = computeRundown(profile.presets || [], {
+    showStart: resolveShowStart(profile.rundownStart, now),
+    actuals: rundownActuals,
+    current: { index: activePresetIndex, elapsedMs: getCurrentElapsedMs() },
+    now
+  });
+
+  // Don't overwrite while the operator is typing
+  if (document.activeElement !== els.rundownStart) {
+    els.rundownStart.value = profile.rundownStart || '';
+  }
+  els.rundownTimeBank.value = profile.timeBank || 'off';
+  els.rundownTimeBankHold.checked = profile.timeBankHold === true;
+  els.rundownTimeBankHold.disabled = (profile.timeBank || 'off') === 'off';
+
+  const driftText = describeDrift(rundown.driftMs);
+  els.rundownDrift.textContent = driftText;
+  els.rundownDrift.classList.toggle('late', driftText.endsWith('late'));
+  els.rundownDrift.classList.toggle('early', driftText.endsWith('early'));
+  els.rundownEnd.textContent = rundown.projectedEnd !== null
+    ? `Ends ${formatClockTime(rundown.projectedEnd, todFormat)}`
+    : '';
+
+  els.rundownList.innerHTML = '';
+  rundown.rows.forEach((row) => {
+    const item = document.createElement('div');
+    item.className = `rundown-row ${row.status}`;
+
+    const name = document.createElement('span');
+    name.className = 'rundown-name';
+    name.textContent = row.name || `Timer ${row.index + 1}`;
+
+    const planned = document.createElement('span');
+    planned.textContent = formatClockTime(row.plannedStart, todFormat);
+
+    // Actual start once started, otherwise the projection
+    const actual = document.createElement('span');
+    if (row.status === 'skipped') {
+      actual.textContent = 'Skipped';
+    } else {
+      actual.textContent = formatClockTime(row.actualStart ?? row.projectedStart, todFormat);
+      actual.classList.toggle('projected', row.actualStart === null);
+    }
+
+    const drift = document.createElement('span');
+    if (row.driftMs !== null) {
+      const driftSec = Math.round(row.driftMs / 1000);
+      drift.textContent = driftSec === 0 ? '0:00' : `${driftSec > 0 ? '+' : '-'}${formatTimePlain(Math.abs(driftSec) * 1000, 'MM:SS')}`;
+      drift.classList.toggle('late', row.driftMs >= ON_TIME_TOLERANCE_MS);
+      drift.classList.toggle('early', row.driftMs <= -ON_TIME_TOLERANCE_MS);
+    }
+
+    item.append(name, planned, actual, drift);
+    els.rundownList.appendChild(item);
+  });
+}
+
+/**
+ * Export the active profile's show report (main shows the save dialog)
+ */
+async function exportShowReport() {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  const result = await window.ninja.showLogExportReport(profile.id, profile.name);
+  if (result.success) {
+    showToast(`Exported report (${result.runs} timer run(s))`, 'success');
+  } else if (!result.canceled) {
+    showToast(result.error || 'Failed to export report', 'error');
+  }
+}
+
+/**
+ * Set the active profile's planned show start ('HH:MM', today)
+ */
+function setRundownStart(value) {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  profile.rundownStart = value || null;
+  saveProfiles();
+  renderRundown();
+}
+
+/**
+ * Set the active profile's time bank rule (see timeBank.js)
+ */
+function setTimeBankRule(rule) {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  profile.timeBank = rule;
+  saveProfiles();
+  renderPresetList();
+}
+
+/**
+ * Hold banked timers of the active profile in overtime at zero instead of
+ * advancing the chain
+ */
+function setTimeBankHold(hold) {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  if (hold) {
+    profile.timeBankHold = true;
+  } else {
+    delete profile.timeBankHold;
+  }
+  saveProfiles();
+}
+
+/**
+ * Time bank adjustment in seconds of each timer in the active profile
+ * @param {boolean} handover - Count timers in progress as finished now
+ *   (loading another timer ends them)
+ */
+function getTimeBankAdjustments(handover = false) {
+  const profile = getActiveProfile();
+  const now = Date.now();
+  let actuals = rundownActuals;
+  if (handover) {
+    actuals = Object.fromEntries(Object.entries(rundownActuals).map(([index, entry]) =>
+      [index, entry.endedAt === null ? { ...entry, endedAt: now } : entry]));
+  }
+  return computeTimeBank(profile?.presets || [], { rule: profile?.timeBank, actuals, now });
+}
+
+/**
+ * Preset config with its time bank adjustment, for loading the timer
+ */
+function getBankedConfig(index, config) {
+  const adjustSec = getTimeBankAdjustments(true)[index];
+  return adjustSec ? { ...config, durationSec: getBankedDurationSec(config, adjustSec) } : config;
+}
+
+/**
+ * Adjustment text like "+0:45" or "-1:20"
+ */
+function formatBankAdjustment(adjustSec) {
+  return `${adjustSec > 0 ? '+' : '-'}${formatTimePlain(Math.abs(adjustSec) * 1000, 'MM:SS')}`;
 }
 
 // ============ OSC Integration ============
@@ -2073,6 +2673,8 @@ function getActiveTab() {
 let oscFeedbackInterval = null;
 let oscEnabled = false;
 let oscFeedbackEnabled = false;
+// Main's OSC server state: { enabled, listening, port, error }
+let oscServerStatus = null;
 
 /**
  * Initialize OSC from saved settings
@@ -2081,7 +2683,7 @@ async function initOSC() {
   const settings = loadAppSettings();
   const osc = settings.osc || {};
 
-  if (osc.enabled || osc.feedbackEnabled) {
+  if (osc.enabled || osc.feedbackEnabled || osc.httpEnabled) {
     await window.ninja.oscSetSettings(osc);
     oscEnabled = osc.enabled;
     oscFeedbackEnabled = osc.feedbackEnabled;
@@ -2111,6 +2713,29 @@ function updateOSCVisibility() {
   if (els.oscFeedbackPortRow) {
     els.oscFeedbackPortRow.style.display = feedbackEnabled ? '' : 'none';
   }
+
+  // Show/hide HTTP port row
+  if (els.httpPortRow) {
+    els.httpPortRow.style.display = els.httpEnabled.checked ? '' : 'none';
+  }
+  updateRemoteViewerHint();
+}
+
+/**
+ * Show the LAN URL for the browser output viewer
+ */
+async function updateRemoteViewerHint() {
+  if (!els.httpViewerHint) return;
+
+  if (!els.httpEnabled.checked) {
+    els.httpViewerHint.textContent = '';
+    return;
+  }
+
+  const addresses = await window.ninja.httpGetAddresses();
+  const host = addresses[0] || 'localhost';
+  const base = `http://${host}:${els.httpPort.value}`;
+  els.httpViewerHint.textContent = `Browser output: ${base}/output/ • Remote control: ${base}/control`;
 }
 
 /**
@@ -2119,131 +2744,187 @@ function updateOSCVisibility() {
 function updateOSCStatus() {
   if (!els.oscStatus) return;
 
-  const enabled = els.oscEnabled.checked;
+  // --osc-port turns the server on without changing the saved setting
+  const enabled = els.oscEnabled.checked || !!oscServerStatus?.enabled;
   const feedbackEnabled = els.oscFeedbackEnabled.checked;
+  const httpEnabled = els.httpEnabled.checked;
 
-  if (!enabled && !feedbackEnabled) {
+  if (!enabled && !feedbackEnabled && !httpEnabled) {
     els.oscStatus.textContent = '';
+    els.oscStatus.classList.remove('error');
     return;
   }
 
   const parts = [];
-  if (enabled) {
-    parts.push(`Listening on port ${els.oscListenPort.value}`);
+  const oscError = enabled && oscServerStatus?.error;
+  if (oscError) {
+    parts.push(`OSC not listening: ${oscServerStatus.error}`);
+  } else if (enabled) {
+    parts.push(`Listening on port ${oscServerStatus?.port || els.oscListenPort.value}`);
   }
   if (feedbackEnabled) {
     parts.push(`Feedback to ${els.oscFeedbackHost.value}:${els.oscFeedbackPort.value}`);
   }
+  const httpError = httpEnabled && oscServerStatus?.httpError;
+  if (httpError) {
+    parts.push(`HTTP not listening: ${httpError}`);
+  } else if (httpEnabled) {
+    parts.push(`HTTP/WebSocket on port ${els.httpPort.value}`);
+  }
 
   els.oscStatus.textContent = parts.join(' • ');
+  els.oscStatus.classList.toggle('error', !!(oscError || httpError));
 }
 
 /**
- * Handle incoming OSC command
- * All indices are 1-based for user-friendliness
+ * Render rejected network access attempts in app settings
  */
-function handleOSCCommand(address, args) {
-  const presets = loadPresets();
+async function renderAccessLog() {
+  if (!els.accessLog) return;
 
-  switch (address) {
-    // Timer control
-    case '/ninja/timer/start':
-      sendCommand('start');
-      break;
+  const entries = await window.ninja.accessGetLog();
+  els.accessLog.innerHTML = '';
 
-    case '/ninja/timer/pause':
-      sendCommand('pause');
-      break;
+  // Newest first
+  entries.slice().reverse().forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'access-log-entry';
+    const time = new Date(entry.time).toLocaleTimeString();
+    row.textContent = `${time} • ${entry.source.toUpperCase()} ${entry.address} • ${entry.reason}${entry.detail ? ` (${entry.detail})` : ''}`;
+    els.accessLog.appendChild(row);
+  });
+}
 
-    case '/ninja/timer/resume':
-      sendCommand('resume');
-      break;
+/**
+ * Trigger a synchronized flash on preview and output
+ * Uses shared FlashAnimator for font-relative glow
+ * @returns {boolean} - False if a flash is already in progress
+ */
+function triggerFlash() {
+  // Don't start new flash if already flashing
+  if (flashAnimator?.isFlashing) return false;
 
-    case '/ninja/timer/toggle':
-      if (isRunning) {
-        sendCommand('pause');
-      } else if (timerState.startedAt !== null) {
-        sendCommand('resume');
-      } else {
-        sendCommand('start');
-      }
-      break;
+  // Create timestamp for sync - both windows use the same startedAt
+  const flashStartedAt = timerNow();
 
-    case '/ninja/timer/reset':
-      sendCommand('reset');
-      break;
+  // Collect elements to flash: timer + ToD (if visible)
+  // Message should never flash
+  const elementsToFlash = [els.livePreviewTimer];
+  const hasToD = els.livePreviewTimerSection?.classList.contains('with-tod');
+  if (hasToD && els.livePreviewToD) {
+    elementsToFlash.push(els.livePreviewToD);
+  }
+
+  // Create flash animator with shared code (font-relative glow)
+  // Pass null for container so only the timer/ToD text flashes
+  flashAnimator = new FlashAnimator(
+    elementsToFlash,
+    null,
+    () => {
+      // On complete - update button state and clear flash state
+      els.flashBtn.classList.remove('flashing');
+      flashState.active = false;
+      flashState.startedAt = null;
+    },
+    timerNow
+  );
 
-    case '/ninja/timer/stop':
-      sendCommand('reset');
-      break;
+  // Store flash state for broadcast
+  flashState.active = true;
+  flashState.startedAt = flashStartedAt;
 
+  els.flashBtn.classList.add('flashing');
+  flashAnimator.start(flashStartedAt);
+
+  // Broadcast state immediately so output starts with same timestamp
+  broadcastTimerState();
+  return true;
+}
+
+/**
+ * Handle incoming remote command (OSC or HTTP)
+ * All indices are 1-based for user-friendliness
+ * @param {string} address - Command address (e.g. /ninja/timer/start)
+ * @param {Array} args - Command arguments
+ * @returns {Object} - { success: boolean, error?: string }
+ */
+function handleOSCCommand(address, args = []) {
+  const presets = loadPresets();
+
+  switch (address) {
+    // Timer control
+    // (start/pause/resume/toggle/reset/stop run on the main-process timer engine)
     case '/ninja/timer/select': {
       // 1-based index from OSC, convert to 0-based
       const index = (args[0] || 1) - 1;
-      if (index >= 0 && index < presets.length) {
-        activePresetIndex = index;
-        setActiveTimerConfig(presets[index].config);
-        applyConfig(presets[index].config);
-        renderPresetList();
-        broadcastTimerState();
+      if (!(index >= 0 && index < presets.length)) {
+        return { success: false, error: 'Timer not found' };
       }
+      activePresetIndex = index;
+      setActiveTimerConfig(getBankedConfig(index, presets[index].config));
+      applyConfig(presets[index].config);
+      renderPresetList();
+      broadcastTimerState();
       break;
     }
 
     case '/ninja/timer/select/name': {
       const name = args[0];
-      if (name) {
-        const index = presets.findIndex(p => p.name === name);
-        if (index >= 0) {
-          activePresetIndex = index;
-          setActiveTimerConfig(presets[index].config);
-          applyConfig(presets[index].config);
-          renderPresetList();
-          broadcastTimerState();
-        }
+      const index = name ? presets.findIndex(p => p.name === name) : -1;
+      if (index < 0) {
+        return { success: false, error: 'Timer not found' };
       }
+      activePresetIndex = index;
+      setActiveTimerConfig(getBankedConfig(index, presets[index].config));
+      applyConfig(presets[index].config);
+      renderPresetList();
+      broadcastTimerState();
       break;
     }
 
     case '/ninja/timer/next': {
-      if (presets.length > 0) {
-        const next = (activePresetIndex === null ? 0 : activePresetIndex + 1) % presets.length;
-        activePresetIndex = next;
-        setActiveTimerConfig(presets[next].config);
-        applyConfig(presets[next].config);
-        renderPresetList();
-        broadcastTimerState();
+      if (presets.length === 0) {
+        return { success: false, error: 'No timers in profile' };
       }
+      const next = (activePresetIndex === null ? 0 : activePresetIndex + 1) % presets.length;
+      activePresetIndex = next;
+      setActiveTimerConfig(getBankedConfig(next, presets[next].config));
+      applyConfig(presets[next].config);
+      renderPresetList();
+      broadcastTimerState();
       break;
     }
 
     case '/ninja/timer/previous': {
-      if (presets.length > 0) {
-        const prev = activePresetIndex === null ? 0 : (activePresetIndex - 1 + presets.length) % presets.length;
-        activePresetIndex = prev;
-        setActiveTimerConfig(presets[prev].config);
-        applyConfig(presets[prev].config);
-        renderPresetList();
-        broadcastTimerState();
+      if (presets.length === 0) {
+        return { success: false, error: 'No timers in profile' };
       }
+      const prev = activePresetIndex === null ? 0 : (activePresetIndex - 1 + presets.length) % presets.length;
+      activePresetIndex = prev;
+      setActiveTimerConfig(getBankedConfig(prev, presets[prev].config));
+      applyConfig(presets[prev].config);
+      renderPresetList();
+      broadcastTimerState();
       break;
     }
 
     case '/ninja/timer/duration': {
       const seconds = args[0];
-      if (typeof seconds === 'number' && seconds > 0) {
-        activeTimerConfig.durationSec = seconds;
-        broadcastTimerState();
+      if (!(typeof seconds === 'number' && seconds > 0)) {
+        return { success: false, error: 'Duration must be a positive number of seconds' };
       }
+      activeTimerConfig.durationSec = seconds;
+      broadcastTimerState();
       break;
     }
 
     case '/ninja/timer/duration/add': {
       const delta = args[0];
-      if (typeof delta === 'number') {
-        activeTimerConfig.durationSec = Math.max(1, activeTimerConfig.durationSec + delta);
-        broadcastTimerState();
+      if (typeof delta !== 'number' || isNaN(delta)) {
+        return { success: false, error: 'Seconds must be a number' };
       }
+      activeTimerConfig.durationSec = Math.max(1, activeTimerConfig.durationSec + delta);
+      broadcastTimerState();
       break;
     }
 
@@ -2259,9 +2940,9 @@ function handleOSCCommand(address, args) {
       break;
 
     case '/ninja/display/flash':
-      // Trigger flash via the existing flash mechanism
-      flashAnimator?.trigger();
-      broadcastTimerState();
+      if (!triggerFlash()) {
+        return { success: false, error: 'Flash already in progress' };
+      }
       break;
 
     case '/ninja/display/visibility': {
@@ -2275,20 +2956,23 @@ function handleOSCCommand(address, args) {
       // 1-based index from OSC
       const index = (args[0] || 1) - 1;
       const messages = loadMessages();
-      if (index >= 0 && index < messages.length) {
-        toggleMessageVisibility(messages[index].id, true);
+      if (!(index >= 0 && index < messages.length)) {
+        return { success: false, error: 'Message not found' };
+      }
+      if (!messages[index].visible) {
+        toggleMessageVisibility(messages[index].id);
       }
       break;
     }
 
     case '/ninja/message/show/text': {
       const searchText = args[0];
-      if (searchText) {
-        const messages = loadMessages();
-        const msg = messages.find(m => m.text.includes(searchText));
-        if (msg) {
-          toggleMessageVisibility(msg.id, true);
-        }
+      const msg = searchText ? loadMessages().find(m => m.text.includes(searchText)) : null;
+      if (!msg) {
+        return { success: false, error: 'Message not found' };
+      }
+      if (!msg.visible) {
+        toggleMessageVisibility(msg.id);
       }
       break;
     }
@@ -2297,7 +2981,7 @@ function handleOSCCommand(address, args) {
       const messages = loadMessages();
       const visibleMsg = messages.find(m => m.visible);
       if (visibleMsg) {
-        toggleMessageVisibility(visibleMsg.id, false);
+        toggleMessageVisibility(visibleMsg.id);
       }
       break;
     }
@@ -2306,26 +2990,29 @@ function handleOSCCommand(address, args) {
     case '/ninja/profile/select': {
       // 1-based index from OSC
       const index = (args[0] || 1) - 1;
-      if (index >= 0 && index < profiles.length) {
-        switchProfile(profiles[index].id);
+      if (!(index >= 0 && index < profiles.length)) {
+        return { success: false, error: 'Profile not found' };
       }
+      switchProfile(profiles[index].id);
       break;
     }
 
     case '/ninja/profile/select/name': {
       const name = args[0];
-      if (name) {
-        const profile = profiles.find(p => p.name === name);
-        if (profile) {
-          switchProfile(profile.id);
-        }
+      const profile = name ? profiles.find(p => p.name === name) : null;
+      if (!profile) {
+        return { success: false, error: 'Profile not found' };
       }
+      switchProfile(profile.id);
       break;
     }
 
     default:
       console.log('[OSC] Unknown command:', address, args);
+      return { success: false, error: 'Unknown command' };
   }
+
+  return { success: true };
 }
 
 /**
@@ -2359,25 +3046,39 @@ function sendOSCFeedback() {
   const preset = activePresetIndex !== null ? presets[activePresetIndex] : null;
   const profile = getActiveProfile();
 
-  // Calculate display values
+  // Calculate display values (same text as the output)
+  const appSettings = loadAppSettings();
   const display = computeDisplay({
     mode: activeTimerConfig.mode,
+    format: activeTimerConfig.format,
+    interval: activeTimerConfig.interval,
+    targetDate: activeTimerConfig.targetDate,
+    overtimePrefix: activeTimerConfig.overtimePrefix,
+    overtimeSuffix: activeTimerConfig.overtimeSuffix,
+    todFormat: appSettings.todFormat,
+    timezone: appSettings.timezone,
     durationMs: activeTimerConfig.durationSec * 1000,
     startedAt: timerState.startedAt,
     pausedAccMs: timerState.pausedAcc,
     isRunning,
     ended: timerState.ended,
-    overtime: timerState.overtime
-  }, Date.now());
+    overtime: timerState.overtime,
+    overtimeStartedAt: timerState.overtimeStartedAt
+  }, timerNow());
 
   // Send all feedback messages
   window.ninja.oscSendFeedback('/ninja/state/running', [isRunning ? 1 : 0]);
-  window.ninja.oscSendFeedback('/ninja/state/time', [display.text || '--:--']);
+  window.ninja.oscSendFeedback('/ninja/state/time', [display.plainText || '--:--']);
   window.ninja.oscSendFeedback('/ninja/state/remaining', [Math.floor((display.remainingMs || 0) / 1000)]);
   window.ninja.oscSendFeedback('/ninja/state/elapsed', [Math.floor((display.elapsedMs || 0) / 1000)]);
   window.ninja.oscSendFeedback('/ninja/state/progress', [display.progress || 0]);
   window.ninja.oscSendFeedback('/ninja/state/overtime', [display.overtime ? 1 : 0]);
   window.ninja.oscSendFeedback('/ninja/state/ended', [timerState.ended ? 1 : 0]);
+  window.ninja.oscSendFeedback('/ninja/state/laps', [timerState.laps.length]);
+  // Interval rounds (0 and '' for other modes)
+  window.ninja.oscSendFeedback('/ninja/state/round', [display.interval?.round ?? 0]);
+  window.ninja.oscSendFeedback('/ninja/state/rounds', [display.interval?.rounds ?? 0]);
+  window.ninja.oscSendFeedback('/ninja/state/phase', [display.interval?.phase ?? '']);
   window.ninja.oscSendFeedback('/ninja/state/blackout', [blackoutActive ? 1 : 0]);
   window.ninja.oscSendFeedback('/ninja/state/timer/name', [preset?.name || '']);
   window.ninja.oscSendFeedback('/ninja/state/timer/index', [(activePresetIndex ?? -1) + 1]); // 1-based
@@ -2925,16 +3626,152 @@ function closeConfirmDialog(result) {
   }
 }
 
-// ============ Keyboard Shortcuts Modal ============
+// ============ Keyboard Shortcuts ============
+
+const IS_MAC = /Mac/.test(navigator.platform);
+
+// Key bindings being edited in App Settings, and the row waiting for a key
+let shortcutDraft = [];
+let capturingShortcut = null;
+
+/**
+ * Saved key bindings (defaults if none)
+ */
+function getShortcuts() {
+  return validateShortcuts(loadAppSettings().shortcuts) || DEFAULT_SHORTCUTS;
+}
+
+/**
+ * Run a shortcut action (from this window's keys or the output window's)
+ * @param {Object} shortcut - { action, index? }
+ */
+function runShortcutAction({ action, index }) {
+  const definition = getShortcutAction(action);
+  if (definition?.seconds) {
+    handleOSCCommand('/ninja/timer/duration/add', [definition.seconds]);
+    return;
+  }
+
+  switch (action) {
+    case 'toggle':
+      if (isRunning) {
+        sendCommand('pause');
+      } else if (timerState.startedAt !== null) {
+        // Timer is paused - resume
+        sendCommand('resume');
+      } else {
+        // Timer hasn't started - start fresh
+        sendCommand('start');
+      }
+      updatePlayingRowState(); // Update button states without re-rendering
+      break;
+    case 'start':
+    case 'pause':
+    case 'reset':
+      sendCommand(action);
+      break;
+    case 'lap':
+      recordLap();
+      break;
+    case 'next':
+      handleOSCCommand('/ninja/timer/next');
+      break;
+    case 'previous':
+      handleOSCCommand('/ninja/timer/previous');
+      break;
+    case 'message':
+      handleOSCCommand('/ninja/message/show', [index]);
+      break;
+    case 'hideMessage':
+      handleOSCCommand('/ninja/message/hide');
+      break;
+    case 'flash':
+      els.flashBtn.click();
+      break;
+    case 'blackout':
+      window.ninja.toggleBlackout();
+      break;
+    case 'fullscreen':
+      window.ninja.fullscreenOutput();
+      break;
+    case 'profile':
+      if (profiles[index - 1]) {
+        switchProfile(profiles[index - 1].id);
+      }
+      break;
+    case 'help':
+      toggleShortcutsModal();
+      break;
+  }
+}
 
 function toggleShortcutsModal() {
   if (els.shortcutsModal.classList.contains('hidden')) {
+    renderShortcutsHelp();
     els.shortcutsModal.classList.remove('hidden');
   } else {
     els.shortcutsModal.classList.add('hidden');
   }
 }
 
+function createKbd(combo) {
+  const kbd = document.createElement('kbd');
+  kbd.textContent = formatKeyCombo(combo, IS_MAC);
+  return kbd;
+}
+
+/**
+ * List the current bindings in the help modal, grouped like the editor.
+ * Digit keys bound to the matching number ("1" -> profile 1) share a row.
+ */
+function renderShortcutsHelp() {
+  const shortcuts = getShortcuts();
+  const sections = new Map();
+  const addRow = (title, keys, label) => {
+    if (!sections.has(title)) sections.set(title, []);
+    sections.get(title).push({ keys, label });
+  };
+
+  SHORTCUT_ACTIONS.forEach((action) => {
+    const bound = shortcuts.filter(s => s.action === action.id);
+    if (bound.length === 0) return;
+
+    const title = bound.every(s => s.scope === 'output') ? 'Output Window' : action.group;
+    const digits = bound.every(s => s.key === String(s.index)) && bound.length > 1
+      && bound.every((s, i) => i === 0 || s.index === bound[i - 1].index + 1);
+    if (action.numbered && digits) {
+      const first = bound[0].index;
+      const last = bound[bound.length - 1].index;
+      addRow(title, [bound[0].key, bound[bound.length - 1].key], `${action.label} ${first}-${last}`);
+      return;
+    }
+    bound.forEach(s => addRow(title, [s.key], describeShortcut(s)));
+  });
+
+  els.shortcutsHelpList.innerHTML = '';
+  sections.forEach((rows, title) => {
+    const section = document.createElement('div');
+    section.className = 'shortcuts-section';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    rows.forEach(({ keys, label }) => {
+      const row = document.createElement('div');
+      row.className = 'shortcut-row';
+      keys.forEach((key, i) => {
+        if (i > 0) row.append(' - ');
+        row.appendChild(createKbd(key));
+      });
+      const span = document.createElement('span');
+      span.textContent = label;
+      row.appendChild(span);
+      section.appendChild(row);
+    });
+    els.shortcutsHelpList.appendChild(section);
+  });
+}
+
 function setupShortcutsModal() {
   // Close button
   els.shortcutsClose.addEventListener('click', () => {
@@ -2949,6 +3786,154 @@ function setupShortcutsModal() {
   });
 }
 
+// ---- Shortcut Editor (App Settings) ----
+
+/**
+ * Render one row per binding: key button, action, number, window, remove
+ */
+function renderShortcutEditor() {
+  const conflicts = findShortcutConflicts(shortcutDraft, IS_MAC);
+  els.shortcutList.innerHTML = '';
+
+  shortcutDraft.forEach((shortcut, i) => {
+    const action = getShortcutAction(shortcut.action);
+    const item = document.createElement('div');
+    item.className = 'shortcut-item';
+    item.classList.toggle('conflict', Boolean(conflicts[i]));
+
+    const keyBtn = document.createElement('button');
+    keyBtn.type = 'button';
+    keyBtn.className = 'shortcut-key secondary';
+    if (capturingShortcut === i) {
+      keyBtn.classList.add('capturing');
+      keyBtn.textContent = 'Press keys…';
+    } else if (shortcut.key) {
+      keyBtn.textContent = formatKeyCombo(shortcut.key, IS_MAC); // Safe: uses textContent
+    } else {
+      keyBtn.classList.add('unset');
+      keyBtn.textContent = 'Not set';
+    }
+    keyBtn.title = 'Click, then press a key combination';
+    keyBtn.addEventListener('click', () => {
+      capturingShortcut = capturingShortcut === i ? null : i;
+      renderShortcutEditor();
+    });
+
+    const actionSelect = document.createElement('select');
+    const groups = new Map();
+    SHORTCUT_ACTIONS.forEach((option) => {
+      if (!groups.has(option.group)) {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = option.group;
+        groups.set(option.group, optgroup);
+        actionSelect.appendChild(optgroup);
+      }
+      groups.get(option.group).appendChild(new Option(option.numbered ? `${option.label} #` : option.label, option.id));
+    });
+    actionSelect.value = shortcut.action;
+    actionSelect.addEventListener('change', () => {
+      const next = getShortcutAction(actionSelect.value);
+      shortcut.action = next.id;
+      if (next.numbered) {
+        shortcut.index = shortcut.index || 1;
+      } else {
+        delete shortcut.index;
+      }
+      if (next.scopes && !next.scopes.includes(shortcut.scope)) {
+        shortcut.scope = next.scopes[0];
+      }
+      renderShortcutEditor();
+    });
+
+    const indexInput = document.createElement('input');
+    indexInput.type = 'number';
+    indexInput.min = '1';
+    indexInput.max = '99';
+    indexInput.className = 'number-input';
+    indexInput.title = 'Message or profile number';
+    indexInput.value = shortcut.index || 1;
+    indexInput.style.visibility = action?.numbered ? 'visible' : 'hidden';
+    indexInput.addEventListener('change', () => {
+      shortcut.index = Math.min(99, Math.max(1, parseInt(indexInput.value, 10) || 1));
+      renderShortcutEditor();
+    });
+
+    const scopeSelect = document.createElement('select');
+    SHORTCUT_SCOPES
+      .filter(scope => !action?.scopes || action.scopes.includes(scope.value))
+      .forEach(scope => scopeSelect.appendChild(new Option(scope.label, scope.value)));
+    scopeSelect.value = shortcut.scope;
+    scopeSelect.addEventListener('change', () => {
+      shortcut.scope = scopeSelect.value;
+      renderShortcutEditor();
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'shortcut-remove';
+    removeBtn.title = 'Remove shortcut';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => {
+      shortcutDraft.splice(i, 1);
+      capturingShortcut = null;
+      renderShortcutEditor();
+    });
+
+    item.append(keyBtn, actionSelect, indexInput, scopeSelect, removeBtn);
+
+    if (conflicts[i]) {
+      const note = document.createElement('div');
+      note.className = 'shortcut-conflict';
+      note.textContent = conflicts[i]; // Safe: uses textContent
+      item.appendChild(note);
+    }
+
+    els.shortcutList.appendChild(item);
+    if (capturingShortcut === i) keyBtn.focus();
+  });
+
+  const conflictCount = conflicts.filter(Boolean).length;
+  els.shortcutConflicts.textContent = conflictCount > 0
+    ? `${conflictCount} shortcut(s) clash with another key. Change or remove them to save.`
+    : '';
+  els.shortcutConflicts.classList.toggle('hidden', conflictCount === 0);
+}
+
+function setupShortcutEditor() {
+  els.addShortcut.addEventListener('click', () => {
+    shortcutDraft.push({ key: '', action: 'toggle', scope: 'both' });
+    capturingShortcut = shortcutDraft.length - 1;
+    renderShortcutEditor();
+  });
+
+  els.resetShortcuts.addEventListener('click', () => {
+    shortcutDraft = DEFAULT_SHORTCUTS.map(shortcut => ({ ...shortcut }));
+    capturingShortcut = null;
+    renderShortcutEditor();
+  });
+
+  // Capture phase, so the settings modal's Enter/Escape handling doesn't see the key
+  window.addEventListener('keydown', (e) => {
+    if (capturingShortcut === null) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    const combo = getKeyCombo(e);
+    if (!combo) return; // Modifier on its own - wait for the key
+    shortcutDraft[capturingShortcut].key = combo;
+    capturingShortcut = null;
+    renderShortcutEditor();
+  }, true);
+
+  // Clicking elsewhere cancels
+  document.addEventListener('mousedown', (e) => {
+    if (capturingShortcut !== null && !e.target.closest('.shortcut-key')) {
+      capturingShortcut = null;
+      renderShortcutEditor();
+    }
+  });
+}
+
 // ============ Confirm Dialog ============
 
 function setupConfirmDialog() {
@@ -3145,6 +4130,39 @@ function clearAllRowProgressBars() {
   });
 }
 
+// Last shown time bank adjustments (to avoid unnecessary DOM updates)
+let lastTimeBankKey = null;
+
+/**
+ * Show time bank adjustments under the preset durations
+ * Called every frame (overruns in progress grow), so rows only change with the adjustments
+ * @param {boolean} force - Rows were just rebuilt
+ */
+function updateTimeBankBadges(force = false) {
+  const profile = getActiveProfile();
+  const presets = loadPresets();
+  const adjustments = getTimeBankAdjustments();
+  const key = JSON.stringify([profile?.timeBank, adjustments, presets.map(p => !!p.bankBuffer)]);
+  if (!force && key === lastTimeBankKey) return;
+  lastTimeBankKey = key;
+
+  cachedPresetRows.forEach((row, idx) => {
+    const badge = row?.querySelector('.preset-bank');
+    const preset = presets[idx];
+    if (!badge || !preset) return;
+
+    const adjustSec = adjustments[idx] || 0;
+    const isBuffer = profile?.timeBank === 'buffer' && preset.bankBuffer === true;
+    badge.classList.toggle('hidden', adjustSec === 0 && !isBuffer);
+    badge.classList.toggle('gain', adjustSec > 0);
+    badge.classList.toggle('loss', adjustSec < 0);
+    badge.textContent = adjustSec !== 0 ? formatBankAdjustment(adjustSec) : 'Buffer';
+    badge.title = adjustSec !== 0
+      ? `Time bank: runs ${secondsToHMS(getBankedDurationSec(preset.config, adjustSec))} (planned ${secondsToHMS(preset.config?.durationSec || 0)})`
+      : 'Time bank buffer: takes the chain\'s overruns and under-runs';
+  });
+}
+
 /**
  * Update the playing class and button states on preset rows without full re-render
  * Only updates innerHTML when state actually changes to avoid interfering with clicks
@@ -3243,28 +4261,8 @@ function initProgressBarInteractivity() {
 function seekToTime(targetElapsedMs) {
   // Always seek within the current timer only - never switch timers via progress bar click
   // Timer switching in linked chains should only happen automatically when timers complete
-  const durationMs = activeTimerConfig.durationSec * 1000;
-  const clampedElapsed = Math.max(0, Math.min(targetElapsedMs, durationMs));
-
-  const now = Date.now();
-  if (isRunning) {
-    timerState.startedAt = now - clampedElapsed;
-    timerState.pausedAcc = 0; // Clear pausedAcc since seeked position is encoded in startedAt
-  } else {
-    timerState.pausedAcc = clampedElapsed;
-    if (timerState.startedAt === null) {
-      timerState.startedAt = now;
-    }
-  }
-
-  // Clear ended/overtime state if seeking back
-  if (clampedElapsed < durationMs) {
-    timerState.ended = false;
-    timerState.overtime = false;
-    timerState.overtimeStartedAt = null;
-  }
-
-  broadcastTimerState();
+  syncTimerSelection();
+  window.ninja.timerControl('seek', { elapsedMs: targetElapsedMs });
 }
 
 /**
@@ -3273,7 +4271,8 @@ function seekToTime(targetElapsedMs) {
 function renderWarningZones() {
   if (!activeTimerConfig || !els.warningZones) return;
 
-  const durationSec = activeTimerConfig.durationSec;
+  // A countdown to date has no fixed length to mark out
+  const durationSec = activeTimerConfig.mode === 'countdown-date' ? 0 : activeTimerConfig.durationSec;
   const yellowSec = activeTimerConfig.warnYellowSec ?? 60;
   const orangeSec = activeTimerConfig.warnOrangeSec ?? 15;
 
@@ -3328,12 +4327,38 @@ function renderWarningZonesForDuration(durationSec, yellowSec, orangeSec) {
 function renderSmartSegments() {
   if (!activeTimerConfig || !els.progressSegments) return;
   if (activeTimerConfig.mode === 'tod') return;
+  if (activeTimerConfig.mode === 'countdown-date') {
+    renderSmartSegmentsForDuration(0);
+    return;
+  }
 
   // Check if count-up mode
-  const isCountUp = activeTimerConfig.mode === 'countup' || activeTimerConfig.mode === 'countup-tod';
+  const isCountUp = ['countup', 'countup-tod', 'stopwatch', 'interval'].includes(activeTimerConfig.mode);
 
   // Always use current timer's duration only
   renderSmartSegmentsForDuration(activeTimerConfig.durationSec, isCountUp);
+  renderTimeBankMarker();
+}
+
+/**
+ * Mark the loaded timer's time bank adjustment: the planned end when time
+ * was added, otherwise a label at the end of the bar
+ */
+function renderTimeBankMarker() {
+  const durationSec = activeTimerConfig.durationSec;
+  const adjustSec = activePresetIndex !== null ? getTimeBankAdjustments()[activePresetIndex] : 0;
+  if (!adjustSec || durationSec <= 0) return;
+
+  const marker = document.createElement('div');
+  marker.className = `segment-marker bank ${adjustSec > 0 ? 'gain' : 'loss'}`;
+  if (adjustSec > 0) {
+    marker.style.left = (Math.max(0, durationSec - adjustSec) / durationSec) * 100 + '%';
+  } else {
+    marker.style.left = '100%';
+    marker.style.background = 'transparent';
+  }
+  marker.dataset.time = `Bank ${formatBankAdjustment(adjustSec)}`;
+  els.progressSegments.appendChild(marker);
 }
 
 /**
@@ -3442,6 +4467,8 @@ function openModal(presetIndex = null) {
   updateDurationDigitDisplay();
   updateDurationControlsFormat();
   updateOvertimeVisibility();
+  updateLastLapVisibility();
+  updateIntervalVisibility();
   updateModalPreview();
 }
 
@@ -3451,8 +4478,23 @@ function closeModal() {
 }
 
 function saveModal() {
+  if (els.format.value === 'custom') {
+    const error = getFormatTemplateError(els.formatTemplate.value);
+    if (error) {
+      showToast(error, 'error');
+      els.formatTemplate.focus();
+      return;
+    }
+  }
+
+  if (els.mode?.value === 'countdown-date' && !toZonedDateTime(els.targetDate?.value, loadAppSettings().timezone)) {
+    showToast('Please set a target date', 'error');
+    els.targetDate?.focus();
+    return;
+  }
+
   // Validate target time for non-manual start modes
-  const startMode = els.startMode?.value || 'manual';
+  const startMode = els.mode?.value === 'countdown-date' ? 'manual' : els.startMode?.value || 'manual';
   if (startMode !== 'manual') {
     const targetTime = els.targetTime?.value;
     if (!targetTime) {
@@ -3488,9 +4530,8 @@ function saveModal() {
   const presets = loadPresets();
 
   if (editingPresetIndex !== null) {
-    // Update existing preset (preserve linkedToNext)
-    const linkedToNext = presets[editingPresetIndex].linkedToNext || false;
-    presets[editingPresetIndex] = { name, config, linkedToNext };
+    // Update existing preset (preserve linkedToNext and notes)
+    presets[editingPresetIndex] = { ...presets[editingPresetIndex], name, config };
     showToast(`Updated "${name}"`, 'success');
 
     // If editing the active timer, update activeTimerConfig too
@@ -4102,7 +5143,8 @@ function alignDurationButtons() {
  */
 function getAutoFitPercent() {
   const mode = activeTimerConfig?.mode || 'countdown';
-  const hasToD = mode === 'countdown-tod' || mode === 'countup-tod';
+  const hasToD = mode === 'countdown-tod' || mode === 'countup-tod' || mode === 'interval' ||
+    (mode === 'stopwatch' && activeTimerConfig.showLastLap);
   return hasToD ? 0.9 : 0.95;
 }
 
@@ -4180,13 +5222,16 @@ function applyLivePreviewAlignment() {
 }
 
 /**
- * Broadcast canonical timer state to output window
+ * Broadcast canonical timer state to output window and remote clients
  * Uses StageTimer-style sync: send raw timestamps, output computes display
  */
 function broadcastTimerState() {
-  if (!outputWindowReady) return;
-
+  // Always broadcast (not just when output is open) - main merges in the
+  // engine's timing and also streams this state to WebSocket clients
+  syncTimerSelection();
   const appSettings = loadAppSettings();
+  const activeProfile = getActiveProfile();
+  const activePreset = activePresetIndex !== null ? getActivePresets()[activePresetIndex] : null;
 
   // Increment sequence number
   stateSeq++;
@@ -4197,14 +5242,20 @@ function broadcastTimerState() {
     mode: activeTimerConfig.mode,
     startMode: activeTimerConfig.startMode || 'manual',
     targetTime: activeTimerConfig.targetTime || null,
+    targetDate: activeTimerConfig.targetDate || null,
     durationMs: activeTimerConfig.durationSec * 1000,
     format: activeTimerConfig.format,
+    overtimePrefix: activeTimerConfig.overtimePrefix,
+    overtimeSuffix: activeTimerConfig.overtimeSuffix,
     startedAt: timerState.startedAt,
     pausedAccMs: timerState.pausedAcc,
     isRunning: isRunning,
     ended: timerState.ended,
     overtime: timerState.overtime,
     overtimeStartedAt: timerState.overtimeStartedAt,
+    laps: timerState.laps,
+    showLastLap: activeTimerConfig.showLastLap === true,
+    interval: activeTimerConfig.interval || null,
     blackout: isBlackedOut,
     flash: {
       active: flashState.active,
@@ -4219,7 +5270,36 @@ function broadcastTimerState() {
     timerZoom: appSettings.timerZoom ?? 100,
     // Warning thresholds for color changes
     warnYellowSec: activeTimerConfig.warnYellowSec ?? 60,
-    warnOrangeSec: activeTimerConfig.warnOrangeSec ?? 15
+    warnOrangeSec: activeTimerConfig.warnOrangeSec ?? 15,
+    // Active profile/timer (for remote clients)
+    profile: activeProfile ? { id: activeProfile.id, name: activeProfile.name } : null,
+    timer: {
+      index: activePresetIndex,
+      name: activePreset?.name || null
+    }
+  });
+}
+
+/**
+ * Send the active profile's timers and messages to main for remote control clients
+ * Called whenever profiles are saved (main skips unchanged libraries)
+ */
+function broadcastRemoteLibrary() {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  window.ninja.sendRemoteLibrary({
+    profile: { id: profile.id, name: profile.name },
+    timers: (profile.presets || []).map(p => ({
+      name: p.name,
+      mode: p.config?.mode,
+      durationSec: p.config?.durationSec,
+      linkedToNext: !!p.linkedToNext
+    })),
+    messages: (profile.messages || []).map(m => ({
+      text: m.text,
+      visible: !!m.visible
+    }))
   });
 }
 
@@ -4290,16 +5370,6 @@ function renderLivePreviewInternal() {
   const startMode = activeTimerConfig.startMode || 'manual';
   const targetTime = activeTimerConfig.targetTime;
 
-  // Check for auto-start (Start At mode)
-  if (startMode === 'startAt' && targetTime && !isRunning && activePresetIndex !== null) {
-    const targetMs = new Date(targetTime).getTime();
-    const nowMs = Date.now();
-    if (nowMs >= targetMs && !timerState.ended) {
-      // Target time reached - auto-start the timer
-      sendCommand('start');
-    }
-  }
-
   // Calculate effective duration based on start mode
   let durationSec = activeTimerConfig.durationSec;
   if (startMode === 'endBy' && targetTime) {
@@ -4307,6 +5377,9 @@ function renderLivePreviewInternal() {
     const targetMs = new Date(targetTime).getTime();
     const nowMs = Date.now();
     durationSec = Math.max(0, Math.floor((targetMs - nowMs) / 1000));
+  } else if (mode === 'countdown-date') {
+    // Countdown to date: the time left is the whole duration
+    durationSec = Math.max(0, Math.ceil(getTimeUntilDate(activeTimerConfig.targetDate, Date.now()) / 1000));
   }
 
   const format = activeTimerConfig.format;
@@ -4349,54 +5422,12 @@ function renderLivePreviewInternal() {
       els.livePreviewTimer.style.opacity = FIXED_STYLE.opacity;
     }
 
-    // Update row progress bar for ToD mode (internal timer still runs)
+    // Update row progress bar for ToD mode (internal timer still runs, engine handles its end)
     if (activePresetIndex !== null && isRunning && timerState.startedAt) {
       const totalMs = durationSec * 1000;
-      const currentElapsedMs = Date.now() - timerState.startedAt + timerState.pausedAcc;
+      const currentElapsedMs = timerNow() - timerState.startedAt + timerState.pausedAcc;
       const rowProgressPercent = totalMs > 0 ? Math.min(100, (currentElapsedMs / totalMs) * 100) : 0;
       updateRowProgressBar(activePresetIndex, rowProgressPercent);
-
-      // Check if internal timer ended (for linked chain)
-      if (currentElapsedMs >= totalMs && !timerState.ended) {
-        timerState.ended = true;
-
-        // Play end sound if configured
-        const soundType = activeTimerConfig.sound?.endType;
-        const soundVolume = activeTimerConfig.sound?.volume ?? 0.7;
-        if (soundType && soundType !== 'none') {
-          playSound(soundType, soundVolume);
-        }
-
-        // Check for linked next timer
-        const presets = loadPresets();
-        const currentPreset = presets[activePresetIndex];
-
-        if (currentPreset?.linkedToNext && activePresetIndex < presets.length - 1) {
-          // Auto-play next linked timer
-          setRunning(false);
-          const nextIdx = activePresetIndex + 1;
-          const nextPreset = presets[nextIdx];
-          activePresetIndex = nextIdx;
-          setActiveTimerConfig(nextPreset.config);
-          applyConfig(nextPreset.config);
-
-          setTimeout(() => {
-            sendCommand('start');
-            renderPresetList();
-          }, 1000);
-        } else {
-          // End of chain or standalone timer - check overtime setting
-          // ToD mode doesn't have visual overtime, but respects the stop behavior
-          if (activeTimerConfig.allowOvertime === false) {
-            // Stop at 0:00
-            setRunning(false);
-            timerState.pausedAcc = activeTimerConfig.durationSec * 1000;
-            timerState.startedAt = null;
-          }
-          // If overtime is allowed, ToD just keeps showing the clock (no change needed)
-          renderPresetList();
-        }
-      }
     } else if (activePresetIndex !== null) {
       // Timer not running, just update progress bar with paused state
       const totalMs = durationSec * 1000;
@@ -4424,10 +5455,14 @@ function renderLivePreviewInternal() {
   }
 
   // Determine mode type
-  const isCountdown = mode === 'countdown' || mode === 'countdown-tod';
+  const isCountdown = mode === 'countdown' || mode === 'countdown-tod' || mode === 'countdown-date';
   const isCountup = mode === 'countup' || mode === 'countup-tod';
+  const isStopwatch = mode === 'stopwatch';
+  const isInterval = mode === 'interval';
   const isPureToD = mode === 'tod';
-  const showToD = mode === 'countdown-tod' || mode === 'countup-tod';
+  // Stopwatch last lap and interval round go on the secondary (ToD) line
+  const lastLapText = isStopwatch && activeTimerConfig.showLastLap ? formatLastLap(timerState.laps, format) : null;
+  const showToD = mode === 'countdown-tod' || mode === 'countup-tod' || lastLapText !== null || isInterval;
 
   if (!isRunning && timerState.pausedAcc === 0 && timerState.startedAt === null) {
     // Timer has never been started - show initial state
@@ -4447,60 +5482,15 @@ function renderLivePreviewInternal() {
     }
   } else {
     // Timer is running
-    const now = Date.now();
+    const now = timerNow();
     const base = now - timerState.startedAt + timerState.pausedAcc;
 
     if (isCountdown) {
       elapsed = Math.max(0, (durationSec * 1000) - base);
       // Use ceil so timer shows full duration for the first second (10:00 stays until 9:59)
       remainingSec = Math.ceil(elapsed / 1000);
-
-      // Check if timer ended
-      if (elapsed === 0 && !timerState.ended) {
-        timerState.ended = true;
-
-        // Play end sound if configured
-        const soundType = activeTimerConfig.sound?.endType;
-        const soundVolume = activeTimerConfig.sound?.volume ?? 0.7;
-        if (soundType && soundType !== 'none') {
-          playSound(soundType, soundVolume);
-        }
-
-        // Check for linked next timer
-        const presets = loadPresets();
-        const currentPreset = presets[activePresetIndex];
-
-        if (currentPreset?.linkedToNext && activePresetIndex < presets.length - 1) {
-          // Auto-play next linked timer after short delay
-          setRunning(false);
-          const nextIdx = activePresetIndex + 1;
-          const nextPreset = presets[nextIdx];
-          activePresetIndex = nextIdx;
-          setActiveTimerConfig(nextPreset.config);
-          applyConfig(nextPreset.config);
-
-          setTimeout(() => {
-            sendCommand('start');
-            renderPresetList();
-          }, 1000);
-        } else {
-          // Check if overtime is allowed for this timer
-          // Overtime is never allowed for "End By" mode (timer ends at target time)
-          const allowOvertime = activeTimerConfig.allowOvertime !== false && startMode !== 'endBy';
-          if (allowOvertime) {
-            // Start overtime mode - keep running but count up
-            timerState.overtime = true;
-            timerState.overtimeStartedAt = Date.now();
-          } else {
-            // Stop at 0:00 - set pausedAcc to full duration so display shows 0:00
-            setRunning(false);
-            timerState.pausedAcc = activeTimerConfig.durationSec * 1000;
-            timerState.startedAt = null; // Clear startedAt so play button starts fresh
-          }
-          renderPresetList(); // Update button states
-        }
-      }
-    } else if (isCountup) {
+      // End of timer (overtime, chain advance) is handled by the engine
+    } else if (isCountup || isStopwatch || isInterval) {
       // Count up mode - elapsed is time passed, remainingSec is time until goal
       elapsed = base;
       const elapsedSec = Math.floor(elapsed / 1000);
@@ -4508,21 +5498,29 @@ function renderLivePreviewInternal() {
     }
   }
 
+  // Countdown to date: time left until the date, running or not
+  if (mode === 'countdown-date') {
+    elapsed = Math.max(0, getTimeUntilDate(activeTimerConfig.targetDate, Date.now()));
+    remainingSec = Math.ceil(elapsed / 1000);
+  }
+
   // Format display text
   if (timerState.overtime && timerState.overtimeStartedAt) {
-    // Overtime mode - show +M:SS in red
-    const overtimeMs = Date.now() - timerState.overtimeStartedAt;
-    const overtimeSec = Math.floor(overtimeMs / 1000);
-    const mins = Math.floor(overtimeSec / 60);
-    const secs = overtimeSec % 60;
-    displayText = '+' + mins + ':' + String(secs).padStart(2, '0');
+    // Overtime mode - show +M:SS (or the timer's own overtime text) in red
+    displayText = formatOvertime(timerNow() - timerState.overtimeStartedAt, format, activeTimerConfig);
     els.livePreviewTimer.classList.add('overtime');
   } else {
     // Use roundUp=true for countdown so 9999ms shows as 10:00, not 9:59
-    displayText = formatTime(elapsed, format, isCountdown);
+    displayText = isStopwatch ? formatStopwatch(elapsed, format) : formatTime(elapsed, format, isCountdown);
     els.livePreviewTimer.classList.remove('overtime');
   }
 
+  // Interval: time left in the current work/rest phase
+  const intervalPosition = isInterval ? getIntervalPosition(activeTimerConfig.interval, elapsed) : null;
+  if (intervalPosition && !timerState.overtime) {
+    displayText = formatTime(intervalPosition.remainingMs, format, true);
+  }
+
   // Handle ToD mode toggle (75/25 split)
   const hadToD = els.livePreviewTimerSection?.classList.contains('with-tod');
   const todModeChanged = showToD !== hadToD;
@@ -4544,7 +5542,7 @@ function renderLivePreviewInternal() {
 
   // Update ToD display (separate element, uses innerHTML for colon spans)
   if (showToD) {
-    const todText = formatTimeOfDay(todFormat, timezone);
+    const todText = lastLapText || (intervalPosition ? formatIntervalLabel(intervalPosition) : formatTimeOfDay(todFormat, timezone));
     els.livePreviewToD.innerHTML = todText;
     els.livePreviewToD.style.visibility = 'visible';
   } else {
@@ -4561,7 +5559,7 @@ function renderLivePreviewInternal() {
     const totalMs = durationSec * 1000;
     const elapsedMs = totalMs - elapsed;
     updateProgressBar(elapsedMs, totalMs);
-  } else if (isCountup) {
+  } else if (isCountup || isStopwatch || isInterval) {
     // For count-up, show progress toward the goal
     const totalMs = durationSec * 1000;
     updateProgressBar(elapsed, totalMs);
@@ -4574,12 +5572,13 @@ function renderLivePreviewInternal() {
   if (activePresetIndex !== null) {
     const totalMs = durationSec * 1000;
     const currentElapsedMs = isRunning && timerState.startedAt
-      ? (Date.now() - timerState.startedAt + timerState.pausedAcc)
+      ? (timerNow() - timerState.startedAt + timerState.pausedAcc)
       : timerState.pausedAcc;
     const rowProgressPercent = totalMs > 0 ? Math.min(100, (currentElapsedMs / totalMs) * 100) : 0;
     updateRowProgressBar(activePresetIndex, rowProgressPercent);
   }
   updatePlayingRowState();
+  updateTimeBankBadges();
 
   // Warning color thresholds (from config or defaults)
   const warnYellowSec = activeTimerConfig.warnYellowSec ?? 60;
@@ -4593,7 +5592,7 @@ function renderLivePreviewInternal() {
     if (timerState.overtime) {
       timerColor = '#dc2626'; // Red for overtime
       colorState = 'overtime';
-    } else if ((isCountdown || isCountup) && remainingSec <= 0) {
+    } else if (((isCountdown || isCountup) && remainingSec <= 0) || (isInterval && timerState.ended)) {
       timerColor = '#dc2626'; // Red for timer ended
       colorState = 'ended';
     } else if ((isCountdown || isCountup) && remainingSec <= warnOrangeSec && remainingSec > 0) {
@@ -4651,14 +5650,23 @@ function renderLivePreviewInternal() {
 function getCurrentConfig() {
   // Get current alignment from app settings (global setting)
   const currentAlign = appSettings.defaults?.align || 'center';
+  const interval = els.mode.value === 'interval' ? getIntervalFromForm() : null;
+  const isDate = els.mode.value === 'countdown-date';
 
   return {
     mode: els.mode.value,
-    startMode: els.startMode?.value || 'manual',
+    startMode: isDate ? 'manual' : els.startMode?.value || 'manual',
     targetTime: els.targetTime?.value || null,
-    durationSec: getDurationSeconds(),
-    format: els.format.value,
+    // Countdown to date: the form's date read in the app timezone
+    targetDate: isDate ? toZonedDateTime(els.targetDate?.value, loadAppSettings().timezone) : null,
+    // Interval timers run for the length of all their rounds
+    durationSec: interval ? getIntervalTotalSec(interval) : getDurationSeconds(),
+    interval,
+    format: getFormatFromForm(),
     allowOvertime: els.allowOvertime?.checked ?? true,
+    overtimePrefix: els.overtimePrefix?.value ?? '+',
+    overtimeSuffix: els.overtimeSuffix?.value ?? '',
+    showLastLap: els.showLastLap?.checked ?? false,
     style: {
       fontFamily: els.fontFamily?.value || 'Inter',
       fontWeight: parseInt(els.fontWeight?.value, 10) || 700,
@@ -4692,10 +5700,20 @@ function applyConfig(config) {
   if (els.targetTime) {
     els.targetTime.value = config.targetTime || '';
   }
+  if (els.targetDate) {
+    els.targetDate.value = fromZonedDateTime(config.targetDate, loadAppSettings().timezone);
+  }
   updateStartModeVisibility();
 
   setDurationInputs(config.durationSec || 1200);
-  els.format.value = config.format || 'MM:SS';
+  const isTemplate = isFormatTemplate(config.format);
+  els.format.value = isTemplate ? 'custom' : config.format || 'MM:SS';
+  els.formatTemplate.value = isTemplate ? config.format : '';
+  if (els.overtimePrefix) {
+    els.overtimePrefix.value = config.overtimePrefix ?? '+';
+    els.overtimeSuffix.value = config.overtimeSuffix ?? '';
+  }
+  updateFormatTemplate();
 
   if (config.style) {
     // Font settings
@@ -4750,6 +5768,12 @@ function applyConfig(config) {
   if (els.allowOvertime) {
     els.allowOvertime.checked = config.allowOvertime !== false;
   }
+  if (els.showLastLap) {
+    els.showLastLap.checked = config.showLastLap === true;
+  }
+  updateLastLapVisibility();
+  setIntervalForm(config.interval || DEFAULT_INTERVAL);
+  updateIntervalVisibility();
 
   applyPreview();
 }
@@ -4775,114 +5799,306 @@ function updateVolumeRowVisibility() {
 
 // ============ Timer Commands ============
 
+/**
+ * Send a transport command to the main-process timer engine
+ * @param {string} command - start | pause | resume | reset
+ */
 function sendCommand(command) {
-  // Update local timer state for live preview
-  switch (command) {
-    case 'start':
-      setRunning(true);
-      timerState.startedAt = Date.now();
-      timerState.pausedAcc = 0;
-      timerState.ended = false;
-      timerState.overtime = false;
-      timerState.overtimeStartedAt = null;
-      // Pulse the progress indicator
-      els.progressIndicator.classList.remove('pulse');
-      void els.progressIndicator.offsetWidth; // Force reflow
-      els.progressIndicator.classList.add('pulse');
-      // Tutorial hook - advance if on playTimer step
-      onTutorialAction('playTimer');
-      break;
-
-    case 'pause':
-      if (isRunning) {
-        setRunning(false);
-        timerState.pausedAcc += Date.now() - timerState.startedAt;
-      }
-      break;
-
-    case 'resume':
-      // Resume from paused state without resetting
-      setRunning(true);
-      timerState.startedAt = Date.now();
-      // Keep pausedAcc as is - it contains the elapsed time (including seeked position)
-      // Pulse the progress indicator
-      els.progressIndicator.classList.remove('pulse');
-      void els.progressIndicator.offsetWidth; // Force reflow
-      els.progressIndicator.classList.add('pulse');
-      break;
+  // Main must run the command against the current selection
+  syncTimerSelection();
+  window.ninja.timerControl(command);
 
-    case 'reset':
-      setRunning(false);
-      timerState.startedAt = null;
-      timerState.pausedAcc = 0;
-      timerState.ended = false;
-      timerState.overtime = false;
-      timerState.overtimeStartedAt = null;
-      // Clear row progress bar
-      if (activePresetIndex !== null) {
-        updateRowProgressBar(activePresetIndex, 0);
-      }
-      renderPresetList(); // Update button states
-      break;
+  if (command === 'start') {
+    // Tutorial hook - advance if on playTimer step
+    onTutorialAction('playTimer');
   }
 
-  // Broadcast state to output window (includes seeked position in pausedAcc)
-  broadcastTimerState();
-
   // Also send legacy command for backward compatibility
   window.ninja.sendTimerCommand(command, activeTimerConfig);
 }
 
-// ============ Profiles ============
+/**
+ * Current time on the timer engine's clock
+ */
+function timerNow() {
+  return mainClock.remoteNow();
+}
 
 /**
- * Generate a unique ID for profiles
+ * Send the active timer selection to main (only when it changed)
  */
-function generateProfileId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+function syncTimerSelection() {
+  if (!timerAuthorityReady) return;
+
+  const key = JSON.stringify([activePresetIndex, activeTimerConfig]);
+  if (key === lastTimerSelectionKey) return;
+  lastTimerSelectionKey = key;
+  window.ninja.timerSelect(activePresetIndex, activeTimerConfig);
 }
 
 /**
- * Load profiles from localStorage, with migration from old presets format
+ * Send the active profile's timers to main for linked-chain advancement
  */
-function loadProfiles() {
-  try {
-    // Try to load profiles from new key
-    const profilesData = localStorage.getItem(STORAGE_KEYS.PROFILES);
-    if (profilesData) {
-      const parsed = JSON.parse(profilesData);
-      profiles = parsed.profiles || [];
-      activeProfileId = parsed.activeProfileId || profiles[0]?.id || null;
+function syncTimerChain() {
+  if (!timerAuthorityReady) return;
 
-      // Migrate: assign colors to profiles that don't have them
-      let needsSave = false;
-      profiles.forEach((profile, idx) => {
-        if (!profile.color) {
-          profile.color = PROFILE_COLORS[idx % PROFILE_COLORS.length];
-          needsSave = true;
-        }
-      });
+  const profile = getActiveProfile();
+  window.ninja.timerSetChain({
+    profileId: profile?.id || null,
+    presets: (profile?.presets || []).map(preset => ({
+      name: preset.name,
+      config: preset.config,
+      linkedToNext: !!preset.linkedToNext,
+      bankBuffer: !!preset.bankBuffer
+    })),
+    timeBank: profile?.timeBank || 'off',
+    timeBankHold: profile?.timeBankHold === true
+  });
+}
 
-      // Migrate: move global messages into profiles
-      const legacyMessages = localStorage.getItem('ninja-messages-v1');
-      if (legacyMessages) {
-        try {
-          const messages = JSON.parse(legacyMessages);
-          // Add messages to active profile
-          const activeProfile = profiles.find(p => p.id === activeProfileId);
-          if (activeProfile && !activeProfile.messages) {
-            activeProfile.messages = messages;
-            needsSave = true;
-          }
-          // Clean up legacy storage
-          localStorage.removeItem('ninja-messages-v1');
-          console.log('[Migration] Moved messages into active profile');
-        } catch (e) {
-          console.error('[Migration] Failed to migrate messages:', e);
-        }
-      }
+/**
+ * Apply engine state from main to the local mirror
+ */
+function applyTimerEngineState(engineState) {
+  if (!engineState?.state) return;
 
-      // Ensure all profiles have messages array
+  mainClock.update(engineState.clockNow);
+  Object.assign(timerState, engineState.state);
+  isRunning = engineState.isRunning;
+  rundownActuals = engineState.rundown || {};
+  renderLapPanel();
+}
+
+/**
+ * Adopt the timer main is already running (window reload) or restored from
+ * its crash journal, then start syncing selection and chain to it
+ */
+function adoptTimerAuthority(engineState) {
+  applyTimerEngineState(engineState);
+
+  if (engineState && engineState.index !== null) {
+    // Restore profile if different
+    if (engineState.profileId && engineState.profileId !== activeProfileId &&
+        profiles.some(p => p.id === engineState.profileId)) {
+      activeProfileId = engineState.profileId;
+      saveProfiles();
+      updateProfileButton();
+    }
+
+    const presets = loadPresets();
+    if (engineState.index < presets.length) {
+      activePresetIndex = engineState.index;
+      setActiveTimerConfig(presets[activePresetIndex].config);
+      applyConfig(presets[activePresetIndex].config);
+    }
+    console.log(`[Timer] Adopted running timer state (timer ${engineState.index + 1})`);
+  }
+
+  timerAuthorityReady = true;
+  syncTimerChain();
+  syncTimerSelection();
+  renderPresetList();
+  updatePlayingRowState();
+}
+
+/**
+ * Pulse the progress indicator when a timer starts or resumes
+ */
+function pulseProgressIndicator() {
+  els.progressIndicator.classList.remove('pulse');
+  void els.progressIndicator.offsetWidth; // Force reflow
+  els.progressIndicator.classList.add('pulse');
+}
+
+/**
+ * Reflect main-process timer engine events in the control window
+ */
+function handleTimerEngineEvent({ event, payload } = {}) {
+  switch (event) {
+    case 'started':
+      pulseProgressIndicator();
+      // Chain and Start At starts don't go through sendCommand
+      if (payload?.reason !== 'command') {
+        window.ninja.sendTimerCommand('start', activeTimerConfig);
+        renderPresetList();
+      }
+      break;
+
+    case 'resumed':
+      pulseProgressIndicator();
+      break;
+
+    case 'reset':
+      // Clear row progress bar
+      if (activePresetIndex !== null) {
+        updateRowProgressBar(activePresetIndex, 0);
+      }
+      renderPresetList(); // Update button states
+      break;
+
+    case 'ended': {
+      // Play end sound if configured
+      const soundType = payload?.config?.sound?.endType;
+      const soundVolume = payload?.config?.sound?.volume ?? 0.7;
+      if (soundType && soundType !== 'none') {
+        playSound(soundType, soundVolume);
+      }
+      renderPresetList(); // Update button states
+      break;
+    }
+
+    case 'phase': {
+      // Interval: distinct sounds for the start of work and rest
+      const interval = activeTimerConfig.interval || DEFAULT_INTERVAL;
+      const soundType = payload?.phase === 'rest' ? interval.restSound : interval.workSound;
+      if (soundType && soundType !== 'none') {
+        playSound(soundType, activeTimerConfig.sound?.volume ?? 0.7);
+      }
+      break;
+    }
+
+    case 'advanced':
+      // Linked chain: main starts the next timer after a short delay
+      activePresetIndex = payload.index;
+      setActiveTimerConfig(payload.config);
+      applyConfig(payload.config);
+      // Already current in main - don't echo it back
+      lastTimerSelectionKey = JSON.stringify([activePresetIndex, activeTimerConfig]);
+      break;
+  }
+}
+
+/**
+ * Connect to the main-process timer engine
+ */
+function initTimerEngine() {
+  // Renderer crash snapshots are obsolete (main keeps a journal)
+  localStorage.removeItem(STORAGE_KEYS.CRASH_RECOVERY);
+
+  window.ninja.onTimerEngineState(applyTimerEngineState);
+  window.ninja.onTimerEngineEvent(handleTimerEngineEvent);
+  window.ninja.timerGetEngineState().then(adoptTimerAuthority);
+}
+
+// ============ Stopwatch Laps ============
+
+/**
+ * Record a lap on the running stopwatch
+ */
+function recordLap() {
+  if (activeTimerConfig.mode !== 'stopwatch' || !isRunning) return;
+  syncTimerSelection();
+  window.ninja.timerControl('lap');
+}
+
+/**
+ * Show the lap button and table for stopwatch timers (newest lap first)
+ */
+function renderLapPanel() {
+  if (!els.lapPanel) return;
+
+  const isStopwatch = activeTimerConfig?.mode === 'stopwatch';
+  const laps = timerState.laps || [];
+  const key = JSON.stringify([isStopwatch, isRunning, laps.length, laps[laps.length - 1]]);
+  if (key === lastLapPanelKey) return;
+  lastLapPanelKey = key;
+
+  els.lapBtn.classList.toggle('hidden', !isStopwatch);
+  els.lapBtn.disabled = !isRunning;
+  els.lapPanel.classList.toggle('hidden', !isStopwatch);
+  if (!isStopwatch) return;
+
+  els.lapCount.textContent = laps.length === 1 ? '1 lap' : `${laps.length} laps`;
+  els.lapExport.disabled = laps.length === 0;
+
+  // Fastest/slowest only mean something with 3+ laps
+  const rows = getLapRows(laps);
+  const lapTimes = rows.map(row => row.lapMs);
+  const fastest = rows.length > 2 ? Math.min(...lapTimes) : null;
+  const slowest = rows.length > 2 ? Math.max(...lapTimes) : null;
+
+  els.lapList.innerHTML = '';
+  rows.reverse().forEach((row) => {
+    const item = document.createElement('div');
+    item.className = 'lap-row';
+    item.classList.toggle('fastest', row.lapMs === fastest);
+    item.classList.toggle('slowest', row.lapMs === slowest);
+
+    const number = document.createElement('span');
+    number.textContent = row.number;
+
+    const lap = document.createElement('span');
+    lap.textContent = formatStopwatchPlain(row.lapMs, 'MM:SS');
+
+    const split = document.createElement('span');
+    split.textContent = formatStopwatchPlain(row.splitMs, 'MM:SS');
+
+    item.append(number, lap, split);
+    els.lapList.appendChild(item);
+  });
+}
+
+/**
+ * Save the laps as a CSV file
+ */
+async function exportLaps() {
+  const result = await window.ninja.timerExportLaps();
+  if (result.success) {
+    showToast(`Exported ${result.laps} lap(s)`, 'success');
+  } else if (!result.canceled) {
+    showToast(result.error || 'Failed to export laps', 'error');
+  }
+}
+
+// ============ Profiles ============
+
+/**
+ * Generate a unique ID for profiles
+ */
+function generateProfileId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Load profiles from the data store, with migration from old presets format
+ */
+function loadProfiles() {
+  try {
+    const profilesData = readStore('profiles');
+    if (profilesData) {
+      const parsed = JSON.parse(profilesData);
+      profiles = parsed.profiles || [];
+      activeProfileId = parsed.activeProfileId || profiles[0]?.id || null;
+
+      // Migrate: assign colors to profiles that don't have them
+      let needsSave = false;
+      profiles.forEach((profile, idx) => {
+        if (!profile.color) {
+          profile.color = PROFILE_COLORS[idx % PROFILE_COLORS.length];
+          needsSave = true;
+        }
+      });
+
+      // Migrate: move global messages into profiles
+      const legacyMessages = localStorage.getItem('ninja-messages-v1');
+      if (legacyMessages) {
+        try {
+          const messages = JSON.parse(legacyMessages);
+          // Add messages to active profile
+          const activeProfile = profiles.find(p => p.id === activeProfileId);
+          if (activeProfile && !activeProfile.messages) {
+            activeProfile.messages = messages;
+            needsSave = true;
+          }
+          // Clean up legacy storage
+          localStorage.removeItem('ninja-messages-v1');
+          console.log('[Migration] Moved messages into active profile');
+        } catch (e) {
+          console.error('[Migration] Failed to migrate messages:', e);
+        }
+      }
+
+      // Ensure all profiles have messages array
       profiles.forEach(p => {
         if (!p.messages) {
           p.messages = [];
@@ -4949,7 +6165,7 @@ function loadProfiles() {
 }
 
 /**
- * Save profiles to localStorage
+ * Save profiles to the data store
  */
 function saveProfiles() {
   try {
@@ -4958,11 +6174,13 @@ function saveProfiles() {
       activeProfileId,
       profiles
     };
-    localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify(data));
+    writeStore('profiles', data);
   } catch (e) {
     showToast('Failed to save profiles', 'error');
     console.error('Failed to save profiles:', e);
   }
+  syncTimerChain();
+  broadcastRemoteLibrary();
 }
 
 /**
@@ -5506,6 +6724,23 @@ function showProfileDropdown(forceRefresh = false) {
   });
   actionsSection.appendChild(duplicateAction);
 
+  // Export action
+  const exportAction = document.createElement('div');
+  exportAction.className = 'profile-action';
+  exportAction.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+      <polyline points="7 10 12 15 17 10"/>
+      <line x1="12" y1="15" x2="12" y2="3"/>
+    </svg>
+    Export…
+  `;
+  exportAction.addEventListener('click', () => {
+    hideProfileDropdown();
+    openExportModal({ scope: 'profile' });
+  });
+  actionsSection.appendChild(exportAction);
+
   // Delete action
   const deleteAction = document.createElement('div');
   const canDelete = profiles.length > 1;
@@ -5599,12 +6834,7 @@ function switchProfile(id) {
 
   // Stop any running timer
   if (isRunning) {
-    setRunning(false);
-    timerState.startedAt = null;
-    timerState.pausedAcc = 0;
-    timerState.ended = false;
-    timerState.overtime = false;
-    timerState.overtimeStartedAt = null;
+    sendCommand('reset');
   }
 
   // Reset active preset index
@@ -5881,11 +7111,7 @@ async function deleteProfile(id) {
     activeProfileId = profiles[newIdx].id;
 
     // Reset timer state
-    setRunning(false);
-    timerState.startedAt = null;
-    timerState.pausedAcc = 0;
-    timerState.ended = false;
-    timerState.overtime = false;
+    sendCommand('reset');
     activePresetIndex = null;
 
     // Select first timer in new profile
@@ -6098,7 +7324,8 @@ function renderPresetList() {
     const nameText = document.createElement('span');
     nameText.className = 'preset-name-text';
     nameText.textContent = preset.name;
-    nameText.title = preset.name; // Tooltip showing full title on hover
+    // Tooltip showing full title (and imported notes) on hover
+    nameText.title = preset.notes ? `${preset.name}\n${preset.notes}` : preset.name;
 
     const editIcon = document.createElement('span');
     editIcon.className = 'edit-icon';
@@ -6113,15 +7340,25 @@ function renderPresetList() {
     // Duration text (clickable to edit)
     const duration = document.createElement('span');
     duration.className = 'preset-duration';
-    duration.textContent = secondsToHMS(preset.config?.durationSec || 0);
-    duration.style.cursor = 'pointer';
-    duration.title = 'Click to edit duration';
-    duration.onclick = (e) => {
-      e.stopPropagation();
-      showDurationEditPopup(idx, preset, duration);
-    };
+    if (preset.config?.mode === 'countdown-date') {
+      // Countdown to date: show the date (edited in the timer settings)
+      duration.textContent = formatAppDateTime(Date.parse(preset.config.targetDate || '') || null);
+      duration.title = 'Counts down to this date';
+    } else {
+      duration.textContent = secondsToHMS(preset.config?.durationSec || 0);
+      duration.style.cursor = 'pointer';
+      duration.title = 'Click to edit duration';
+      duration.onclick = (e) => {
+        e.stopPropagation();
+        showDurationEditPopup(idx, preset, duration);
+      };
+    }
 
-    durationContainer.append(duration);
+    // Time bank adjustment (filled in by updateTimeBankBadges)
+    const bank = document.createElement('span');
+    bank.className = 'preset-bank hidden';
+
+    durationContainer.append(duration, bank);
 
     const actions = document.createElement('div');
     actions.className = 'preset-actions';
@@ -6151,7 +7388,7 @@ function renderPresetList() {
         const clickedPreset = currentPresets[idx];
         if (clickedPreset) {
           clearAllRowProgressBars(); // Clear progress from previous timer
-          setActiveTimerConfig(clickedPreset.config);
+          setActiveTimerConfig(getBankedConfig(idx, clickedPreset.config));
           applyConfig(clickedPreset.config);
           activePresetIndex = idx;
           sendCommand('reset');
@@ -6209,7 +7446,7 @@ function renderPresetList() {
         const clickedPreset = currentPresets[idx];
         if (clickedPreset) {
           clearAllRowProgressBars(); // Clear progress from previous timer
-          setActiveTimerConfig(clickedPreset.config);
+          setActiveTimerConfig(getBankedConfig(idx, clickedPreset.config));
           applyConfig(clickedPreset.config);
           activePresetIndex = idx;
           sendCommand('start');
@@ -6267,6 +7504,7 @@ function renderPresetList() {
   // Populate cache for faster progress bar updates
   cachedPresetRows = Array.from(els.presetList.querySelectorAll('.preset-item'));
   cachedProgressBars = cachedPresetRows.map(row => row.querySelector('.row-progress-bar'));
+  updateTimeBankBadges(true);
 }
 
 // Close all popup menus and dropdowns
@@ -6307,6 +7545,14 @@ function showPresetMenu(idx, preset, anchorEl) {
     showToast('Preset cloned (Cmd/Ctrl+Z to undo)', 'success');
   };
 
+  const shareItem = document.createElement('button');
+  shareItem.className = 'menu-item';
+  shareItem.innerHTML = `${ICONS.share} Share…`;
+  shareItem.onclick = () => {
+    menu.remove();
+    openExportModal({ scope: 'timers', timerIndexes: [idx] });
+  };
+
   const deleteItem = document.createElement('button');
   deleteItem.className = 'menu-item delete';
   deleteItem.innerHTML = `${ICONS.delete} Delete`;
@@ -6363,7 +7609,25 @@ function showPresetMenu(idx, preset, anchorEl) {
     }
   };
 
-  menu.append(cloneItem, deleteItem);
+  menu.append(cloneItem, shareItem);
+
+  // Buffer slot for the "Buffer timer" time bank rule
+  if (getActiveProfile()?.timeBank === 'buffer') {
+    const bufferItem = document.createElement('button');
+    bufferItem.className = 'menu-item';
+    bufferItem.innerHTML = `${ICONS.clock} ${preset.bankBuffer ? 'Remove Time Bank Buffer' : 'Use as Time Bank Buffer'}`;
+    bufferItem.onclick = () => {
+      saveUndoState();
+      const presets = loadPresets();
+      presets[idx].bankBuffer = !presets[idx].bankBuffer;
+      savePresets(presets);
+      renderPresetList();
+      menu.remove();
+    };
+    menu.append(bufferItem);
+  }
+
+  menu.append(deleteItem);
 
   // Position menu near the button
   const rect = anchorEl.getBoundingClientRect();
@@ -6610,6 +7874,35 @@ function createDefaultMessage() {
   // New profiles created via createNewProfile() get a default message
 }
 
+// ============ Export ============
+
+// Export being set up in the export modal: scope, profile and picked timer indexes
+let pendingExport = null;
+
+/**
+ * Save data as a JSON file download
+ */
+function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: 'application/json'
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 5000);
+}
+
+/**
+ * File name from a profile or timer name, without characters file systems reject
+ */
+function toExportFileName(name, fallback) {
+  const base = String(name || '').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-').trim();
+  return `${base || fallback}.json`;
+}
+
 function handleExport() {
   const appSettings = loadAppSettings();
 
@@ -6625,27 +7918,189 @@ function handleExport() {
   // Create v3 export format with profiles
   const exportData = {
     version: 3,
+    scope: 'all',
     exportedAt: new Date().toISOString(),
     appSettings: appSettings,
     profiles: profiles,
     activeProfileId: activeProfileId
   };
 
-  const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-    type: 'application/json'
-  });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'ninja-timer-backup.json';
-  a.click();
+  downloadJSON(exportData, 'ninja-timer-backup.json');
 
-  setTimeout(() => URL.revokeObjectURL(url), 5000);
   const parts = [`${profiles.length} profile(s)`, `${totalPresets} timer(s)`];
   if (totalMessages > 0) parts.push(`${totalMessages} message(s)`);
   showToast(`Exported ${parts.join(', ')}`);
 }
 
+/**
+ * Choose what to export: everything, one profile or some of its timers
+ * @param {Object} options - { scope: 'all' | 'profile' | 'timers', profileId, timerIndexes }
+ */
+function openExportModal(options = {}) {
+  const { scope = 'all', profileId = activeProfileId, timerIndexes = null } = options;
+  closeAppSettings();
+
+  pendingExport = { scope, profileId, picked: timerIndexes ? new Set(timerIndexes) : null };
+
+  els.exportScope.value = scope;
+  els.exportProfile.innerHTML = '';
+  profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name; // Safe: uses textContent
+    els.exportProfile.appendChild(option);
+  });
+  els.exportProfile.value = profileId;
+  els.exportIncludeMessages.checked = true;
+
+  renderExportOptions();
+  els.exportModal.classList.remove('hidden');
+}
+
+function closeExportModal() {
+  els.exportModal.classList.add('hidden');
+  pendingExport = null;
+}
+
+function getExportProfile() {
+  return profiles.find(p => p.id === pendingExport.profileId) || getActiveProfile();
+}
+
+/**
+ * Show the options for the chosen scope and what the file will contain
+ */
+function renderExportOptions() {
+  const { scope } = pendingExport;
+  const profile = getExportProfile();
+  const presets = profile?.presets || [];
+  const messages = profile?.messages || [];
+
+  // All timers are picked until the user changes the selection
+  if (!pendingExport.picked) {
+    pendingExport.picked = new Set(presets.map((_, i) => i));
+  }
+
+  els.exportProfileRow.classList.toggle('hidden', scope === 'all');
+  els.exportMessagesRow.classList.toggle('hidden', scope !== 'profile');
+  els.exportTimersSection.classList.toggle('hidden', scope !== 'timers');
+  if (scope === 'timers') {
+    renderExportTimerList(presets);
+  }
+
+  let summary;
+  let canExport;
+  if (scope === 'all') {
+    const totalPresets = profiles.reduce((sum, p) => sum + p.presets.length, 0);
+    summary = `${profiles.length} profile(s) and ${totalPresets} timer(s), with app settings and OSC & remote settings (including PINs). Use this for backups rather than sharing.`;
+    canExport = totalPresets > 0;
+  } else if (scope === 'profile') {
+    const messageCount = els.exportIncludeMessages.checked ? messages.length : 0;
+    summary = `${presets.length} timer(s) and ${messageCount} message(s) from "${profile?.name}". App settings are not included.`;
+    canExport = presets.length + messageCount > 0;
+  } else {
+    summary = `${pendingExport.picked.size} of ${presets.length} timer(s) from "${profile?.name}". They are imported into whichever profile is open on the other machine.`;
+    canExport = pendingExport.picked.size > 0;
+  }
+
+  els.exportSummary.textContent = summary;
+  els.exportConfirm.disabled = !canExport;
+}
+
+/**
+ * Timer list with a checkbox per timer
+ */
+function renderExportTimerList(presets) {
+  const picked = pendingExport.picked;
+  els.exportTimerList.innerHTML = '';
+
+  const pickAll = document.createElement('input');
+  pickAll.type = 'checkbox';
+  pickAll.title = 'Select all';
+  pickAll.checked = presets.length > 0 && picked.size === presets.length;
+  pickAll.addEventListener('change', () => {
+    presets.forEach((_, i) => (pickAll.checked ? picked.add(i) : picked.delete(i)));
+    renderExportOptions();
+  });
+
+  const headerRow = document.createElement('tr');
+  [pickAll, 'Title', 'Duration'].forEach((content) => {
+    const th = document.createElement('th');
+    if (typeof content === 'string') {
+      th.textContent = content;
+    } else {
+      th.appendChild(content);
+    }
+    headerRow.appendChild(th);
+  });
+  els.exportTimerList.appendChild(headerRow);
+
+  presets.forEach((preset, i) => {
+    const tr = document.createElement('tr');
+
+    const pickCell = document.createElement('td');
+    const pick = document.createElement('input');
+    pick.type = 'checkbox';
+    pick.checked = picked.has(i);
+    pick.addEventListener('change', () => {
+      if (pick.checked) {
+        picked.add(i);
+      } else {
+        picked.delete(i);
+      }
+      renderExportOptions();
+    });
+    pickCell.appendChild(pick);
+    tr.appendChild(pickCell);
+
+    [preset.name, secondsToHMS(preset.config?.durationSec || 0)].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text; // Safe: uses textContent
+      tr.appendChild(td);
+    });
+    els.exportTimerList.appendChild(tr);
+  });
+}
+
+/**
+ * Write the export file for the chosen scope
+ * Profile and timer files carry no app settings, so nothing else is shared.
+ */
+function confirmExport() {
+  const { scope } = pendingExport;
+  if (scope === 'all') {
+    closeExportModal();
+    handleExport();
+    return;
+  }
+
+  const profile = getExportProfile();
+  if (!profile) return;
+
+  const exportedAt = new Date().toISOString();
+  if (scope === 'profile') {
+    const messages = els.exportIncludeMessages.checked ? (profile.messages || []) : [];
+    downloadJSON({
+      version: 3,
+      scope: 'profile',
+      exportedAt,
+      profiles: [{ ...profile, messages }]
+    }, toExportFileName(profile.name, 'profile'));
+    showToast(`Exported "${profile.name}"`);
+  } else {
+    const presets = [...pendingExport.picked].sort((a, b) => a - b).map(i => profile.presets[i]);
+    // Profile name is only a label here: shared timers go into the importer's current profile
+    downloadJSON({
+      version: 3,
+      scope: 'timers',
+      exportedAt,
+      profiles: [{ name: profile.name, presets, messages: [] }]
+    }, toExportFileName(presets.length === 1 ? presets[0].name : `${profile.name} timers`, 'timers'));
+    showToast(`Exported ${presets.length} timer(s)`);
+  }
+
+  closeExportModal();
+}
+
 function handleImport(e) {
   const file = e.target.files[0];
   if (!file) return;
@@ -6657,97 +8112,7 @@ function handleImport(e) {
   }
 
   const reader = new FileReader();
-  reader.onload = () => {
-    // Parse JSON first
-    let rawData;
-    try {
-      rawData = JSON.parse(reader.result);
-    } catch {
-      showToast('Invalid JSON file', 'error');
-      return;
-    }
-
-    // Validate and detect version
-    const importData = validateExportData(rawData);
-
-    if (!importData) {
-      showToast('Invalid backup file format', 'error');
-      return;
-    }
-
-    let profilesImported = 0;
-    let presetsImported = 0;
-    let settingsImported = false;
-
-    // Handle v3 format (profiles)
-    let messagesImported = 0;
-    if (importData.version === 3 && importData.profiles) {
-      // Merge imported profiles with existing
-      importData.profiles.forEach(importedProfile => {
-        // Check if profile with same name exists
-        const existingIdx = profiles.findIndex(p => p.name === importedProfile.name);
-        if (existingIdx >= 0) {
-          // Merge presets and messages into existing profile
-          const existing = profiles[existingIdx];
-          existing.presets = [...existing.presets, ...importedProfile.presets];
-          presetsImported += importedProfile.presets.length;
-          // Merge messages if present
-          if (importedProfile.messages && importedProfile.messages.length > 0) {
-            existing.messages = [...(existing.messages || []), ...importedProfile.messages];
-            messagesImported += importedProfile.messages.length;
-          }
-        } else {
-          // Add as new profile with new ID to avoid conflicts
-          const newProfile = {
-            ...importedProfile,
-            id: generateProfileId(),
-            createdAt: new Date().toISOString(),
-            messages: importedProfile.messages || []
-          };
-          profiles.push(newProfile);
-          profilesImported++;
-          presetsImported += importedProfile.presets.length;
-          messagesImported += (importedProfile.messages || []).length;
-        }
-      });
-      saveProfiles();
-    }
-    // Handle v2 format (presets only) - add to current profile
-    else if (importData.presets && importData.presets.length > 0) {
-      const existing = loadPresets();
-      const merged = [...existing, ...importData.presets];
-      savePresets(merged);
-      presetsImported = importData.presets.length;
-    }
-
-    // Import app settings (v2 and v3)
-    if ((importData.version === 2 || importData.version === 3) && importData.appSettings) {
-      saveAppSettings(importData.appSettings);
-      // Apply window settings immediately
-      window.ninja.setAlwaysOnTop('output', importData.appSettings.outputOnTop);
-      window.ninja.setAlwaysOnTop('control', importData.appSettings.controlOnTop);
-      settingsImported = true;
-    }
-
-    // Build import summary
-    const parts = [];
-    if (profilesImported > 0) parts.push(`${profilesImported} profile(s)`);
-    if (presetsImported > 0) parts.push(`${presetsImported} timer(s)`);
-    if (messagesImported > 0) parts.push(`${messagesImported} message(s)`);
-    if (settingsImported) parts.push('settings');
-
-    // Show appropriate toast
-    if (parts.length > 0) {
-      showToast(`Imported ${parts.join(', ')}`, 'success');
-    } else {
-      showToast('Nothing to import', 'error');
-      return;
-    }
-
-    updateProfileButton();
-    renderPresetList();
-    renderMessageList();
-  };
+  reader.onload = () => importBackupText(reader.result);
 
   reader.onerror = () => {
     showToast('Failed to read file', 'error');
@@ -6757,14 +8122,970 @@ function handleImport(e) {
   e.target.value = ''; // Reset input
 }
 
-// ============ Event Listeners ============
+/**
+ * Import a backup, profile or timers file (JSON text) through the merge modal
+ * @param {string} text
+ * @param {Object} options - { auto } apply the default choices without asking
+ *   (launch --import); files rejected by strict checks still show their problems
+ */
+function importBackupText(text, options = {}) {
+  // Parse JSON first
+  let rawData;
+  try {
+    rawData = JSON.parse(text);
+  } catch {
+    showToast('Invalid JSON file', 'error');
+    return;
+  }
 
-function setupEventListeners() {
-  // Initialize time inputs with section-based navigation
-  initTimeInput(els.duration);
-  initTimeInput(els.defaultDuration);
-  initTimeInputMS(els.warnYellowSec);
-  initTimeInputMS(els.warnOrangeSec);
+  // Strict checking rejects the file and lists every problem
+  if (loadAppSettings().importValidation === 'strict') {
+    const problems = checkExportData(rawData);
+    if (problems.length > 0) {
+      openMergeModal([], null, { problems, rejected: true });
+      return;
+    }
+  }
+
+  // Validate and detect version (lenient: bad values are corrected and listed)
+  const importData = validateExportData(rawData);
+
+  if (!importData) {
+    showToast('Invalid backup file format', 'error');
+    return;
+  }
+
+  // v1/v2 files and shared timers hold timers only - compare them with the current profile
+  const active = getActiveProfile();
+  const asActiveProfile = presets => (active
+    ? { ...active, presets }
+    : { id: '', name: 'Imported', presets, messages: [] });
+
+  let incomingProfiles = [];
+  if (importData.version === 3 && importData.scope === 'timers') {
+    const presets = importData.profiles.flatMap(p => p.presets);
+    if (presets.length > 0) incomingProfiles = [asActiveProfile(presets)];
+  } else if (importData.version === 3 && importData.profiles) {
+    incomingProfiles = importData.profiles;
+  } else if (importData.presets && importData.presets.length > 0) {
+    incomingProfiles = [asActiveProfile(importData.presets)];
+  }
+
+  if (incomingProfiles.length === 0 && !importData.appSettings) {
+    showToast('Nothing to import', 'error');
+    return;
+  }
+
+  openMergeModal(incomingProfiles, importData.appSettings || null, { problems: importData.corrections });
+  if (options.auto) {
+    confirmMerge();
+  }
+}
+
+// ============ Import Merge ============
+
+// Backup being imported: each profile with its match, diff and chosen strategy
+let pendingMerge = null;
+
+const MERGE_STRATEGIES = {
+  merge: 'Merge',
+  replace: 'Replace',
+  copy: 'Import as copy',
+  add: 'Add profile',
+  skip: 'Skip'
+};
+
+/**
+ * Show what an import would change and let the user pick per profile
+ * @param {Array} incomingProfiles - Validated profiles from the file
+ * @param {Object|null} appSettings - Validated app settings from the file
+ * @param {Object} options - { problems: [{ path, message }], rejected } -
+ *   problems found in the file; rejected (strict checking) blocks the import
+ */
+function openMergeModal(incomingProfiles, appSettings, options = {}) {
+  const { problems = [], rejected = false } = options;
+  closeAppSettings();
+
+  renderImportProblems(problems, rejected);
+  els.mergeProfilesSection.classList.toggle('hidden', rejected);
+
+  pendingMerge = {
+    rejected,
+    appSettings,
+    items: incomingProfiles.map((incoming) => {
+      const current = findMatchingProfile(profiles, incoming);
+      const diff = current ? diffProfile(current, incoming) : null;
+      // Re-importing the same data changes nothing by default
+      const strategy = !current ? 'add' : (diff.identical ? 'skip' : 'merge');
+      return { incoming, current, diff, strategy };
+    })
+  };
+
+  renderMergeList();
+
+  // Settings are only applied when asked for
+  els.mergeSettingsSection.classList.toggle('hidden', !appSettings);
+  els.mergeApplySettings.checked = false;
+  els.mergeApplyOsc.checked = false;
+  els.mergeApplyOscRow.classList.toggle('hidden', !appSettings?.osc);
+  if (appSettings) {
+    const changed = countChangedSettings(appSettings);
+    els.mergeSettingsHint.textContent = changed === 0
+      ? 'Same as your current settings'
+      : `${changed} setting(s) differ from yours`;
+  }
+
+  updateMergeConfirm();
+  els.mergeModal.classList.remove('hidden');
+}
+
+/**
+ * List schema problems: errors when rejected, otherwise what was corrected
+ */
+function renderImportProblems(problems, rejected) {
+  els.mergeProblemsSection.classList.toggle('hidden', problems.length === 0);
+  els.mergeProblemsTitle.textContent = rejected ? `Problems (${problems.length})` : `Corrected (${problems.length})`;
+  els.mergeProblemsHint.textContent = rejected
+    ? 'Strict import checks are on (App Settings → Data). Fix these in the file and import again.'
+    : 'These values were invalid and are imported as defaults or the nearest allowed value; invalid timers are left out.';
+
+  els.mergeProblems.innerHTML = '';
+  problems.forEach((problem) => {
+    const li = document.createElement('li');
+    if (!rejected) li.className = 'warning';
+    li.textContent = problem.message; // Safe: uses textContent
+    els.mergeProblems.appendChild(li);
+  });
+}
+
+function closeMergeModal() {
+  els.mergeModal.classList.add('hidden');
+  pendingMerge = null;
+}
+
+/**
+ * Count general settings (not OSC) that differ from the current ones
+ */
+function countChangedSettings(incoming) {
+  const current = validateAppSettings(loadAppSettings());
+  const { defaults, ...general } = incoming;
+  delete general.osc;
+  const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+  return Object.keys(general).filter(key => differs(current[key], general[key])).length
+    + Object.keys(defaults).filter(key => differs(current.defaults[key], defaults[key])).length;
+}
+
+/**
+ * Render one row per imported profile with its diff and strategy select
+ */
+function renderMergeList() {
+  els.mergeProfileList.innerHTML = '';
+
+  pendingMerge.items.forEach((item) => {
+    const { incoming, current, diff } = item;
+    const el = document.createElement('div');
+    el.className = 'merge-item';
+
+    const header = document.createElement('div');
+    header.className = 'merge-item-header';
+
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'merge-item-name';
+    name.textContent = incoming.name;
+    const meta = document.createElement('div');
+    meta.className = 'merge-item-meta';
+    if (!current) {
+      meta.textContent = `New · ${incoming.presets.length} timer(s), ${incoming.messages.length} message(s)`;
+    } else if (diff.identical) {
+      meta.textContent = `Same as "${current.name}"`;
+    } else {
+      meta.textContent = `Matches "${current.name}" · Timers: ${describeDiff(diff.timers)} · Messages: ${describeDiff(diff.messages)}`;
+    }
+    info.append(name, meta);
+
+    const select = document.createElement('select');
+    const strategies = current ? ['merge', 'replace', 'copy', 'skip'] : ['add', 'skip'];
+    strategies.forEach((strategy) => {
+      const option = document.createElement('option');
+      option.value = strategy;
+      option.textContent = MERGE_STRATEGIES[strategy];
+      select.appendChild(option);
+    });
+    select.value = item.strategy;
+    select.addEventListener('click', e => e.stopPropagation());
+    select.addEventListener('change', () => {
+      item.strategy = select.value;
+      updateMergeConfirm();
+    });
+
+    header.append(info, select);
+    header.addEventListener('click', () => el.classList.toggle('expanded'));
+
+    el.append(header, renderMergeDetails(item));
+    els.mergeProfileList.appendChild(el);
+  });
+}
+
+/**
+ * Timers and messages of an imported profile with their status
+ */
+function renderMergeDetails({ incoming, diff }) {
+  const details = document.createElement('div');
+  details.className = 'merge-item-details';
+
+  const addSection = (title, listDiff, labelOf) => {
+    const rows = [
+      ...listDiff.added.map(item => ['added', 'New', item]),
+      ...listDiff.changed.map(({ incoming: item }) => ['changed', 'Changed', item]),
+      ...listDiff.identical.map(item => ['identical', 'Same', item]),
+      // Kept by Merge, dropped by Replace
+      ...listDiff.removed.map(item => ['removed', 'Only here', item])
+    ];
+    if (rows.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'merge-item-meta';
+    heading.textContent = title;
+    details.appendChild(heading);
+
+    rows.forEach(([status, statusText, item]) => {
+      const row = document.createElement('div');
+      row.className = `merge-detail-row ${status}`;
+      const statusEl = document.createElement('span');
+      statusEl.className = 'merge-detail-status';
+      statusEl.textContent = statusText;
+      const label = document.createElement('span');
+      label.textContent = labelOf(item); // Safe: uses textContent
+      row.append(statusEl, label);
+      details.appendChild(row);
+    });
+  };
+
+  const empty = { added: [], changed: [], identical: [], removed: [] };
+  addSection('Timers', diff ? diff.timers : { ...empty, added: incoming.presets }, p => p.name);
+  addSection('Messages', diff ? diff.messages : { ...empty, added: incoming.messages }, m => m.text || '(empty)');
+  return details;
+}
+
+/**
+ * Import is only possible when something would change
+ */
+function updateMergeConfirm() {
+  if (pendingMerge.rejected) {
+    els.mergeConfirm.disabled = true;
+    return;
+  }
+  const anyProfile = pendingMerge.items.some(item => item.strategy !== 'skip');
+  const anySettings = els.mergeApplySettings.checked || els.mergeApplyOsc.checked;
+  els.mergeConfirm.disabled = !anyProfile && !anySettings;
+}
+
+/**
+ * Apply the chosen strategy for each profile, then the chosen settings
+ */
+function confirmMerge() {
+  const counts = { add: 0, merge: 0, replace: 0, copy: 0 };
+
+  saveUndoState(true);
+
+  pendingMerge.items.forEach(({ incoming, current, strategy }) => {
+    if (strategy === 'skip') return;
+    counts[strategy]++;
+
+    if (strategy === 'merge' || strategy === 'replace') {
+      // Look up again: an earlier item may already have updated this profile
+      const idx = profiles.findIndex(p => p.id === current.id);
+      if (idx === -1) return;
+      profiles[idx] = strategy === 'merge'
+        ? mergeProfile(profiles[idx], incoming)
+        : { ...profiles[idx], presets: incoming.presets, messages: incoming.messages };
+      return;
+    }
+
+    // New profiles get a new ID so nothing collides with existing ones
+    let name = incoming.name;
+    if (strategy === 'copy') {
+      let counter = 2;
+      name = `${incoming.name} (copy)`;
+      while (profiles.some(p => p.name === name)) {
+        name = `${incoming.name} (copy ${counter++})`;
+      }
+    }
+    profiles.push({
+      ...incoming,
+      id: generateProfileId(),
+      name,
+      color: incoming.color || PROFILE_COLORS[profiles.length % PROFILE_COLORS.length],
+      createdAt: new Date().toISOString()
+    });
+  });
+
+  const applySettings = els.mergeApplySettings.checked;
+  const applyOsc = els.mergeApplyOsc.checked && !!pendingMerge.appSettings?.osc;
+  if (pendingMerge.appSettings && (applySettings || applyOsc)) {
+    const current = loadAppSettings();
+    const { osc, defaults, ...general } = pendingMerge.appSettings;
+    const next = applySettings
+      ? { ...current, ...general, defaults: { ...current.defaults, ...defaults } }
+      : { ...current };
+    if (applyOsc) {
+      next.osc = { ...current.osc, ...osc };
+    }
+    saveAppSettings(next);
+
+    // Apply window settings immediately
+    window.ninja.setAlwaysOnTop('output', next.outputOnTop);
+    window.ninja.setAlwaysOnTop('control', next.controlOnTop);
+    applyTheme(next.appearance || 'auto');
+    if (applyOsc) {
+      window.ninja.oscSetSettings(next.osc).then(updateOSCStatus);
+    }
+  }
+
+  // Selected timer may no longer exist
+  if (activePresetIndex !== null && activePresetIndex >= getActivePresets().length) {
+    activePresetIndex = null;
+  }
+
+  saveProfiles();
+  updateProfileButton();
+  renderPresetList();
+  renderMessageList();
+  updateTabBadges();
+
+  // Build import summary
+  const parts = [];
+  if (counts.add + counts.copy > 0) parts.push(`${counts.add + counts.copy} profile(s) added`);
+  if (counts.merge > 0) parts.push(`${counts.merge} merged`);
+  if (counts.replace > 0) parts.push(`${counts.replace} replaced`);
+  if (applySettings) parts.push('settings applied');
+  if (applyOsc) parts.push('OSC settings applied');
+
+  closeMergeModal();
+  showToast(`Import: ${parts.join(', ')}`, 'success');
+}
+
+// ============ Rundown Import (CSV / Calendar) ============
+
+// File being imported:
+//   csv: parsed rows, column mapping and header option
+//   ics: calendar events, Start At / End By choice and picked events
+let pendingImport = null;
+
+/**
+ * Read a CSV/TSV rundown and open the import preview
+ */
+function handleTableImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  // Validate file size (max 1MB)
+  if (file.size > 1024 * 1024) {
+    showToast('File too large (max 1MB)', 'error');
+    e.target.value = '';
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const rows = parseCSV(reader.result);
+    if (rows.length === 0) {
+      showToast('No rows found in file', 'error');
+      return;
+    }
+
+    // Use the header row if any column name is recognised,
+    // otherwise assume columns are in the documented order
+    const guessed = guessColumnMapping(rows[0]);
+    const hasHeader = guessed.title !== null || guessed.duration !== null;
+    const columnCount = Math.max(...rows.map(r => r.length));
+    const mapping = {};
+    IMPORT_FIELDS.forEach(({ key }, i) => {
+      mapping[key] = hasHeader ? guessed[key] : (i < columnCount ? i : null);
+    });
+
+    pendingImport = {
+      type: 'csv',
+      name: file.name.replace(/\.[^.]+$/, ''),
+      rows,
+      columnCount,
+      hasHeader,
+      mapping
+    };
+    openImportModal();
+  };
+
+  reader.onerror = () => {
+    showToast('Failed to read file', 'error');
+  };
+
+  reader.readAsText(file);
+  e.target.value = ''; // Reset input
+}
+
+/**
+ * Read an .ics calendar and open the import preview
+ */
+function handleCalendarImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  // Validate file size (max 1MB)
+  if (file.size > 1024 * 1024) {
+    showToast('File too large (max 1MB)', 'error');
+    e.target.value = '';
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    // Floating (zone-less) event times are read in the app's timezone
+    const events = parseICS(reader.result, { timezone: loadAppSettings().timezone });
+    if (events.length === 0) {
+      showToast('No events found in file', 'error');
+      return;
+    }
+
+    pendingImport = {
+      type: 'ics',
+      name: file.name.replace(/\.[^.]+$/, ''),
+      events,
+      schedule: 'startAt',
+      picked: null // Set of event indexes, chosen on first render
+    };
+    openImportModal();
+  };
+
+  reader.onerror = () => {
+    showToast('Failed to read file', 'error');
+  };
+
+  reader.readAsText(file);
+  e.target.value = ''; // Reset input
+}
+
+function openImportModal() {
+  closeAppSettings();
+
+  const isCalendar = pendingImport.type === 'ics';
+  els.importTitle.textContent = isCalendar ? 'Import Calendar' : 'Import CSV';
+  els.importMappingSection.classList.toggle('hidden', isCalendar);
+  els.importCalendarSection.classList.toggle('hidden', !isCalendar);
+
+  // Destination: a new profile named after the file, or an existing one
+  els.importTarget.innerHTML = '';
+  const newOption = document.createElement('option');
+  newOption.value = '';
+  newOption.textContent = 'New profile';
+  els.importTarget.appendChild(newOption);
+  profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name; // Safe: uses textContent
+    els.importTarget.appendChild(option);
+  });
+  els.importTarget.value = '';
+  els.importProfileName.value = pendingImport.name;
+  els.importMode.value = 'append';
+
+  if (isCalendar) {
+    const timezone = loadAppSettings().timezone;
+    els.importSchedule.value = pendingImport.schedule;
+    els.importTimezoneHint.textContent = `Times shown in ${timezone && timezone !== 'auto' ? timezone : 'system time'} (App Settings → Timezone)`;
+  } else {
+    els.importHasHeader.checked = pendingImport.hasHeader;
+    renderImportMapping();
+  }
+
+  updateImportDestination();
+  renderImportPreview();
+  els.importModal.classList.remove('hidden');
+}
+
+function closeImportModal() {
+  els.importModal.classList.add('hidden');
+  pendingImport = null;
+}
+
+/**
+ * Show the name field for new profiles, replace/append for existing ones
+ */
+function updateImportDestination() {
+  const isNew = els.importTarget.value === '';
+  els.importProfileNameRow.classList.toggle('hidden', !isNew);
+  els.importModeRow.classList.toggle('hidden', isNew);
+}
+
+/**
+ * Column label for the mapping selects: "A: Duration" or "Column A"
+ */
+function getImportColumnLabel(index) {
+  const letter = index < 26 ? String.fromCharCode(65 + index) : String(index + 1);
+  const header = pendingImport.hasHeader ? (pendingImport.rows[0][index] || '').trim() : '';
+  return header ? `${letter}: ${header}` : `Column ${letter}`;
+}
+
+/**
+ * Render one column select per timer field
+ */
+function renderImportMapping() {
+  els.importMapping.innerHTML = '';
+
+  IMPORT_FIELDS.forEach(({ key, label }) => {
+    const row = document.createElement('div');
+    row.className = 'kv';
+
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+
+    const select = document.createElement('select');
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '— Not imported —';
+    select.appendChild(none);
+    for (let i = 0; i < pendingImport.columnCount; i++) {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = getImportColumnLabel(i); // Safe: uses textContent
+      select.appendChild(option);
+    }
+    const column = pendingImport.mapping[key];
+    select.value = column !== null ? String(column) : '';
+
+    select.addEventListener('change', () => {
+      pendingImport.mapping[key] = select.value === '' ? null : Number(select.value);
+      renderImportPreview();
+    });
+
+    row.append(labelEl, select);
+    els.importMapping.appendChild(row);
+  });
+}
+
+/**
+ * Validate the rows (CSV) or events (calendar) to import
+ * @returns {Array} [{ rowNumber, values, errors, warnings? }]
+ */
+function getImportResults() {
+  if (pendingImport.type === 'ics') {
+    const results = mapCalendarEvents(pendingImport.events, { schedule: pendingImport.schedule });
+
+    // A Start At / End By time that has passed would start the timer on load
+    const now = Date.now();
+    results.forEach((result) => {
+      if (result.errors.length === 0 && new Date(result.values.targetTime).getTime() <= now) {
+        result.warnings.push(pendingImport.schedule === 'endBy' ? 'Already ended' : 'Already started');
+      }
+    });
+    return results;
+  }
+
+  const { rows, hasHeader, mapping } = pendingImport;
+  return mapImportRows(hasHeader ? rows.slice(1) : rows, mapping, {
+    firstRowNumber: hasHeader ? 2 : 1,
+    baseDate: new Date()
+  });
+}
+
+/**
+ * Append a header row to the preview table
+ */
+function appendImportPreviewHeader(labels) {
+  const headRow = document.createElement('tr');
+  labels.forEach((label) => {
+    const th = document.createElement('th');
+    if (label instanceof Node) {
+      th.appendChild(label);
+    } else {
+      th.textContent = label;
+    }
+    headRow.appendChild(th);
+  });
+  els.importPreview.appendChild(headRow);
+}
+
+/**
+ * Render the preview table and per-row errors and warnings
+ */
+function renderImportPreview() {
+  const results = getImportResults();
+  const isCalendar = pendingImport.type === 'ics';
+  const rowLabel = isCalendar ? 'Event' : 'Row';
+
+  els.importPreview.innerHTML = '';
+  els.importErrors.innerHTML = '';
+
+  if (isCalendar) {
+    renderCalendarPreviewRows(results);
+  } else {
+    renderTablePreviewRows(results);
+  }
+
+  results.forEach((result) => {
+    result.errors.forEach((err) => {
+      const li = document.createElement('li');
+      li.textContent = `${rowLabel} ${result.rowNumber}: ${err.message}`;
+      els.importErrors.appendChild(li);
+    });
+    (result.warnings || []).forEach((warning) => {
+      const li = document.createElement('li');
+      li.className = 'warning';
+      li.textContent = `${rowLabel} ${result.rowNumber}: ${warning}`;
+      els.importErrors.appendChild(li);
+    });
+  });
+
+  const validCount = results.filter(r => r.errors.length === 0).length;
+  const skipped = results.length - validCount;
+  const importCount = getImportPresets(results).length;
+  els.importSummary.textContent = isCalendar
+    ? `${importCount} of ${results.length} event(s) selected`
+    : `${validCount} of ${results.length} row(s) ready to import`;
+  if (skipped > 0) {
+    els.importSummary.textContent += `, ${skipped} with errors will be skipped`;
+  }
+  els.importConfirm.disabled = importCount === 0;
+}
+
+/**
+ * CSV preview: the mapped fields as read from the file
+ */
+function renderTablePreviewRows(results) {
+  const fields = IMPORT_FIELDS.filter(({ key }) => pendingImport.mapping[key] !== null);
+  appendImportPreviewHeader(['Row', ...fields.map(f => f.label)]);
+
+  results.forEach((result) => {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('invalid', result.errors.length > 0);
+
+    const rowCell = document.createElement('td');
+    rowCell.textContent = result.rowNumber;
+    tr.appendChild(rowCell);
+
+    const invalidFields = new Set(result.errors.map(err => err.field));
+    fields.forEach(({ key }) => {
+      const td = document.createElement('td');
+      td.textContent = result.fields[key]; // Safe: uses textContent
+      td.classList.toggle('invalid', invalidFields.has(key));
+      tr.appendChild(td);
+    });
+    els.importPreview.appendChild(tr);
+  });
+}
+
+/**
+ * Date and time in the app's timezone (as the ToD display shows it)
+ */
+function formatAppDateTime(ms) {
+  if (ms === null) return '—';
+  const settings = loadAppSettings();
+  const options = {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: settings.todFormat !== '24h'
+  };
+  if (settings.timezone && settings.timezone !== 'auto') {
+    options.timeZone = settings.timezone;
+  }
+  return new Date(ms).toLocaleString('en-US', options);
+}
+
+/**
+ * Calendar preview: one pickable row per event
+ * Upcoming events without warnings are picked by default.
+ */
+function renderCalendarPreviewRows(results) {
+  if (!pendingImport.picked) {
+    pendingImport.picked = new Set(results
+      .filter(r => r.errors.length === 0 && r.warnings.length === 0)
+      .map(r => r.rowNumber));
+  }
+  const picked = pendingImport.picked;
+  const pickable = results.filter(r => r.errors.length === 0);
+
+  const pickAll = document.createElement('input');
+  pickAll.type = 'checkbox';
+  pickAll.title = 'Select all';
+  pickAll.checked = pickable.length > 0 && pickable.every(r => picked.has(r.rowNumber));
+  pickAll.addEventListener('change', () => {
+    pickable.forEach(r => (pickAll.checked ? picked.add(r.rowNumber) : picked.delete(r.rowNumber)));
+    renderImportPreview();
+  });
+  appendImportPreviewHeader([pickAll, 'Title', 'Start', 'End', 'Length']);
+
+  results.forEach((result) => {
+    const { event } = result;
+    const tr = document.createElement('tr');
+    tr.classList.toggle('invalid', result.errors.length > 0);
+
+    const pickCell = document.createElement('td');
+    const pick = document.createElement('input');
+    pick.type = 'checkbox';
+    pick.disabled = result.errors.length > 0;
+    pick.checked = !pick.disabled && picked.has(result.rowNumber);
+    pick.addEventListener('change', () => {
+      if (pick.checked) {
+        picked.add(result.rowNumber);
+      } else {
+        picked.delete(result.rowNumber);
+      }
+      renderImportPreview();
+    });
+    pickCell.appendChild(pick);
+
+    const lengthSec = event.endMs !== null ? Math.round((event.endMs - event.startMs) / 1000) : null;
+    const invalidFields = new Set(result.errors.map(err => err.field));
+    const cells = [
+      ['title', event.summary || '(untitled)'],
+      ['startTime', event.allDay ? 'All day' : formatAppDateTime(event.startMs)],
+      ['endTime', formatAppDateTime(event.endMs)],
+      ['duration', lengthSec !== null ? secondsToHMS(lengthSec) : '—']
+    ];
+    tr.appendChild(pickCell);
+    cells.forEach(([field, text]) => {
+      const td = document.createElement('td');
+      td.textContent = text; // Safe: uses textContent
+      td.classList.toggle('invalid', invalidFields.has(field));
+      tr.appendChild(td);
+    });
+    els.importPreview.appendChild(tr);
+  });
+}
+
+/**
+ * Build a timer from validated row values on top of the app's timer defaults
+ * @param {Object} values - From validateImportRow() (plus startMode for calendar events)
+ */
+function createImportedPreset(values) {
+  const config = getDefaultTimerConfig();
+  ['durationSec', 'mode', 'warnYellowSec', 'warnOrangeSec'].forEach((key) => {
+    if (values[key] !== undefined) config[key] = values[key];
+  });
+  if (config.mode === 'interval') {
+    // Rounds come from the default interval; its length replaces the row's duration
+    config.interval = { ...DEFAULT_INTERVAL, ...config.interval };
+    config.durationSec = getIntervalTotalSec(config.interval);
+  }
+  if (values.targetTime && config.mode === 'countdown-date') {
+    config.targetDate = toZonedDateTime(values.targetTime, loadAppSettings().timezone);
+  } else if (values.targetTime) {
+    config.startMode = values.startMode || 'startAt';
+    config.targetTime = values.targetTime;
+  }
+
+  const preset = { name: values.name, config };
+  if (values.linkedToNext) preset.linkedToNext = true;
+  if (values.notes) preset.notes = values.notes;
+  return preset;
+}
+
+/**
+ * Timers to import: valid rows (CSV) or picked valid events (calendar)
+ */
+function getImportPresets(results = getImportResults()) {
+  return results
+    .filter(r => r.errors.length === 0)
+    .filter(r => pendingImport.type !== 'ics' || pendingImport.picked?.has(r.rowNumber))
+    .map(r => createImportedPreset(r.values));
+}
+
+/**
+ * Add the imported timers to the chosen profile (rows with errors are skipped)
+ */
+function confirmImport() {
+  const imported = getImportPresets();
+  if (imported.length === 0) return;
+
+  // The last timer can't link onward
+  imported[imported.length - 1].linkedToNext = false;
+
+  saveUndoState(true);
+
+  let profile;
+  if (els.importTarget.value === '') {
+    profile = {
+      id: generateProfileId(),
+      name: els.importProfileName.value.trim() || pendingImport.name || 'Imported',
+      color: PROFILE_COLORS[profiles.length % PROFILE_COLORS.length],
+      createdAt: new Date().toISOString(),
+      presets: imported,
+      messages: []
+    };
+    profiles.push(profile);
+  } else {
+    profile = profiles.find(p => p.id === els.importTarget.value);
+    if (!profile) return;
+    if (els.importMode.value === 'replace') {
+      profile.presets = imported;
+    } else {
+      profile.presets = [...profile.presets, ...imported];
+    }
+  }
+
+  // Selected timer may no longer exist
+  if (activePresetIndex !== null && activePresetIndex >= getActivePresets().length) {
+    activePresetIndex = null;
+  }
+
+  saveProfiles();
+  updateProfileButton();
+  renderPresetList();
+  updateTabBadges();
+
+  closeImportModal();
+  showToast(`Imported ${imported.length} timer(s) into "${profile.name}"`, 'success');
+}
+
+// ============ Backups ============
+
+/**
+ * Render the snapshot list in app settings (newest first)
+ */
+async function renderBackupList() {
+  if (!els.backupList) return;
+
+  const backups = await window.ninja.backupList();
+  els.backupList.innerHTML = '';
+
+  backups.forEach((backup) => {
+    const item = document.createElement('div');
+    item.className = 'backup-item';
+
+    const header = document.createElement('div');
+    header.className = 'backup-item-header';
+
+    const info = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'backup-item-name';
+    name.textContent = new Date(backup.createdAt).toLocaleString();
+
+    const timerCount = backup.profiles.reduce((sum, p) => sum + p.timers, 0);
+    const meta = document.createElement('div');
+    meta.className = 'backup-item-meta';
+    meta.textContent = `${backup.profiles.length} profile(s), ${timerCount} timer(s)${backup.hasSettings ? ', settings' : ''}`;
+    info.append(name, meta);
+
+    const restoreAllBtn = document.createElement('button');
+    restoreAllBtn.className = 'secondary';
+    restoreAllBtn.textContent = 'Restore All';
+    restoreAllBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      restoreBackup(backup);
+    });
+
+    header.append(info, restoreAllBtn);
+    header.addEventListener('click', () => item.classList.toggle('expanded'));
+
+    // Preview: profiles in this snapshot, each restorable on its own
+    const profileList = document.createElement('div');
+    profileList.className = 'backup-item-profiles';
+    backup.profiles.forEach((profile) => {
+      const row = document.createElement('div');
+      row.className = 'backup-profile-row';
+
+      const label = document.createElement('span');
+      const parts = [`${profile.timers} timer(s)`];
+      if (profile.messages > 0) parts.push(`${profile.messages} message(s)`);
+      label.textContent = `${profile.name} - ${parts.join(', ')}`; // Safe: uses textContent
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'secondary';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => restoreBackup(backup, profile));
+
+      row.append(label, restoreBtn);
+      profileList.appendChild(row);
+    });
+
+    item.append(header, profileList);
+    els.backupList.appendChild(item);
+  });
+}
+
+/**
+ * Restore everything from a snapshot, or a single profile
+ * The current data is snapshotted first and the change can be undone.
+ * @param {Object} backup - Entry from backupList()
+ * @param {Object} profile - Profile preview to restore (omit for everything)
+ */
+async function restoreBackup(backup, profile = null) {
+  const when = new Date(backup.createdAt).toLocaleString();
+  const result = await showConfirmDialog({
+    title: profile ? 'Restore Profile?' : 'Restore Backup?',
+    message: profile
+      ? `Replace "${profile.name}" with the version from ${when}?`
+      : `Replace all profiles and settings with the backup from ${when}?`,
+    showDontAsk: false
+  });
+  if (!result.confirmed) return;
+
+  const data = await window.ninja.backupLoad(backup.id);
+  const snapshotProfiles = data?.profiles?.profiles;
+  if (!Array.isArray(snapshotProfiles) || snapshotProfiles.length === 0) {
+    showToast('Backup could not be read', 'error');
+    return;
+  }
+
+  const restored = profile ? snapshotProfiles.find(p => p.id === profile.id) : null;
+  if (profile && !restored) {
+    showToast('Profile not found in backup', 'error');
+    return;
+  }
+
+  // Keep a copy of what's about to be replaced
+  await window.ninja.backupCreate();
+  saveUndoState(true);
+
+  if (restored) {
+    const idx = profiles.findIndex(p => p.id === restored.id);
+    if (idx >= 0) {
+      profiles[idx] = restored;
+    } else {
+      profiles.push(restored);
+    }
+  } else {
+    profiles = snapshotProfiles;
+    const savedActiveId = data.profiles.activeProfileId;
+    activeProfileId = profiles.some(p => p.id === savedActiveId) ? savedActiveId : profiles[0].id;
+
+    if (data.settings) {
+      saveAppSettings(data.settings);
+      const settings = loadAppSettings();
+      window.ninja.setAlwaysOnTop('output', settings.outputOnTop);
+      window.ninja.setAlwaysOnTop('control', settings.controlOnTop);
+      window.ninja.oscSetSettings(settings.osc).then(updateOSCStatus);
+      applyTheme(settings.appearance || 'auto');
+    }
+  }
+
+  // Selected timer may no longer exist
+  if (activePresetIndex !== null && activePresetIndex >= getActivePresets().length) {
+    activePresetIndex = null;
+  }
+
+  saveProfiles();
+  updateProfileButton();
+  renderPresetList();
+  renderMessageList();
+
+  // Refresh the open settings form and snapshot list
+  openAppSettings();
+  showToast(profile ? `Restored "${profile.name}"` : 'Backup restored', 'success');
+}
+
+// ============ Event Listeners ============
+
+function setupEventListeners() {
+  // Initialize time inputs with section-based navigation
+  initTimeInput(els.duration);
+  initTimeInput(els.defaultDuration);
+  initTimeInputMS(els.warnYellowSec);
+  initTimeInputMS(els.warnOrangeSec);
 
   // Duration control buttons - per-digit (h0, h1, h2, m1, m2, s1, s2)
   // Each button adds/subtracts its place value with proper carry-over (e.g., 59:00 + 10min = 1:09:00)
@@ -6809,9 +9130,24 @@ function setupEventListeners() {
 
   // Format change - show/hide hours group
   els.format.addEventListener('change', updateDurationControlsFormat);
+  els.format.addEventListener('change', updateFormatTemplate);
+  els.formatTemplate.addEventListener('input', updateFormatTemplate);
+
+  // Mode change - show/hide duration, overtime, last lap and rounds settings
+  els.mode.addEventListener('change', () => {
+    updateStartModeVisibility();
+    updateLastLapVisibility();
+    updateIntervalVisibility();
+  });
 
-  // Mode change - show/hide overtime setting
-  els.mode.addEventListener('change', updateOvertimeVisibility);
+  // Interval rounds
+  initTimeInputMS(els.intervalWork);
+  initTimeInputMS(els.intervalRest);
+  els.intervalRounds.addEventListener('change', () => refreshIntervalRounds());
+  els.intervalPerRound.addEventListener('change', () => refreshIntervalRounds());
+  els.intervalWork.addEventListener('blur', updateIntervalTotal);
+  els.intervalRest.addEventListener('blur', updateIntervalTotal);
+  els.intervalRoundList.addEventListener('focusout', updateIntervalTotal);
 
   // Start mode change - show/hide target time and duration fields
   if (els.startMode) {
@@ -6820,7 +9156,8 @@ function setupEventListeners() {
 
   // Input change listeners (debounced) - update both live and modal preview
   const inputEls = [
-    els.mode, els.startMode, els.targetTime, els.duration, els.format,
+    els.mode, els.startMode, els.targetTime, els.targetDate, els.duration, els.format,
+    els.formatTemplate, els.overtimePrefix, els.overtimeSuffix,
     els.fontFamily, els.fontWeight,
     els.fontColor, els.strokeWidth, els.strokeColor,
     els.shadowSize, els.shadowColor, els.bgColor,
@@ -6900,44 +9237,11 @@ function setupEventListeners() {
   });
 
   // Flash button - uses shared FlashAnimator for font-relative glow
-  els.flashBtn.addEventListener('click', () => {
-    // Don't start new flash if already flashing
-    if (flashAnimator?.isFlashing) return;
-
-    // Create timestamp for sync - both windows use the same startedAt
-    const flashStartedAt = Date.now();
-
-    // Collect elements to flash: timer + ToD (if visible)
-    // Message should never flash
-    const elementsToFlash = [els.livePreviewTimer];
-    const hasToD = els.livePreviewTimerSection?.classList.contains('with-tod');
-    if (hasToD && els.livePreviewToD) {
-      elementsToFlash.push(els.livePreviewToD);
-    }
-
-    // Create flash animator with shared code (font-relative glow)
-    // Pass null for container so only the timer/ToD text flashes
-    flashAnimator = new FlashAnimator(
-      elementsToFlash,
-      null,
-      () => {
-        // On complete - update button state and clear flash state
-        els.flashBtn.classList.remove('flashing');
-        flashState.active = false;
-        flashState.startedAt = null;
-      }
-    );
-
-    // Store flash state for broadcast
-    flashState.active = true;
-    flashState.startedAt = flashStartedAt;
+  els.flashBtn.addEventListener('click', triggerFlash);
 
-    els.flashBtn.classList.add('flashing');
-    flashAnimator.start(flashStartedAt);
-
-    // Broadcast state immediately so output starts with same timestamp
-    broadcastTimerState();
-  });
+  // Stopwatch laps
+  els.lapBtn.addEventListener('click', recordLap);
+  els.lapExport.addEventListener('click', exportLaps);
 
   // Profile dropdown button
   els.profileBtn.addEventListener('click', (e) => {
@@ -6959,8 +9263,15 @@ function setupEventListeners() {
   els.appSettingsBtn.addEventListener('click', openAppSettings);
   els.appSettingsClose.addEventListener('click', closeAppSettings);
   els.appSettingsSave.addEventListener('click', saveAppSettingsFromForm);
-  els.settingsExport.addEventListener('click', handleExport);
+  els.settingsExport.addEventListener('click', () => openExportModal());
   els.settingsImport.addEventListener('click', () => els.importFile.click());
+  els.settingsImportCsv.addEventListener('click', () => els.importTableFile.click());
+  els.settingsImportCalendar.addEventListener('click', () => els.importCalendarFile.click());
+  els.backupNow.addEventListener('click', async () => {
+    const result = await window.ninja.backupCreate();
+    showToast(result.success ? 'Backup created' : (result.error || 'Backup failed'), result.success ? 'success' : 'error');
+    renderBackupList();
+  });
 
   // Alignment toggle buttons
   if (els.alignToggle) {
@@ -7027,6 +9338,89 @@ function setupEventListeners() {
   // Tab navigation
   els.timersTabBtn.addEventListener('click', () => switchTab('timers'));
   els.messagesTabBtn.addEventListener('click', () => switchTab('messages'));
+  els.rundownTabBtn.addEventListener('click', () => switchTab('rundown'));
+
+  // Rundown controls
+  els.rundownStart.addEventListener('change', () => setRundownStart(els.rundownStart.value));
+  els.rundownTimeBank.addEventListener('change', () => setTimeBankRule(els.rundownTimeBank.value));
+  els.rundownTimeBankHold.addEventListener('change', () => setTimeBankHold(els.rundownTimeBankHold.checked));
+  els.rundownReset.addEventListener('click', async () => {
+    const result = await showConfirmDialog({
+      title: 'Reset Rundown?',
+      message: 'Clear recorded start times, the time bank and the show log for this profile?',
+      showDontAsk: false
+    });
+    if (result.confirmed) {
+      window.ninja.rundownReset(activeProfileId);
+    }
+  });
+  els.rundownReport.addEventListener('click', exportShowReport);
+
+  // Merge modal (backup import)
+  els.mergeClose.addEventListener('click', closeMergeModal);
+  els.mergeCancel.addEventListener('click', closeMergeModal);
+  els.mergeConfirm.addEventListener('click', confirmMerge);
+  els.mergeApplySettings.addEventListener('change', updateMergeConfirm);
+  els.mergeApplyOsc.addEventListener('change', updateMergeConfirm);
+  els.mergeModal.addEventListener('click', (e) => {
+    if (e.target === els.mergeModal) {
+      closeMergeModal();
+    }
+  });
+
+  // Export modal
+  els.exportClose.addEventListener('click', closeExportModal);
+  els.exportCancel.addEventListener('click', closeExportModal);
+  els.exportConfirm.addEventListener('click', confirmExport);
+  els.exportScope.addEventListener('change', () => {
+    pendingExport.scope = els.exportScope.value;
+    renderExportOptions();
+  });
+  els.exportProfile.addEventListener('change', () => {
+    pendingExport.profileId = els.exportProfile.value;
+    pendingExport.picked = null;
+    renderExportOptions();
+  });
+  els.exportIncludeMessages.addEventListener('change', renderExportOptions);
+  els.exportModal.addEventListener('click', (e) => {
+    if (e.target === els.exportModal) {
+      closeExportModal();
+    }
+  });
+
+  // Import modal
+  els.importClose.addEventListener('click', closeImportModal);
+  els.importCancel.addEventListener('click', closeImportModal);
+  els.importConfirm.addEventListener('click', confirmImport);
+  els.importTarget.addEventListener('change', updateImportDestination);
+  els.importSchedule.addEventListener('change', () => {
+    pendingImport.schedule = els.importSchedule.value;
+    pendingImport.picked = null; // Re-pick upcoming events for the new targets
+    renderImportPreview();
+  });
+  els.importHasHeader.addEventListener('change', () => {
+    pendingImport.hasHeader = els.importHasHeader.checked;
+    renderImportMapping();
+    renderImportPreview();
+  });
+  els.importModal.addEventListener('click', (e) => {
+    if (e.target === els.importModal) {
+      closeImportModal();
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    if (!els.importModal.classList.contains('hidden')) {
+      e.preventDefault();
+      closeImportModal();
+    } else if (!els.mergeModal.classList.contains('hidden')) {
+      e.preventDefault();
+      closeMergeModal();
+    } else if (!els.exportModal.classList.contains('hidden')) {
+      e.preventDefault();
+      closeExportModal();
+    }
+  });
 
   // Close app settings on backdrop click
   els.appSettingsModal.addEventListener('click', (e) => {
@@ -7051,6 +9445,8 @@ function setupEventListeners() {
 
   // Preset controls
   els.importFile.addEventListener('change', handleImport);
+  els.importTableFile.addEventListener('change', handleTableImport);
+  els.importCalendarFile.addEventListener('change', handleCalendarImport);
   els.addTimer.addEventListener('click', () => {
     if (getActiveTab() === 'messages') {
       // Add new message
@@ -7132,7 +9528,7 @@ function setupEventListeners() {
     }
   });
 
-  // Global keyboard shortcuts (same as output window)
+  // Global keyboard shortcuts (bindings from App Settings)
   document.addEventListener('keydown', (e) => {
     // Ignore if user is typing in an input
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
@@ -7141,112 +9537,59 @@ function setupEventListeners() {
     // Ignore if any modal is open
     if (!els.timerModal.classList.contains('hidden') ||
         !els.appSettingsModal.classList.contains('hidden') ||
+        !els.importModal.classList.contains('hidden') ||
+        !els.mergeModal.classList.contains('hidden') ||
+        !els.exportModal.classList.contains('hidden') ||
         !els.confirmDialog.classList.contains('hidden')) {
       return;
     }
 
-    switch (e.key.toLowerCase()) {
-      case ' ':
-        // Space - toggle play/pause (always works, even if button has focus)
-        e.preventDefault();
-        // Blur any focused button to prevent it from being clicked
-        if (document.activeElement?.tagName === 'BUTTON') {
-          document.activeElement.blur();
-        }
-        if (isRunning) {
-          sendCommand('pause');
-        } else if (timerState.startedAt !== null) {
-          sendCommand('resume');
-        } else {
-          sendCommand('start');
-        }
-        updatePlayingRowState(); // Update button states without re-rendering
-        break;
-
-      case 'r':
-        // Reset (only without modifier keys to avoid conflict with Cmd+R)
-        if (!e.metaKey && !e.ctrlKey) {
-          sendCommand('reset');
-        }
-        break;
-
-      case 'b':
-        // Blackout toggle
-        window.ninja.toggleBlackout();
-        break;
-
-      case '1': case '2': case '3': case '4': case '5':
-      case '6': case '7': case '8': case '9':
-        // Profile switching: 1-9 keys
-        if (!e.metaKey && !e.ctrlKey && !e.altKey) {
-          const idx = parseInt(e.key) - 1;
-          if (profiles[idx]) {
-            switchProfile(profiles[idx].id);
-          }
-        }
-        break;
-
-      case 'f':
-        // Flash timer (only without modifier keys)
-        if (!e.metaKey && !e.ctrlKey) {
-          els.flashBtn.click();
-        }
-        break;
+    const shortcut = matchShortcut(getShortcuts(), getKeyCombo(e), 'control');
+    if (!shortcut) return;
 
-      case '?':
-        // Toggle keyboard shortcuts help
-        toggleShortcutsModal();
-        break;
+    // Keys like Space would otherwise also click the focused button
+    e.preventDefault();
+    if (document.activeElement?.tagName === 'BUTTON') {
+      document.activeElement.blur();
     }
+    runShortcutAction(shortcut);
   });
 
-  // Also handle ? on Shift+/ (for keyboards where ? requires shift)
+  // Escape closes the shortcuts help
   document.addEventListener('keydown', (e) => {
-    if (e.key === '/' && e.shiftKey) {
-      // Shift+/ = ? on most keyboards
-      if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
-        e.preventDefault();
-        toggleShortcutsModal();
-      }
-    }
-    // Also allow Escape to close shortcuts modal
     if (e.key === 'Escape' && !els.shortcutsModal.classList.contains('hidden')) {
       els.shortcutsModal.classList.add('hidden');
     }
   });
 
-  // Keyboard shortcuts from main process
+  // Keyboard shortcuts from main process: menu items send an action name,
+  // the output window a matched binding ({ action, index })
   window.ninja.onKeyboardShortcut((shortcut) => {
-    switch (shortcut) {
-      case 'start':
-        sendCommand('start');
-        break;
-      case 'pause':
-        sendCommand('pause');
-        break;
-      case 'reset':
-        sendCommand('reset');
-        break;
-      case 'toggle':
-        if (isRunning) {
-          sendCommand('pause');
-        } else if (timerState.startedAt !== null) {
-          // Timer is paused - resume
-          sendCommand('resume');
-        } else {
-          // Timer hasn't started - start fresh
-          sendCommand('start');
-        }
-        break;
-      case 'blackout':
-        window.ninja.toggleBlackout();
-        break;
+    runShortcutAction(typeof shortcut === 'string' ? { action: shortcut } : shortcut || {});
+  });
+
+  // ============ Remote Command Handler (OSC + HTTP) ============
+  window.ninja.onOSCCommand(({ id, address, args }) => {
+    let result;
+    try {
+      result = handleOSCCommand(address, args);
+    } catch (err) {
+      console.error('[OSC] Command failed:', address, err);
+      result = { success: false, error: 'Command failed' };
+    }
+    if (id !== undefined) {
+      window.ninja.sendCommandResult(id, result);
     }
   });
 
-  // ============ OSC Command Handler ============
-  window.ninja.onOSCCommand(({ address, args }) => {
-    handleOSCCommand(address, args);
+  // OSC server state from main (e.g. port already taken by another program)
+  window.ninja.onOSCStatus((status) => {
+    oscServerStatus = status;
+    updateOSCStatus();
+  });
+  window.ninja.oscGetStatus().then((status) => {
+    oscServerStatus = status;
+    updateOSCStatus();
   });
 
   // Initialize OSC on startup
@@ -7255,6 +9598,12 @@ function setupEventListeners() {
   // OSC settings change listeners
   els.oscEnabled.addEventListener('change', updateOSCVisibility);
   els.oscFeedbackEnabled.addEventListener('change', updateOSCVisibility);
+  els.httpEnabled.addEventListener('change', updateOSCVisibility);
+  els.httpPort.addEventListener('input', updateRemoteViewerHint);
+  els.accessLogClear.addEventListener('click', async () => {
+    await window.ninja.accessClearLog();
+    renderAccessLog();
+  });
 
   // Output window ready notification
   window.ninja.onOutputWindowReady(() => {
@@ -7351,12 +9700,11 @@ function setupEventListeners() {
     if (data && data.index !== undefined && data.preset) {
       const presets = loadPresets();
       if (data.index >= 0 && data.index < presets.length) {
-        // Preserve linkedToNext if it exists
-        const linkedToNext = presets[data.index].linkedToNext || false;
+        // Preserve linkedToNext and notes if they exist
         presets[data.index] = {
+          ...presets[data.index],
           name: data.preset.name,
-          config: data.preset.config,
-          linkedToNext
+          config: data.preset.config
         };
         savePresets(presets);
         renderPresetList();
@@ -7906,169 +10254,6 @@ function calculateMessageTargetSlot(clientY) {
   return items.length - 1;
 }
 
-// ============ Crash Recovery (Production Safety) ============
-
-let crashRecoveryInterval = null;
-
-/**
- * Save current timer state for crash recovery
- * Called periodically while timer is running
- */
-function saveCrashRecoveryState() {
-  if (!isRunning || activePresetIndex === null) {
-    // Clear recovery state when timer is not active
-    try {
-      localStorage.removeItem(STORAGE_KEYS.CRASH_RECOVERY);
-    } catch (e) {
-      // Ignore storage errors
-    }
-    return;
-  }
-
-  try {
-    const recoveryState = {
-      timestamp: Date.now(),
-      activePresetIndex,
-      timerState: {
-        startedAt: timerState.startedAt,
-        pausedAcc: timerState.pausedAcc,
-        ended: timerState.ended,
-        overtime: timerState.overtime,
-        overtimeStartedAt: timerState.overtimeStartedAt
-      },
-      isRunning,
-      activeTimerConfig: { ...activeTimerConfig },
-      profileId: getActiveProfile()?.id || null
-    };
-    localStorage.setItem(STORAGE_KEYS.CRASH_RECOVERY, JSON.stringify(recoveryState));
-  } catch (e) {
-    console.warn('[CrashRecovery] Failed to save state:', e);
-  }
-}
-
-/**
- * Check for crash recovery state on startup
- * Returns recovery state if available and recent (within 24 hours)
- */
-function checkCrashRecovery() {
-  try {
-    const saved = localStorage.getItem(STORAGE_KEYS.CRASH_RECOVERY);
-    if (!saved) return null;
-
-    const state = JSON.parse(saved);
-
-    // Only offer recovery if state is recent (within 24 hours)
-    const ageMs = Date.now() - state.timestamp;
-    const maxAgeMs = 24 * 60 * 60 * 1000; // 24 hours
-
-    if (ageMs > maxAgeMs) {
-      localStorage.removeItem(STORAGE_KEYS.CRASH_RECOVERY);
-      return null;
-    }
-
-    return state;
-  } catch (e) {
-    console.warn('[CrashRecovery] Failed to check state:', e);
-    return null;
-  }
-}
-
-/**
- * Restore timer from crash recovery state
- */
-function restoreFromCrashRecovery(state) {
-  try {
-    // Restore profile if different
-    if (state.profileId && state.profileId !== getActiveProfile()?.id) {
-      const profiles = loadProfiles();
-      const targetProfile = profiles.find(p => p.id === state.profileId);
-      if (targetProfile) {
-        setActiveProfileId(state.profileId);
-        updateProfileButton();
-        renderPresetList();
-      }
-    }
-
-    // Restore active preset
-    if (state.activePresetIndex !== null && state.activePresetIndex !== undefined) {
-      const presets = loadPresets();
-      if (state.activePresetIndex < presets.length) {
-        activePresetIndex = state.activePresetIndex;
-        setActiveTimerConfig(presets[activePresetIndex].config);
-        applyConfig(presets[activePresetIndex].config);
-      }
-    }
-
-    // Restore timer state
-    if (state.timerState) {
-      // Calculate how much time has passed since crash
-      const elapsedSinceCrash = Date.now() - state.timestamp;
-
-      // Restore with adjusted timestamps
-      timerState.pausedAcc = state.timerState.pausedAcc || 0;
-      timerState.ended = state.timerState.ended || false;
-      timerState.overtime = state.timerState.overtime || false;
-      timerState.overtimeStartedAt = state.timerState.overtimeStartedAt;
-
-      // Timer was running when crashed - adjust startedAt or show as paused
-      if (state.isRunning) {
-        // Show as paused at the last known position
-        // Add the elapsed time since crash to pausedAcc
-        timerState.pausedAcc += elapsedSinceCrash;
-        timerState.startedAt = null;
-        setRunning(false);  // Start paused, let user resume
-
-        console.log(`[CrashRecovery] Restored timer (paused, ${Math.round(elapsedSinceCrash / 1000)}s since crash)`);
-      }
-    }
-
-    // Clear the recovery state
-    localStorage.removeItem(STORAGE_KEYS.CRASH_RECOVERY);
-
-    // Update display
-    renderPresetList();
-    updatePlayingRowState();
-
-    return true;
-  } catch (e) {
-    console.error('[CrashRecovery] Failed to restore:', e);
-    localStorage.removeItem(STORAGE_KEYS.CRASH_RECOVERY);
-    return false;
-  }
-}
-
-/**
- * Clear crash recovery state (called on normal shutdown)
- */
-function clearCrashRecoveryState() {
-  try {
-    localStorage.removeItem(STORAGE_KEYS.CRASH_RECOVERY);
-  } catch (e) {
-    // Ignore storage errors
-  }
-}
-
-/**
- * Start periodic crash recovery state saving
- */
-function startCrashRecoverySaving() {
-  // Save state every second when timer is running
-  if (crashRecoveryInterval) {
-    clearInterval(crashRecoveryInterval);
-  }
-  crashRecoveryInterval = setInterval(saveCrashRecoveryState, 1000);
-}
-
-/**
- * Stop crash recovery state saving
- */
-function stopCrashRecoverySaving() {
-  if (crashRecoveryInterval) {
-    clearInterval(crashRecoveryInterval);
-    crashRecoveryInterval = null;
-  }
-}
-
 // ============ Tutorial System ============
 
 let tutorialStep = 0;
@@ -8546,9 +10731,51 @@ function completeTutorial() {
   document.removeEventListener('keydown', tutorialKeydownHandler, true);
 }
 
+// ============ Launch Actions ============
+
+/**
+ * Apply command-line launch options: --import, then --profile and --timer
+ * (numbers are 1-based positions, anything else a name), then --autostart.
+ * Also used for the flags of a second launch, which main forwards here.
+ */
+async function applyLaunchActions(actions) {
+  if (!actions) return;
+
+  if (actions.importError) {
+    console.warn('[Launch] Import failed:', actions.importError);
+    showToast(`Import failed: ${actions.importError}`, 'error');
+  } else if (actions.importFile) {
+    importBackupText(actions.importFile.text, { auto: true });
+  }
+
+  const select = (value, indexAddress, nameAddress) => {
+    if (value === null) return;
+    const result = /^\d+$/.test(value)
+      ? handleOSCCommand(indexAddress, [Number(value)])
+      : handleOSCCommand(nameAddress, [value]);
+    if (!result.success) {
+      console.warn(`[Launch] ${result.error}: ${value}`);
+      showToast(`${result.error}: ${value}`, 'error');
+    }
+  };
+  select(actions.profile, '/ninja/profile/select', '/ninja/profile/select/name');
+  select(actions.timer, '/ninja/timer/select', '/ninja/timer/select/name');
+
+  if (actions.autostart) {
+    // Without --timer, start the first timer of the profile
+    if (activePresetIndex === null) {
+      select('1', '/ninja/timer/select', '/ninja/timer/select/name');
+    }
+    // A timer restored after a crash keeps running as it was
+    if (activePresetIndex !== null && !isRunning) {
+      sendCommand('start');
+    }
+  }
+}
+
 // ============ Initialization ============
 
-function init() {
+async function init() {
   // Apple-style: blur form controls after interaction so focus ring doesn't linger
   // Applies to selects and range sliders (not text inputs - those keep focus while typing)
   document.addEventListener('change', (e) => {
@@ -8559,21 +10786,16 @@ function init() {
     }
   });
 
+  // Load profiles and settings from disk (migrates localStorage on first run)
+  await initDataStore();
+
   // Load profiles (with migration from legacy presets)
   loadProfiles();
   updateProfileButton();
+  broadcastRemoteLibrary();
 
-  // Check for crash recovery state
-  const recoveryState = checkCrashRecovery();
-  if (recoveryState) {
-    // Show recovery notification
-    console.log('[CrashRecovery] Found recovery state from', new Date(recoveryState.timestamp).toLocaleString());
-    // Attempt to restore
-    const restored = restoreFromCrashRecovery(recoveryState);
-    if (restored) {
-      console.log('[CrashRecovery] Timer state restored successfully');
-    }
-  }
+  // Connect to the main-process timer (adopts a running or crash-restored timer)
+  initTimerEngine();
 
   // Setup collapsible sections in modal (legacy, keep for app settings)
   setupCollapsibleSections();
@@ -8614,8 +10836,9 @@ function init() {
   // Setup custom confirm dialog
   setupConfirmDialog();
 
-  // Setup keyboard shortcuts modal
+  // Setup keyboard shortcuts modal and editor
   setupShortcutsModal();
+  setupShortcutEditor();
 
   // Setup global drag listeners for ghost positioning
   setupDragListeners();
@@ -8655,8 +10878,8 @@ function init() {
     fitPreviewMessage();
   }, 100);
 
-  // Start crash recovery state saving
-  startCrashRecoverySaving();
+  // Log wall-clock jumps (timers run on the monotonic clock)
+  startClockJumpDetector('control');
 
   // Verify bundled fonts loaded successfully
   verifyFonts().then(result => {
@@ -8674,6 +10897,10 @@ function init() {
   // Check for updates on startup (silent, shows badge if available)
   checkForUpdatesOnStartup();
 
+  // Command-line --import/--profile/--timer/--autostart (and later launches)
+  await applyLaunchActions(await window.ninja.getLaunchActions());
+  window.ninja.onLaunchActions(applyLaunchActions);
+
   // Initialize onboarding tutorial
   initTutorial();
   if (shouldShowTutorial()) {
@@ -8695,16 +10922,9 @@ if (document.readyState === 'loading') {
 
 // Cleanup on window close (Production Safety)
 window.addEventListener('beforeunload', () => {
-  // FIRST: Clear crash recovery state synchronously on normal shutdown
-  // This MUST happen first before any async cleanup that could fail
-  // (only crashes will retain the state for recovery)
-  clearCrashRecoveryState();
-
-  // Stop crash recovery saving
-  stopCrashRecoverySaving();
-
   // Stop the render loop
   renderLoopActive = false;
+  stopRundownUpdates();
 
   // Stop watchdog monitoring
   stopWatchdog();
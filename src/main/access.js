@@ -0,0 +1,203 @@
+/**
+ * Ninja Timer - Access Control Helpers
+ * Address allow-lists, PIN checks, pairing lockout and request origin/token
+ * parsing for the network inputs (OSC, HTTP, WebSocket). No app state here:
+ * main.js owns the settings, tokens and access log.
+ */
+
+const crypto = require('crypto');
+
+// WebSocket subprotocols: browsers can't set headers on a WebSocket, so the
+// pairing token is offered as a second subprotocol ('token.<token>')
+const WS_PROTOCOL = 'ninja-timer';
+const WS_TOKEN_PREFIX = 'token.';
+
+/**
+ * Normalize a remote address (strip IPv4-mapped IPv6 prefix)
+ */
+function normalizeAddress(address) {
+  if (!address) return '';
+  return address.startsWith('::ffff:') ? address.slice(7) : address;
+}
+
+function isLoopbackAddress(address) {
+  return address === '127.0.0.1' || address === '::1' || address === 'localhost';
+}
+
+/**
+ * Convert dotted IPv4 to a 32-bit integer (null if invalid)
+ */
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    const n = Number(part);
+    if (!/^\d{1,3}$/.test(part) || n > 255) return null;
+    value = (value * 256) + n;
+  }
+  return value;
+}
+
+function intToIPv4(value) {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+}
+
+function maskFromBits(bits) {
+  return bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+}
+
+/**
+ * Parse allow-list text into entries (IPs or IPv4 CIDR ranges)
+ * @param {string} text - Comma/space/newline separated list
+ * @returns {Array<string>}
+ */
+function parseAllowList(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text.split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Validate an allow-list entry (IPv4, IPv4 CIDR, or IPv6 address)
+ */
+function isValidAllowEntry(entry) {
+  const [ip, bits] = entry.split('/');
+  if (bits !== undefined) {
+    const n = Number(bits);
+    return ipv4ToInt(ip) !== null && /^\d{1,2}$/.test(bits) && n <= 32;
+  }
+  return ipv4ToInt(ip) !== null || (ip.includes(':') && /^[0-9a-fA-F:]+$/.test(ip));
+}
+
+/**
+ * Check an address against allow-list entries
+ * (loopback is always allowed, an empty list allows everyone)
+ * @param {string} rawAddress - Remote address
+ * @param {Array<string>} entries - From parseAllowList()
+ */
+function isAddressAllowed(rawAddress, entries) {
+  const address = normalizeAddress(rawAddress);
+  if (isLoopbackAddress(address)) return true;
+  if (entries.length === 0) return true;
+
+  const addressInt = ipv4ToInt(address);
+  return entries.some((entry) => {
+    const [ip, bits] = entry.split('/');
+    if (bits === undefined) return ip === address;
+    const rangeInt = ipv4ToInt(ip);
+    if (rangeInt === null || addressInt === null) return false;
+    const mask = maskFromBits(Number(bits));
+    return ((rangeInt & mask) >>> 0) === ((addressInt & mask) >>> 0);
+  });
+}
+
+/**
+ * IPv4 subnets this machine is on, as allow-list entries
+ * @param {Object} interfaces - From os.networkInterfaces()
+ * @returns {Array<string>} e.g. ['192.168.1.0/24']
+ */
+function getLocalSubnets(interfaces = {}) {
+  const subnets = new Set();
+  Object.values(interfaces).flat().forEach((info) => {
+    // family is a number on some Node 18 releases
+    if (!info || info.internal || (info.family !== 'IPv4' && info.family !== 4)) return;
+
+    const [ip, bits] = String(info.cidr || '').split('/');
+    const addressInt = ipv4ToInt(ip || '');
+    if (addressInt === null || !/^\d{1,2}$/.test(bits || '') || Number(bits) > 32) return;
+
+    const mask = maskFromBits(Number(bits));
+    subnets.add(`${intToIPv4((addressInt & mask) >>> 0)}/${bits}`);
+  });
+  return [...subnets];
+}
+
+/**
+ * Compare a PIN in constant time (both sides hashed to equal-length buffers)
+ */
+function pinMatches(pinText, expected) {
+  if (!expected) return false;
+  const hash = text => crypto.createHash('sha256').update(text, 'utf8').digest();
+  return crypto.timingSafeEqual(hash(pinText), hash(expected));
+}
+
+/**
+ * Track failed PIN attempts per address; an address is locked out after
+ * maxFailures within lockoutMs of its first failure
+ * @param {Object} options - { maxFailures, lockoutMs, now }
+ * @returns {Object} - { isLocked(address), recordFailure(address), clear(address) }
+ */
+function createPinLockout({ maxFailures, lockoutMs, now = Date.now }) {
+  const failures = new Map(); // address -> { count, firstAt }
+
+  return {
+    isLocked(address) {
+      const entry = failures.get(address);
+      if (entry && now() - entry.firstAt > lockoutMs) {
+        failures.delete(address);
+        return false;
+      }
+      return !!entry && entry.count >= maxFailures;
+    },
+    recordFailure(address) {
+      const entry = failures.get(address) || { count: 0, firstAt: now() };
+      entry.count++;
+      failures.set(address, entry);
+    },
+    clear(address) {
+      failures.delete(address);
+    }
+  };
+}
+
+/**
+ * Whether a request's Origin (if any) is this server
+ * Requests without an Origin header (curl, Companion, ...) pass.
+ * @param {Object} headers - Request headers
+ */
+function isSameOrigin(headers = {}) {
+  const origin = headers.origin;
+  if (origin === undefined) return true;
+  try {
+    return new URL(origin).host.toLowerCase() === String(headers.host || '').toLowerCase();
+  } catch (err) {
+    return false; // 'null' and other opaque origins
+  }
+}
+
+/**
+ * Token from an 'Authorization: Bearer <token>' header
+ * @returns {string|null}
+ */
+function getBearerToken(headers = {}) {
+  const header = headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() || null : null;
+}
+
+/**
+ * Token from a 'Sec-WebSocket-Protocol' header ('ninja-timer, token.<token>')
+ * @returns {string|null}
+ */
+function getProtocolToken(header = '') {
+  const entry = String(header).split(',')
+    .map(protocol => protocol.trim())
+    .find(protocol => protocol.startsWith(WS_TOKEN_PREFIX));
+  return entry ? entry.slice(WS_TOKEN_PREFIX.length) || null : null;
+}
+
+module.exports = {
+  WS_PROTOCOL,
+  WS_TOKEN_PREFIX,
+  normalizeAddress,
+  isLoopbackAddress,
+  ipv4ToInt,
+  parseAllowList,
+  isValidAllowEntry,
+  isAddressAllowed,
+  getLocalSubnets,
+  pinMatches,
+  createPinLockout,
+  isSameOrigin,
+  getBearerToken,
+  getProtocolToken
+};
@@ -11,6 +11,7 @@ import { formatTime, formatTimeOfDay, hexToRgba } from '../shared/timer.js';
 import { playWarningSound, playEndSound, initAudio } from '../shared/sounds.js';
 import { FIXED_STYLE } from '../shared/timerState.js';
 import { computeDisplay, getShadowCSS, getCombinedShadowCSS, FlashAnimator } from '../shared/renderTimer.js';
+import { ClockOffset } from '../shared/clock.js';
 import { autoFitMessage, applyMessageStyle } from '../shared/renderMessage.js';
 import {
   safeTimeout,
@@ -21,6 +22,7 @@ import {
   stopWatchdog
 } from '../shared/safeUtils.js';
 import { verifyFonts } from '../shared/fontManager.js';
+import { DEFAULT_SHORTCUTS, getKeyCombo, matchShortcut, validateShortcuts } from '../shared/shortcuts.js';
 
 // ============================================================================
 // DOM SAFEGUARDING (Production Safety)
@@ -97,6 +99,9 @@ updateResolution();
 let canonicalState = null;
 let lastSeq = -1;
 
+// Control window's monotonic clock (state timestamps are on its timeline)
+const hostClock = new ClockOffset();
+
 // Timer zoom (from app settings)
 let timerZoom = 100;
 
@@ -106,6 +111,9 @@ let flashAnimator = null;
 // Blackout state
 let isBlackedOut = false;
 
+// Key bindings (from app settings)
+let shortcuts = DEFAULT_SHORTCUTS;
+
 // Display state from control window (legacy, for backwards compatibility)
 let displayState = {
   visible: true,
@@ -487,6 +495,7 @@ function handleTimerState(state) {
   if (state.seq <= lastSeq) return;
   lastSeq = state.seq;
 
+  hostClock.update(state.clockNow);
   canonicalState = state;
 
   // Apply style
@@ -517,7 +526,7 @@ function handleTimerState(state) {
 
     flashAnimator = new FlashAnimator(elementsToFlash, stageEl, () => {
       // Flash complete
-    });
+    }, () => hostClock.remoteNow());
     flashAnimator.start(state.flash.startedAt);
   }
 }
@@ -576,7 +585,7 @@ function renderInternal() {
 
   if (canonicalState) {
     // New: Use shared computeDisplay for identical rendering
-    const display = computeDisplay(canonicalState, Date.now());
+    const display = computeDisplay(canonicalState, hostClock.remoteNow(), Date.now());
     visible = display.visible;
     text = display.text;
     todText = display.todText;
@@ -589,7 +598,7 @@ function renderInternal() {
     const warnYellowSec = canonicalState.warnYellowSec ?? 60;
     const warnOrangeSec = canonicalState.warnOrangeSec ?? 15;
     const remainingSec = Math.ceil(display.remainingMs / 1000);
-    const isCountdown = canonicalState.mode === 'countdown' || canonicalState.mode === 'countdown-tod';
+    const isCountdown = ['countdown', 'countdown-tod', 'countdown-date'].includes(canonicalState.mode);
     const isPureToD = canonicalState.mode === 'tod';
 
     if (isPureToD) {
@@ -598,7 +607,7 @@ function renderInternal() {
       overtime = false; // Don't show overtime state for pure ToD
     } else if (overtime) {
       color = '#dc2626'; // Red for overtime
-    } else if (isCountdown && remainingSec <= 0) {
+    } else if ((isCountdown && remainingSec <= 0) || (canonicalState.mode === 'interval' && canonicalState.ended)) {
       color = '#dc2626'; // Red for timer ended
     } else if (isCountdown && remainingSec <= warnOrangeSec && remainingSec > 0) {
       color = '#E64A19'; // Orange for critical warning
@@ -738,8 +747,16 @@ function handleTimerUpdate(data) {
   }
 }
 
+/**
+ * Use saved key bindings (null = defaults)
+ */
+function setShortcuts(saved) {
+  shortcuts = validateShortcuts(saved) || DEFAULT_SHORTCUTS;
+}
+
 /**
  * Setup keyboard shortcuts
+ * Fullscreen runs here; other actions go to the control window.
  */
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
@@ -747,26 +764,19 @@ function setupKeyboardShortcuts() {
       return;
     }
 
-    switch (e.key.toLowerCase()) {
-      case ' ':
-        e.preventDefault();
-        window.ninja.sendKeyboardShortcut('toggle');
-        break;
-
-      case 'r':
-        window.ninja.sendKeyboardShortcut('reset');
-        break;
-
-      case 'b':
-        window.ninja.sendKeyboardShortcut('blackout');
-        break;
+    const shortcut = matchShortcut(shortcuts, getKeyCombo(e), 'output');
+    if (!shortcut) return;
 
-      case 'escape':
-        e.preventDefault();
-        window.ninja.fullscreenOutput();
-        break;
+    e.preventDefault();
+    if (shortcut.action === 'fullscreen') {
+      window.ninja.fullscreenOutput();
+    } else {
+      window.ninja.sendKeyboardShortcut({ action: shortcut.action, index: shortcut.index });
     }
   });
+
+  window.ninja.getShortcuts().then(setShortcuts);
+  window.ninja.onShortcutsUpdate(setShortcuts);
 }
 
 /**
@@ -0,0 +1,381 @@
+/**
+ * Ninja Timer - Remote Bridge
+ * Implements the window.ninja API used by the output page over the
+ * WebSocket state stream, so output.html can run in any LAN browser.
+ * Also used by the browser control panel (src/remote/controller.html).
+ *
+ * Loaded as a classic script before the page module (injected by the main
+ * process when serving /output/). Host timestamps are converted to the
+ * browser's monotonic clock using an NTP-style offset estimate from ping/pong
+ * round trips, so neither side's wall-clock changes move a running timer.
+ */
+
+(function () {
+  'use strict';
+
+  const RECONNECT_MIN_MS = 500;
+  const RECONNECT_MAX_MS = 5000;
+  const PING_INTERVAL_MS = 5000;
+  const PING_BURST = 5;            // Quick pings after connecting
+  const OFFSET_SAMPLES = 8;        // Keep the best of the last N samples
+  const OFFSET_RESYNC_MS = 5;      // Re-emit state if offset moves more than this
+  const WS_CLOSE_UNAUTHORIZED = 4401;
+  const WS_PROTOCOL = 'ninja-timer';
+  const TOKEN_KEY = 'ninja:remoteToken';
+
+  // ============ State ============
+  const listeners = {
+    timerState: [],
+    message: [],
+    library: [],
+    connection: []
+  };
+
+  let socket = null;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let reconnectTimer = null;
+  let pingTimer = null;
+  let closed = false;
+
+  // Access control: pairing token and granted role
+  let token = localStorage.getItem(TOKEN_KEY) || '';
+  let role = null;
+  let pairOverlay = null;
+
+  // Clock sync: offset = hostTime - localTime
+  let offsetSamples = [];
+  let clockOffset = 0;
+  let appliedOffset = 0;
+
+  // Last state received from host (raw host timestamps)
+  let lastHostState = null;
+  let lastLibrary = null;
+  let lastMessageKey = null;
+  let localSeq = 0;
+
+  // ============ Clock Sync ============
+
+  // Same timeline as clock.js monotonicNow() used by output.js
+  function monotonicNow() {
+    return performance.timeOrigin + performance.now();
+  }
+
+  /**
+   * Record a ping/pong sample and pick the lowest-RTT offset
+   */
+  function recordClockSample(t0, serverTime) {
+    const t1 = monotonicNow();
+    const rtt = t1 - t0;
+    if (rtt < 0 || typeof serverTime !== 'number') return;
+
+    offsetSamples.push({ rtt, offset: serverTime - (t0 + rtt / 2) });
+    if (offsetSamples.length > OFFSET_SAMPLES) {
+      offsetSamples.shift();
+    }
+
+    const best = offsetSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    clockOffset = best.offset;
+
+    // Re-emit state so running timers pick up the corrected offset
+    if (lastHostState && Math.abs(clockOffset - appliedOffset) > OFFSET_RESYNC_MS) {
+      emitTimerState();
+    }
+  }
+
+  /**
+   * Convert a host timestamp to the local clock
+   */
+  function toLocalTime(hostTime) {
+    return typeof hostTime === 'number' ? hostTime - clockOffset : hostTime;
+  }
+
+  function sendPing() {
+    send({ type: 'ping', t0: monotonicNow() });
+  }
+
+  function startPinging() {
+    stopPinging();
+    for (let i = 0; i < PING_BURST; i++) {
+      setTimeout(sendPing, i * 200);
+    }
+    pingTimer = setInterval(sendPing, PING_INTERVAL_MS);
+  }
+
+  function stopPinging() {
+    if (pingTimer) {
+      clearInterval(pingTimer);
+      pingTimer = null;
+    }
+  }
+
+  // ============ State Delivery ============
+
+  /**
+   * Deliver the last host state to output.js with local timestamps
+   */
+  function emitTimerState() {
+    const hostState = lastHostState;
+    appliedOffset = clockOffset;
+
+    const state = {
+      ...hostState,
+      // Local sequence: host seq restarts when the app restarts
+      seq: ++localSeq,
+      // Timestamps are already local; output.js needs no further offset
+      clockNow: null,
+      startedAt: toLocalTime(hostState.startedAt),
+      overtimeStartedAt: toLocalTime(hostState.overtimeStartedAt),
+      flash: hostState.flash
+        ? { ...hostState.flash, startedAt: toLocalTime(hostState.flash.startedAt) }
+        : hostState.flash
+    };
+
+    listeners.timerState.forEach(cb => cb(state));
+  }
+
+  function emitMessage(message) {
+    const key = JSON.stringify(message || null);
+    if (key === lastMessageKey) return;
+    lastMessageKey = key;
+    listeners.message.forEach(cb => cb(message || { visible: false }));
+  }
+
+  function handleStreamMessage(event) {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch (err) {
+      return;
+    }
+
+    switch (msg.type) {
+      case 'state':
+        if (!msg.state) return;
+        lastHostState = msg.state;
+        emitTimerState();
+        emitMessage(msg.state.message);
+        break;
+      case 'hello':
+        role = msg.role || null;
+        listeners.connection.forEach(cb => cb(true, role));
+        break;
+      case 'library':
+        lastLibrary = msg.library;
+        listeners.library.forEach(cb => cb(lastLibrary));
+        break;
+      case 'pong':
+        recordClockSample(msg.t0, msg.serverTime);
+        break;
+    }
+  }
+
+  // ============ Connection ============
+
+  function send(data) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(data));
+    }
+  }
+
+  function connect() {
+    if (closed) return;
+
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    // A WebSocket can't carry headers, so the token goes as a second subprotocol
+    const protocols = token ? [WS_PROTOCOL, `token.${token}`] : [WS_PROTOCOL];
+    socket = new WebSocket(`${protocol}//${location.host}/ws`, protocols);
+
+    socket.addEventListener('open', () => {
+      reconnectDelay = RECONNECT_MIN_MS;
+      offsetSamples = [];
+      startPinging();
+    });
+
+    socket.addEventListener('message', handleStreamMessage);
+
+    socket.addEventListener('close', (event) => {
+      stopPinging();
+      socket = null;
+      role = null;
+      if (closed) return;
+      listeners.connection.forEach(cb => cb(false, null));
+
+      if (event.code === WS_CLOSE_UNAUTHORIZED) {
+        showPairPrompt('Enter PIN to connect');
+        return;
+      }
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+    });
+
+    socket.addEventListener('error', () => {
+      // close event follows and handles reconnect
+    });
+  }
+
+  // ============ Pairing ============
+
+  /**
+   * Exchange a PIN for an access token
+   * @returns {Promise<boolean>}
+   */
+  async function pair(pin) {
+    try {
+      const res = await fetch('/api/pair', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pin })
+      });
+      const result = await res.json();
+      if (!result.success) return result.error || 'Invalid PIN';
+
+      token = result.token;
+      localStorage.setItem(TOKEN_KEY, token);
+      return true;
+    } catch (err) {
+      return 'Connection lost';
+    }
+  }
+
+  /**
+   * Show a minimal PIN prompt overlay (works on output and controller pages)
+   */
+  function showPairPrompt(text) {
+    if (pairOverlay) return;
+
+    pairOverlay = document.createElement('form');
+    pairOverlay.style.cssText = 'position:fixed;inset:0;z-index:10000;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:12px;background:rgba(0,0,0,0.92);color:#fff;font:16px -apple-system,system-ui,sans-serif;';
+
+    const label = document.createElement('div');
+    label.textContent = text;
+
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.inputMode = 'numeric';
+    input.autocomplete = 'off';
+    input.style.cssText = 'width:200px;padding:10px;font-size:20px;text-align:center;border-radius:8px;border:1px solid #444;background:#1a1a1a;color:#fff;';
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.textContent = 'Connect';
+    button.style.cssText = 'padding:10px 24px;font-size:16px;border-radius:8px;border:none;background:#1f6feb;color:#fff;';
+
+    pairOverlay.append(label, input, button);
+    pairOverlay.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const result = await pair(input.value.trim());
+      if (result === true) {
+        pairOverlay.remove();
+        pairOverlay = null;
+        clearTimeout(reconnectTimer);
+        if (socket) {
+          socket.close();
+        } else {
+          connect();
+        }
+      } else {
+        label.textContent = result;
+        input.value = '';
+      }
+    });
+
+    document.body.appendChild(pairOverlay);
+    input.focus();
+  }
+
+  // ============ window.ninja (output subset) ============
+
+  const noop = () => {};
+
+  window.ninja = {
+    isRemote: true,
+
+    onTimerState: (callback) => { listeners.timerState.push(callback); },
+    onMessageUpdate: (callback) => { listeners.message.push(callback); },
+
+    // Blackout and flash are part of canonical state; legacy channels unused
+    onBlackoutState: noop,
+    onBlackoutToggle: noop,
+    onTimerUpdate: noop,
+    onDisplayUpdate: noop,
+
+    signalOutputReady: noop,
+    requestTimerState: () => {
+      if (lastHostState) emitTimerState();
+      send({ type: 'get-state' });
+    },
+    requestMessageState: () => {
+      if (!lastHostState) return;
+      lastMessageKey = null;
+      emitMessage(lastHostState.message);
+    },
+
+    // Viewer is read-only: timer shortcuts are ignored (default bindings
+    // still give Escape for fullscreen)
+    sendKeyboardShortcut: noop,
+    getShortcuts: () => Promise.resolve(null),
+    onShortcutsUpdate: noop,
+    focusOutput: noop,
+
+    fullscreenOutput: () => {
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(noop);
+      } else {
+        document.documentElement.requestFullscreen?.().catch(noop);
+      }
+    },
+
+    // Custom sounds are not served to remote viewers
+    soundsGetData: () => Promise.resolve(null),
+
+    // ---- Remote control panel ----
+
+    // Active profile's timers and messages
+    onLibrary: (callback) => {
+      listeners.library.push(callback);
+      if (lastLibrary) callback(lastLibrary);
+    },
+
+    // WebSocket connected/disconnected
+    onConnectionChange: (callback) => {
+      listeners.connection.push(callback);
+      callback(role !== null, role);
+    },
+
+    /**
+     * Send a command through the HTTP API
+     * @param {string} path - API path (e.g. 'timer/start')
+     * @param {Object} params - JSON body
+     * @returns {Promise<Object>} - { success, error? }
+     */
+    command: (path, params = {}) => fetch(`/api/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(params)
+    })
+      .then((res) => {
+        // Not paired, or paired read-only: ask for the control PIN
+        if (res.status === 401 || res.status === 403) {
+          showPairPrompt('Enter control PIN');
+        }
+        return res.json();
+      })
+      .catch(() => ({ success: false, error: 'Connection lost' })),
+
+    removeAllListeners: () => {
+      closed = true;
+      stopPinging();
+      clearTimeout(reconnectTimer);
+      listeners.timerState = [];
+      listeners.message = [];
+      listeners.library = [];
+      listeners.connection = [];
+      if (socket) socket.close();
+    }
+  };
+
+  connect();
+})();
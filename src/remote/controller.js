@@ -0,0 +1,191 @@
+/**
+ * Ninja Timer - Remote Control Panel
+ * Mobile browser controller for stage managers
+ *
+ * State arrives over the WebSocket stream (via bridge.js, clock-corrected);
+ * commands go through the HTTP API, the same path as OSC.
+ */
+
+import { formatTimePlain } from '../shared/timer.js';
+import { computeDisplay } from '../shared/renderTimer.js';
+import { monotonicNow } from '../shared/clock.js';
+
+const els = {
+  profileName: document.getElementById('profileName'),
+  connectionStatus: document.getElementById('connectionStatus'),
+  timerName: document.getElementById('timerName'),
+  timerText: document.getElementById('timerText'),
+  progressFill: document.getElementById('progressFill'),
+  prevBtn: document.getElementById('prevBtn'),
+  playBtn: document.getElementById('playBtn'),
+  nextBtn: document.getElementById('nextBtn'),
+  minusBtn: document.getElementById('minusBtn'),
+  resetBtn: document.getElementById('resetBtn'),
+  plusBtn: document.getElementById('plusBtn'),
+  blackoutBtn: document.getElementById('blackoutBtn'),
+  timerList: document.getElementById('timerList'),
+  messageList: document.getElementById('messageList'),
+  toast: document.getElementById('toast')
+};
+
+// Latest state/library from host
+let timerState = null;
+let library = { profile: null, timers: [], messages: [] };
+
+let toastTimeout = null;
+
+// ============ Commands ============
+
+/**
+ * Send a command and report failures
+ * @param {string} path - API path (e.g. 'timer/start')
+ * @param {Object} params - Command parameters
+ */
+async function command(path, params) {
+  const result = await window.ninja.command(path, params);
+  if (!result.success) {
+    showToast(result.error || 'Command failed');
+  }
+}
+
+function showToast(text) {
+  els.toast.textContent = text;
+  els.toast.classList.add('visible');
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(() => els.toast.classList.remove('visible'), 2500);
+}
+
+// ============ Rendering ============
+
+/**
+ * Render time, progress and button states (every frame)
+ */
+function renderDisplay() {
+  if (timerState) {
+    const display = computeDisplay(timerState, monotonicNow(), Date.now());
+    const durationMs = timerState.durationMs || 0;
+    const isCountdown = timerState.mode === 'countdown' || timerState.mode === 'countdown-tod' || timerState.mode === 'interval' || timerState.mode === 'countdown-date';
+
+    els.timerText.innerHTML = display.visible ? display.text : '—';
+    els.timerText.classList.toggle('overtime', !!(display.overtime || timerState.overtime));
+
+    const progress = durationMs > 0 ? Math.min(1, display.elapsedMs / durationMs) : 0;
+    els.progressFill.style.width = `${(isCountdown ? progress : 0) * 100}%`;
+  }
+
+  requestAnimationFrame(renderDisplay);
+}
+
+/**
+ * Update controls that only change with state
+ */
+function renderState() {
+  const state = timerState;
+  if (!state) return;
+
+  els.playBtn.textContent = state.isRunning ? 'Pause' : (state.startedAt !== null ? 'Resume' : 'Start');
+  els.playBtn.classList.toggle('running', !!state.isRunning);
+  els.blackoutBtn.classList.toggle('active', !!state.blackout);
+  els.timerName.textContent = state.timer?.name || '';
+
+  els.timerList.querySelectorAll('.rc-list-item').forEach((item) => {
+    item.classList.toggle('active', Number(item.dataset.index) === state.timer?.index);
+  });
+}
+
+/**
+ * Render timer and message lists for the active profile
+ */
+function renderLibrary() {
+  els.profileName.textContent = library.profile?.name || 'Ninja Timer';
+
+  els.timerList.innerHTML = '';
+  library.timers.forEach((timer, index) => {
+    const item = document.createElement('li');
+    item.className = 'rc-list-item';
+    item.dataset.index = index;
+
+    const name = document.createElement('span');
+    name.className = 'rc-list-text';
+    name.textContent = timer.name || `Timer ${index + 1}`;
+
+    const duration = document.createElement('span');
+    duration.className = 'rc-list-meta';
+    duration.textContent = timer.mode === 'tod' ? 'ToD' : formatTimePlain((timer.durationSec || 0) * 1000, 'HH:MM:SS');
+
+    item.append(name, duration);
+    item.addEventListener('click', () => command('timer/select', { index: index + 1 }));
+    els.timerList.appendChild(item);
+  });
+
+  els.messageList.innerHTML = '';
+  library.messages.forEach((message, index) => {
+    const item = document.createElement('li');
+    item.className = 'rc-list-item' + (message.visible ? ' showing' : '');
+
+    const text = document.createElement('span');
+    text.className = 'rc-list-text';
+    text.textContent = message.text || '(empty)';
+
+    const status = document.createElement('span');
+    status.className = 'rc-list-meta';
+    status.textContent = message.visible ? 'Showing' : 'Show';
+
+    item.append(text, status);
+    item.addEventListener('click', () => {
+      if (message.visible) {
+        command('message/hide');
+      } else {
+        command('message/show', { index: index + 1 });
+      }
+    });
+    els.messageList.appendChild(item);
+  });
+
+  if (library.timers.length === 0) {
+    els.timerList.innerHTML = '<li class="rc-list-empty">No timers</li>';
+  }
+  if (library.messages.length === 0) {
+    els.messageList.innerHTML = '<li class="rc-list-empty">No messages</li>';
+  }
+
+  renderState();
+}
+
+// ============ Init ============
+
+function init() {
+  els.playBtn.addEventListener('click', () => command('timer/toggle'));
+  els.resetBtn.addEventListener('click', () => command('timer/reset'));
+  els.prevBtn.addEventListener('click', () => command('timer/previous'));
+  els.nextBtn.addEventListener('click', () => command('timer/next'));
+  els.minusBtn.addEventListener('click', () => command('timer/duration/add', { seconds: -60 }));
+  els.plusBtn.addEventListener('click', () => command('timer/duration/add', { seconds: 60 }));
+  els.blackoutBtn.addEventListener('click', () => command('display/blackout'));
+
+  window.ninja.onTimerState((state) => {
+    timerState = state;
+    renderState();
+  });
+
+  window.ninja.onLibrary((newLibrary) => {
+    library = {
+      profile: newLibrary?.profile || null,
+      timers: newLibrary?.timers || [],
+      messages: newLibrary?.messages || []
+    };
+    renderLibrary();
+  });
+
+  window.ninja.onConnectionChange((connected, role) => {
+    els.connectionStatus.classList.toggle('connected', connected);
+    els.connectionStatus.title = connected ? `Connected (${role})` : 'Disconnected';
+    // Viewer PIN grants read-only access; buttons prompt for the control PIN
+    document.body.classList.toggle('read-only', role === 'viewer');
+  });
+
+  window.ninja.requestTimerState();
+  requestAnimationFrame(renderDisplay);
+}
+
+init();
@@ -3,6 +3,9 @@
  * Detached timer settings editor
  */
 
+import { formatTimePlain, formatOvertimePlain, isFormatTemplate } from '../shared/timer.js';
+import { getFormatTemplateError } from '../shared/validation.js';
+
 // Built-in fonts (duplicated from fontManager.js to avoid ES module import issues)
 const BUILT_IN_FONTS = [
   { family: 'Inter', weights: [400, 600, 700], description: 'Modern & Clean' },
@@ -52,9 +55,16 @@ const els = {
   targetTime: document.getElementById('targetTime'),
   targetTimeRow: document.getElementById('targetTimeRow'),
   format: document.getElementById('format'),
+  formatTemplate: document.getElementById('formatTemplate'),
+  formatTemplateRow: document.getElementById('formatTemplateRow'),
+  formatTemplateHint: document.getElementById('formatTemplateHint'),
   duration: document.getElementById('duration'),
   allowOvertime: document.getElementById('allowOvertime'),
   allowOvertimeRow: document.getElementById('allowOvertimeRow'),
+  overtimePrefix: document.getElementById('overtimePrefix'),
+  overtimeSuffix: document.getElementById('overtimeSuffix'),
+  overtimeTextRow: document.getElementById('overtimeTextRow'),
+  overtimeTextSample: document.getElementById('overtimeTextSample'),
   fontFamily: document.getElementById('fontFamily'),
   fontPicker: document.getElementById('fontPicker'),
   fontWeight: document.getElementById('fontWeight'),
@@ -150,9 +160,13 @@ function loadTimerData(data) {
   els.presetName.value = preset.name;
   els.mode.value = config.mode || 'countdown';
   els.startMode.value = config.startMode || 'manual';
-  els.format.value = config.format || 'MM:SS';
+  const isTemplate = isFormatTemplate(config.format);
+  els.format.value = isTemplate ? 'custom' : config.format || 'MM:SS';
+  els.formatTemplate.value = isTemplate ? config.format : '';
   els.duration.value = formatDuration(config.durationSec || 600);
   els.allowOvertime.checked = config.allowOvertime !== false;
+  els.overtimePrefix.value = config.overtimePrefix ?? '+';
+  els.overtimeSuffix.value = config.overtimeSuffix ?? '';
 
   // Target time (for startAt/endBy modes)
   if (config.targetTime) {
@@ -188,12 +202,19 @@ function loadTimerData(data) {
   updateOvertimeVisibility();
   updateTargetTimeVisibility();
   updateVolumeVisibility();
+  updateFormatTemplate();
   updatePreview();
 
   isDirty = false;
 }
 
 function saveTimer(silent = false) {
+  const templateError = els.format.value === 'custom' ? getFormatTemplateError(els.formatTemplate.value) : null;
+  if (templateError) {
+    showToast(templateError, 'error');
+    return;
+  }
+
   const config = getCurrentConfig();
   const name = els.presetName.value.trim() || 'Timer';
 
@@ -219,8 +240,10 @@ function getCurrentConfig() {
     mode: els.mode.value,
     startMode: els.startMode.value,
     durationSec: parseDuration(els.duration.value),
-    format: els.format.value,
+    format: getFormatFromForm(),
     allowOvertime: els.allowOvertime.checked,
+    overtimePrefix: els.overtimePrefix.value,
+    overtimeSuffix: els.overtimeSuffix.value,
     style: {
       fontFamily: els.fontFamily.value,
       fontWeight: parseInt(els.fontWeight.value, 10),
@@ -377,7 +400,7 @@ function setupFormListeners() {
   // All inputs trigger dirty state and preview update
   const inputs = [
     els.presetName, els.mode, els.startMode, els.targetTime, els.format,
-    els.duration, els.allowOvertime,
+    els.formatTemplate, els.duration, els.allowOvertime, els.overtimePrefix, els.overtimeSuffix,
     els.fontWeight, els.fontColor, els.strokeWidth, els.strokeColor,
     els.shadowSize, els.shadowColor, els.bgColor,
     els.soundEnd, els.soundVolume,
@@ -408,10 +431,12 @@ function setupFormListeners() {
     updateTargetTimeVisibility();
   });
 
-  // Format change affects duration controls
+  // Format change affects duration controls and the template field
   els.format.addEventListener('change', () => {
     updateDurationControlsFormat();
+    updateFormatTemplate();
   });
+  els.formatTemplate.addEventListener('input', updateFormatTemplate);
 
   // Sound change affects volume visibility
   els.soundEnd.addEventListener('change', () => {
@@ -471,6 +496,27 @@ function updateOvertimeVisibility() {
   const mode = els.mode.value;
   const showOvertime = mode === 'countdown' || mode === 'countdown-tod';
   els.allowOvertimeRow.style.display = showOvertime ? '' : 'none';
+  els.overtimeTextRow.style.display = showOvertime ? '' : 'none';
+}
+
+function getFormatFromForm() {
+  return els.format.value === 'custom' ? els.formatTemplate.value : els.format.value;
+}
+
+/**
+ * Show/hide the custom template field and preview the template (or its problem)
+ */
+function updateFormatTemplate() {
+  const isCustom = els.format.value === 'custom';
+  const format = getFormatFromForm();
+  const error = isCustom ? getFormatTemplateError(format) : null;
+
+  els.formatTemplateRow.classList.toggle('hidden', !isCustom);
+  els.formatTemplateHint.classList.toggle('hidden', !isCustom);
+  els.formatTemplateHint.classList.toggle('error', error !== null);
+  els.formatTemplateHint.textContent = error || `1:02:05.3 shows as ${formatTimePlain(3725300, format)}. ` +
+    'Tokens: {d} {h} {m} {s} ({mm} = two digits), {t} tenths';
+  els.overtimeTextSample.textContent = formatOvertimePlain(65000, error ? 'MM:SS' : format, { overtimePrefix: '', overtimeSuffix: '' });
 }
 
 function updateTargetTimeVisibility() {
@@ -501,6 +547,9 @@ function updatePreview() {
     // Pure ToD mode - show current time
     const now = new Date();
     els.previewTimer.textContent = formatTimeOfDay(now);
+  } else if (isFormatTemplate(config.format) && getFormatTemplateError(config.format) === null) {
+    // Custom template: show the duration as the output will
+    els.previewTimer.textContent = formatTimePlain(config.durationSec * 1000, config.format, true);
   } else {
     // Show duration in HH:MM:SS format for consistent editing
     const sec = config.durationSec;
@@ -0,0 +1,96 @@
+/**
+ * Ninja Timer - Clock Sources
+ * Monotonic time for timer arithmetic, wall time only for ToD/startAt/endBy
+ *
+ * Timer timestamps (startedAt, overtimeStartedAt, flash.startedAt) are on the
+ * monotonic timeline: performance.timeOrigin + performance.now(). It starts at
+ * roughly the epoch time the window was created and never jumps, so NTP syncs,
+ * DST or manual clock changes cannot move a running timer.
+ */
+
+const CLOCK_JUMP_CHECK_MS = 1000;
+const CLOCK_JUMP_THRESHOLD_MS = 1000;
+const OFFSET_WINDOW = 30;  // Keep the best of the last N samples
+
+/**
+ * Monotonic timestamp in ms (epoch-like, but immune to wall-clock changes)
+ * @returns {number}
+ */
+export function monotonicNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Wall-clock timestamp in ms - only for time-of-day based features
+ * @returns {number}
+ */
+export function wallNow() {
+  return Date.now();
+}
+
+/**
+ * Tracks the offset between a remote monotonic clock and the local one
+ * Each window has its own timeOrigin, so the output maps the control
+ * window's timestamps onto its own timeline. Transport delay only ever makes
+ * a sample look later, so the smallest recent offset is the best estimate.
+ */
+export class ClockOffset {
+  constructor() {
+    this.samples = [];
+    this.offset = 0;
+  }
+
+  /**
+   * Record the remote clock reading that just arrived
+   * @param {number} remoteNow - Remote monotonic time when the sample was sent
+   */
+  update(remoteNow) {
+    if (typeof remoteNow !== 'number' || !Number.isFinite(remoteNow)) return;
+
+    this.samples.push(monotonicNow() - remoteNow);
+    if (this.samples.length > OFFSET_WINDOW) {
+      this.samples.shift();
+    }
+    this.offset = Math.min(...this.samples);
+  }
+
+  /**
+   * Current time on the remote clock
+   * @returns {number}
+   */
+  remoteNow() {
+    return monotonicNow() - this.offset;
+  }
+
+  reset() {
+    this.samples = [];
+    this.offset = 0;
+  }
+}
+
+/**
+ * Watch for wall-clock jumps and log them
+ * Timers are unaffected; this only makes jumps visible in the logs.
+ * @param {string} label - Log context (e.g. 'control')
+ * @returns {Function} Stop function
+ */
+export function startClockJumpDetector(label) {
+  let lastWall = Date.now();
+  let lastMono = monotonicNow();
+
+  const intervalId = setInterval(() => {
+    const wall = Date.now();
+    const mono = monotonicNow();
+    const drift = (wall - lastWall) - (mono - lastMono);
+
+    if (Math.abs(drift) >= CLOCK_JUMP_THRESHOLD_MS) {
+      const sign = drift > 0 ? '+' : '-';
+      console.warn(`[Clock] System clock jumped ${sign}${(Math.abs(drift) / 1000).toFixed(1)}s (${label}); running timers unaffected`);
+    }
+
+    lastWall = wall;
+    lastMono = mono;
+  }, CLOCK_JUMP_CHECK_MS);
+
+  return () => clearInterval(intervalId);
+}
@@ -7,14 +7,16 @@ export const STORAGE_KEYS = {
   PROFILES: 'ninja-profiles-v1',
   PRESETS: 'ninja-presets-v1',  // Legacy, kept for migration
   SETTINGS: 'ninja-settings-v1',
-  CRASH_RECOVERY: 'ninja-crash-recovery-v1',  // For production safety: auto-save timer state
+  CRASH_RECOVERY: 'ninja-crash-recovery-v1',  // Legacy, crash recovery is now journaled by main
   TUTORIAL_COMPLETE: 'ninja-tutorial-complete'  // Track if onboarding has been shown
 };
 
 // Timer modes
 export const TIMER_MODES = {
   COUNTDOWN: 'countdown',
-  COUNTUP: 'countup'
+  COUNTUP: 'countup',
+  STOPWATCH: 'stopwatch',
+  INTERVAL: 'interval'
 };
 
 // Time formats
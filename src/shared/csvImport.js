@@ -0,0 +1,131 @@
+/**
+ * Ninja Timer - CSV Import
+ * Parses spreadsheet exports (CSV/TSV) and maps their columns to timer fields.
+ * Row validation lives in validation.js (validateImportRow).
+ */
+
+import { validateImportRow } from './validation.js';
+
+// Timer fields a column can map to; aliases are matched against header names
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', aliases: ['title', 'name', 'session', 'segment', 'item', 'timer'] },
+  { key: 'duration', label: 'Duration', aliases: ['duration', 'length', 'time', 'mins', 'minutes'] },
+  { key: 'mode', label: 'Mode', aliases: ['mode', 'type'] },
+  { key: 'startTime', label: 'Start Time', aliases: ['start', 'start time', 'starts', 'begin', 'scheduled'] },
+  { key: 'linked', label: 'Linked', aliases: ['linked', 'link', 'auto', 'auto advance', 'chain'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments', 'description', 'speaker'] },
+  { key: 'warnYellow', label: 'Warning (Yellow)', aliases: ['warn yellow', 'yellow', 'warning', 'warning yellow'] },
+  { key: 'warnOrange', label: 'Warning (Orange)', aliases: ['warn orange', 'orange', 'warning orange'] }
+];
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Pick the delimiter that splits the first line into the most columns
+ * (spreadsheets in many locales export with semicolons)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+  DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines in quotes)
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of fields (blank lines skipped)
+ */
+export function parseCSV(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {Array<string>} headers
+ * @returns {Object} { [fieldKey]: columnIndex | null }
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(h => String(h).trim().toLowerCase().replace(/[_\-]+/g, ' '));
+  const used = new Set();
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    // Exact alias first, then a header that starts with an alias
+    let column = normalized.findIndex((h, i) => !used.has(i) && field.aliases.includes(h));
+    if (column === -1) {
+      column = normalized.findIndex((h, i) => !used.has(i) && field.aliases.some(alias => h.startsWith(alias)));
+    }
+    mapping[field.key] = column === -1 ? null : column;
+    if (column !== -1) used.add(column);
+  });
+
+  return mapping;
+}
+
+/**
+ * Validate data rows using a column mapping
+ * @param {Array<Array<string>>} rows - Data rows (without header)
+ * @param {Object} mapping - { [fieldKey]: columnIndex | null }
+ * @param {Object} options - { firstRowNumber, baseDate } (baseDate goes to validateImportRow)
+ * @returns {Array} [{ rowNumber, fields, values, errors }]
+ */
+export function mapImportRows(rows, mapping, options = {}) {
+  const { firstRowNumber = 1 } = options;
+  return rows.map((row, i) => {
+    const fields = {};
+    IMPORT_FIELDS.forEach(({ key }) => {
+      const column = mapping[key];
+      fields[key] = column !== null && column !== undefined ? (row[column] ?? '') : '';
+    });
+    const { values, errors } = validateImportRow(fields, options);
+    return { rowNumber: firstRowNumber + i, fields, values, errors };
+  });
+}
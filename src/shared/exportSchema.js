@@ -0,0 +1,124 @@
+/**
+ * Ninja Timer - Export Schema
+ * JSON Schema (draft 2020-12) for the v3 export file ("Export Timers") and a
+ * small checker that reports every problem with its path, e.g.
+ * "profiles[2].presets[5].config.durationSec must be ≤ 359999".
+ *
+ * The schema itself is exportSchema.json, so other tools can validate export
+ * files against it. Its enums must match SHORTCUT_ACTIONS, SHORTCUT_SCOPES,
+ * TIME_BANK_RULES and FORMAT_TEMPLATE_MAX_LENGTH.
+ *
+ * The checker supports the keywords used here: type, const, enum, required,
+ * properties, items, minimum, maximum, minLength, maxLength, pattern and
+ * local $ref. Unknown properties are allowed so newer files still load.
+ */
+
+import EXPORT_SCHEMA_V3 from './exportSchema.json' with { type: 'json' };
+
+export { EXPORT_SCHEMA_V3 };
+
+// ============ Checker ============
+
+const TYPE_NAMES = {
+  object: 'an object',
+  array: 'a list',
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  null: 'null'
+};
+
+function typeMatches(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function resolveRef(schema, root) {
+  let resolved = schema;
+  while (resolved.$ref) {
+    resolved = resolved.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+  }
+  return resolved;
+}
+
+function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+function check(value, schema, root, path, errors) {
+  const node = resolveRef(schema, root);
+  const where = path || 'File';
+  const add = message => errors.push({ path: where, message: `${where} ${message}` });
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(type => typeMatches(value, type))) {
+      add(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+      return;
+    }
+  }
+
+  if ('const' in node && value !== node.const) {
+    add(`must be ${JSON.stringify(node.const)}`);
+    return;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    add(`must be one of: ${node.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) add(`must be ≥ ${node.minimum}`);
+    if (node.maximum !== undefined && value > node.maximum) add(`must be ≤ ${node.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      add(node.minLength === 1 ? 'must not be empty' : `must be at least ${node.minLength} characters`);
+    }
+    if (node.maxLength !== undefined && value.length > node.maxLength) {
+      add(`must be at most ${node.maxLength} characters`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      add(`must be ${node.description || `in the format ${node.pattern}`}`);
+    }
+  }
+
+  if (typeMatches(value, 'object')) {
+    (node.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: `${joinPath(path, key)} is required` });
+      }
+    });
+    Object.entries(node.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) {
+        check(value[key], propSchema, root, joinPath(path, key), errors);
+      }
+    });
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, i) => check(item, node.items, root, joinPath(path, i), errors));
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @param {any} value
+ * @param {Object} schema - Schema (or { $ref } into root)
+ * @param {Object} root - Document that $refs resolve against
+ * @returns {Array} [{ path, message }] - Empty if valid
+ */
+export function checkSchema(value, schema = EXPORT_SCHEMA_V3, root = EXPORT_SCHEMA_V3) {
+  const errors = [];
+  check(value, schema, root, '', errors);
+  return errors;
+}
@@ -0,0 +1,255 @@
+/**
+ * Ninja Timer - Calendar (iCalendar .ics) Import
+ * Turns VEVENTs into Start At / End By timers. Times are resolved to an
+ * instant from their TZID (or UTC), floating times use the app's timezone,
+ * and targets are written as local date-times like the timer editor does.
+ * Row validation lives in validation.js (validateImportRow).
+ */
+
+import { validateImportRow } from './validation.js';
+import { zonedTimeToMs } from './timer.js';
+
+// Outlook/Exchange exports use Windows zone names
+const WINDOWS_ZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'China Standard Time': 'Asia/Shanghai',
+  'India Standard Time': 'Asia/Kolkata',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC'
+};
+
+/**
+ * Resolve a TZID to an IANA zone the runtime knows
+ * @returns {string|null}
+ */
+function resolveTimeZone(tzid) {
+  const candidates = [
+    tzid,
+    WINDOWS_ZONES[tzid],
+    // "/mozilla.org/20050126_1/America/New_York" style prefixes
+    /([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/.exec(tzid)?.[1]
+  ];
+  for (const zone of candidates) {
+    if (!zone) continue;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return zone;
+    } catch {
+      // Not a zone this runtime knows
+    }
+  }
+  return null;
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse a content line: NAME;PARAM=value:VALUE
+ */
+function parseLine(line) {
+  // First colon outside quoted parameter values ends the name/params part
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...paramList] = line.slice(0, split).split(';');
+  const params = {};
+  paramList.forEach((param) => {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME property to an instant
+ * @param {Object} prop - From parseLine()
+ * @param {string|null} floatingZone - Zone for times without TZID or Z
+ * @returns {Object|null} { ms, allDay, unknownZone }
+ */
+function parseDateProperty(prop, floatingZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(prop.value.trim());
+  if (!match) return null;
+
+  const parts = {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hours: Number(match[4] || 0),
+    minutes: Number(match[5] || 0),
+    seconds: Number(match[6] || 0)
+  };
+  const allDay = !match[4];
+
+  if (match[7]) {
+    const ms = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+    return { ms, allDay, unknownZone: false };
+  }
+
+  let zone = floatingZone;
+  let unknownZone = false;
+  if (prop.params.TZID) {
+    const resolved = resolveTimeZone(prop.params.TZID);
+    unknownZone = resolved === null;
+    zone = resolved || floatingZone;
+  }
+  return { ms: zonedTimeToMs(parts, zone), allDay, unknownZone };
+}
+
+/**
+ * Parse an iCalendar DURATION ("PT1H30M", "P1D") to seconds
+ * @returns {number|null}
+ */
+function parseICSDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(v => v ?? 0);
+  const total = (Number(weeks) * 7 * 86400) + (Number(days) * 86400)
+    + (Number(hours) * 3600) + (Number(minutes) * 60) + Number(seconds);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an .ics file into events, sorted by start time
+ * @param {string} text
+ * @param {Object} options - { timezone } app timezone for floating times ('auto' = system)
+ * @returns {Array} [{ uid, summary, description, location, startMs, endMs,
+ *   allDay, recurring, cancelled, unknownZone }]
+ */
+export function parseICS(text, options = {}) {
+  const floatingZone = options.timezone && options.timezone !== 'auto'
+    ? resolveTimeZone(options.timezone)
+    : null;
+
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  lines.forEach((line) => {
+    const prop = parseLine(line);
+    if (!prop) return;
+
+    if (prop.name === 'BEGIN') {
+      if (prop.value.toUpperCase() === 'VEVENT' && !event) {
+        event = { props: {} };
+        depth = 0;
+      } else if (event) {
+        depth++; // Nested VALARM etc.
+      }
+      return;
+    }
+    if (prop.name === 'END' && event) {
+      if (depth > 0) {
+        depth--;
+      } else {
+        events.push(event.props);
+        event = null;
+      }
+      return;
+    }
+    if (event && depth === 0 && !event.props[prop.name]) {
+      event.props[prop.name] = prop;
+    }
+  });
+
+  return events
+    .map((props) => {
+      const start = props.DTSTART ? parseDateProperty(props.DTSTART, floatingZone) : null;
+      let end = props.DTEND ? parseDateProperty(props.DTEND, floatingZone) : null;
+      if (!end && start && props.DURATION) {
+        const durationSec = parseICSDuration(props.DURATION.value);
+        if (durationSec !== null) {
+          end = { ...start, ms: start.ms + durationSec * 1000 };
+        }
+      }
+
+      return {
+        uid: props.UID?.value || null,
+        summary: props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : '',
+        description: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value).trim() : '',
+        location: props.LOCATION ? unescapeText(props.LOCATION.value).trim() : '',
+        startMs: start?.ms ?? null,
+        endMs: end?.ms ?? null,
+        allDay: Boolean(start?.allDay),
+        recurring: Boolean(props.RRULE),
+        cancelled: props.STATUS?.value.toUpperCase() === 'CANCELLED',
+        unknownZone: Boolean(start?.unknownZone || end?.unknownZone)
+      };
+    })
+    .filter(e => e.startMs !== null)
+    .sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Local date-time text "YYYY-MM-DD HH:MM:SS" for an instant
+ */
+function toLocalDateTime(ms) {
+  const d = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} `
+    + `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/**
+ * Validate events as timers
+ * @param {Array} events - From parseICS()
+ * @param {Object} options - { schedule: 'startAt' | 'endBy' }
+ * @returns {Array} [{ rowNumber, event, values, errors, warnings }]
+ */
+export function mapCalendarEvents(events, options = {}) {
+  const { schedule = 'startAt' } = options;
+
+  return events.map((event, i) => {
+    const durationSec = event.endMs !== null ? Math.round((event.endMs - event.startMs) / 1000) : null;
+    const notes = [event.location, event.description].filter(Boolean).join('\n');
+
+    const { values, errors } = validateImportRow({
+      title: event.summary,
+      // End By timers run until their target, so only Start At needs a length
+      duration: schedule === 'startAt' && durationSec > 0 ? `${durationSec}s` : '',
+      startTime: toLocalDateTime(schedule === 'endBy' ? event.endMs ?? event.startMs : event.startMs),
+      notes
+    });
+
+    if (event.allDay) {
+      errors.push({ field: 'startTime', message: 'All-day event has no start time' });
+    }
+    if (schedule === 'endBy' && event.endMs === null) {
+      errors.push({ field: 'duration', message: 'Event has no end time' });
+    }
+
+    const warnings = [];
+    if (event.cancelled) warnings.push('Cancelled in the calendar');
+    if (event.recurring) warnings.push('Repeating event: only the first occurrence is imported');
+    if (event.unknownZone) warnings.push('Unknown time zone: times read in the app timezone');
+
+    values.startMode = schedule;
+    return { rowNumber: i + 1, event, values, errors, warnings };
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Ninja Timer - Import Merge
+ * Compares profiles from a backup file with the current ones so an import
+ * can merge, replace, skip or copy each profile instead of blindly appending.
+ *
+ * Timers are matched by name (in order, for repeated names) and messages by
+ * id, falling back to identical content. Both sides go through the import
+ * validators before comparing, so fields an export doesn't carry don't show
+ * up as changes.
+ */
+
+import { validatePreset, validateMessage } from './validation.js';
+
+/**
+ * JSON with sorted keys, for order-independent comparison
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function timerContent(preset) {
+  return stableStringify(validatePreset(preset));
+}
+
+function messageContent(message) {
+  const { id, visible, ...content } = validateMessage(message) || {};
+  return stableStringify(content);
+}
+
+/**
+ * Diff two lists by identity, then by content for unmatched items
+ * @returns {Object} { added, changed: [{ current, incoming }], identical, removed }
+ */
+function diffList(currentList, incomingList, identityOf, contentOf) {
+  const unmatched = currentList.map((item, index) => ({ item, index }));
+  const result = { added: [], changed: [], identical: [], removed: [] };
+  const leftover = [];
+
+  incomingList.forEach((incoming) => {
+    const id = identityOf(incoming);
+    const pos = id ? unmatched.findIndex(entry => identityOf(entry.item) === id) : -1;
+    if (pos === -1) {
+      leftover.push(incoming);
+      return;
+    }
+    const [{ item: current }] = unmatched.splice(pos, 1);
+    if (contentOf(current) === contentOf(incoming)) {
+      result.identical.push(incoming);
+    } else {
+      result.changed.push({ current, incoming });
+    }
+  });
+
+  // Same content under another identity (e.g. message ids from another install)
+  leftover.forEach((incoming) => {
+    const content = contentOf(incoming);
+    const pos = unmatched.findIndex(entry => contentOf(entry.item) === content);
+    if (pos === -1) {
+      result.added.push(incoming);
+    } else {
+      unmatched.splice(pos, 1);
+      result.identical.push(incoming);
+    }
+  });
+
+  result.removed = unmatched.map(entry => entry.item);
+  return result;
+}
+
+/**
+ * Find the current profile an imported one corresponds to (id, then name)
+ * @returns {Object|null}
+ */
+export function findMatchingProfile(profiles, incoming) {
+  return profiles.find(p => incoming.id && p.id === incoming.id)
+    || profiles.find(p => p.name === incoming.name)
+    || null;
+}
+
+/**
+ * Compare a current profile with an imported one
+ * @returns {Object} { timers, messages, identical } - timers/messages from diffList()
+ */
+export function diffProfile(current, incoming) {
+  const timers = diffList(current.presets || [], incoming.presets || [], p => p.name, timerContent);
+  const messages = diffList(current.messages || [], incoming.messages || [], m => m.id, messageContent);
+  const identical = [timers, messages].every(d => d.added.length === 0 && d.changed.length === 0 && d.removed.length === 0);
+  return { timers, messages, identical };
+}
+
+/**
+ * Merge an imported profile into the current one: changed items are updated
+ * in place, new items appended and items only in the current profile kept
+ * @returns {Object} New profile object
+ */
+export function mergeProfile(current, incoming) {
+  const { timers, messages } = diffProfile(current, incoming);
+
+  const mergeList = (list, diff) => {
+    const updates = new Map(diff.changed.map(({ current: item, incoming: next }) => [item, next]));
+    return [...list.map(item => updates.get(item) || item), ...diff.added];
+  };
+
+  return {
+    ...current,
+    presets: mergeList(current.presets || [], timers),
+    messages: mergeList(current.messages || [], messages)
+  };
+}
+
+/**
+ * Count one-line summary: "2 new, 1 changed, 5 same"
+ */
+export function describeDiff(diff) {
+  const parts = [];
+  if (diff.added.length) parts.push(`${diff.added.length} new`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} changed`);
+  if (diff.identical.length) parts.push(`${diff.identical.length} same`);
+  if (diff.removed.length) parts.push(`${diff.removed.length} only here`);
+  return parts.join(', ') || 'none';
+}
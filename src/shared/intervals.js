@@ -0,0 +1,90 @@
+/**
+ * Ninja Timer - Interval Rounds
+ * An interval timer runs N rounds of work and rest as one timer: the phases
+ * play back to back and the timer ends after the last round's work (there is
+ * no rest after it). The current round and phase are derived from elapsed
+ * time, so pausing, seeking and crash restore need no extra state.
+ *
+ * Config: { rounds, workSec, restSec, perRound, workSound, restSound }
+ *   perRound - optional [{ workSec, restSec }] overriding lengths per round
+ */
+
+export const MAX_ROUNDS = 99;
+
+export const DEFAULT_INTERVAL = {
+  rounds: 8,
+  workSec: 45,
+  restSec: 15,
+  perRound: null,
+  workSound: 'bell',
+  restSound: 'soft'
+};
+
+/**
+ * Work/rest lengths for one round (1-based)
+ * @returns {Object} { workSec, restSec }
+ */
+export function getRoundLengths(interval, round) {
+  const custom = interval?.perRound?.[round - 1];
+  return {
+    workSec: custom?.workSec ?? interval?.workSec ?? DEFAULT_INTERVAL.workSec,
+    restSec: custom?.restSec ?? interval?.restSec ?? DEFAULT_INTERVAL.restSec
+  };
+}
+
+/**
+ * All phases in play order (zero-length phases are skipped)
+ * @returns {Array} [{ round, phase: 'work' | 'rest', startMs, durationMs }]
+ */
+export function getIntervalPhases(interval) {
+  const rounds = interval?.rounds || DEFAULT_INTERVAL.rounds;
+  const phases = [];
+  let startMs = 0;
+
+  for (let round = 1; round <= rounds; round++) {
+    const { workSec, restSec } = getRoundLengths(interval, round);
+    const lengths = round < rounds ? [['work', workSec], ['rest', restSec]] : [['work', workSec]];
+    lengths.forEach(([phase, sec]) => {
+      if (sec <= 0) return;
+      phases.push({ round, phase, startMs, durationMs: sec * 1000 });
+      startMs += sec * 1000;
+    });
+  }
+  return phases;
+}
+
+/**
+ * Total length of all rounds in seconds
+ */
+export function getIntervalTotalSec(interval) {
+  return getIntervalPhases(interval).reduce((sum, phase) => sum + phase.durationMs, 0) / 1000;
+}
+
+/**
+ * Round and phase at an elapsed time
+ * @returns {Object} { index, round, rounds, phase: 'work' | 'rest' | 'done', remainingMs }
+ */
+export function getIntervalPosition(interval, elapsedMs) {
+  const phases = getIntervalPhases(interval);
+  const rounds = interval?.rounds || DEFAULT_INTERVAL.rounds;
+  const index = phases.findIndex(p => elapsedMs < p.startMs + p.durationMs);
+
+  if (index === -1) {
+    return { index: phases.length, round: rounds, rounds, phase: 'done', remainingMs: 0 };
+  }
+  const current = phases[index];
+  return {
+    index,
+    round: current.round,
+    rounds,
+    phase: current.phase,
+    remainingMs: current.startMs + current.durationMs - Math.max(0, elapsedMs)
+  };
+}
+
+/**
+ * Output line, e.g. "Round 3/8 — REST"
+ */
+export function formatIntervalLabel(position) {
+  return `Round ${position.round}/${position.rounds} — ${position.phase.toUpperCase()}`;
+}
@@ -0,0 +1,58 @@
+/**
+ * Ninja Timer - Stopwatch Laps
+ * Laps are stored as split times (ms since the stopwatch started); lap times
+ * are the differences between consecutive splits.
+ */
+
+import { formatStopwatch, formatStopwatchPlain } from './timer.js';
+
+export const MAX_LAPS = 999;
+
+/**
+ * Lap table rows, first lap first
+ * @param {Array} laps - Split times in ms
+ * @returns {Array} [{ number, lapMs, splitMs }]
+ */
+export function getLapRows(laps = []) {
+  return laps.map((splitMs, i) => ({
+    number: i + 1,
+    lapMs: splitMs - (i > 0 ? laps[i - 1] : 0),
+    splitMs
+  }));
+}
+
+/**
+ * Output line for the last lap, e.g. "Lap 3 · 1:02.4" (HTML)
+ * @returns {string|null} Null when no laps were recorded
+ */
+export function formatLastLap(laps = [], format = 'MM:SS') {
+  if (laps.length === 0) return null;
+  const { number, lapMs } = getLapRows(laps)[laps.length - 1];
+  return `Lap ${number} · ${formatStopwatch(lapMs, format)}`;
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Lap table as CSV text
+ * @param {Array} laps - Split times in ms
+ * @param {string} timerName - Written to the first column of every row
+ * @returns {string}
+ */
+export function lapsToCSV(laps = [], timerName = '') {
+  const lines = [['Timer', 'Lap', 'Lap Time', 'Split', 'Lap (ms)', 'Split (ms)'].join(',')];
+  getLapRows(laps).forEach(({ number, lapMs, splitMs }) => {
+    lines.push([
+      csvField(timerName),
+      number,
+      formatStopwatchPlain(lapMs, 'HH:MM:SS'),
+      formatStopwatchPlain(splitMs, 'HH:MM:SS'),
+      Math.round(lapMs),
+      Math.round(splitMs)
+    ].join(','));
+  });
+  return lines.join('\n') + '\n';
+}
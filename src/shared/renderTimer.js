@@ -5,14 +5,16 @@
  * Production Safety: This file includes defensive programming patterns
  * to prevent display errors from crashing the app.
  *
- * TIMING NOTE: This module uses Date.now() for timestamps. While this is
- * generally reliable, it can be affected by system clock changes (NTP sync,
- * daylight savings, manual adjustment). For mission-critical timing,
- * consider using performance.now() for elapsed time calculations in the
- * control window where timing state is managed.
+ * TIMING NOTE: Timer timestamps are on the monotonic timeline (see clock.js),
+ * so system clock changes (NTP sync, daylight savings, manual adjustment)
+ * cannot move a running timer. Wall-clock time is only used for endBy
+ * targets, countdowns to a date and time-of-day display.
  */
 
-import { formatTime, formatTimeOfDay } from './timer.js';
+import { formatTimePlain, formatTimeOfDay, formatStopwatchPlain, formatOvertimePlain, getTimeUntilDate, toTimeHTML } from './timer.js';
+import { formatLastLap } from './laps.js';
+import { getIntervalPosition, formatIntervalLabel } from './intervals.js';
+import { monotonicNow } from './clock.js';
 
 /**
  * Safe default display result for error recovery
@@ -20,6 +22,7 @@ import { formatTime, formatTimeOfDay } from './timer.js';
 const SAFE_DEFAULT_DISPLAY = {
   visible: true,
   text: '--:--',
+  plainText: '--:--',
   elapsedMs: 0,
   remainingMs: 0,
   overtime: false
@@ -32,10 +35,11 @@ const SAFE_DEFAULT_DISPLAY = {
  * Production Safety: This function validates input and never throws
  *
  * @param {Object} state - Canonical timer state
- * @param {number} now - Current timestamp (Date.now())
- * @returns {Object} Display values { text, elapsedMs, remainingMs, overtime, visible }
+ * @param {number} now - Current monotonic timestamp, on the state's timeline
+ * @param {number} wallNow - Current wall-clock time (endBy and date targets)
+ * @returns {Object} Display values { text, plainText, elapsedMs, remainingMs, overtime, visible }
  */
-export function computeDisplay(state, now = Date.now()) {
+export function computeDisplay(state, now = monotonicNow(), wallNow = Date.now()) {
   // Validate state object
   if (!state || typeof state !== 'object') {
     console.warn('[computeDisplay] Invalid state, using defaults');
@@ -43,7 +47,7 @@ export function computeDisplay(state, now = Date.now()) {
   }
 
   try {
-    return computeDisplayInternal(state, now);
+    return computeDisplayInternal(state, now, wallNow);
   } catch (err) {
     console.error('[computeDisplay] Error (recovered):', err);
     return { ...SAFE_DEFAULT_DISPLAY };
@@ -53,7 +57,7 @@ export function computeDisplay(state, now = Date.now()) {
 /**
  * Internal compute function (can throw, wrapped by computeDisplay)
  */
-function computeDisplayInternal(state, now) {
+function computeDisplayInternal(state, now, wallNow) {
   const { mode, format, startedAt, pausedAccMs, isRunning, ended, overtime, overtimeStartedAt, todFormat, timezone, startMode, targetTime } = state;
 
   // Calculate effective duration based on start mode
@@ -61,7 +65,7 @@ function computeDisplayInternal(state, now) {
   if (startMode === 'endBy' && targetTime) {
     // End By mode: duration is time until target
     const targetMs = new Date(targetTime).getTime();
-    durationMs = Math.max(0, targetMs - now);
+    durationMs = Math.max(0, targetMs - wallNow);
   }
 
   // Hidden mode
@@ -69,6 +73,7 @@ function computeDisplayInternal(state, now) {
     return {
       visible: false,
       text: '',
+      plainText: '',
       elapsedMs: 0,
       remainingMs: 0,
       overtime: false
@@ -77,9 +82,11 @@ function computeDisplayInternal(state, now) {
 
   // Time of Day only mode
   if (mode === 'tod') {
+    const clockText = formatTimeOfDay(todFormat, timezone);
     return {
       visible: true,
-      text: formatTimeOfDay(todFormat, timezone),
+      text: clockText,
+      plainText: clockText.replace(/<[^>]*>/g, ''),
       elapsedMs: 0,
       remainingMs: 0,
       overtime: false
@@ -87,8 +94,10 @@ function computeDisplayInternal(state, now) {
   }
 
   // Determine mode type
-  const isCountdown = mode === 'countdown' || mode === 'countdown-tod';
+  const isCountdown = mode === 'countdown' || mode === 'countdown-tod' || mode === 'countdown-date';
   const isCountup = mode === 'countup' || mode === 'countup-tod';
+  const isStopwatch = mode === 'stopwatch';
+  const isInterval = mode === 'interval';
   const showToD = mode === 'countdown-tod' || mode === 'countup-tod';
 
   let elapsedMs = 0;
@@ -126,34 +135,49 @@ function computeDisplayInternal(state, now) {
     }
   }
 
-  // Handle overtime display
+  // Countdown to date: time left until the date, running or not
+  if (mode === 'countdown-date') {
+    remainingMs = Math.max(0, getTimeUntilDate(state.targetDate, wallNow));
+  }
+
+  // Interval: time left in the current work/rest phase
+  const intervalPosition = isInterval ? getIntervalPosition(state.interval, elapsedMs) : null;
+
+  // Handle overtime display (plain text here, HTML in the result)
   if (overtime && overtimeStartedAt) {
-    const overtimeMs = now - overtimeStartedAt;
-    const overtimeSec = Math.floor(overtimeMs / 1000);
-    const mins = Math.floor(overtimeSec / 60);
-    const secs = overtimeSec % 60;
-    displayText = '+' + mins + ':' + String(secs).padStart(2, '0');
+    displayText = formatOvertimePlain(now - overtimeStartedAt, format, state);
   } else {
     // Format based on mode
     if (isCountdown) {
       // Use ceil for countdown so timer shows full duration for the first second
-      displayText = formatTime(remainingMs, format, true);
+      displayText = formatTimePlain(remainingMs, format, true);
+    } else if (isStopwatch) {
+      displayText = formatStopwatchPlain(elapsedMs, format);
+    } else if (isInterval) {
+      displayText = formatTimePlain(intervalPosition.remainingMs, format, true);
     } else {
-      displayText = formatTime(elapsedMs, format, false);
+      displayText = formatTimePlain(elapsedMs, format, false);
     }
   }
 
   // Return ToD text separately (not appended to timer)
   const todText = showToD ? formatTimeOfDay(todFormat, timezone) : null;
 
+  // Stopwatch last lap and interval round go on the secondary (ToD) line
+  const lastLapText = isStopwatch && state.showLastLap ? formatLastLap(state.laps || [], format) : null;
+  const secondaryText = lastLapText || (intervalPosition ? formatIntervalLabel(intervalPosition) : null);
+
   return {
     visible: true,
-    text: displayText,
-    todText,
-    showToD,
+    text: toTimeHTML(displayText),
+    // Same text without markup (OSC feedback)
+    plainText: displayText,
+    todText: secondaryText || todText,
+    showToD: showToD || secondaryText !== null,
     elapsedMs,
     remainingMs,
-    overtime
+    overtime,
+    interval: intervalPosition
   };
 }
 
@@ -274,7 +298,10 @@ export function getCombinedShadowCSS(strokeWidth, strokeColor, shadowSize, shado
  * animation issues from affecting the main timer display.
  */
 export class FlashAnimator {
-  constructor(elements, containerEl, onComplete) {
+  /**
+   * @param {Function} clock - Returns now on the startedAt timeline (default: monotonicNow)
+   */
+  constructor(elements, containerEl, onComplete, clock = monotonicNow) {
     // Accept single element or array of elements
     this.elements = Array.isArray(elements) ? elements.filter(Boolean) : (elements ? [elements] : []);
 
@@ -284,6 +311,7 @@ export class FlashAnimator {
 
     this.containerEl = containerEl;
     this.onComplete = onComplete;
+    this.clock = clock;
 
     // Store original styles for each element
     this.originalStyles = [];
@@ -301,7 +329,7 @@ export class FlashAnimator {
     this.lastPhase = null;
   }
 
-  start(startedAt = Date.now()) {
+  start(startedAt = this.clock()) {
     if (this.isFlashing) return;
 
     // Store original styles for all elements
@@ -325,7 +353,7 @@ export class FlashAnimator {
     if (!this.isFlashing) return;
 
     try {
-      const now = Date.now();
+      const now = this.clock();
       const elapsed = now - this.startedAt;
 
       // Animation complete?
@@ -0,0 +1,177 @@
+/**
+ * Ninja Timer - Rundown
+ * Planned vs. actual schedule for a profile's timer list
+ *
+ * Planned times cascade from the show start through each timer's duration.
+ * Start At timers are fixed to their target time and End By timers end at
+ * theirs, so they re-anchor the schedule. Projections follow the same rules
+ * from the live timer onwards, so an overrunning timer pushes everything after
+ * it (except fixed Start At times it hasn't reached yet).
+ *
+ * All times are wall-clock ms (schedules are time-of-day based).
+ */
+
+// Drift within this counts as on time
+export const ON_TIME_TOLERANCE_MS = 30 * 1000;
+
+/**
+ * Resolve a show start time ('HH:MM') to today's date
+ * @param {string} hhmm
+ * @param {number} now - Wall clock ms
+ * @returns {number|null}
+ */
+export function resolveShowStart(hhmm, now = Date.now()) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(hhmm || '');
+  if (!match) return null;
+
+  const date = new Date(now);
+  date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Fixed target time of a Start At / End By timer
+ * @returns {number|null}
+ */
+function getTargetMs(config) {
+  if (!config?.targetTime) return null;
+  const ms = new Date(config.targetTime).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Planned length of a timer starting at startMs (End By runs until its target)
+ */
+function getPlannedDurationMs(config, startMs) {
+  const targetMs = getTargetMs(config);
+  if (config?.startMode === 'endBy' && targetMs !== null && startMs !== null) {
+    return Math.max(0, targetMs - startMs);
+  }
+  return (config?.durationSec || 0) * 1000;
+}
+
+/**
+ * Compute planned, actual and projected times for every timer
+ * @param {Array} presets - Profile presets ({ name, config, linkedToNext })
+ * @param {Object} options
+ * @param {number|null} options.showStart - Planned start of the first timer (ms)
+ * @param {Object} options.actuals - { [index]: { startedAt, endedAt } } from main
+ * @param {Object} options.current - { index, elapsedMs } of the loaded timer
+ * @param {number} options.now - Wall clock ms
+ * @returns {Object} - { rows, plannedEnd, projectedEnd, driftMs }
+ */
+export function computeRundown(presets, options = {}) {
+  const { showStart = null, actuals = {}, current = {}, now = Date.now() } = options;
+
+  // Timers before the last one that started were skipped if they never ran
+  const startedIndexes = Object.keys(actuals).map(Number).filter(i => i < presets.length);
+  const lastStarted = startedIndexes.length > 0 ? Math.max(...startedIndexes) : -1;
+
+  let plannedCursor = showStart;
+  let projectedCursor = null;
+
+  const rows = presets.map((preset, index) => {
+    const config = preset.config || {};
+    const targetMs = getTargetMs(config);
+    const isStartAt = config.startMode === 'startAt' && targetMs !== null;
+
+    // Planned: fixed Start At time, otherwise when the previous timer ends
+    const plannedStart = isStartAt ? targetMs : plannedCursor;
+    const plannedDurationMs = getPlannedDurationMs(config, plannedStart);
+    const plannedEnd = plannedStart !== null ? plannedStart + plannedDurationMs : null;
+    plannedCursor = plannedEnd;
+
+    const actual = actuals[index] || null;
+    let status;
+    let projectedStart = null;
+    let projectedEnd = null;
+
+    if (actual?.endedAt) {
+      status = 'done';
+      projectedStart = actual.startedAt;
+      projectedEnd = actual.endedAt;
+    } else if (actual) {
+      status = 'live';
+      projectedStart = actual.startedAt;
+      const elapsedMs = index === current.index && typeof current.elapsedMs === 'number'
+        ? current.elapsedMs
+        : now - actual.startedAt;
+      // Overrunning timers end "now", so drift grows live
+      const remainingMs = config.startMode === 'endBy' && targetMs !== null
+        ? targetMs - now
+        : getPlannedDurationMs(config, actual.startedAt) - elapsedMs;
+      projectedEnd = now + Math.max(0, remainingMs);
+    } else if (index < lastStarted) {
+      status = 'skipped';
+    } else {
+      status = 'upcoming';
+      const earliest = Math.max(projectedCursor ?? plannedStart ?? now, now);
+      projectedStart = isStartAt ? Math.max(earliest, targetMs) : earliest;
+      projectedEnd = projectedStart + getPlannedDurationMs(config, projectedStart);
+    }
+
+    if (projectedEnd !== null) {
+      projectedCursor = projectedEnd;
+    }
+
+    return {
+      index,
+      name: preset.name,
+      status,
+      plannedStart,
+      plannedEnd,
+      plannedDurationMs,
+      actualStart: actual?.startedAt ?? null,
+      actualEnd: actual?.endedAt ?? null,
+      projectedStart,
+      projectedEnd,
+      driftMs: plannedStart !== null && projectedStart !== null ? projectedStart - plannedStart : null
+    };
+  });
+
+  const last = rows[rows.length - 1];
+  const plannedEnd = last?.plannedEnd ?? null;
+  const projectedEnd = projectedCursor;
+
+  return {
+    rows,
+    plannedEnd,
+    projectedEnd,
+    driftMs: plannedEnd !== null && projectedEnd !== null ? projectedEnd - plannedEnd : null
+  };
+}
+
+/**
+ * Describe drift for display: "Running 4:30 late", "On time"
+ * @param {number|null} driftMs
+ * @returns {string}
+ */
+export function describeDrift(driftMs) {
+  if (driftMs === null) return '';
+  if (Math.abs(driftMs) < ON_TIME_TOLERANCE_MS) return 'On time';
+
+  const totalSec = Math.round(Math.abs(driftMs) / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  const text = h > 0
+    ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+    : `${m}:${String(s).padStart(2, '0')}`;
+
+  return `Running ${text} ${driftMs > 0 ? 'late' : 'early'}`;
+}
+
+/**
+ * Format a wall-clock time for rundown columns: "10:30 AM" / "10:30"
+ * @param {number|null} ms
+ * @param {string} format - '12h' or '24h' (app ToD setting)
+ * @returns {string}
+ */
+export function formatClockTime(ms, format = '12h') {
+  if (ms === null || !Number.isFinite(ms)) return '—';
+  return new Date(ms).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: format === '12h'
+  });
+}
@@ -0,0 +1,236 @@
+/**
+ * Ninja Timer - Keyboard Shortcuts
+ * Configurable key bindings shared by the control and output windows.
+ *
+ * A binding is { key, action, index?, scope }:
+ *   key    - combo like "Space", "Shift+R" or "Ctrl+Alt+ArrowRight"
+ *            (modifiers in Ctrl, Alt, Shift, Meta order)
+ *   action - id from SHORTCUT_ACTIONS; numbered actions carry a 1-based index
+ *   scope  - window it works in: 'control', 'output' or 'both'
+ *
+ * Output windows forward everything except fullscreen to the control window,
+ * which runs the action (see onKeyboardShortcut in control.js).
+ */
+
+export const SHORTCUT_SCOPES = [
+  { value: 'both', label: 'Both windows' },
+  { value: 'control', label: 'Control window' },
+  { value: 'output', label: 'Output window' }
+];
+
+// numbered: action takes an index (message N, profile N)
+// scopes: windows the action can be bound in (default: all)
+export const SHORTCUT_ACTIONS = [
+  { id: 'toggle', label: 'Start / Pause / Resume', group: 'Timer Controls' },
+  { id: 'start', label: 'Start timer', group: 'Timer Controls' },
+  { id: 'pause', label: 'Pause timer', group: 'Timer Controls' },
+  { id: 'reset', label: 'Reset timer', group: 'Timer Controls' },
+  { id: 'next', label: 'Next timer', group: 'Timer Controls' },
+  { id: 'previous', label: 'Previous timer', group: 'Timer Controls' },
+  { id: 'lap', label: 'Record lap (stopwatch)', group: 'Timer Controls' },
+  { id: 'add30', label: 'Add 30 seconds', group: 'Timer Controls', seconds: 30 },
+  { id: 'sub30', label: 'Subtract 30 seconds', group: 'Timer Controls', seconds: -30 },
+  { id: 'add60', label: 'Add 1 minute', group: 'Timer Controls', seconds: 60 },
+  { id: 'sub60', label: 'Subtract 1 minute', group: 'Timer Controls', seconds: -60 },
+  { id: 'message', label: 'Show message', group: 'Messages', numbered: true },
+  { id: 'hideMessage', label: 'Hide message', group: 'Messages' },
+  { id: 'flash', label: 'Flash timer', group: 'Display' },
+  { id: 'blackout', label: 'Toggle blackout', group: 'Display' },
+  { id: 'fullscreen', label: 'Toggle output fullscreen', group: 'Display' },
+  { id: 'profile', label: 'Switch to profile', group: 'Profiles', numbered: true },
+  { id: 'help', label: 'Show shortcuts help', group: 'General', scopes: ['control'] }
+];
+
+const ACTIONS_BY_ID = new Map(SHORTCUT_ACTIONS.map(action => [action.id, action]));
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const MAX_INDEX = 99;
+const MAX_SHORTCUTS = 100;
+
+export const DEFAULT_SHORTCUTS = [
+  { key: 'Space', action: 'toggle', scope: 'both' },
+  { key: 'R', action: 'reset', scope: 'both' },
+  { key: 'L', action: 'lap', scope: 'both' },
+  { key: 'B', action: 'blackout', scope: 'both' },
+  { key: 'F', action: 'flash', scope: 'control' },
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(index => ({ key: String(index), action: 'profile', index, scope: 'control' })),
+  { key: 'Escape', action: 'fullscreen', scope: 'output' },
+  { key: '?', action: 'help', scope: 'control' }
+];
+
+// Menu accelerators and editing keys (Mod = Cmd on macOS, Ctrl elsewhere)
+const RESERVED_KEYS = {
+  'Mod+Z': 'Undo',
+  'Mod+Shift+Z': 'Redo',
+  'Mod+Enter': 'Start (menu)',
+  'Mod+.': 'Pause (menu)',
+  'Mod+R': 'Reset (menu)',
+  'Mod+F': 'Toggle Output Fullscreen (menu)',
+  'Mod+N': 'New Output Window (menu)',
+  'Mod+W': 'Close Window',
+  'Mod+Q': 'Quit',
+  'Mod+C': 'Copy',
+  'Mod+V': 'Paste',
+  'Mod+X': 'Cut',
+  'Mod+A': 'Select All'
+};
+
+const KEY_LABELS = {
+  Space: 'Space',
+  Escape: 'Esc',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down',
+  Backspace: '⌫',
+  Delete: 'Del'
+};
+
+/**
+ * Split a combo into modifiers and key ("Ctrl++" is Ctrl with the + key)
+ * @returns {Object} { modifiers, key }
+ */
+export function parseKeyCombo(combo) {
+  const text = String(combo || '');
+  const endsWithPlus = text.endsWith('+');
+  const parts = (endsWithPlus ? text.slice(0, -1) : text).split('+').filter(Boolean);
+  const key = endsWithPlus ? '+' : parts.pop() || '';
+  return { modifiers: parts, key };
+}
+
+function buildKeyCombo(modifiers, key) {
+  return [...MODIFIERS.filter(mod => modifiers.includes(mod)), key].join('+');
+}
+
+/**
+ * Combo for a keydown event, or null for a lone modifier
+ * Letters are stored uppercase; Shift is dropped for symbols that already
+ * include it ("?" rather than "Shift+/"), so bindings follow the layout.
+ */
+export function getKeyCombo(event) {
+  let key = event.key;
+  if (!key || key === 'Unidentified' || key === 'Dead' || ['Control', 'Alt', 'Shift', 'Meta'].includes(key)) {
+    return null;
+  }
+
+  // Option on macOS types symbols (Alt+R = ®), so use the physical key
+  const physical = /^(?:Key|Digit)(\w)$/.exec(event.code || '');
+  if (event.altKey && physical) {
+    key = physical[1];
+  }
+
+  if (key === ' ') key = 'Space';
+  const isChar = key.length === 1;
+  const isLetter = isChar && key.toLowerCase() !== key.toUpperCase();
+  if (isChar) key = key.toUpperCase();
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Ctrl');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey && (!isChar || isLetter)) modifiers.push('Shift');
+  if (event.metaKey) modifiers.push('Meta');
+  return buildKeyCombo(modifiers, key);
+}
+
+/**
+ * Display text for a combo, e.g. "⌘⇧R" on macOS or "Ctrl+Shift+R"
+ */
+export function formatKeyCombo(combo, mac = false) {
+  const { modifiers, key } = parseKeyCombo(combo);
+  const keyLabel = KEY_LABELS[key] || key;
+  if (mac) {
+    const symbols = { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' };
+    return modifiers.map(mod => symbols[mod]).join('') + keyLabel;
+  }
+  return [...modifiers.map(mod => (mod === 'Meta' ? 'Win' : mod)), keyLabel].join('+');
+}
+
+/**
+ * Action definition by id
+ * @returns {Object|undefined}
+ */
+export function getShortcutAction(id) {
+  return ACTIONS_BY_ID.get(id);
+}
+
+/**
+ * Label for a binding's action, e.g. "Show message 3"
+ */
+export function describeShortcut(binding) {
+  const action = ACTIONS_BY_ID.get(binding.action);
+  if (!action) return binding.action;
+  return action.numbered ? `${action.label} ${binding.index}` : action.label;
+}
+
+/**
+ * Binding for a combo in a window
+ * @param {Array} shortcuts
+ * @param {string} combo - From getKeyCombo()
+ * @param {string} windowScope - 'control' or 'output'
+ * @returns {Object|null}
+ */
+export function matchShortcut(shortcuts, combo, windowScope) {
+  if (!combo) return null;
+  return shortcuts.find(s => s.key === combo && (s.scope === 'both' || s.scope === windowScope)) || null;
+}
+
+function scopesOverlap(a, b) {
+  return a === b || a === 'both' || b === 'both';
+}
+
+/**
+ * Find bindings that clash with another binding or a reserved key
+ * @param {Array} shortcuts
+ * @param {boolean} mac - Whether Mod means Cmd (Meta) or Ctrl
+ * @returns {Array} Message per binding (null when it has no conflict)
+ */
+export function findShortcutConflicts(shortcuts, mac = false) {
+  const reserved = {};
+  Object.entries(RESERVED_KEYS).forEach(([combo, label]) => {
+    const { modifiers, key } = parseKeyCombo(combo.replace('Mod', mac ? 'Meta' : 'Ctrl'));
+    reserved[buildKeyCombo(modifiers, key)] = label;
+  });
+
+  return shortcuts.map((shortcut, i) => {
+    if (!shortcut.key) return null;
+    if (reserved[shortcut.key]) {
+      return `Reserved for ${reserved[shortcut.key]}`;
+    }
+    const other = shortcuts.find((s, j) => j !== i && s.key === shortcut.key && scopesOverlap(s.scope, shortcut.scope));
+    return other ? `Same key as "${describeShortcut(other)}"` : null;
+  });
+}
+
+/**
+ * Validate a list of bindings, dropping invalid entries
+ * @returns {Array|null} Cleaned list, or null if not a list
+ */
+export function validateShortcuts(shortcuts) {
+  if (!Array.isArray(shortcuts)) {
+    return null;
+  }
+
+  return shortcuts.slice(0, MAX_SHORTCUTS).flatMap((shortcut) => {
+    if (!shortcut || typeof shortcut !== 'object' || typeof shortcut.key !== 'string') return [];
+    const action = ACTIONS_BY_ID.get(shortcut.action);
+    if (!action) return [];
+
+    const { modifiers, key } = parseKeyCombo(shortcut.key);
+    if (!key || key.length > 20 || modifiers.some(mod => !MODIFIERS.includes(mod))) return [];
+
+    const scopes = action.scopes || SHORTCUT_SCOPES.map(s => s.value);
+    const validated = {
+      key: buildKeyCombo(modifiers, key.length === 1 ? key.toUpperCase() : key),
+      action: action.id,
+      scope: scopes.includes(shortcut.scope) ? shortcut.scope : scopes[0]
+    };
+    if (action.numbered) {
+      const index = Number(shortcut.index);
+      if (!Number.isInteger(index) || index < 1 || index > MAX_INDEX) return [];
+      validated.index = index;
+    }
+    return [validated];
+  });
+}
@@ -0,0 +1,184 @@
+/**
+ * Ninja Timer - Show Report
+ * Turns the show log (timer events recorded by main) into per-run timings:
+ * planned vs. actual duration, overtime and pauses, exportable as CSV/JSON.
+ *
+ * A run lasts from a timer's start until it is reset, stopped at 0:00,
+ * advanced by a linked chain or replaced by another start.
+ */
+
+const CSV_COLUMNS = [
+  ['timer', 'Timer'],
+  ['position', 'Position'],
+  ['startedAt', 'Started'],
+  ['endedAt', 'Ended'],
+  ['endReason', 'End'],
+  ['plannedSec', 'Planned (s)'],
+  ['actualSec', 'Actual (s)'],
+  ['overtimeSec', 'Overtime (s)'],
+  ['pauseCount', 'Pauses'],
+  ['pausedSec', 'Paused (s)'],
+  ['seekCount', 'Seeks'],
+  ['durationChanges', 'Duration Changes']
+];
+
+// Events that finish the open run
+const CLOSING_EVENTS = {
+  reset: 'reset',
+  stopped: 'stopped',
+  advanced: 'advanced'
+};
+
+/**
+ * Timer elapsed time at a given moment, from the last logged position
+ */
+function elapsedAt(run, time) {
+  return run.lastElapsedMs + (run.running ? time - run.lastTime : 0);
+}
+
+function toSeconds(ms) {
+  return Math.round(ms / 1000);
+}
+
+/**
+ * Build a report for one profile from show log entries
+ * @param {Array} entries - { time, event, profileId, index, name, durationMs, elapsedMs, detail }
+ * @param {Object} options - { profileId, profileName, now }
+ * @returns {Object} - { profile, generatedAt, runs, totals }
+ */
+export function buildShowReport(entries, options = {}) {
+  const { profileId = null, profileName = null, now = Date.now() } = options;
+  const runs = [];
+  let run = null;
+
+  const closeRun = (time, reason) => {
+    if (!run) return;
+    if (run.pausedSince !== null) {
+      run.pausedMs += time - run.pausedSince;
+    }
+    run.endedAt = reason === 'in progress' ? null : time;
+    run.endReason = reason;
+    run.actualMs = Math.max(0, elapsedAt(run, time));
+    runs.push(run);
+    run = null;
+  };
+
+  entries
+    .filter(entry => entry.profileId === profileId)
+    .forEach((entry) => {
+      const { time, event } = entry;
+
+      if (event === 'started') {
+        closeRun(time, 'restarted');
+        run = {
+          index: entry.index,
+          name: entry.name,
+          startReason: entry.detail?.reason || 'command',
+          startedAt: time,
+          endedAt: null,
+          endReason: null,
+          plannedMs: entry.durationMs || 0,
+          actualMs: 0,
+          pauseCount: 0,
+          pausedMs: 0,
+          pausedSince: null,
+          seekCount: 0,
+          durationChanges: 0,
+          running: true,
+          lastElapsedMs: 0,
+          lastTime: time
+        };
+        return;
+      }
+
+      if (!run) return;
+
+      if (CLOSING_EVENTS[event]) {
+        closeRun(time, CLOSING_EVENTS[event]);
+        return;
+      }
+
+      switch (event) {
+        case 'paused':
+          run.pauseCount++;
+          run.pausedSince = time;
+          run.running = false;
+          break;
+        case 'resumed':
+          if (run.pausedSince !== null) {
+            run.pausedMs += time - run.pausedSince;
+            run.pausedSince = null;
+          }
+          run.running = true;
+          break;
+        case 'seeked':
+          run.seekCount++;
+          break;
+        case 'duration':
+          run.durationChanges++;
+          run.plannedMs = entry.durationMs || 0;
+          break;
+      }
+
+      if (typeof entry.elapsedMs === 'number') {
+        run.lastElapsedMs = entry.elapsedMs;
+        run.lastTime = time;
+      }
+    });
+
+  // Timer still in progress
+  closeRun(now, 'in progress');
+
+  const rows = runs.map(r => ({
+    timer: r.name || `Timer ${r.index + 1}`,
+    position: r.index !== null && r.index !== undefined ? r.index + 1 : null,
+    startedAt: new Date(r.startedAt).toISOString(),
+    endedAt: r.endedAt !== null ? new Date(r.endedAt).toISOString() : null,
+    startReason: r.startReason,
+    endReason: r.endReason,
+    plannedSec: toSeconds(r.plannedMs),
+    actualSec: toSeconds(r.actualMs),
+    overtimeSec: toSeconds(Math.max(0, r.actualMs - r.plannedMs)),
+    pauseCount: r.pauseCount,
+    pausedSec: toSeconds(r.pausedMs),
+    seekCount: r.seekCount,
+    durationChanges: r.durationChanges
+  }));
+
+  const sum = key => rows.reduce((total, row) => total + row[key], 0);
+
+  return {
+    profile: { id: profileId, name: profileName },
+    generatedAt: new Date(now).toISOString(),
+    runs: rows,
+    totals: {
+      runs: rows.length,
+      plannedSec: sum('plannedSec'),
+      actualSec: sum('actualSec'),
+      overtimeSec: sum('overtimeSec'),
+      pausedSec: sum('pausedSec')
+    }
+  };
+}
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a report as CSV (one row per run)
+ * @param {Object} report - From buildShowReport()
+ * @returns {string}
+ */
+export function showReportToCSV(report) {
+  const lines = [CSV_COLUMNS.map(([, label]) => csvField(label)).join(',')];
+  report.runs.forEach((row) => {
+    lines.push(CSV_COLUMNS.map(([key]) => csvField(row[key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
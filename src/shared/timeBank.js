@@ -0,0 +1,152 @@
+/**
+ * Ninja Timer - Time Bank
+ * Carries overruns and under-runs along a linked chain: when a timer in a
+ * chain finishes, the difference between its length and the time it actually
+ * took is taken from (or given to) the timers after it in the same chain.
+ *
+ * Actual times come from the rundown (wall clock from start to finish), so
+ * pauses count as time used. Only manual countdowns give or receive time.
+ * A timer still in progress counts its overrun so far; an under-run counts
+ * once it has finished.
+ *
+ * Rules (profile.timeBank):
+ *   off          - no adjustments
+ *   proportional - spread over the chain's remaining timers by planned length
+ *   next         - all to the next timer
+ *   buffer       - all to the chain's buffer timer (preset.bankBuffer), or the
+ *                  next timer if the chain has no buffer or it already ran
+ *
+ * Linked chains advance at zero as usual, so a timer's difference is whatever
+ * it gained or lost before zero. With profile.timeBankHold, banked timers hold
+ * in overtime instead and the overrun counts until the operator moves on.
+ */
+
+export const TIME_BANK_RULES = ['off', 'proportional', 'next', 'buffer'];
+
+// A banked timer never drops below this
+const MIN_DURATION_SEC = 1;
+
+/**
+ * Whether a timer gives and receives banked time
+ */
+export function isBankable(config) {
+  return ['countdown', 'countdown-tod'].includes(config?.mode || 'countdown') &&
+    (config?.startMode || 'manual') === 'manual';
+}
+
+/**
+ * Linked chains (two or more timers) as lists of preset indexes
+ * @param {Array} presets - ({ linkedToNext })
+ * @returns {Array}
+ */
+export function getLinkedChains(presets = []) {
+  const chains = [];
+  let chain = [];
+  presets.forEach((preset, index) => {
+    chain.push(index);
+    if (!preset?.linkedToNext || index === presets.length - 1) {
+      if (chain.length > 1) chains.push(chain);
+      chain = [];
+    }
+  });
+  return chains;
+}
+
+/**
+ * Duration of a timer after its bank adjustment
+ * @param {Object} config - Preset config (planned durationSec)
+ * @param {number} adjustSec - From computeTimeBank()
+ */
+export function getBankedDurationSec(config, adjustSec = 0) {
+  const plannedSec = config?.durationSec || 0;
+  return adjustSec ? Math.max(MIN_DURATION_SEC, plannedSec + adjustSec) : plannedSec;
+}
+
+/**
+ * Bank adjustment of every timer in a profile
+ * @param {Array} presets - Profile presets ({ config, linkedToNext, bankBuffer })
+ * @param {Object} options
+ * @param {string} options.rule - One of TIME_BANK_RULES
+ * @param {Object} options.actuals - { [index]: { startedAt, endedAt } } rundown actuals
+ * @param {number} options.now - Wall clock ms
+ * @returns {Array} Whole seconds per preset index (+ gained, - lost)
+ */
+export function computeTimeBank(presets = [], options = {}) {
+  const { rule = 'off', actuals = {}, now = Date.now() } = options;
+  const adjustMs = presets.map(() => 0);
+  if (!TIME_BANK_RULES.includes(rule) || rule === 'off') return adjustMs;
+
+  const adjustSec = index => Math.round(adjustMs[index] / 1000);
+
+  getLinkedChains(presets).forEach((chain) => {
+    const members = chain.filter(index => isBankable(presets[index].config));
+
+    members.forEach((index, position) => {
+      const actual = actuals[index];
+      if (typeof actual?.startedAt !== 'number') return;
+
+      const endedAt = actual.endedAt ?? now;
+      const usedMs = endedAt - actual.startedAt;
+      let deltaMs = getBankedDurationSec(presets[index].config, adjustSec(index)) * 1000 - usedMs;
+      if (actual.endedAt === null) {
+        deltaMs = Math.min(0, deltaMs);
+      }
+      if (deltaMs === 0) return;
+
+      // Timers that hadn't started when this one finished
+      const later = members.slice(position + 1).filter(i => !actuals[i] || actuals[i].startedAt >= endedAt);
+      if (later.length === 0) return;
+
+      if (rule === 'proportional') {
+        const totalSec = later.reduce((sum, i) => sum + (presets[i].config?.durationSec || 0), 0);
+        later.forEach((i) => {
+          const share = totalSec > 0 ? (presets[i].config?.durationSec || 0) / totalSec : 1 / later.length;
+          adjustMs[i] += deltaMs * share;
+        });
+      } else {
+        const buffer = rule === 'buffer' ? later.find(i => presets[i].bankBuffer) : undefined;
+        adjustMs[buffer ?? later[0]] += deltaMs;
+      }
+    });
+  });
+
+  return adjustMs.map(ms => Math.round(ms / 1000));
+}
+
+/**
+ * A timer's config with its bank adjustment, counting timers still in
+ * progress as finished now (loading another timer ends them)
+ * @param {Array} presets - Profile presets
+ * @param {number} index - Timer to load
+ * @param {Object} options - As computeTimeBank()
+ * @returns {Object} Preset config
+ */
+export function getBankedTimerConfig(presets = [], index, options = {}) {
+  const { actuals = {}, now = Date.now() } = options;
+  const config = presets[index]?.config;
+  const handover = Object.fromEntries(Object.entries(actuals).map(([i, entry]) =>
+    [i, entry?.endedAt === null ? { ...entry, endedAt: now } : entry]));
+
+  const adjustSec = computeTimeBank(presets, { ...options, actuals: handover, now })[index];
+  return adjustSec ? { ...config, durationSec: getBankedDurationSec(config, adjustSec) } : config;
+}
+
+/**
+ * Where a linked chain goes when a timer reaches zero
+ * @param {Array} presets - Profile presets
+ * @param {number} index - Timer that reached zero
+ * @param {Object} options - As computeTimeBank(), plus hold (profile.timeBankHold)
+ * @returns {Object|null} Next timer ({ index, config }), or null to stay in overtime
+ */
+export function getLinkedAdvance(presets = [], index, options = {}) {
+  const current = presets[index];
+  if (!current?.linkedToNext || index >= presets.length - 1) return null;
+
+  const { rule = 'off', hold = false } = options;
+  if (hold && rule !== 'off' && TIME_BANK_RULES.includes(rule) &&
+      isBankable(current.config) && current.config.allowOvertime !== false) {
+    return null;
+  }
+
+  return { index: index + 1, config: getBankedTimerConfig(presets, index + 1, options) };
+}
@@ -64,51 +64,261 @@ export function secondsToHMS(total) {
 // Centered colon for time display (HTML)
 const COLON_HTML = '<span class="colon">:</span>';
 
+// Custom format templates, e.g. "{m}m {ss}s", "{hh}:{mm}:{ss}.{t}" or "T-{mm}:{ss}"
+// Tokens: {d} days, {h} hours, {m} minutes, {s} seconds (doubled = padded), {t} tenths
+export const FORMAT_TEMPLATE_TOKENS = ['d', 'dd', 'h', 'hh', 'm', 'mm', 's', 'ss', 't'];
+export const FORMAT_TEMPLATE_MAX_LENGTH = 40;
+const TEMPLATE_TOKEN = /\{(dd?|hh?|mm?|ss?|t)\}/;
+const TEMPLATE_UNITS = [['d', 86400, Infinity], ['h', 3600, 24], ['m', 60, 60], ['s', 1, 60]];
+
 /**
- * Format time as HTML (with centered colons for display)
- * First segment is not padded (9:00 not 09:00), rest are padded (0:09 not 0:9)
+ * Whether a format is a custom template rather than a built-in format
  */
-export function formatTime(ms, format = 'MM:SS', roundUp = false) {
-  const total = Math.max(0, roundUp ? Math.ceil(ms / 1000) : Math.floor(ms / 1000));
+export function isFormatTemplate(format) {
+  return typeof format === 'string' && format.includes('{');
+}
+
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Plain time text as display HTML (escaped, with centered colons)
+ */
+export function toTimeHTML(text) {
+  return escapeHTML(text).replaceAll(':', COLON_HTML);
+}
+
+/**
+ * Format a template (plain text)
+ * The largest unit in the template carries the rest, so {m} shows 75 past
+ * an hour unless the template also has {h}.
+ */
+function formatTemplate(ms, template, roundUp) {
+  // Round to the smallest unit shown (countdowns show 10:00 for the first second)
+  const step = template.includes('{t}') ? 100 : 1000;
+  const steps = Math.max(0, roundUp ? Math.ceil(ms / step) : Math.floor(ms / step));
+  const tenths = steps * (step / 100);
+  const total = Math.floor(tenths / 10);
+
+  const parts = template.split(new RegExp(TEMPLATE_TOKEN, 'g'));
+  const used = parts.filter((part, i) => i % 2 === 1).map(token => token[0]);
+  const largest = TEMPLATE_UNITS.findIndex(([unit]) => used.includes(unit));
+
+  return parts.map((part, i) => {
+    if (i % 2 === 0) return part;
+    if (part === 't') return String(tenths % 10);
+    const index = TEMPLATE_UNITS.findIndex(([unit]) => unit === part[0]);
+    const [, size, wrap] = TEMPLATE_UNITS[index];
+    const value = index === largest ? Math.floor(total / size) : Math.floor(total / size) % wrap;
+    return part.length === 2 ? String(value).padStart(2, '0') : String(value);
+  }).join('');
+}
+
+/**
+ * Format whole seconds with the given colon markup
+ * Day formats: 'D:HH:MM:SS' (12:04:33:10) and 'D days HH:MM:SS'
+ * (12 days 04:33:10, or just 4:33:10 under a day)
+ */
+function formatSeconds(total, format, colon) {
   const h = Math.floor(total / 3600);
   const m = Math.floor((total % 3600) / 60);
   const s = total % 60;
+  const d = Math.floor(h / 24);
 
   const pad = n => String(n).padStart(2, '0');
 
   switch (format) {
+    case 'D:HH:MM:SS':
+      return `${d}${colon}${pad(h % 24)}${colon}${pad(m)}${colon}${pad(s)}`;
+    case 'D days HH:MM:SS':
+      if (d === 0) {
+        return `${h}${colon}${pad(m)}${colon}${pad(s)}`;
+      }
+      return `${d} ${d === 1 ? 'day' : 'days'} ${pad(h % 24)}${colon}${pad(m)}${colon}${pad(s)}`;
     case 'HH:MM:SS':
-      return `${h}${COLON_HTML}${pad(m)}${COLON_HTML}${pad(s)}`;
+      return `${h}${colon}${pad(m)}${colon}${pad(s)}`;
     case 'MM:SS':
     default:
-      return `${m + (h * 60)}${COLON_HTML}${pad(s)}`;
+      return `${m + (h * 60)}${colon}${pad(s)}`;
+  }
+}
+
+/**
+ * Format time as HTML (with centered colons for display)
+ * First segment is not padded (9:00 not 09:00), rest are padded (0:09 not 0:9)
+ */
+export function formatTime(ms, format = 'MM:SS', roundUp = false) {
+  if (isFormatTemplate(format)) {
+    return toTimeHTML(formatTemplate(ms, format, roundUp));
   }
+  const total = Math.max(0, roundUp ? Math.ceil(ms / 1000) : Math.floor(ms / 1000));
+  return formatSeconds(total, format, COLON_HTML);
 }
 
 /**
  * Format time as plain text (no HTML, for textContent usage)
  * @param {number} ms - Milliseconds
- * @param {string} format - Display format ('HH:MM:SS', 'MM:SS')
+ * @param {string} format - Display format ('HH:MM:SS', 'MM:SS', 'D:HH:MM:SS', 'D days HH:MM:SS')
+ *   or a format template
  * @param {boolean} roundUp - If true, use ceil instead of floor
  * @returns {string} Plain text formatted time
  */
 export function formatTimePlain(ms, format = 'MM:SS', roundUp = false) {
+  if (isFormatTemplate(format)) {
+    return formatTemplate(ms, format, roundUp);
+  }
   const total = Math.max(0, roundUp ? Math.ceil(ms / 1000) : Math.floor(ms / 1000));
-  const h = Math.floor(total / 3600);
-  const m = Math.floor((total % 3600) / 60);
-  const s = total % 60;
+  return formatSeconds(total, format, ':');
+}
 
-  const pad = n => String(n).padStart(2, '0');
+/**
+ * Format stopwatch time as HTML with tenths (12:34.5)
+ * @param {number} ms - Milliseconds
+ * @param {string} format - Display format ('HH:MM:SS', 'MM:SS')
+ * @returns {string} HTML formatted time
+ */
+export function formatStopwatch(ms, format = 'MM:SS') {
+  // Templates place tenths themselves with {t}
+  if (isFormatTemplate(format)) {
+    return formatTime(ms, format);
+  }
+  const tenths = Math.floor(Math.max(0, ms) / 100) % 10;
+  return `${formatTime(ms, format)}.${tenths}`;
+}
 
-  switch (format) {
-    case 'HH:MM:SS':
-      return `${h}:${pad(m)}:${pad(s)}`;
-    case 'MM:SS':
-    default:
-      return `${m + (h * 60)}:${pad(s)}`;
+/**
+ * Format stopwatch time as plain text with tenths (12:34.5)
+ */
+export function formatStopwatchPlain(ms, format = 'MM:SS') {
+  if (isFormatTemplate(format)) {
+    return formatTimePlain(ms, format);
+  }
+  const tenths = Math.floor(Math.max(0, ms) / 100) % 10;
+  return `${formatTimePlain(ms, format)}.${tenths}`;
+}
+
+/**
+ * Format overtime as plain text: "+1:05", or the format template between
+ * the timer's overtime prefix and suffix
+ * @param {number} ms - Time past zero
+ * @param {string} format - Display format
+ * @param {Object} config - { overtimePrefix, overtimeSuffix }
+ */
+export function formatOvertimePlain(ms, format, config = {}) {
+  const prefix = config.overtimePrefix ?? '+';
+  const suffix = config.overtimeSuffix ?? '';
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const body = isFormatTemplate(format)
+    ? formatTemplate(ms, format, false)
+    : `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  return `${prefix}${body}${suffix}`;
+}
+
+/**
+ * Format overtime as HTML (see formatOvertimePlain)
+ */
+export function formatOvertime(ms, format, config = {}) {
+  return toTimeHTML(formatOvertimePlain(ms, format, config));
+}
+
+/**
+ * Offset of a time zone from UTC at an instant (ms)
+ */
+function getZoneOffsetMs(ms, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a zone (null zone = system local time)
+ */
+export function zonedTimeToMs({ year, month, day, hours, minutes, seconds }, timeZone) {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+  }
+  const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const offset = getZoneOffsetMs(guess, timeZone);
+  // Re-check once in case the guess fell on the other side of a DST change
+  const corrected = getZoneOffsetMs(guess - offset, timeZone);
+  return guess - corrected;
+}
+
+/**
+ * App timezone setting as a zone for Intl, or null for system time
+ */
+function resolveAppTimeZone(timezone) {
+  if (!timezone || timezone === 'auto') return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch {
+    return null;
   }
 }
 
+/**
+ * Offset of the app timezone (or system time) from UTC at an instant (ms)
+ */
+function getAppZoneOffsetMs(ms, timezone) {
+  const zone = resolveAppTimeZone(timezone);
+  return zone ? getZoneOffsetMs(ms, zone) : -new Date(ms).getTimezoneOffset() * 60000;
+}
+
+/**
+ * Date target for a wall-clock date-time in the app timezone
+ * @param {string} local - From a datetime-local input, e.g. '2026-03-01T09:00'
+ * @param {string} timezone - IANA timezone or 'auto' for system
+ * @returns {string|null} ISO date-time with offset, e.g. '2026-03-01T09:00:00+01:00'
+ */
+export function toZonedDateTime(local, timezone = 'auto') {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(local || '');
+  if (!match) return null;
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(v => Number(v || 0));
+  const ms = zonedTimeToMs({ year, month, day, hours, minutes, seconds }, resolveAppTimeZone(timezone));
+  const offsetMin = Math.round(getAppZoneOffsetMs(ms, timezone) / 60000);
+
+  const pad = n => String(n).padStart(2, '0');
+  const sign = offsetMin < 0 ? '-' : '+';
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMin) / 60))}:${pad(Math.abs(offsetMin) % 60)}`;
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}${offset}`;
+}
+
+/**
+ * Wall-clock date-time of a date target in the app timezone (for datetime-local inputs)
+ * @returns {string} e.g. '2026-03-01T09:00', or '' if the target is invalid
+ */
+export function fromZonedDateTime(iso, timezone = 'auto') {
+  const ms = Date.parse(iso || '');
+  if (!Number.isFinite(ms)) return '';
+  return new Date(ms + getAppZoneOffsetMs(ms, timezone)).toISOString().slice(0, 16);
+}
+
+/**
+ * Time left until a date target (negative once it has passed)
+ * @param {string} targetDate - ISO date-time with offset
+ * @param {number} wallNow - Wall clock ms
+ * @returns {number} ms, or 0 if the target is invalid
+ */
+export function getTimeUntilDate(targetDate, wallNow = Date.now()) {
+  const ms = Date.parse(targetDate || '');
+  return Number.isFinite(ms) ? ms - wallNow : 0;
+}
+
 /**
  * Convert hex color to rgba string
  * @param {string} hex - Hex color string
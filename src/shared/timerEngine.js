@@ -0,0 +1,383 @@
+/**
+ * Ninja Timer - Timer Engine
+ * Headless timer state machine: run/pause/reset, overtime, Start At / End By
+ * targets, countdowns to a date and linked-chain advancement. No DOM access - hosts render the
+ * state and react to events (sounds, UI updates, broadcasting).
+ *
+ * Events:
+ *   started  { reason: 'command' | 'chain' | 'startAt' }
+ *   paused, resumed, reset, seeked
+ *   ended    { config } - reached 0:00 (fired before overtime/advance)
+ *   overtime
+ *   advanced { index, config } - linked chain moved to the next timer
+ *   lap      { number, splitMs } - stopwatch lap recorded
+ *   phase    { round, rounds, phase } - interval timer moved to work or rest
+ *   change   - after any state change
+ */
+
+import { monotonicNow } from './clock.js';
+import { MAX_LAPS } from './laps.js';
+import { getIntervalPosition } from './intervals.js';
+import { getTimeUntilDate } from './timer.js';
+
+const DEFAULT_TICK_MS = 50;
+const DEFAULT_ADVANCE_DELAY_MS = 1000;
+
+export class TimerEngine {
+  /**
+   * @param {Object} options
+   * @param {Function} options.now - Monotonic clock (default: monotonicNow)
+   * @param {Function} options.wallNow - Wall clock for Start At / End By and date targets
+   * @param {Function} options.nextLinked - Returns { index, config } of the next
+   *   linked timer, or null if the current timer doesn't continue a chain
+   * @param {number} options.advanceDelayMs - Pause between linked timers
+   */
+  constructor(options = {}) {
+    this.now = options.now || monotonicNow;
+    this.wallNow = options.wallNow || (() => Date.now());
+    this.nextLinked = options.nextLinked || (() => null);
+    this.advanceDelayMs = options.advanceDelayMs ?? DEFAULT_ADVANCE_DELAY_MS;
+
+    this.config = { mode: 'countdown', durationSec: 600 };
+
+    // Mutated in place so hosts can hold a reference
+    this.state = {
+      startedAt: null,
+      pausedAcc: 0,
+      ended: false,
+      overtime: false,
+      overtimeStartedAt: null,
+      laps: []
+    };
+    this.isRunning = false;
+
+    // Linked chain: next timer starts at this time
+    this.pendingStartAt = null;
+
+    // Interval timers: phase index last seen by tick()
+    this.intervalIndex = 0;
+
+    this.listeners = {};
+    this.tickIntervalId = null;
+  }
+
+  // ============ Events ============
+
+  /**
+   * Subscribe to an engine event
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    (this.listeners[event] ||= []).push(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    const list = this.listeners[event];
+    if (list) {
+      this.listeners[event] = list.filter(cb => cb !== callback);
+    }
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach((callback) => {
+      try {
+        callback(payload);
+      } catch (err) {
+        console.error(`[TimerEngine] ${event} listener error:`, err);
+      }
+    });
+  }
+
+  // ============ Configuration ============
+
+  /**
+   * Set the active timer config (does not change run state)
+   * @param {Object} config - { mode, durationSec, startMode, targetTime, allowOvertime, sound, ... }
+   */
+  setConfig(config) {
+    this.config = { ...config };
+    this.emit('change');
+  }
+
+  /**
+   * Effective duration in ms (End By: time left until the target;
+   * countdown to date: run time so far plus time left until the date)
+   */
+  getDurationMs() {
+    const { mode, startMode, targetTime, targetDate, durationSec } = this.config;
+    if (mode === 'countdown-date') {
+      return Math.max(0, this.getElapsedMs() + getTimeUntilDate(targetDate, this.wallNow()));
+    }
+    if (startMode === 'endBy' && targetTime) {
+      const targetMs = new Date(targetTime).getTime();
+      return Math.max(0, Math.floor((targetMs - this.wallNow()) / 1000)) * 1000;
+    }
+    return (durationSec || 0) * 1000;
+  }
+
+  /**
+   * Elapsed run time in ms (including seeked/paused time)
+   */
+  getElapsedMs() {
+    const { startedAt, pausedAcc } = this.state;
+    if (this.isRunning && startedAt !== null) {
+      return this.now() - startedAt + pausedAcc;
+    }
+    return pausedAcc;
+  }
+
+  // ============ Commands ============
+
+  start(reason = 'command') {
+    this.isRunning = true;
+    this.pendingStartAt = null;
+    Object.assign(this.state, {
+      startedAt: this.now(),
+      pausedAcc: 0,
+      ended: false,
+      overtime: false,
+      overtimeStartedAt: null,
+      laps: []
+    });
+    this.intervalIndex = 0;
+    this.emit('started', { reason });
+    this.emit('change');
+  }
+
+  pause() {
+    if (!this.isRunning) return false;
+
+    this.isRunning = false;
+    this.state.pausedAcc += this.now() - this.state.startedAt;
+    this.emit('paused');
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Resume from paused state, keeping accumulated (or seeked) time
+   * @returns {boolean} False if already running
+   */
+  resume() {
+    if (this.isRunning) return false;
+
+    this.isRunning = true;
+    this.pendingStartAt = null;
+    this.state.startedAt = this.now();
+    this.emit('resumed');
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Start, pause or resume depending on current state
+   */
+  toggle() {
+    if (this.isRunning) {
+      this.pause();
+    } else if (this.state.startedAt !== null) {
+      this.resume();
+    } else {
+      this.start();
+    }
+  }
+
+  reset() {
+    this.isRunning = false;
+    this.pendingStartAt = null;
+    Object.assign(this.state, {
+      startedAt: null,
+      pausedAcc: 0,
+      ended: false,
+      overtime: false,
+      overtimeStartedAt: null,
+      laps: []
+    });
+    this.intervalIndex = 0;
+    this.emit('reset');
+    this.emit('change');
+  }
+
+  /**
+   * Record a stopwatch lap at the current elapsed time
+   * @returns {boolean} False if not a running stopwatch
+   */
+  lap() {
+    if (this.config.mode !== 'stopwatch' || !this.isRunning || this.state.laps.length >= MAX_LAPS) {
+      return false;
+    }
+
+    const splitMs = this.getElapsedMs();
+    this.state.laps = [...this.state.laps, splitMs];
+    this.emit('lap', { number: this.state.laps.length, splitMs });
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Seek within the current timer (never switches timers)
+   * @param {number} elapsedMs - Target elapsed time
+   */
+  seek(elapsedMs) {
+    const durationMs = this.getDurationMs();
+    const clamped = Math.max(0, Math.min(elapsedMs, durationMs));
+    const now = this.now();
+
+    if (this.isRunning) {
+      // Seeked position is encoded in startedAt
+      this.state.startedAt = now - clamped;
+      this.state.pausedAcc = 0;
+    } else {
+      this.state.pausedAcc = clamped;
+      if (this.state.startedAt === null) {
+        this.state.startedAt = now;
+      }
+    }
+
+    // Laps after the new position no longer happened
+    this.state.laps = this.state.laps.filter(splitMs => splitMs <= clamped);
+    this.syncIntervalPhase();
+
+    // Clear ended/overtime state if seeking back
+    if (clamped < durationMs) {
+      this.state.ended = false;
+      this.state.overtime = false;
+      this.state.overtimeStartedAt = null;
+    }
+
+    this.emit('seeked');
+    this.emit('change');
+  }
+
+  /**
+   * Load a saved (paused) position, e.g. after a crash
+   * @param {Object} saved - { pausedAcc, ended, overtime, overtimeStartedAt, laps }
+   */
+  restore(saved) {
+    this.isRunning = false;
+    this.pendingStartAt = null;
+    Object.assign(this.state, {
+      startedAt: null,
+      pausedAcc: saved.pausedAcc || 0,
+      ended: saved.ended || false,
+      overtime: saved.overtime || false,
+      overtimeStartedAt: saved.overtimeStartedAt ?? null,
+      laps: Array.isArray(saved.laps) ? saved.laps.filter(Number.isFinite) : []
+    });
+    this.syncIntervalPhase();
+    this.emit('change');
+  }
+
+  /**
+   * Match the interval phase to the elapsed time without a phase event
+   */
+  syncIntervalPhase() {
+    if (this.config.mode === 'interval') {
+      this.intervalIndex = getIntervalPosition(this.config.interval, this.getElapsedMs()).index;
+    }
+  }
+
+  // ============ Ticking ============
+
+  /**
+   * Advance the state machine: Start At targets, end of timer, chain starts
+   * Safe to call as often as needed.
+   */
+  tick() {
+    const now = this.now();
+
+    if (this.pendingStartAt !== null && now >= this.pendingStartAt) {
+      this.start('chain');
+      return;
+    }
+
+    const { mode, startMode, targetTime } = this.config;
+
+    if (startMode === 'startAt' && targetTime && !this.isRunning && !this.state.ended && this.pendingStartAt === null) {
+      if (this.wallNow() >= new Date(targetTime).getTime()) {
+        this.start('startAt');
+        return;
+      }
+    }
+
+    if (mode === 'interval' && this.isRunning && !this.state.ended) {
+      const position = getIntervalPosition(this.config.interval, this.getElapsedMs());
+      if (position.index !== this.intervalIndex) {
+        this.intervalIndex = position.index;
+        // The last phase ending is the timer ending, not a transition
+        if (position.phase !== 'done') {
+          this.emit('phase', { round: position.round, rounds: position.rounds, phase: position.phase });
+        }
+      }
+    }
+
+    // Count-up runs past its goal; hidden timers never end
+    const canEnd = ['countdown', 'countdown-date', 'countdown-tod', 'tod', 'interval'].includes(mode);
+    if (!canEnd || !this.isRunning || this.state.startedAt === null || this.state.ended) return;
+
+    const durationMs = this.getDurationMs();
+    if (this.getElapsedMs() >= durationMs) {
+      this.handleEnd(durationMs);
+    }
+  }
+
+  /**
+   * Timer reached 0:00 - advance a linked chain, go into overtime or stop
+   */
+  handleEnd(durationMs) {
+    const endedConfig = this.config;
+    this.state.ended = true;
+    this.emit('ended', { config: endedConfig });
+
+    const next = this.nextLinked();
+    if (next) {
+      this.isRunning = false;
+      this.config = { ...next.config };
+      this.pendingStartAt = this.now() + this.advanceDelayMs;
+      this.emit('advanced', { index: next.index, config: next.config });
+      this.emit('change');
+      return;
+    }
+
+    // Overtime is never allowed for End By (timer ends at target time);
+    // ToD shows the clock either way, so it only honours the stop behavior
+    const allowOvertime = endedConfig.allowOvertime !== false && endedConfig.startMode !== 'endBy';
+    if (allowOvertime) {
+      if (endedConfig.mode !== 'tod') {
+        this.state.overtime = true;
+        // Exact moment the timer hit zero, independent of tick latency
+        this.state.overtimeStartedAt = this.state.startedAt + durationMs - this.state.pausedAcc;
+        this.emit('overtime');
+      }
+    } else {
+      // Stop at 0:00 - play starts fresh
+      this.state.pausedAcc = this.getDurationMs();
+      this.isRunning = false;
+      this.state.startedAt = null;
+    }
+    this.emit('change');
+  }
+
+  /**
+   * Tick on an interval so timing doesn't depend on a render loop
+   * @param {number} intervalMs
+   */
+  startTicking(intervalMs = DEFAULT_TICK_MS) {
+    this.stopTicking();
+    this.tickIntervalId = setInterval(() => {
+      try {
+        this.tick();
+      } catch (err) {
+        console.error('[TimerEngine] Tick error (recovered):', err);
+      }
+    }, intervalMs);
+  }
+
+  stopTicking() {
+    if (this.tickIntervalId !== null) {
+      clearInterval(this.tickIntervalId);
+      this.tickIntervalId = null;
+    }
+  }
+}
@@ -5,7 +5,7 @@
 
 /**
  * Create a new timer state object with defaults
- * All timestamps are absolute Date.now() values
+ * All timestamps are on the host's monotonic timeline (clock.js monotonicNow)
  */
 export function createTimerState(overrides = {}) {
   return {
@@ -18,7 +18,7 @@ export function createTimerState(overrides = {}) {
     format: 'MM:SS',
 
     // Timer runtime state (timestamps)
-    startedAt: null,      // Epoch ms when timer was started
+    startedAt: null,      // Monotonic ms when timer was started
     pausedAccMs: 0,       // Accumulated pause time in ms
     isRunning: false,
 
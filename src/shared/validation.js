@@ -3,6 +3,12 @@
  * Validates and sanitizes user input
  */
 
+import { checkSchema, EXPORT_SCHEMA_V3 } from './exportSchema.js';
+import { validateShortcuts } from './shortcuts.js';
+import { DEFAULT_INTERVAL, MAX_ROUNDS, getIntervalTotalSec } from './intervals.js';
+import { TIME_BANK_RULES } from './timeBank.js';
+import { FORMAT_TEMPLATE_TOKENS, FORMAT_TEMPLATE_MAX_LENGTH, isFormatTemplate } from './timer.js';
+
 /**
  * Validate timer configuration object
  * @param {Object} config - Configuration to validate
@@ -13,10 +19,27 @@ export function validateConfig(config) {
     return null;
   }
 
+  const mode = validateMode(config.mode);
+  const interval = mode === 'interval' ? validateInterval(config.interval) : null;
+
   return {
-    mode: validateMode(config.mode),
-    durationSec: validateDuration(config.durationSec),
+    mode,
+    startMode: ['manual', 'startAt', 'endBy'].includes(config.startMode) ? config.startMode : 'manual',
+    targetTime: typeof config.targetTime === 'string' && TARGET_TIME_PATTERN.test(config.targetTime)
+      ? config.targetTime
+      : null,
+    // Countdown to date: the date it counts down to
+    targetDate: mode === 'countdown-date' ? validateTargetDate(config.targetDate) : null,
+    // Interval timers run for the length of all their rounds
+    durationSec: interval ? validateDuration(getIntervalTotalSec(interval)) : validateDuration(config.durationSec),
     format: validateFormat(config.format),
+    allowOvertime: config.allowOvertime !== false,
+    // Text around the overtime time, e.g. "+1:05" or "OVER 1:05"
+    overtimePrefix: validateAffix(config.overtimePrefix, '+'),
+    overtimeSuffix: validateAffix(config.overtimeSuffix, ''),
+    interval,
+    // Stopwatch: show the last lap under the time on the output
+    showLastLap: config.showLastLap === true,
     style: validateStyle(config.style),
     sound: validateSound(config.sound),
     // Warning thresholds (seconds remaining)
@@ -25,11 +48,26 @@ export function validateConfig(config) {
   };
 }
 
+// Start At / End By target: local date-time as written by the timer editor
+const TARGET_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+// Countdown to date target: date-time with a UTC offset, e.g. 2026-12-24T18:00:00-05:00
+const TARGET_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Validate a countdown to date target
+ * @returns {string|null}
+ */
+export function validateTargetDate(targetDate) {
+  if (typeof targetDate !== 'string' || !TARGET_DATE_PATTERN.test(targetDate)) return null;
+  return Number.isFinite(Date.parse(targetDate)) ? targetDate : null;
+}
+
 /**
  * Validate timer mode
  */
 export function validateMode(mode) {
-  const validModes = ['countdown', 'countup', 'tod', 'countdown-tod', 'countup-tod', 'hidden'];
+  const validModes = ['countdown', 'countdown-date', 'countup', 'stopwatch', 'interval', 'tod', 'countdown-tod', 'countup-tod', 'hidden'];
   return validModes.includes(mode) ? mode : 'countdown';
 }
 
@@ -46,10 +84,38 @@ export function validateDuration(duration) {
  * Validate time format
  */
 export function validateFormat(format) {
-  const validFormats = ['HH:MM:SS', 'MM:SS', 'SS'];
+  const validFormats = ['HH:MM:SS', 'MM:SS', 'SS', 'D:HH:MM:SS', 'D days HH:MM:SS'];
+  if (isFormatTemplate(format) && getFormatTemplateError(format) === null) {
+    return format;
+  }
   return validFormats.includes(format) ? format : 'MM:SS';
 }
 
+/**
+ * Problem with a custom format template, e.g. "Unknown token {x}"
+ * @returns {string|null} Null when the template is valid
+ */
+export function getFormatTemplateError(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'Enter a format template';
+  }
+  if (template.length > FORMAT_TEMPLATE_MAX_LENGTH) {
+    return `Templates are at most ${FORMAT_TEMPLATE_MAX_LENGTH} characters`;
+  }
+  const tokens = template.match(/\{[^{}]*\}/g) || [];
+  const unknown = tokens.find(token => !FORMAT_TEMPLATE_TOKENS.includes(token.slice(1, -1)));
+  if (unknown) {
+    return `Unknown token ${unknown}`;
+  }
+  if (/[{}]/.test(template.replace(/\{[^{}]*\}/g, ''))) {
+    return 'Unmatched { or }';
+  }
+  if (!tokens.some(token => token !== '{t}')) {
+    return 'Include at least one of {d}, {h}, {m} or {s}';
+  }
+  return null;
+}
+
 /**
  * Migrate v1 style fields to v2 format
  * Handles deprecated fields from old Hawkario exports
@@ -93,6 +159,9 @@ export function validateStyle(style) {
   const migrated = migrateV1Style(style);
 
   return {
+    // v1 font stacks ("Inter, sans-serif") are dropped; single family names are kept
+    ...(validateFontFamily(style.fontFamily) && { fontFamily: validateFontFamily(style.fontFamily) }),
+    ...(style.fontWeight !== undefined && { fontWeight: validateFontWeight(style.fontWeight) }),
     color: validateHexColor(migrated.color, '#ffffff'),
     strokeWidth: validateNumber(migrated.strokeWidth, 0, 0, 20),
     strokeColor: validateHexColor(migrated.strokeColor, '#000000'),
@@ -145,12 +214,54 @@ export function validateSound(sound) {
   };
 }
 
+// Longest work or rest phase (99:59, the editor's MM:SS limit)
+const MAX_PHASE_SEC = 5999;
+
+/**
+ * Validate interval rounds (work/rest lengths and transition sounds)
+ */
+export function validateInterval(interval) {
+  if (!interval || typeof interval !== 'object') {
+    return { ...DEFAULT_INTERVAL };
+  }
+
+  const rounds = Math.round(validateNumber(interval.rounds, DEFAULT_INTERVAL.rounds, 1, MAX_ROUNDS));
+  const workSec = Math.round(validateNumber(interval.workSec, DEFAULT_INTERVAL.workSec, 1, MAX_PHASE_SEC));
+  const restSec = Math.round(validateNumber(interval.restSec, DEFAULT_INTERVAL.restSec, 0, MAX_PHASE_SEC));
+  const perRound = Array.isArray(interval.perRound)
+    ? interval.perRound.slice(0, rounds).map(round => ({
+      workSec: Math.round(validateNumber(round?.workSec, workSec, 1, MAX_PHASE_SEC)),
+      restSec: Math.round(validateNumber(round?.restSec, restSec, 0, MAX_PHASE_SEC))
+    }))
+    : null;
+
+  return {
+    rounds,
+    workSec,
+    restSec,
+    perRound: perRound && perRound.length > 0 ? perRound : null,
+    workSound: typeof interval.workSound === 'string' && isValidSoundType(interval.workSound)
+      ? interval.workSound
+      : DEFAULT_INTERVAL.workSound,
+    restSound: typeof interval.restSound === 'string' && isValidSoundType(interval.restSound)
+      ? interval.restSound
+      : DEFAULT_INTERVAL.restSound
+  };
+}
+
 // Helper validators
 
 function validateString(value, defaultValue) {
   return typeof value === 'string' && value.trim() ? value.trim() : defaultValue;
 }
 
+const MAX_AFFIX_LENGTH = 10;
+
+// Overtime prefix/suffix: kept as typed (spaces matter), may be empty
+function validateAffix(value, defaultValue) {
+  return typeof value === 'string' ? value.slice(0, MAX_AFFIX_LENGTH) : defaultValue;
+}
+
 function validateNumber(value, defaultValue, min, max) {
   const num = Number(value);
   if (isNaN(num)) return defaultValue;
@@ -168,10 +279,16 @@ function validateHexColor(value, defaultValue) {
   return defaultValue;
 }
 
+/**
+ * Font weight as a number; older files store it as text ("700")
+ */
 function validateFontWeight(value) {
-  const validWeights = ['400', '500', '600', '700', '800'];
-  const str = String(value);
-  return validWeights.includes(str) ? str : '600';
+  const num = Math.round(Number(value) / 100) * 100;
+  return num >= 100 && num <= 900 ? num : 700;
+}
+
+function validateFontFamily(value) {
+  return typeof value === 'string' && value.trim() && !value.includes(',') ? value.trim() : null;
 }
 
 function validateAlign(value) {
@@ -216,11 +333,22 @@ export function validatePreset(preset) {
 
   if (!config) return null;
 
-  return {
+  const validated = {
     name,
     config,
     linkedToNext: Boolean(preset.linkedToNext)
   };
+
+  // Notes come from rundown imports
+  if (typeof preset.notes === 'string' && preset.notes.trim()) {
+    validated.notes = preset.notes.trim().slice(0, 2000);
+  }
+
+  if (preset.bankBuffer === true) {
+    validated.bankBuffer = true;
+  }
+
+  return validated;
 }
 
 /**
@@ -273,6 +401,184 @@ export function detectExportVersion(data) {
   return 0;
 }
 
+// ============ Row Import (CSV/ICS) ============
+
+const MODE_ALIASES = {
+  'countdown': 'countdown',
+  'count down': 'countdown',
+  'countdown-date': 'countdown-date',
+  'countdown to date': 'countdown-date',
+  'count down to date': 'countdown-date',
+  'date': 'countdown-date',
+  'countup': 'countup',
+  'count up': 'countup',
+  'stopwatch': 'stopwatch',
+  'interval': 'interval',
+  'intervals': 'interval',
+  'rounds': 'interval',
+  'tod': 'tod',
+  'time of day': 'tod',
+  'clock': 'tod',
+  'countdown-tod': 'countdown-tod',
+  'countdown + tod': 'countdown-tod',
+  'count down + tod': 'countdown-tod',
+  'countup-tod': 'countup-tod',
+  'countup + tod': 'countup-tod',
+  'count up + tod': 'countup-tod',
+  'hidden': 'hidden'
+};
+
+const MAX_DURATION_SEC = 359999;
+
+/**
+ * Parse a duration typed in a spreadsheet
+ * Accepts H:MM:SS, M:SS, unit form ("1h 30m", "90s") or a bare number
+ * @param {string} text
+ * @param {string} bareUnit - Unit of a bare number: 'minutes' or 'seconds'
+ * @returns {number|null} Seconds, or null if unreadable
+ */
+export function parseDurationText(text, bareUnit = 'minutes') {
+  const str = String(text ?? '').trim().toLowerCase();
+  if (!str) return null;
+
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    const num = Number(str);
+    return Math.round(bareUnit === 'minutes' ? num * 60 : num);
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(str)) {
+    const parts = str.split(':').map(Number);
+    if (parts.slice(1).some(n => n > 59)) return null;
+    return parts.reduce((total, n) => total * 60 + n, 0);
+  }
+
+  const units = /^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?\s*(?:(\d+)\s*s(?:ec(?:onds?|s)?)?)?$/.exec(str);
+  if (units && (units[1] || units[2] || units[3])) {
+    return (Number(units[1] || 0) * 3600) + (Number(units[2] || 0) * 60) + Number(units[3] || 0);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a start time: "14:30", "2:30 PM" (on baseDate) or "2025-06-01 14:30"
+ * @param {string} text
+ * @param {Date} baseDate - Day used when only a time is given
+ * @returns {string|null} Local datetime "YYYY-MM-DDTHH:MM" (as used by targetTime)
+ */
+export function parseStartTime(text, baseDate = new Date()) {
+  const str = String(text ?? '').trim();
+  if (!str) return null;
+
+  const match = /^(?:(\d{4})-(\d{2})-(\d{2})[T ])?(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/.exec(str);
+  if (!match) return null;
+
+  let hours = Number(match[4]);
+  const minutes = Number(match[5]);
+  const period = match[6]?.toLowerCase();
+  if (period) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (period === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  const pad = n => String(n).padStart(2, '0');
+  const date = match[1]
+    ? `${match[1]}-${match[2]}-${match[3]}`
+    : `${baseDate.getFullYear()}-${pad(baseDate.getMonth() + 1)}-${pad(baseDate.getDate())}`;
+  if (Number.isNaN(new Date(`${date}T00:00`).getTime())) return null;
+
+  return `${date}T${pad(hours)}:${pad(minutes)}`;
+}
+
+/**
+ * Parse yes/no style values
+ * @returns {boolean|null} null if unreadable
+ */
+export function parseBoolean(text) {
+  const str = String(text ?? '').trim().toLowerCase();
+  if (['yes', 'y', 'true', '1', 'x', 'linked'].includes(str)) return true;
+  if (['no', 'n', 'false', '0', ''].includes(str)) return false;
+  return null;
+}
+
+/**
+ * Validate one imported row (raw text per field)
+ * Only fields present in the row are returned, so callers can fill the rest
+ * from the app's timer defaults.
+ * @param {Object} fields - { title, duration, mode, startTime, linked, notes, warnYellow, warnOrange }
+ * @param {Object} options - { baseDate } for time-only start times
+ * @returns {Object} { values: { name, durationSec, mode, targetTime, linkedToNext, notes, warnYellowSec, warnOrangeSec }, errors: [{ field, message }] }
+ */
+export function validateImportRow(fields, options = {}) {
+  const values = {};
+  const errors = [];
+  const has = key => typeof fields[key] === 'string' && fields[key].trim() !== '';
+
+  if (has('title')) {
+    values.name = fields.title.trim().slice(0, 200);
+  } else {
+    errors.push({ field: 'title', message: 'Title is required' });
+  }
+
+  if (has('duration')) {
+    const sec = parseDurationText(fields.duration, 'minutes');
+    if (sec === null) {
+      errors.push({ field: 'duration', message: `Unreadable duration "${fields.duration}"` });
+    } else if (sec > MAX_DURATION_SEC) {
+      errors.push({ field: 'duration', message: 'Duration is over 99:59:59' });
+    } else {
+      values.durationSec = sec;
+    }
+  }
+
+  if (has('mode')) {
+    const mode = MODE_ALIASES[fields.mode.trim().toLowerCase()];
+    if (mode) {
+      values.mode = validateMode(mode);
+    } else {
+      errors.push({ field: 'mode', message: `Unknown mode "${fields.mode}"` });
+    }
+  }
+
+  if (has('startTime')) {
+    const targetTime = parseStartTime(fields.startTime, options.baseDate);
+    if (targetTime) {
+      values.targetTime = targetTime;
+    } else {
+      errors.push({ field: 'startTime', message: `Unreadable start time "${fields.startTime}"` });
+    }
+  } else if (values.mode === 'countdown-date') {
+    // The Start Time column holds the date to count down to
+    errors.push({ field: 'startTime', message: 'Countdown to date needs a date in Start Time' });
+  }
+
+  if (has('linked')) {
+    const linked = parseBoolean(fields.linked);
+    if (linked === null) {
+      errors.push({ field: 'linked', message: `Expected yes/no, got "${fields.linked}"` });
+    } else {
+      values.linkedToNext = linked;
+    }
+  }
+
+  if (has('notes')) {
+    values.notes = fields.notes.trim().slice(0, 2000);
+  }
+
+  [['warnYellow', 'warnYellowSec'], ['warnOrange', 'warnOrangeSec']].forEach(([field, key]) => {
+    if (!has(field)) return;
+    const sec = parseDurationText(fields[field], 'seconds');
+    if (sec === null) {
+      errors.push({ field, message: `Unreadable warning time "${fields[field]}"` });
+    } else {
+      values[key] = validateNumber(sec, 0, 0, MAX_DURATION_SEC);
+    }
+  });
+
+  return { values, errors };
+}
+
 /**
  * Validate app settings for import
  */
@@ -281,13 +587,51 @@ export function validateAppSettings(settings) {
     return null;
   }
 
-  return {
+  const validated = {
     todFormat: ['12h', '24h'].includes(settings.todFormat) ? settings.todFormat : '12h',
+    timezone: validateString(settings.timezone, 'auto'),
+    appearance: ['auto', 'light', 'dark'].includes(settings.appearance) ? settings.appearance : 'auto',
     confirmDelete: Boolean(settings.confirmDelete),
     outputOnTop: Boolean(settings.outputOnTop),
     controlOnTop: Boolean(settings.controlOnTop),
+    timerZoom: validateNumber(settings.timerZoom, 100, 50, 200),
+    importValidation: settings.importValidation === 'strict' ? 'strict' : 'lenient',
     defaults: validateDefaultSettings(settings.defaults)
   };
+
+  // Key bindings are only replaced if the file has them
+  const shortcuts = validateShortcuts(settings.shortcuts);
+  if (shortcuts) {
+    validated.shortcuts = shortcuts;
+  }
+
+  // OSC/remote settings are applied separately, only if present in the file
+  if (settings.osc && typeof settings.osc === 'object') {
+    validated.osc = validateOscSettings(settings.osc);
+  }
+
+  return validated;
+}
+
+/**
+ * Validate OSC and remote (HTTP) settings
+ */
+function validateOscSettings(osc) {
+  const port = (value, defaultValue) => Math.round(validateNumber(value, defaultValue, 1, 65535));
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+
+  return {
+    enabled: Boolean(osc.enabled),
+    listenPort: port(osc.listenPort, 8000),
+    feedbackEnabled: Boolean(osc.feedbackEnabled),
+    feedbackHost: validateString(osc.feedbackHost, '127.0.0.1'),
+    feedbackPort: port(osc.feedbackPort, 9000),
+    httpEnabled: Boolean(osc.httpEnabled),
+    httpPort: port(osc.httpPort, 8080),
+    allowList: text(osc.allowList),
+    controlPin: text(osc.controlPin),
+    viewerPin: text(osc.viewerPin)
+  };
 }
 
 /**
@@ -313,11 +657,43 @@ function validateDefaultSettings(defaults) {
     soundType = 'chime';
   }
 
+  const style = validateStyle(defaults);
+
   return {
     mode: validateMode(defaults.mode),
     durationSec: validateDuration(defaults.durationSec),
     format: validateFormat(defaults.format),
-    soundType
+    soundType,
+    soundVolume: validateNumber(defaults.soundVolume, 0.7, 0, 1),
+    allowOvertime: defaults.allowOvertime !== false,
+    fontFamily: style.fontFamily || 'Inter',
+    fontWeight: style.fontWeight ?? 700,
+    color: style.color,
+    strokeWidth: style.strokeWidth,
+    strokeColor: style.strokeColor,
+    shadowSize: style.shadowSize,
+    shadowColor: style.shadowColor,
+    bgColor: style.bgColor,
+    align: style.align,
+    warnYellowSec: validateNumber(defaults.warnYellowSec, 60, 0, 359999),
+    warnOrangeSec: validateNumber(defaults.warnOrangeSec, 15, 0, 359999)
+  };
+}
+
+/**
+ * Validate a message for import (imported messages start hidden)
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object') return null;
+
+  return {
+    id: validateString(message.id, `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`),
+    text: typeof message.text === 'string' ? message.text.slice(0, 2000) : '',
+    bold: Boolean(message.bold),
+    italic: Boolean(message.italic),
+    uppercase: Boolean(message.uppercase),
+    color: validateHexColor(message.color, '#ffffff'),
+    visible: false
   };
 }
 
@@ -327,16 +703,64 @@ function validateDefaultSettings(defaults) {
 function validateProfile(profile) {
   if (!profile || typeof profile !== 'object') return null;
 
-  return {
+  const validated = {
     id: profile.id || '',
     name: typeof profile.name === 'string' ? profile.name.trim() : 'Untitled',
+    color: validateHexColor(profile.color, null),
     createdAt: profile.createdAt || new Date().toISOString(),
-    presets: validatePresets(profile.presets || [])
+    presets: validatePresets(profile.presets || []),
+    messages: Array.isArray(profile.messages)
+      ? profile.messages.map(validateMessage).filter(m => m !== null)
+      : []
   };
+
+  if (typeof profile.rundownStart === 'string' && /^\d{1,2}:\d{2}$/.test(profile.rundownStart)) {
+    validated.rundownStart = profile.rundownStart;
+  }
+
+  if (profile.timeBank !== 'off' && TIME_BANK_RULES.includes(profile.timeBank)) {
+    validated.timeBank = profile.timeBank;
+  }
+
+  if (profile.timeBankHold === true) {
+    validated.timeBankHold = true;
+  }
+
+  return validated;
+}
+
+/**
+ * Check export data against the export schema without changing anything
+ * (strict validation). v1/v2 files are checked against the timer and
+ * settings definitions of the v3 schema.
+ * @param {any} data - Parsed JSON data
+ * @returns {Array} Problems: [{ path, message }] - empty if the file is valid
+ */
+export function checkExportData(data) {
+  const version = detectExportVersion(data);
+
+  if (version === 3) {
+    return checkSchema(data);
+  }
+  if (version === 2) {
+    return checkSchema(data, {
+      type: 'object',
+      properties: {
+        presets: { type: 'array', items: { $ref: '#/$defs/preset' } },
+        appSettings: { $ref: '#/$defs/appSettings' }
+      }
+    }, EXPORT_SCHEMA_V3);
+  }
+  if (version === 1) {
+    return checkSchema(data, { type: 'array', items: { $ref: '#/$defs/preset' } }, EXPORT_SCHEMA_V3);
+  }
+  return [{ path: 'File', message: 'File is not a Ninja Timer export (no "version": 3 and no timer list)' }];
 }
 
 /**
  * Validate export data (supports v1, v2, v3 formats)
+ * Invalid values are corrected (defaults, clamping, dropped items); what was
+ * wrong is listed in `corrections` (lenient validation).
  */
 export function validateExportData(data) {
   if (!data || typeof data !== 'object') {
@@ -344,13 +768,15 @@ export function validateExportData(data) {
   }
 
   const version = detectExportVersion(data);
+  const corrections = version ? checkExportData(data) : [];
 
   if (version === 1) {
     // Legacy array format - just presets
     return {
       version: 1,
       appSettings: null,
-      presets: validatePresets(data)
+      presets: validatePresets(data),
+      corrections
     };
   }
 
@@ -359,7 +785,8 @@ export function validateExportData(data) {
     return {
       version: 2,
       appSettings: data.appSettings ? validateAppSettings(data.appSettings) : null,
-      presets: data.presets ? validatePresets(data.presets) : []
+      presets: data.presets ? validatePresets(data.presets) : [],
+      corrections
     };
   }
 
@@ -371,9 +798,12 @@ export function validateExportData(data) {
 
     return {
       version: 3,
+      // What the file was exported as: a full backup, one profile or shared timers
+      scope: ['profile', 'timers'].includes(data.scope) ? data.scope : 'all',
       appSettings: data.appSettings ? validateAppSettings(data.appSettings) : null,
       profiles: profiles,
-      activeProfileId: data.activeProfileId || null
+      activeProfileId: data.activeProfileId || null,
+      corrections
     };
   }
 
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isAddressAllowed,
+  isValidAllowEntry,
+  parseAllowList,
+  getLocalSubnets,
+  pinMatches,
+  createPinLockout,
+  isSameOrigin,
+  getBearerToken,
+  getProtocolToken
+} from '../src/main/access.js';
+
+test('allow-list text splits on commas, spaces and newlines', () => {
+  assert.deepEqual(parseAllowList('10.0.0.5, 192.168.1.0/24\n::1'), ['10.0.0.5', '192.168.1.0/24', '::1']);
+  assert.deepEqual(parseAllowList(''), []);
+  assert.deepEqual(parseAllowList(null), []);
+});
+
+test('allow-list entries are IPv4 addresses, IPv4 ranges or IPv6 addresses', () => {
+  ['10.0.0.5', '192.168.1.0/24', '0.0.0.0/0', '10.0.0.0/32', 'fe80::1'].forEach((entry) => {
+    assert.equal(isValidAllowEntry(entry), true, entry);
+  });
+  ['10.0.0', '256.0.0.1', '10.0.0.0/33', '10.0.0.0/x', 'fe80::1/64', 'host.local'].forEach((entry) => {
+    assert.equal(isValidAllowEntry(entry), false, entry);
+  });
+});
+
+test('addresses are matched exactly or by CIDR range', () => {
+  const entries = ['10.0.0.5', '192.168.1.0/24'];
+  assert.equal(isAddressAllowed('10.0.0.5', entries), true);
+  assert.equal(isAddressAllowed('10.0.0.6', entries), false);
+  assert.equal(isAddressAllowed('192.168.1.200', entries), true);
+  assert.equal(isAddressAllowed('::ffff:192.168.1.7', entries), true);
+  assert.equal(isAddressAllowed('192.168.2.1', entries), false);
+  assert.equal(isAddressAllowed('fe80::2', entries), false);
+  assert.equal(isAddressAllowed('8.8.8.8', ['0.0.0.0/0']), true);
+});
+
+test('loopback is always allowed and an empty list allows everyone', () => {
+  assert.equal(isAddressAllowed('127.0.0.1', ['10.0.0.5']), true);
+  assert.equal(isAddressAllowed('::1', ['10.0.0.5']), true);
+  assert.equal(isAddressAllowed('203.0.113.9', []), true);
+});
+
+test('local subnets come from the external IPv4 interfaces', () => {
+  const interfaces = {
+    lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true, cidr: '127.0.0.1/8' }],
+    en0: [
+      { address: '192.168.1.23', family: 'IPv4', internal: false, cidr: '192.168.1.23/24' },
+      { address: 'fe80::1', family: 'IPv6', internal: false, cidr: 'fe80::1/64' }
+    ],
+    en1: [{ address: '10.20.30.40', family: 4, internal: false, cidr: '10.20.30.40/16' }],
+    en2: [{ address: '192.168.1.50', family: 'IPv4', internal: false, cidr: '192.168.1.50/24' }]
+  };
+  assert.deepEqual(getLocalSubnets(interfaces), ['192.168.1.0/24', '10.20.0.0/16']);
+  assert.deepEqual(getLocalSubnets({}), []);
+});
+
+test('PINs must match exactly', () => {
+  assert.equal(pinMatches('1234', '1234'), true);
+  assert.equal(pinMatches('1235', '1234'), false);
+  assert.equal(pinMatches('12345', '1234'), false);
+  assert.equal(pinMatches('', ''), false);
+  assert.equal(pinMatches('1234', ''), false);
+});
+
+test('an address is locked out after too many wrong PINs until the lockout ends', () => {
+  let now = 0;
+  const lockout = createPinLockout({ maxFailures: 3, lockoutMs: 60000, now: () => now });
+
+  lockout.recordFailure('10.0.0.5');
+  lockout.recordFailure('10.0.0.5');
+  assert.equal(lockout.isLocked('10.0.0.5'), false);
+  lockout.recordFailure('10.0.0.5');
+  assert.equal(lockout.isLocked('10.0.0.5'), true);
+  assert.equal(lockout.isLocked('10.0.0.6'), false);
+
+  now = 60001;
+  assert.equal(lockout.isLocked('10.0.0.5'), false);
+  lockout.recordFailure('10.0.0.5');
+  assert.equal(lockout.isLocked('10.0.0.5'), false);
+});
+
+test('a successful pairing clears the failures', () => {
+  const lockout = createPinLockout({ maxFailures: 2, lockoutMs: 60000, now: () => 0 });
+  lockout.recordFailure('10.0.0.5');
+  lockout.clear('10.0.0.5');
+  lockout.recordFailure('10.0.0.5');
+  assert.equal(lockout.isLocked('10.0.0.5'), false);
+});
+
+test('only requests without an Origin or from this host are same-origin', () => {
+  assert.equal(isSameOrigin({ host: '192.168.1.10:8080' }), true);
+  assert.equal(isSameOrigin({ host: '192.168.1.10:8080', origin: 'http://192.168.1.10:8080' }), true);
+  assert.equal(isSameOrigin({ host: 'Stage.local:8080', origin: 'http://stage.local:8080' }), true);
+  assert.equal(isSameOrigin({ host: '192.168.1.10:8080', origin: 'https://example.com' }), false);
+  assert.equal(isSameOrigin({ host: '192.168.1.10:8080', origin: 'http://192.168.1.10:3000' }), false);
+  assert.equal(isSameOrigin({ host: '192.168.1.10:8080', origin: 'null' }), false);
+});
+
+test('tokens are read from the Authorization header or the WebSocket subprotocol', () => {
+  assert.equal(getBearerToken({ authorization: 'Bearer abc123' }), 'abc123');
+  assert.equal(getBearerToken({ authorization: 'Basic abc123' }), null);
+  assert.equal(getBearerToken({}), null);
+
+  assert.equal(getProtocolToken('ninja-timer, token.abc123'), 'abc123');
+  assert.equal(getProtocolToken('ninja-timer'), null);
+  assert.equal(getProtocolToken(undefined), null);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, guessColumnMapping, mapImportRows } from '../src/shared/csvImport.js';
+
+const SHEET = [
+  '﻿Title;Length;Type;Start;Linked;Speaker notes',
+  '"Keynote; part 1";1:30:00;count up;14:30;yes;"Says ""hi""\nline2"',
+  '',
+  'Break;15;;;no;',
+  'Bad;abc;warp;25:00;maybe;'
+].join('\r\n');
+
+test('parses quoted fields, escaped quotes and newlines in quotes', () => {
+  const rows = parseCSV(SHEET);
+  assert.equal(rows.length, 4);
+  assert.deepEqual(rows[1], ['Keynote; part 1', '1:30:00', 'count up', '14:30', 'yes', 'Says "hi"\nline2']);
+});
+
+test('detects comma, semicolon and tab delimiters', () => {
+  assert.deepEqual(parseCSV('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCSV('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('guesses columns from header names', () => {
+  assert.deepEqual(guessColumnMapping(parseCSV(SHEET)[0]), {
+    title: 0,
+    duration: 1,
+    mode: 2,
+    startTime: 3,
+    linked: 4,
+    notes: 5,
+    warnYellow: null,
+    warnOrange: null
+  });
+});
+
+test('validates each row and reports every problem', () => {
+  const rows = parseCSV(SHEET);
+  const [keynote, breakRow, bad] = mapImportRows(rows.slice(1), guessColumnMapping(rows[0]), {
+    firstRowNumber: 2,
+    baseDate: new Date(2026, 2, 1)
+  });
+
+  assert.equal(keynote.rowNumber, 2);
+  assert.deepEqual(keynote.errors, []);
+  assert.deepEqual(keynote.values, {
+    name: 'Keynote; part 1',
+    durationSec: 5400,
+    mode: 'countup',
+    targetTime: '2026-03-01T14:30',
+    linkedToNext: true,
+    notes: 'Says "hi"\nline2'
+  });
+
+  // A bare number is minutes
+  assert.equal(breakRow.values.durationSec, 900);
+
+  assert.deepEqual(bad.errors.map(e => e.field), ['duration', 'mode', 'startTime', 'linked']);
+});
+
+test('interval and countdown-to-date rows', () => {
+  const mapping = { title: 0, mode: 1, startTime: 2 };
+  const [interval, date, dateless] = mapImportRows([
+    ['Drills', 'Intervals', ''],
+    ['Launch', 'Countdown to date', '2026-12-31 23:59'],
+    ['Launch', 'date', '']
+  ], mapping);
+
+  assert.equal(interval.values.mode, 'interval');
+  assert.deepEqual(date.errors, []);
+  assert.equal(date.values.mode, 'countdown-date');
+  assert.equal(date.values.targetTime, '2026-12-31T23:59');
+  assert.deepEqual(dateless.errors.map(e => e.field), ['startTime']);
+});
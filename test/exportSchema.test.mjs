@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { checkSchema, EXPORT_SCHEMA_V3 } from '../src/shared/exportSchema.js';
+import { checkExportData, validateExportData } from '../src/shared/validation.js';
+import { SHORTCUT_ACTIONS, SHORTCUT_SCOPES } from '../src/shared/shortcuts.js';
+import { TIME_BANK_RULES } from '../src/shared/timeBank.js';
+import { FORMAT_TEMPLATE_MAX_LENGTH } from '../src/shared/timer.js';
+
+const timer = config => ({ name: 'Keynote', config: { mode: 'countdown', durationSec: 600, ...config } });
+const exportFile = (presets, extra = {}) => ({ version: 3, profiles: [{ name: 'Show', presets }], ...extra });
+
+test('the JSON file is the schema the checker uses', () => {
+  const onDisk = JSON.parse(readFileSync(new URL('../src/shared/exportSchema.json', import.meta.url), 'utf8'));
+  assert.deepEqual(EXPORT_SCHEMA_V3, onDisk);
+  assert.equal(onDisk.$schema, 'https://json-schema.org/draft/2020-12/schema');
+});
+
+test('schema enums match the app constants', () => {
+  const { $defs } = EXPORT_SCHEMA_V3;
+  assert.deepEqual($defs.shortcut.properties.action.enum, SHORTCUT_ACTIONS.map(action => action.id));
+  assert.deepEqual($defs.shortcut.properties.scope.enum, SHORTCUT_SCOPES.map(scope => scope.value));
+  assert.deepEqual($defs.profile.properties.timeBank.enum, TIME_BANK_RULES);
+  assert.equal($defs.format.maxLength, FORMAT_TEMPLATE_MAX_LENGTH);
+});
+
+test('a valid export has no problems', () => {
+  const data = exportFile([
+    timer({ format: '{m}m {ss}s', overtimePrefix: 'OVER ' }),
+    timer({ mode: 'countdown-date', targetDate: '2026-12-24T18:00:00-05:00' }),
+    timer({ mode: 'interval', interval: { rounds: 3, workSec: 40, restSec: 20, perRound: null } })
+  ], { scope: 'all' });
+  assert.deepEqual(checkSchema(data), []);
+});
+
+test('problems are reported with their path', () => {
+  const data = exportFile([timer({ durationSec: 400000, mode: 'warp' }), { name: 'No config' }]);
+  assert.deepEqual(checkSchema(data).map(p => p.message), [
+    'profiles[0].presets[0].config.mode must be one of: countdown, countdown-date, countup, stopwatch, interval, tod, countdown-tod, countup-tod, hidden',
+    'profiles[0].presets[0].config.durationSec must be ≤ 359999',
+    'profiles[0].presets[1].config is required'
+  ]);
+});
+
+test('font weights may be numbers or text from older files', () => {
+  const weight = fontWeight => checkSchema(exportFile([timer({ style: { fontWeight } })]));
+  assert.deepEqual(weight(700), []);
+  assert.deepEqual(weight('600'), []);
+  assert.equal(weight('bold').length, 1);
+  assert.equal(weight(950).length, 1);
+
+  const [profile] = validateExportData(exportFile([timer({ style: { fontWeight: '600' } })])).profiles;
+  assert.equal(profile.presets[0].config.style.fontWeight, 600);
+});
+
+test('older versions are checked against the v3 timer definitions', () => {
+  assert.deepEqual(checkExportData([timer({})]), []);
+  assert.equal(checkExportData({ version: 2, presets: [timer({ durationSec: -1 })] }).length, 1);
+  assert.equal(checkExportData({ hello: 'world' })[0].path, 'File');
+});
+
+test('lenient import corrects values and lists what was corrected', () => {
+  const result = validateExportData(exportFile([timer({ durationSec: 400000 })]));
+  assert.equal(result.profiles[0].presets[0].config.durationSec, 359999);
+  assert.deepEqual(result.corrections.map(p => p.path), ['profiles[0].presets[0].config.durationSec']);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseICS, mapCalendarEvents } from '../src/shared/icsImport.js';
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'UID:panel',
+  'SUMMARY:Panel\\, Q&A',
+  'DTSTART;TZID=Eastern Standard Time:20260301T100000',
+  'DURATION:PT45M',
+  'LOCATION:Hall B',
+  'DESCRIPTION:Line one\\nline',
+  '  two',
+  'RRULE:FREQ=WEEKLY',
+  'BEGIN:VALARM',
+  'SUMMARY:Alarm',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:keynote',
+  'SUMMARY:Keynote',
+  'DTSTART:20260301T140000Z',
+  'DTEND:20260301T150000Z',
+  'STATUS:CANCELLED',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Floating',
+  'DTSTART:20260302T090000',
+  'DTEND:20260302T093000',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Offsite',
+  'DTSTART;VALUE=DATE:20260303',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+/**
+ * Local date-time as written to targetTime (system timezone)
+ */
+function localTarget(iso) {
+  const d = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+const events = parseICS(ICS, { timezone: 'Europe/Berlin' });
+
+test('events are read in start order with their own time zones', () => {
+  assert.deepEqual(events.map(e => e.summary), ['Keynote', 'Panel, Q&A', 'Floating', 'Offsite']);
+  const [keynote, panel, floating] = events;
+
+  assert.equal(keynote.startMs, Date.parse('2026-03-01T14:00:00Z'));
+  // Windows zone name, DURATION instead of DTEND
+  assert.equal(panel.startMs, Date.parse('2026-03-01T15:00:00Z'));
+  assert.equal(panel.endMs, Date.parse('2026-03-01T15:45:00Z'));
+  // Floating times use the app timezone
+  assert.equal(floating.startMs, Date.parse('2026-03-02T08:00:00Z'));
+});
+
+test('folded lines, escapes and nested components', () => {
+  const panel = events[1];
+  assert.equal(panel.description, 'Line one\nline two');
+  assert.equal(panel.location, 'Hall B');
+  assert.equal(panel.recurring, true);
+  assert.equal(events[0].cancelled, true);
+  assert.equal(events[3].allDay, true);
+});
+
+test('Start At timers run for the event length', () => {
+  const [keynote, panel, , offsite] = mapCalendarEvents(events, { schedule: 'startAt' });
+
+  assert.deepEqual(keynote.values, {
+    name: 'Keynote',
+    durationSec: 3600,
+    targetTime: localTarget('2026-03-01T14:00:00Z'),
+    startMode: 'startAt'
+  });
+  assert.deepEqual(keynote.warnings, ['Cancelled in the calendar']);
+  assert.equal(panel.values.notes, 'Hall B\nLine one\nline two');
+  assert.deepEqual(panel.warnings, ['Repeating event: only the first occurrence is imported']);
+  assert.deepEqual(offsite.errors.map(e => e.message), ['All-day event has no start time']);
+});
+
+test('End By timers count down to the event end', () => {
+  const [keynote, , , offsite] = mapCalendarEvents(events, { schedule: 'endBy' });
+
+  assert.equal(keynote.values.targetTime, localTarget('2026-03-01T15:00:00Z'));
+  assert.equal(keynote.values.durationSec, undefined);
+  assert.deepEqual(offsite.errors.map(e => e.field), ['startTime', 'duration']);
+});
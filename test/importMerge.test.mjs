@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMatchingProfile, diffProfile, mergeProfile, describeDiff } from '../src/shared/importMerge.js';
+
+const timer = (name, durationSec) => ({ name, config: { mode: 'countdown', durationSec } });
+
+const CURRENT = {
+  id: 'p1',
+  name: 'Show',
+  presets: [timer('Welcome', 60), timer('Keynote', 120), timer('Break', 30)],
+  messages: [{ id: 'm1', text: 'Hi' }, { id: 'm2', text: 'Wrap up' }]
+};
+
+// Keynote changed, Panel is new; the same "Wrap up" message under another id
+const INCOMING = {
+  id: 'p1',
+  name: 'Show',
+  presets: [timer('Welcome', 60), timer('Keynote', 180), timer('Panel', 45)],
+  messages: [{ id: 'other-install', text: 'Wrap up' }, { id: 'm3', text: 'New' }]
+};
+
+test('profiles match by id, then by name', () => {
+  const other = { id: 'p2', name: 'Rehearsal' };
+  assert.equal(findMatchingProfile([CURRENT, other], { id: 'p2', name: 'Show' }), other);
+  assert.equal(findMatchingProfile([CURRENT, other], { id: 'elsewhere', name: 'Rehearsal' }), other);
+  assert.equal(findMatchingProfile([CURRENT], { name: 'Unknown' }), null);
+});
+
+test('timers diff by name and messages by id or content', () => {
+  const { timers, messages, identical } = diffProfile(CURRENT, INCOMING);
+  assert.equal(describeDiff(timers), '1 new, 1 changed, 1 same, 1 only here');
+  assert.equal(describeDiff(messages), '1 new, 1 same, 1 only here');
+  assert.equal(identical, false);
+});
+
+test('fields an export does not carry are not changes', () => {
+  const exported = { ...CURRENT, presets: CURRENT.presets.map(p => ({ ...p, config: { ...p.config, style: undefined } })) };
+  assert.equal(diffProfile(CURRENT, exported).identical, true);
+});
+
+test('merge updates changed items in place, appends new ones and keeps the rest', () => {
+  const merged = mergeProfile(CURRENT, INCOMING);
+  assert.deepEqual(merged.presets.map(p => [p.name, p.config.durationSec]), [
+    ['Welcome', 60], ['Keynote', 180], ['Break', 30], ['Panel', 45]
+  ]);
+  assert.deepEqual(merged.messages.map(m => m.id), ['m1', 'm2', 'm3']);
+  assert.equal(merged.id, 'p1');
+});
+
+test('empty diff summary', () => {
+  assert.equal(describeDiff({ added: [], changed: [], identical: [], removed: [] }), 'none');
+});
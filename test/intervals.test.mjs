@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIntervalPhases, getIntervalPosition, getIntervalTotalSec, getRoundLengths, formatIntervalLabel } from '../src/shared/intervals.js';
+
+// Round 2 is longer and has no rest
+const INTERVAL = { rounds: 3, workSec: 40, restSec: 20, perRound: [null, { workSec: 60, restSec: 0 }] };
+
+test('per-round lengths override the defaults', () => {
+  assert.deepEqual(getRoundLengths(INTERVAL, 1), { workSec: 40, restSec: 20 });
+  assert.deepEqual(getRoundLengths(INTERVAL, 2), { workSec: 60, restSec: 0 });
+});
+
+test('phases play back to back with no rest after the last round', () => {
+  assert.deepEqual(getIntervalPhases(INTERVAL), [
+    { round: 1, phase: 'work', startMs: 0, durationMs: 40000 },
+    { round: 1, phase: 'rest', startMs: 40000, durationMs: 20000 },
+    { round: 2, phase: 'work', startMs: 60000, durationMs: 60000 },
+    { round: 3, phase: 'work', startMs: 120000, durationMs: 40000 }
+  ]);
+  assert.equal(getIntervalTotalSec(INTERVAL), 160);
+});
+
+test('position at an elapsed time', () => {
+  const position = getIntervalPosition(INTERVAL, 45000);
+  assert.deepEqual(position, { index: 1, round: 1, rounds: 3, phase: 'rest', remainingMs: 15000 });
+  assert.equal(formatIntervalLabel(position), 'Round 1/3 — REST');
+
+  assert.deepEqual(getIntervalPosition(INTERVAL, 160000), { index: 4, round: 3, rounds: 3, phase: 'done', remainingMs: 0 });
+});
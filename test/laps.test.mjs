@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLapRows, formatLastLap, lapsToCSV } from '../src/shared/laps.js';
+
+test('lap times are the differences between splits', () => {
+  assert.deepEqual(getLapRows([1000, 3500, 4000]), [
+    { number: 1, lapMs: 1000, splitMs: 1000 },
+    { number: 2, lapMs: 2500, splitMs: 3500 },
+    { number: 3, lapMs: 500, splitMs: 4000 }
+  ]);
+});
+
+test('last lap line for the output', () => {
+  assert.equal(formatLastLap([1000, 3500]), 'Lap 2 · 0<span class="colon">:</span>02.5');
+  assert.equal(formatLastLap([]), null);
+});
+
+test('CSV export quotes the timer name when needed', () => {
+  assert.equal(lapsToCSV([1000, 3500], 'Heat, "A"'), [
+    'Timer,Lap,Lap Time,Split,Lap (ms),Split (ms)',
+    '"Heat, ""A""",1,0:00:01.0,0:00:01.0,1000,1000',
+    '"Heat, ""A""",2,0:00:02.5,0:00:03.5,2500,3500',
+    ''
+  ].join('\n'));
+});
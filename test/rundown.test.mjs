@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRundown, describeDrift, resolveShowStart } from '../src/shared/rundown.js';
+
+// Local times, as the timer editor writes them
+const SHOW_START = new Date('2026-03-01T09:00').getTime();
+const at = sec => SHOW_START + sec * 1000;
+const toSec = ms => (ms === null ? null : (ms - SHOW_START) / 1000);
+
+const PRESETS = [
+  { name: 'Welcome', config: { durationSec: 600 } },
+  { name: 'Keynote', config: { durationSec: 300 } },
+  { name: 'Panel', config: { durationSec: 300, startMode: 'startAt', targetTime: '2026-03-01T10:00' } },
+  { name: 'Close', config: { durationSec: 60 } }
+];
+
+test('planned times cascade from the show start and Start At re-anchors them', () => {
+  const { rows, plannedEnd } = computeRundown(PRESETS, { showStart: SHOW_START, now: at(-60) });
+
+  assert.deepEqual(rows.map(r => toSec(r.plannedStart)), [0, 600, 3600, 3900]);
+  assert.equal(toSec(plannedEnd), 3960);
+  assert.deepEqual(rows.map(r => r.status), ['upcoming', 'upcoming', 'upcoming', 'upcoming']);
+});
+
+test('a late finish pushes the timers after it, but not a later Start At', () => {
+  const actuals = { 0: { startedAt: at(60), endedAt: at(760) } };
+  const { rows, driftMs } = computeRundown(PRESETS, { showStart: SHOW_START, actuals, now: at(800) });
+
+  assert.deepEqual(rows.map(r => r.status), ['done', 'upcoming', 'upcoming', 'upcoming']);
+  assert.deepEqual(rows.map(r => toSec(r.projectedStart)), [60, 800, 3600, 3900]);
+  assert.equal(rows[1].driftMs, 200000);
+  assert.equal(driftMs, 0);
+});
+
+test('an overrunning live timer ends "now" so drift grows', () => {
+  const actuals = { 0: { startedAt: at(0), endedAt: at(600) }, 1: { startedAt: at(600), endedAt: null } };
+  const now = at(600 + 400);
+  const { rows } = computeRundown(PRESETS, { showStart: SHOW_START, actuals, current: { index: 1, elapsedMs: 400000 }, now });
+
+  assert.equal(rows[1].status, 'live');
+  assert.equal(toSec(rows[1].projectedEnd), 1000);
+});
+
+test('timers before the last one started are skipped if they never ran', () => {
+  const actuals = { 1: { startedAt: at(0), endedAt: null } };
+  const { rows } = computeRundown(PRESETS, { showStart: SHOW_START, actuals, now: at(10) });
+  assert.equal(rows[0].status, 'skipped');
+  assert.equal(rows[0].projectedStart, null);
+});
+
+test('drift descriptions', () => {
+  assert.equal(describeDrift(null), '');
+  assert.equal(describeDrift(10000), 'On time');
+  assert.equal(describeDrift(270000), 'Running 4:30 late');
+  assert.equal(describeDrift(-3723000), 'Running 1:02:03 early');
+});
+
+test('show start resolves to today', () => {
+  assert.equal(resolveShowStart('9:00', at(3600)), SHOW_START);
+  assert.equal(resolveShowStart('soon', at(0)), null);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTimeBank, getBankedDurationSec, getLinkedAdvance, getLinkedChains, isBankable } from '../src/shared/timeBank.js';
+
+const timer = (durationSec, linkedToNext, extra = {}) => ({
+  config: { mode: 'countdown', durationSec },
+  linkedToNext,
+  ...extra
+});
+
+// One chain of four timers (0-3), then an unlinked timer
+const PRESETS = [
+  timer(600, true),
+  timer(300, true),
+  timer(900, true, { bankBuffer: true }),
+  timer(300, false),
+  timer(120, false)
+];
+
+// The first timer ran a minute over
+const OVERRUN = { 0: { startedAt: 0, endedAt: 660000 } };
+
+test('linked chains', () => {
+  assert.deepEqual(getLinkedChains(PRESETS), [[0, 1, 2, 3]]);
+  assert.deepEqual(getLinkedChains([timer(60, true)]), []);
+});
+
+test('only manual countdowns are bankable', () => {
+  assert.equal(isBankable({ mode: 'countdown' }), true);
+  assert.equal(isBankable({ mode: 'countdown-tod' }), true);
+  assert.equal(isBankable({ mode: 'countup' }), false);
+  assert.equal(isBankable({ mode: 'countdown', startMode: 'startAt' }), false);
+});
+
+test('the off rule changes nothing', () => {
+  assert.deepEqual(computeTimeBank(PRESETS, { rule: 'off', actuals: OVERRUN, now: 700000 }), [0, 0, 0, 0, 0]);
+});
+
+test('next: the whole overrun comes off the next timer', () => {
+  assert.deepEqual(computeTimeBank(PRESETS, { rule: 'next', actuals: OVERRUN, now: 700000 }), [0, -60, 0, 0, 0]);
+});
+
+test('proportional: the overrun is spread by planned length', () => {
+  assert.deepEqual(computeTimeBank(PRESETS, { rule: 'proportional', actuals: OVERRUN, now: 700000 }), [0, -12, -36, -12, 0]);
+});
+
+test('buffer: the overrun goes to the buffer timer', () => {
+  assert.deepEqual(computeTimeBank(PRESETS, { rule: 'buffer', actuals: OVERRUN, now: 700000 }), [0, 0, -60, 0, 0]);
+});
+
+test('an under-run gives time to the next timer once finished', () => {
+  const actuals = { 0: { startedAt: 0, endedAt: 540000 } };
+  assert.deepEqual(computeTimeBank(PRESETS, { rule: 'next', actuals, now: 600000 }), [0, 60, 0, 0, 0]);
+});
+
+test('a timer in progress counts its overrun so far but not its time left', () => {
+  const running = { 0: { startedAt: 0, endedAt: null } };
+  assert.deepEqual(computeTimeBank(PRESETS, { rule: 'next', actuals: running, now: 630000 }), [0, -30, 0, 0, 0]);
+  assert.deepEqual(computeTimeBank(PRESETS, { rule: 'next', actuals: running, now: 500000 }), [0, 0, 0, 0, 0]);
+});
+
+test('a banked timer never drops below one second', () => {
+  assert.equal(getBankedDurationSec({ durationSec: 30 }, -100), 1);
+  assert.equal(getBankedDurationSec({ durationSec: 30 }, 15), 45);
+  assert.equal(getBankedDurationSec({ durationSec: 30 }), 30);
+});
+
+test('a linked timer advances with the next timer banked as if it finished now', () => {
+  const actuals = { 0: { startedAt: 0, endedAt: null } };
+  const next = getLinkedAdvance(PRESETS, 0, { rule: 'next', actuals, now: 540000 });
+  assert.deepEqual(next, { index: 1, config: { mode: 'countdown', durationSec: 360 } });
+
+  assert.equal(getLinkedAdvance(PRESETS, 3, { rule: 'next', actuals, now: 540000 }), null);
+  assert.equal(getLinkedAdvance(PRESETS, 4, { rule: 'next' }), null);
+});
+
+test('hold keeps banked timers in overtime only while a rule is set', () => {
+  assert.equal(getLinkedAdvance(PRESETS, 0, { rule: 'next', hold: true }), null);
+  assert.equal(getLinkedAdvance(PRESETS, 0, { rule: 'off', hold: true }).index, 1);
+
+  const noOvertime = [timer(60, true, { config: { mode: 'countdown', durationSec: 60, allowOvertime: false } }), timer(60, false)];
+  assert.equal(getLinkedAdvance(noOvertime, 0, { rule: 'next', hold: true }).index, 1);
+});
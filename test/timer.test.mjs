@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatTime,
+  formatTimePlain,
+  formatStopwatchPlain,
+  formatOvertime,
+  formatOvertimePlain,
+  isFormatTemplate,
+  toTimeHTML,
+  toZonedDateTime,
+  fromZonedDateTime,
+  zonedTimeToMs,
+  getTimeUntilDate,
+  parseHMS,
+  secondsToHMS
+} from '../src/shared/timer.js';
+
+const sec = (d, h, m, s) => ((d * 24 + h) * 3600 + m * 60 + s) * 1000;
+
+test('built-in formats', () => {
+  assert.equal(formatTimePlain(sec(0, 0, 12, 34), 'MM:SS'), '12:34');
+  assert.equal(formatTimePlain(sec(0, 1, 2, 34), 'MM:SS'), '62:34');
+  assert.equal(formatTimePlain(sec(0, 1, 2, 34), 'HH:MM:SS'), '1:02:34');
+});
+
+test('day formats', () => {
+  const ms = sec(12, 4, 33, 10);
+  assert.equal(formatTimePlain(ms, 'D:HH:MM:SS'), '12:04:33:10');
+  assert.equal(formatTimePlain(ms, 'D days HH:MM:SS'), '12 days 04:33:10');
+  assert.equal(formatTimePlain(sec(1, 0, 0, 5), 'D days HH:MM:SS'), '1 day 00:00:05');
+  assert.equal(formatTimePlain(sec(0, 4, 33, 10), 'D days HH:MM:SS'), '4:33:10');
+});
+
+test('countdowns round up so the first second shows the full time', () => {
+  assert.equal(formatTimePlain(599100, 'MM:SS', true), '10:00');
+  assert.equal(formatTimePlain(599100, 'MM:SS'), '9:59');
+  assert.equal(formatTimePlain(-500, 'MM:SS'), '0:00');
+});
+
+test('format templates', () => {
+  assert.equal(isFormatTemplate('{m}m {ss}s'), true);
+  assert.equal(isFormatTemplate('MM:SS'), false);
+
+  // The largest unit in the template carries the rest
+  assert.equal(formatTimePlain(sec(0, 1, 15, 0), '{m}m {ss}s'), '75m 00s');
+  assert.equal(formatTimePlain(sec(0, 1, 15, 0), '{h}:{mm}:{ss}'), '1:15:00');
+  assert.equal(formatTimePlain(sec(2, 3, 0, 0), '{d}d {hh}h'), '2d 03h');
+
+  assert.equal(formatTimePlain(65430, '{mm}:{ss}.{t}'), '01:05.4');
+  assert.equal(formatTimePlain(65401, '{mm}:{ss}.{t}', true), '01:05.5');
+  assert.equal(formatTimePlain(65430, 'T-{mm}:{ss}', true), 'T-01:06');
+});
+
+test('HTML output escapes template text and centers colons', () => {
+  assert.equal(formatTime(65000, 'MM:SS'), '1<span class="colon">:</span>05');
+  assert.equal(formatTime(65000, '<{m}>'), '&lt;1&gt;');
+  assert.equal(toTimeHTML('a<b>&"'), 'a&lt;b&gt;&amp;&quot;');
+});
+
+test('stopwatch shows tenths unless the template places them', () => {
+  assert.equal(formatStopwatchPlain(65430, 'MM:SS'), '1:05.4');
+  assert.equal(formatStopwatchPlain(65430, '{m}:{ss}.{t}'), '1:05.4');
+});
+
+test('overtime uses the prefix and suffix around the time', () => {
+  assert.equal(formatOvertimePlain(65000, 'MM:SS'), '+1:05');
+  assert.equal(formatOvertimePlain(65000, '{m}m {ss}s', { overtimePrefix: 'OVER ', overtimeSuffix: '!' }), 'OVER 1m 05s!');
+  assert.equal(formatOvertime(65000, 'MM:SS'), '+1<span class="colon">:</span>05');
+});
+
+test('date targets carry the offset of the app timezone', () => {
+  assert.equal(toZonedDateTime('2026-03-01T09:00', 'UTC'), '2026-03-01T09:00:00+00:00');
+  assert.equal(toZonedDateTime('2026-01-01T09:00', 'America/New_York'), '2026-01-01T09:00:00-05:00');
+  assert.equal(toZonedDateTime('2026-07-01T09:00', 'America/New_York'), '2026-07-01T09:00:00-04:00');
+  assert.equal(toZonedDateTime('2026-03-01T09:00', 'Asia/Kolkata'), '2026-03-01T09:00:00+05:30');
+  assert.equal(toZonedDateTime('not a date', 'UTC'), null);
+});
+
+test('date targets read back as wall-clock time in the app timezone', () => {
+  assert.equal(fromZonedDateTime('2026-07-01T13:00:00Z', 'America/New_York'), '2026-07-01T09:00');
+  assert.equal(fromZonedDateTime(toZonedDateTime('2026-11-20T18:45', 'Europe/Berlin'), 'Europe/Berlin'), '2026-11-20T18:45');
+  assert.equal(fromZonedDateTime('', 'UTC'), '');
+});
+
+test('zoned wall-clock times resolve across a DST change', () => {
+  const ms = zonedTimeToMs({ year: 2026, month: 3, day: 8, hours: 3, minutes: 30, seconds: 0 }, 'America/New_York');
+  assert.equal(ms, Date.parse('2026-03-08T07:30:00Z'));
+});
+
+test('time until a date target', () => {
+  assert.equal(getTimeUntilDate('2026-03-01T09:00:00Z', Date.parse('2026-03-01T08:59:00Z')), 60000);
+  assert.equal(getTimeUntilDate('2026-03-01T09:00:00Z', Date.parse('2026-03-01T09:00:30Z')), -30000);
+  assert.equal(getTimeUntilDate('nope', 5), 0);
+});
+
+test('H:MM:SS parsing and formatting', () => {
+  assert.equal(parseHMS('1:02:03'), 3723);
+  assert.equal(secondsToHMS(3723), '01:02:03');
+});
@@ -0,0 +1,363 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimerEngine } from '../src/shared/timerEngine.js';
+import { getBankedTimerConfig, getLinkedAdvance } from '../src/shared/timeBank.js';
+
+/**
+ * Engine on a fake clock: advance() moves monotonic and wall time together
+ */
+function createEngine(config, options = {}) {
+  const clock = { mono: 1000, wall: Date.parse('2026-03-01T09:00:00Z') };
+  const engine = new TimerEngine({
+    now: () => clock.mono,
+    wallNow: () => clock.wall,
+    advanceDelayMs: 1000,
+    ...options
+  });
+  const events = [];
+  ['started', 'paused', 'resumed', 'reset', 'seeked', 'ended', 'overtime', 'advanced', 'lap', 'phase']
+    .forEach(event => engine.on(event, payload => events.push({ event, payload })));
+  engine.setConfig(config);
+
+  const advance = (ms) => {
+    clock.mono += ms;
+    clock.wall += ms;
+    engine.tick();
+  };
+  return { engine, clock, events, advance, names: () => events.map(e => e.event) };
+}
+
+test('start runs from zero and tracks elapsed time', () => {
+  const { engine, events, advance } = createEngine({ mode: 'countdown', durationSec: 60 });
+  engine.start();
+  advance(2500);
+
+  assert.equal(engine.isRunning, true);
+  assert.equal(engine.getElapsedMs(), 2500);
+  assert.deepEqual(events[0], { event: 'started', payload: { reason: 'command' } });
+});
+
+test('pause keeps elapsed time and resume continues from it', () => {
+  const { engine, advance } = createEngine({ mode: 'countdown', durationSec: 60 });
+  engine.start();
+  advance(3000);
+  assert.equal(engine.pause(), true);
+  advance(10000);
+
+  assert.equal(engine.getElapsedMs(), 3000);
+  assert.equal(engine.pause(), false);
+
+  engine.resume();
+  advance(2000);
+  assert.equal(engine.getElapsedMs(), 5000);
+});
+
+test('resume while running is a no-op', () => {
+  const { engine, names, advance } = createEngine({ mode: 'countdown', durationSec: 60 });
+  engine.start();
+  advance(20000);
+
+  assert.equal(engine.resume(), false);
+  assert.equal(engine.getElapsedMs(), 20000);
+  assert.deepEqual(names(), ['started']);
+});
+
+test('toggle starts, pauses and resumes', () => {
+  const { engine, names } = createEngine({ mode: 'countup', durationSec: 60 });
+  engine.toggle();
+  engine.toggle();
+  engine.toggle();
+  assert.deepEqual(names(), ['started', 'paused', 'resumed']);
+});
+
+test('a countdown goes into overtime at the exact moment it hit zero', () => {
+  const { engine, clock, names, advance } = createEngine({ mode: 'countdown', durationSec: 10 });
+  engine.start();
+  const startedAt = clock.mono;
+  advance(10400); // Late tick
+
+  assert.deepEqual(names(), ['started', 'ended', 'overtime']);
+  assert.equal(engine.isRunning, true);
+  assert.equal(engine.state.overtime, true);
+  assert.equal(engine.state.overtimeStartedAt, startedAt + 10000);
+});
+
+test('overtime start accounts for time paused before zero', () => {
+  const { engine, clock, advance } = createEngine({ mode: 'countdown', durationSec: 10 });
+  engine.start();
+  advance(4000);
+  engine.pause();
+  advance(5000);
+  engine.resume();
+  const resumedAt = clock.mono;
+  advance(6000);
+
+  assert.equal(engine.state.overtimeStartedAt, resumedAt + 6000);
+});
+
+test('handleEnd stops at 0:00 when overtime is off', () => {
+  const { engine, names, advance } = createEngine({ mode: 'countdown', durationSec: 10, allowOvertime: false });
+  engine.start();
+  advance(10000);
+
+  assert.deepEqual(names(), ['started', 'ended']);
+  assert.equal(engine.isRunning, false);
+  assert.equal(engine.state.startedAt, null);
+  assert.equal(engine.state.pausedAcc, 10000);
+  assert.equal(engine.state.overtime, false);
+});
+
+test('End By never goes into overtime', () => {
+  const { engine, clock, advance } = createEngine({ mode: 'countdown', durationSec: 600, startMode: 'endBy' });
+  engine.config.targetTime = new Date(clock.wall + 5000).toISOString();
+  engine.start();
+  advance(6000);
+
+  assert.equal(engine.state.ended, true);
+  assert.equal(engine.state.overtime, false);
+  assert.equal(engine.isRunning, false);
+});
+
+test('count-up and hidden timers never end', () => {
+  ['countup', 'hidden'].forEach((mode) => {
+    const { engine, advance } = createEngine({ mode, durationSec: 5 });
+    engine.start();
+    advance(60000);
+    assert.equal(engine.state.ended, false, mode);
+  });
+});
+
+test('Start At starts the timer at its wall-clock target', () => {
+  const { engine, clock, events, advance } = createEngine({ mode: 'countdown', durationSec: 60, startMode: 'startAt' });
+  engine.config.targetTime = new Date(clock.wall + 2000).toISOString();
+  advance(1000);
+  assert.equal(engine.isRunning, false);
+  advance(1000);
+
+  assert.equal(engine.isRunning, true);
+  assert.deepEqual(events[0], { event: 'started', payload: { reason: 'startAt' } });
+});
+
+test('seek while running moves the position and clamps to the duration', () => {
+  const { engine, advance } = createEngine({ mode: 'countdown', durationSec: 60 });
+  engine.start();
+  advance(1000);
+  engine.seek(30000);
+  assert.equal(engine.getElapsedMs(), 30000);
+
+  engine.seek(90000);
+  assert.equal(engine.getElapsedMs(), 60000);
+  engine.seek(-5000);
+  assert.equal(engine.getElapsedMs(), 0);
+});
+
+test('seek while paused keeps the timer paused at the new position', () => {
+  const { engine, advance } = createEngine({ mode: 'countdown', durationSec: 60 });
+  engine.seek(20000);
+  advance(5000);
+
+  assert.equal(engine.isRunning, false);
+  assert.equal(engine.getElapsedMs(), 20000);
+  engine.resume();
+  advance(1000);
+  assert.equal(engine.getElapsedMs(), 21000);
+});
+
+test('seeking back out of overtime clears the ended state', () => {
+  const { engine, advance } = createEngine({ mode: 'countdown', durationSec: 10 });
+  engine.start();
+  advance(12000);
+  assert.equal(engine.state.overtime, true);
+
+  engine.seek(5000);
+  assert.equal(engine.state.ended, false);
+  assert.equal(engine.state.overtime, false);
+  assert.equal(engine.state.overtimeStartedAt, null);
+});
+
+test('seek drops laps after the new position', () => {
+  const { engine, advance } = createEngine({ mode: 'stopwatch', durationSec: 600 });
+  engine.start();
+  [1000, 2000, 3000].forEach((ms) => {
+    advance(ms);
+    engine.lap();
+  });
+  engine.seek(3500);
+  assert.deepEqual(engine.state.laps, [1000, 3000]);
+});
+
+test('laps are only recorded on a running stopwatch', () => {
+  const { engine, events, advance } = createEngine({ mode: 'stopwatch', durationSec: 600 });
+  assert.equal(engine.lap(), false);
+  engine.start();
+  advance(1234);
+  assert.equal(engine.lap(), true);
+  assert.deepEqual(events.at(-1), { event: 'lap', payload: { number: 1, splitMs: 1234 } });
+
+  engine.setConfig({ mode: 'countdown', durationSec: 600 });
+  assert.equal(engine.lap(), false);
+});
+
+test('reset clears run state, laps and any pending chain start', () => {
+  const { engine, advance } = createEngine({ mode: 'stopwatch', durationSec: 600 });
+  engine.start();
+  advance(1000);
+  engine.lap();
+  engine.reset();
+
+  assert.equal(engine.isRunning, false);
+  assert.equal(engine.getElapsedMs(), 0);
+  assert.deepEqual(engine.state.laps, []);
+  assert.equal(engine.pendingStartAt, null);
+});
+
+test('a linked chain advances to the next timer after the advance delay', () => {
+  const next = { index: 1, config: { mode: 'countdown', durationSec: 30 } };
+  const { engine, events, names, advance } = createEngine(
+    { mode: 'countdown', durationSec: 10 },
+    { nextLinked: () => next }
+  );
+  engine.start();
+  advance(10000);
+
+  assert.deepEqual(names(), ['started', 'ended', 'advanced']);
+  assert.deepEqual(events[2].payload, next);
+  assert.equal(engine.isRunning, false);
+  assert.equal(engine.config.durationSec, 30);
+
+  advance(500);
+  assert.equal(engine.isRunning, false);
+  advance(500);
+  assert.equal(engine.isRunning, true);
+  assert.equal(engine.getElapsedMs(), 0);
+  assert.deepEqual(events.at(-1), { event: 'started', payload: { reason: 'chain' } });
+});
+
+test('the last timer of a chain goes into overtime', () => {
+  let calls = 0;
+  const { engine, names, advance } = createEngine(
+    { mode: 'countdown', durationSec: 10 },
+    { nextLinked: () => (calls++ === 0 ? { index: 1, config: { mode: 'countdown', durationSec: 5 } } : null) }
+  );
+  engine.start();
+  advance(10000);
+  advance(1000);
+  advance(5000);
+
+  assert.deepEqual(names(), ['started', 'ended', 'advanced', 'started', 'ended', 'overtime']);
+});
+
+/**
+ * Two linked timers with a time bank, recording actuals like the main process
+ */
+function createBankedChain(hold) {
+  const presets = [
+    { config: { mode: 'countdown', durationSec: 10 }, linkedToNext: true },
+    { config: { mode: 'countdown', durationSec: 30 }, linkedToNext: false }
+  ];
+  const chain = { active: 0, actuals: {} };
+  const options = () => ({ rule: 'next', hold, actuals: chain.actuals, now: setup.clock.wall });
+  const setup = createEngine(presets[0].config, {
+    nextLinked: () => getLinkedAdvance(presets, chain.active, options())
+  });
+
+  setup.engine.on('started', () => {
+    chain.actuals[chain.active] = { startedAt: setup.clock.wall, endedAt: null };
+  });
+  setup.engine.on('advanced', ({ index }) => {
+    chain.actuals[chain.active].endedAt = setup.clock.wall;
+    chain.active = index;
+  });
+  return { ...setup, presets, chain, options };
+}
+
+test('a banked chain advances at zero unless set to hold', () => {
+  const { engine, names, advance } = createBankedChain(false);
+  engine.start();
+  advance(10000);
+
+  assert.deepEqual(names(), ['started', 'ended', 'advanced']);
+  assert.equal(engine.config.durationSec, 30);
+});
+
+test('a held banked chain runs into overtime and banks the overrun', () => {
+  const { engine, names, advance, presets, chain, options } = createBankedChain(true);
+  engine.start();
+  advance(10000);
+  advance(5000);
+
+  assert.deepEqual(names(), ['started', 'ended', 'overtime']);
+  assert.equal(engine.isRunning, true);
+  assert.equal(engine.getElapsedMs(), 15000);
+
+  // The operator moves on to the next timer
+  const config = getBankedTimerConfig(presets, 1, options());
+  chain.actuals[0].endedAt = options().now;
+  chain.active = 1;
+  engine.reset();
+  engine.setConfig(config);
+  engine.start();
+
+  assert.equal(engine.config.durationSec, 25);
+  advance(25000);
+  assert.equal(engine.state.ended, true);
+});
+
+test('a countdown to a date lasts until the date', () => {
+  const { engine, clock, advance } = createEngine({ mode: 'countdown-date', durationSec: 0 });
+  engine.config.targetDate = new Date(clock.wall + 90000).toISOString();
+  assert.equal(engine.getDurationMs(), 90000);
+
+  engine.start();
+  advance(30000);
+  assert.equal(engine.getDurationMs(), 90000);
+  advance(60000);
+  assert.equal(engine.state.ended, true);
+  assert.equal(engine.state.overtime, true);
+});
+
+test('seek on a countdown to a date clamps to the time until the date', () => {
+  const { engine, clock, advance } = createEngine({ mode: 'countdown-date', durationSec: 10 });
+  engine.config.targetDate = new Date(clock.wall + 120000).toISOString();
+  engine.start();
+  advance(1000);
+  engine.seek(60000);
+
+  assert.equal(engine.getElapsedMs(), 60000);
+  assert.equal(engine.state.ended, false);
+});
+
+test('a countdown to a date without overtime stops with its full run time', () => {
+  const { engine, clock, advance } = createEngine({ mode: 'countdown-date', durationSec: 10, allowOvertime: false });
+  engine.config.targetDate = new Date(clock.wall + 45000).toISOString();
+  engine.start();
+  advance(45000);
+
+  assert.equal(engine.isRunning, false);
+  assert.equal(engine.state.pausedAcc, 45000);
+});
+
+test('interval timers emit a phase event at each work/rest change', () => {
+  const interval = { rounds: 2, workSec: 10, restSec: 5, perRound: null };
+  const { engine, events, advance } = createEngine({ mode: 'interval', durationSec: 25, interval });
+  engine.start();
+  advance(10000);
+  advance(5000);
+  advance(10000);
+
+  const phases = events.filter(e => e.event === 'phase').map(e => e.payload);
+  assert.deepEqual(phases, [
+    { round: 1, rounds: 2, phase: 'rest' },
+    { round: 2, rounds: 2, phase: 'work' }
+  ]);
+  assert.equal(engine.state.ended, true);
+});
+
+test('restore loads a paused position', () => {
+  const { engine } = createEngine({ mode: 'countdown', durationSec: 60 });
+  engine.restore({ pausedAcc: 42000, laps: [1000, 'x'] });
+
+  assert.equal(engine.isRunning, false);
+  assert.equal(engine.getElapsedMs(), 42000);
+  assert.deepEqual(engine.state.laps, [1000]);
+});